@@ -30,6 +30,13 @@ import AdminApplicationDetails from './pages/AdminApplicationDetails';
 import AdminPaymentHistory from './pages/AdminPaymentHistory';
 import AdminRates from './pages/AdminRates';
 import AdminAvailability from './pages/AdminAvailability';
+import AdminLeaseTemplates from './pages/AdminLeaseTemplates';
+import AdminWebhookEvents from './pages/AdminWebhookEvents';
+import AdminBilling from './pages/AdminBilling';
+import AdminPayouts from './pages/AdminPayouts';
+import AdminTaxReport from './pages/AdminTaxReport';
+import CoSignLease from './pages/CoSignLease';
+import PayLink from './pages/PayLink';
 import ContactForm from './components/ContactForm';
 import Privacy from './pages/Privacy';
 import Terms from './pages/Terms';
@@ -155,6 +162,8 @@ const AppRoutes = () => {
       {/* Gallery route removed; moved into Home as a section */}
       <Route path="/privacy" element={<Privacy />} />
       <Route path="/terms" element={<Terms />} />
+      <Route path="/lease/co-sign/:token" element={<CoSignLease />} />
+      <Route path="/pay/:token" element={<PayLink />} />
       <Route 
         path="/admin/login" 
         element={user?.role === 'admin' ? <Navigate to="/admin/dashboard" /> : <AdminLogin />} 
@@ -207,6 +216,46 @@ const AppRoutes = () => {
           </AdminProtectedRoute>
         } 
       />
+      <Route 
+        path="/admin/lease-template" 
+        element={
+          <AdminProtectedRoute>
+            <AdminLeaseTemplates />
+          </AdminProtectedRoute>
+        } 
+      />
+      <Route 
+        path="/admin/webhooks" 
+        element={
+          <AdminProtectedRoute>
+            <AdminWebhookEvents />
+          </AdminProtectedRoute>
+        } 
+      />
+      <Route 
+        path="/admin/billing" 
+        element={
+          <AdminProtectedRoute>
+            <AdminBilling />
+          </AdminProtectedRoute>
+        } 
+      />
+      <Route 
+        path="/admin/payouts" 
+        element={
+          <AdminProtectedRoute>
+            <AdminPayouts />
+          </AdminProtectedRoute>
+        } 
+      />
+      <Route 
+        path="/admin/taxes" 
+        element={
+          <AdminProtectedRoute>
+            <AdminTaxReport />
+          </AdminProtectedRoute>
+        } 
+      />
     </Routes>
   );
 };
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Menu, X, Home, LogOut, BarChart3, Settings, DollarSign, Calendar } from 'lucide-react';
+import { Menu, X, Home, LogOut, BarChart3, Settings, DollarSign, Calendar, FileText, Activity, Receipt, Landmark, Percent } from 'lucide-react';
 import AdminPasswordChange from './AdminPasswordChange';
 
 const AdminNavbar = () => {
@@ -24,6 +24,11 @@ const AdminNavbar = () => {
     { path: '/admin/revenue', label: 'Revenue', icon: BarChart3 },
     { path: '/admin/rates', label: 'Rates', icon: DollarSign },
     { path: '/admin/availability', label: 'Availability', icon: Calendar },
+    { path: '/admin/lease-template', label: 'Lease Template', icon: FileText },
+    { path: '/admin/billing', label: 'Billing', icon: Receipt },
+    { path: '/admin/payouts', label: 'Payouts', icon: Landmark },
+    { path: '/admin/taxes', label: 'Taxes', icon: Percent },
+    { path: '/admin/webhooks', label: 'Webhooks', icon: Activity },
   ];
 
   return (
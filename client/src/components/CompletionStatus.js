@@ -2,9 +2,28 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { CheckCircle, Circle, Clock, AlertCircle, ChevronDown, ChevronUp } from 'lucide-react';
 import axios from 'axios';
 
+const formatInstallmentAmount = (cents) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format(cents / 100);
+
+// Installment due dates are YYYY-MM-DD; read them as local dates
+const formatDueDate = (value) => new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+const INSTALLMENT_STATUS_CLASSES = {
+  paid: 'text-green-700',
+  due: 'text-yellow-700',
+  overdue: 'text-red-600'
+};
+
 const CompletionStatus = ({ application, leaseStatus, recentPayments = [], onApplicationUpdate, compact = false }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [applicationPayments, setApplicationPayments] = useState([]);
+  const [paymentSchedule, setPaymentSchedule] = useState(null);
   const [currentApplication, setCurrentApplication] = useState(application);
 
   // Update current application when prop changes
@@ -42,12 +61,26 @@ const CompletionStatus = ({ application, leaseStatus, recentPayments = [], onApp
     }
   }, [application?._id]);
 
-  // Fetch both application data and payments
+  // Fetch the lease's installments with their paid/due/overdue status
+  const fetchPaymentSchedule = useCallback(async () => {
+    if (application?._id) {
+      try {
+        const response = await axios.get(`/api/payment/schedule/${application._id}`);
+        setPaymentSchedule(response.data);
+      } catch (error) {
+        console.error('Error fetching payment schedule:', error);
+        setPaymentSchedule(null);
+      }
+    }
+  }, [application?._id]);
+
+  // Fetch application data, payments and the payment schedule
   useEffect(() => {
     const fetchData = async () => {
       await Promise.all([
         fetchLatestApplication(),
-        fetchApplicationPayments()
+        fetchApplicationPayments(),
+        fetchPaymentSchedule()
       ]);
     };
 
@@ -57,7 +90,15 @@ const CompletionStatus = ({ application, leaseStatus, recentPayments = [], onApp
     const interval = setInterval(fetchData, 15000);
     
     return () => clearInterval(interval);
-  }, [application?._id, fetchLatestApplication, fetchApplicationPayments]);
+  }, [application?._id, fetchLatestApplication, fetchApplicationPayments, fetchPaymentSchedule]);
+
+  const installments = paymentSchedule?.installments || [];
+  const hasPayment = currentApplication?.paymentReceived || applicationPayments.some(payment => payment.status === 'succeeded');
+  // With a schedule the step is done once every installment is paid
+  const paymentsComplete = installments.length > 0
+    ? installments.every(installment => installment.status === 'paid')
+    : hasPayment;
+  const nextInstallment = paymentSchedule?.nextInstallment;
   
   // Define the booking process steps based on actual application data
   const steps = [
@@ -97,10 +138,14 @@ const CompletionStatus = ({ application, leaseStatus, recentPayments = [], onApp
     {
       id: 'payment',
       title: 'Payment Made',
-      description: 'Deposit and first payment completed',
-      instruction: 'Make your security deposit and rent payment using our secure payment system. You will receive a confirmation via email.',
-      completed: currentApplication?.paymentReceived || applicationPayments.some(payment => payment.status === 'succeeded'),
-      icon: (currentApplication?.paymentReceived || applicationPayments.some(payment => payment.status === 'succeeded')) ? CheckCircle : Circle
+      description: installments.length > 0
+        ? (nextInstallment
+          ? `${nextInstallment.label}: ${formatInstallmentAmount(nextInstallment.remainingAmount)} ${nextInstallment.status === 'overdue' ? 'overdue since' : 'due'} ${formatDueDate(nextInstallment.dueDate)}`
+          : 'All installments paid')
+        : 'Deposit and first payment completed',
+      instruction: 'Pay each installment on the schedule using our secure payment system. You will receive a confirmation via email.',
+      completed: paymentsComplete,
+      icon: paymentsComplete ? CheckCircle : nextInstallment?.status === 'overdue' ? AlertCircle : Circle
     },
     {
       id: 'admin_verification',
@@ -109,7 +154,7 @@ const CompletionStatus = ({ application, leaseStatus, recentPayments = [], onApp
       instruction: 'We will verify all payments and documents, then send you a final signed copy of the lease agreement.',
       completed: currentApplication?.status === 'completed',
       icon: currentApplication?.status === 'completed' ? CheckCircle : 
-            (currentApplication?.paymentReceived || applicationPayments.some(payment => payment.status === 'succeeded')) ? Clock : Circle
+            hasPayment ? Clock : Circle
     }
   ];
 
@@ -261,6 +306,20 @@ const CompletionStatus = ({ application, leaseStatus, recentPayments = [], onApp
                     }`}>
                       {step.description}
                     </p>
+                    {step.id === 'payment' && installments.length > 0 && (
+                      <ul className="mt-1 space-y-0.5">
+                        {installments.map(installment => (
+                          <li key={installment.key} className="flex justify-between text-xs">
+                            <span className="text-gray-600">
+                              {installment.label} · {formatDueDate(installment.dueDate)}
+                            </span>
+                            <span className={`font-medium ${INSTALLMENT_STATUS_CLASSES[installment.status]}`}>
+                              {installment.status}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                     {/* Step Instruction - Only show for current step */}
                     {isCurrent && step.instruction && (
                       <p className="text-xs mt-1 text-blue-600 font-medium">
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+
+const formatDay = (value) => new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+// Warns an applicant when another submitted application is already holding
+// some of the dates they are asking for.
+const DateHoldWarning = ({ startDate, endDate }) => {
+  const [holds, setHolds] = useState([]);
+
+  useEffect(() => {
+    if (!startDate || !endDate || endDate <= startDate) {
+      setHolds([]);
+      return;
+    }
+
+    let cancelled = false;
+    const loadHolds = async () => {
+      try {
+        const params = new URLSearchParams({ startDate, endDate });
+        const response = await fetch(`/api/application/date-holds?${params.toString()}`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          }
+        });
+        if (!response.ok) return;
+        const data = await response.json();
+        if (!cancelled) setHolds(data.holds || []);
+      } catch (err) {
+        console.error('Error checking date holds:', err);
+      }
+    };
+
+    loadHolds();
+    return () => {
+      cancelled = true;
+    };
+  }, [startDate, endDate]);
+
+  if (holds.length === 0) return null;
+
+  return (
+    <div className="flex items-start rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+      <Clock className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+      <div>
+        <p className="font-medium">Some of these dates are on hold</p>
+        <p className="mt-1">
+          Another applicant has already applied for overlapping dates. You can still apply, but if their
+          application is approved these dates will no longer be available.
+        </p>
+        <ul className="mt-1 list-disc list-inside">
+          {holds.map((hold, index) => (
+            <li key={index}>
+              {formatDay(hold.startDate)} – {formatDay(hold.endDate)}, held until {new Date(hold.holdExpiresAt).toLocaleDateString('en-US')}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default DateHoldWarning;
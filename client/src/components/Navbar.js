@@ -1,8 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Menu, X, Home, FileText, LogOut, Mail, Settings } from 'lucide-react';
 import TenantPasswordChange from './TenantPasswordChange';
+import TenantSettings from './TenantSettings';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
@@ -10,6 +11,16 @@ const Navbar = () => {
   const navigate = useNavigate();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [showPasswordChange, setShowPasswordChange] = useState(false);
+  const [settingsTab, setSettingsTab] = useState('profile');
+
+  // Back from saving a payment method on Stripe: reopen Settings on the Payments tab
+  useEffect(() => {
+    if (user && new URLSearchParams(location.search).get('paymentMethodSaved')) {
+      setSettingsTab('payments');
+      setShowPasswordChange(true);
+      navigate(location.pathname, { replace: true });
+    }
+  }, [user, location.search, location.pathname, navigate]);
 
   const handleLogout = async () => {
     const wasAdmin = user?.role === 'admin';
@@ -85,7 +96,7 @@ const Navbar = () => {
                 <button
                   onClick={() => setShowPasswordChange(true)}
                   className="flex items-center space-x-2 px-3 py-2 text-sm font-medium text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200"
-                  title="Change Password"
+                  title="Account Settings"
                 >
                   <Settings className="w-4 h-4" />
                   <span>Settings</span>
@@ -199,10 +210,19 @@ const Navbar = () => {
         )}
       </div>
       
-      {/* Password Change Modal */}
-      {showPasswordChange && (
+      {/* Settings Modal */}
+      {showPasswordChange && (user?.role === 'admin' ? (
         <TenantPasswordChange onClose={() => setShowPasswordChange(false)} />
-      )}
+      ) : (
+        <TenantSettings
+          initialTab={settingsTab}
+          initialMessage={settingsTab === 'payments' ? { type: 'success', text: 'Payment method saved' } : null}
+          onClose={() => {
+            setShowPasswordChange(false);
+            setSettingsTab('profile');
+          }}
+        />
+      ))}
     </nav>
   );
 };
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Calculator, AlertCircle } from 'lucide-react';
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format(amount || 0);
+
+// Itemized price for a stay, with its taxes, calculated server-side from the
+// published rates so every screen shows the same number.
+const StayQuote = ({ startDate, endDate, guests = 1, onQuote, compact = false }) => {
+  const [quote, setQuote] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  // Keep the latest callback without re-fetching when parents pass an inline function
+  const onQuoteRef = useRef(onQuote);
+  useEffect(() => {
+    onQuoteRef.current = onQuote;
+  }, [onQuote]);
+
+  useEffect(() => {
+    const notify = (value) => {
+      if (onQuoteRef.current) onQuoteRef.current(value);
+    };
+
+    if (!startDate || !endDate) {
+      setQuote(null);
+      setError('');
+      notify(null);
+      return;
+    }
+
+    let cancelled = false;
+    const loadQuote = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams({ startDate, endDate, guests: String(guests) });
+        const response = await fetch(`/api/rates/quote?${params.toString()}`);
+        const data = await response.json();
+        if (cancelled) return;
+
+        if (!response.ok) {
+          setQuote(null);
+          setError(data.error || 'Unable to calculate a quote for these dates');
+          notify(null);
+          return;
+        }
+
+        setQuote(data.quote);
+        setError('');
+        notify(data.quote);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error loading quote:', err);
+        setQuote(null);
+        setError('Unable to calculate a quote right now');
+        notify(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadQuote();
+    return () => {
+      cancelled = true;
+    };
+  }, [startDate, endDate, guests]);
+
+  if (!startDate || !endDate) return null;
+
+  if (loading && !quote) {
+    return (
+      <div className="rounded-md border border-gray-200 bg-gray-50 p-3 text-sm text-gray-500">
+        Calculating quote...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-start rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+        <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+        <span>{error}</span>
+      </div>
+    );
+  }
+
+  if (!quote) return null;
+
+  return (
+    <div className="rounded-md border border-blue-100 bg-blue-50 p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-gray-900 flex items-center">
+          <Calculator className="h-4 w-4 mr-2 text-blue-600" />
+          Stay Quote
+        </h4>
+        <span className="text-xs text-gray-600">
+          {quote.nights} night{quote.nights === 1 ? '' : 's'} · {quote.guests} guest{quote.guests === 1 ? '' : 's'}
+        </span>
+      </div>
+
+      {!compact && (
+        <ul className="space-y-1 mb-2">
+          {quote.lineItems.map((line, index) => (
+            <li key={index} className="flex justify-between text-xs text-gray-700">
+              <span className="pr-4">
+                <span className="font-medium">{line.period}</span> — {line.description}
+              </span>
+              <span className="whitespace-nowrap">{formatCurrency(line.amount)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {quote.taxes && !quote.taxes.exempt ? (
+        <>
+          <div className="flex justify-between border-t border-blue-100 pt-2 text-sm text-gray-900">
+            <span>Rental Fee</span>
+            <span>{formatCurrency(quote.subtotal)}</span>
+          </div>
+          <ul className="space-y-1 my-1">
+            {quote.taxes.lines.map(line => (
+              <li key={line.key} className="flex justify-between text-xs text-gray-700">
+                <span className="pr-4">{line.name} ({line.rate}%)</span>
+                <span className="whitespace-nowrap">{formatCurrency(line.amount)}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="flex justify-between border-t border-blue-100 pt-2 text-sm font-semibold text-gray-900">
+            <span>Total with taxes</span>
+            <span>{formatCurrency(quote.total)}</span>
+          </div>
+        </>
+      ) : (
+        <div className="flex justify-between border-t border-blue-100 pt-2 text-sm font-semibold text-gray-900">
+          <span>Total Rental Fee</span>
+          <span>{formatCurrency(quote.total)}</span>
+        </div>
+      )}
+      {quote.taxes?.exempt && (
+        <p className="mt-1 text-xs text-gray-600">No sales or tourist development tax: {quote.taxes.exemptReason.toLowerCase()}.</p>
+      )}
+    </div>
+  );
+};
+
+export default StayQuote;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { 
   X, 
@@ -11,14 +11,18 @@ import {
   EyeOff,
   Check,
   AlertCircle,
-  Save
+  Save,
+  CreditCard,
+  Landmark,
+  Trash2,
+  Plus
 } from 'lucide-react';
 
-const TenantSettings = ({ onClose }) => {
+const TenantSettings = ({ onClose, initialTab = 'profile', initialMessage = null }) => {
   const { user } = useAuth();
-  const [activeTab, setActiveTab] = useState('profile');
+  const [activeTab, setActiveTab] = useState(initialTab);
   const [loading, setLoading] = useState(false);
-  const [message, setMessage] = useState({ type: '', text: '' });
+  const [message, setMessage] = useState(initialMessage || { type: '', text: '' });
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
@@ -45,6 +49,136 @@ const TenantSettings = ({ onClose }) => {
     leaseReminders: true
   });
 
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [paymentMethodsLoading, setPaymentMethodsLoading] = useState(false);
+  const [autopay, setAutopay] = useState({ enabled: false, paymentMethodId: '' });
+
+  const fetchPaymentMethods = useCallback(async () => {
+    setPaymentMethodsLoading(true);
+    try {
+      const response = await fetch('/api/payment/payment-methods', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load saved payment methods');
+      }
+
+      setPaymentMethods(data.paymentMethods || []);
+      setAutopay({
+        enabled: data.autopay?.enabled || false,
+        paymentMethodId: data.autopay?.paymentMethodId || data.paymentMethods?.[0]?.id || ''
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setPaymentMethodsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'payments') {
+      fetchPaymentMethods();
+    }
+  }, [activeTab, fetchPaymentMethods]);
+
+  const describePaymentMethod = (paymentMethod) => (paymentMethod.type === 'us_bank_account'
+    ? `${paymentMethod.bankName || 'Bank account'} •••• ${paymentMethod.last4}`
+    : `${paymentMethod.brand ? paymentMethod.brand.toUpperCase() : 'Card'} •••• ${paymentMethod.last4}`);
+
+  // Save a card or bank account on Stripe's hosted page; it returns to the dashboard
+  const handleAddPaymentMethod = async (type) => {
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await fetch('/api/payment/payment-methods/setup-session', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ type })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start saving the payment method');
+      }
+
+      window.location.href = data.url;
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      setLoading(false);
+    }
+  };
+
+  const handleRemovePaymentMethod = async (paymentMethod) => {
+    if (!window.confirm(`Remove ${describePaymentMethod(paymentMethod)}?`)) return;
+
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await fetch(`/api/payment/payment-methods/${paymentMethod.id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to remove payment method');
+      }
+
+      setPaymentMethods(data.paymentMethods || []);
+      setAutopay({
+        enabled: data.autopay?.enabled || false,
+        paymentMethodId: data.autopay?.paymentMethodId || data.paymentMethods?.[0]?.id || ''
+      });
+      setMessage({ type: 'success', text: 'Payment method removed' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAutopayUpdate = async () => {
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await fetch('/api/payment/autopay', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(autopay)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update autopay');
+      }
+
+      setMessage({ type: 'success', text: data.message });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Handle password change
   const handlePasswordChange = async (e) => {
     e.preventDefault();
@@ -148,7 +282,8 @@ const TenantSettings = ({ onClose }) => {
   const tabs = [
     { id: 'profile', label: 'Profile', icon: User },
     { id: 'password', label: 'Password', icon: Lock },
-    { id: 'notifications', label: 'Notifications', icon: Bell }
+    { id: 'notifications', label: 'Notifications', icon: Bell },
+    { id: 'payments', label: 'Payments', icon: CreditCard }
   ];
 
   return (
@@ -480,6 +615,120 @@ const TenantSettings = ({ onClose }) => {
               </div>
             </div>
           )}
+
+          {/* Payments Tab */}
+          {activeTab === 'payments' && (
+            <div className="space-y-6">
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-3">Saved Payment Methods</h3>
+                {paymentMethodsLoading ? (
+                  <p className="text-sm text-gray-500">Loading...</p>
+                ) : paymentMethods.length === 0 ? (
+                  <p className="text-sm text-gray-500">No saved payment methods yet.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {paymentMethods.map((paymentMethod) => (
+                      <div key={paymentMethod.id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                        <div className="flex items-center space-x-3">
+                          {paymentMethod.type === 'us_bank_account' ? (
+                            <Landmark className="h-5 w-5 text-gray-500" />
+                          ) : (
+                            <CreditCard className="h-5 w-5 text-gray-500" />
+                          )}
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">{describePaymentMethod(paymentMethod)}</p>
+                            <p className="text-xs text-gray-500">
+                              {paymentMethod.type === 'us_bank_account'
+                                ? 'Bank debit, no processing fee'
+                                : `Expires ${paymentMethod.expMonth}/${paymentMethod.expYear} · 3% processing fee`}
+                            </p>
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => handleRemovePaymentMethod(paymentMethod)}
+                          disabled={loading}
+                          className="text-gray-400 hover:text-red-600 disabled:opacity-50 transition-colors"
+                          title="Remove"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-3 mt-4">
+                  <button
+                    onClick={() => handleAddPaymentMethod('card')}
+                    disabled={loading}
+                    className="flex items-center space-x-2 px-3 py-2 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50 transition-colors"
+                  >
+                    <Plus className="h-4 w-4" />
+                    <span>Add Card</span>
+                  </button>
+                  <button
+                    onClick={() => handleAddPaymentMethod('us_bank_account')}
+                    disabled={loading}
+                    className="flex items-center space-x-2 px-3 py-2 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50 transition-colors"
+                  >
+                    <Plus className="h-4 w-4" />
+                    <span>Add Bank Account</span>
+                  </button>
+                </div>
+              </div>
+
+              <div className="border-t border-gray-200 pt-6 space-y-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-900">Autopay</h3>
+                    <p className="text-xs text-gray-500">Charge upcoming installments automatically on their due date. A receipt is emailed for every charge.</p>
+                  </div>
+                  <label className="relative inline-flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={autopay.enabled}
+                      disabled={paymentMethods.length === 0}
+                      onChange={(e) => setAutopay({
+                        ...autopay,
+                        enabled: e.target.checked
+                      })}
+                      className="sr-only peer"
+                    />
+                    <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                  </label>
+                </div>
+
+                {autopay.enabled && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Pay with
+                    </label>
+                    <select
+                      value={autopay.paymentMethodId}
+                      onChange={(e) => setAutopay({ ...autopay, paymentMethodId: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      {paymentMethods.map((paymentMethod) => (
+                        <option key={paymentMethod.id} value={paymentMethod.id}>
+                          {describePaymentMethod(paymentMethod)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div className="flex justify-end pt-4">
+                <button
+                  onClick={handleAutopayUpdate}
+                  disabled={loading || paymentMethodsLoading}
+                  className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <Save className="h-4 w-4" />
+                  <span>{loading ? 'Saving...' : 'Save Autopay'}</span>
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -4,10 +4,28 @@ import { useAuth } from '../contexts/AuthContext';
 import AdminNavbar from '../components/AdminNavbar';
 import {
   ArrowLeft, Edit3, Save, X, RefreshCw, CheckCircle, XCircle,
-  Calendar, FileText, Upload, Download, Trash2, Plus, CreditCard,
-  User, AlertCircle, ArrowRightLeft, Undo2
+  Calendar, Clock, FileText, Upload, Download, Trash2, Plus, CreditCard,
+  User, AlertCircle, ArrowRightLeft, Undo2, PenTool, Mail, ShieldAlert, Send, Copy
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import StayQuote from '../components/StayQuote';
+import { downloadPaymentReceipt, downloadStatement } from '../utils/pdfDownloads';
+
+const AMENDMENT_FIELD_LABELS = {
+  leaseStartDate: 'Start',
+  leaseEndDate: 'End',
+  rentalAmount: 'Rental fee',
+  depositAmount: 'Deposit'
+};
+
+const PAYMENT_REQUEST_TYPE_LABELS = {
+  deposit: 'Deposit',
+  rent: 'Rent',
+  late_fee: 'Late fee',
+  other: 'Other'
+};
+
+const emptyPaymentRequest = () => ({ amount: '', paymentType: 'other', memo: '', sendEmail: true });
 
 const AdminApplicationDetails = () => {
   const { user } = useAuth();
@@ -17,6 +35,19 @@ const AdminApplicationDetails = () => {
   const [application, setApplication] = useState(null);
   const [loading, setLoading] = useState(true);
   const [payments, setPayments] = useState([]);
+  const [ledger, setLedger] = useState(null);
+  const [showChargeModal, setShowChargeModal] = useState(false);
+  const [chargeData, setChargeData] = useState({
+    type: 'late_fee',
+    amount: '',
+    description: '',
+    date: new Date().toISOString().split('T')[0]
+  });
+  const [savingCharge, setSavingCharge] = useState(false);
+  const [paymentRequests, setPaymentRequests] = useState([]);
+  const [showPaymentRequestModal, setShowPaymentRequestModal] = useState(false);
+  const [paymentRequestData, setPaymentRequestData] = useState(emptyPaymentRequest);
+  const [savingPaymentRequest, setSavingPaymentRequest] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [editData, setEditData] = useState({});
   const [saving, setSaving] = useState(false);
@@ -50,6 +81,12 @@ const AdminApplicationDetails = () => {
   });
   const [savingRefund, setSavingRefund] = useState(false);
   const [showLeaseModal, setShowLeaseModal] = useState(false);
+  const [showCountersignModal, setShowCountersignModal] = useState(false);
+  const [storedSignature, setStoredSignature] = useState(null);
+  const [countersignMethod, setCountersignMethod] = useState('stored');
+  const [countersignName, setCountersignName] = useState('');
+  const [signatureUpload, setSignatureUpload] = useState({ name: '', image: '' });
+  const [countersigning, setCountersigning] = useState(false);
   const [generatingLease, setGeneratingLease] = useState(false);
   const [leaseFormData, setLeaseFormData] = useState({
     leaseStartDate: '',
@@ -57,6 +94,37 @@ const AdminApplicationDetails = () => {
     rentalAmount: '',
     depositAmount: ''
   });
+  const [leaseQuote, setLeaseQuote] = useState(null);
+  const [rentalAmountEdited, setRentalAmountEdited] = useState(false);
+  const [leaseAmendments, setLeaseAmendments] = useState([]);
+  const [leaseHistory, setLeaseHistory] = useState([]);
+  const [showAmendmentModal, setShowAmendmentModal] = useState(false);
+  const [amendmentData, setAmendmentData] = useState({
+    leaseStartDate: '',
+    leaseEndDate: '',
+    rentalAmount: '',
+    depositAmount: '',
+    reason: ''
+  });
+  const [amendmentConflicts, setAmendmentConflicts] = useState([]);
+  const [proposingAmendment, setProposingAmendment] = useState(false);
+  const [showCancelModal, setShowCancelModal] = useState(false);
+  const [cancelData, setCancelData] = useState({ reason: '', relet: false });
+  const [cancellationPreview, setCancellationPreview] = useState(null);
+  const [cancellingApplication, setCancellingApplication] = useState(false);
+  // Pending refund (e.g. from a cancellation) being marked as sent
+  const [issuingRefund, setIssuingRefund] = useState(null);
+  const [issueRefundData, setIssueRefundData] = useState({
+    paymentMethod: 'check',
+    refundDate: new Date().toISOString().split('T')[0],
+    checkNumber: '',
+    notes: ''
+  });
+  const [savingIssueRefund, setSavingIssueRefund] = useState(false);
+  // Card payment being refunded through Stripe
+  const [cardRefundPayment, setCardRefundPayment] = useState(null);
+  const [cardRefundData, setCardRefundData] = useState({ amount: '', refundCategory: 'deposit', reason: '' });
+  const [savingCardRefund, setSavingCardRefund] = useState(false);
 
   const formatDateForInput = (value) => {
     if (!value) {
@@ -92,8 +160,28 @@ const AdminApplicationDetails = () => {
       rentalAmount: application?.rentalAmount != null ? String(application.rentalAmount) : '',
       depositAmount: application?.depositAmount != null ? String(application.depositAmount) : '500'
     });
+    // Keep an amount the lease was already generated with; otherwise fill it from the quote
+    setRentalAmountEdited(application?.rentalAmount != null);
   }, [application]);
 
+  const handleLeaseQuote = (quote) => {
+    setLeaseQuote(quote);
+    if (quote && !rentalAmountEdited) {
+      setLeaseFormData(prev => ({ ...prev, rentalAmount: String(quote.subtotal) }));
+    }
+  };
+
+  const handleLeaseDateChange = (field, value) => {
+    setLeaseFormData(prev => ({ ...prev, [field]: value }));
+    setRentalAmountEdited(false);
+  };
+
+  const getApplicationGuestCount = () => {
+    if (!application) return 1;
+    const coApplicant = application.secondApplicantFirstName && application.secondApplicantLastName ? 1 : 0;
+    return 1 + coApplicant + (application.additionalGuests?.length || 0);
+  };
+
   const fetchApplicationData = useCallback(async () => {
     try {
       setLoading(true);
@@ -123,6 +211,30 @@ const AdminApplicationDetails = () => {
             setPayments(paymentsData.payments || []);
           }
         }
+
+        const ledgerRes = await fetch(`/api/payment/ledger/${id}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
+        if (ledgerRes.ok) {
+          setLedger(await ledgerRes.json());
+        }
+
+        const paymentRequestsRes = await fetch(`/api/payment/admin/payment-requests?applicationId=${id}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
+        if (paymentRequestsRes.ok) {
+          const paymentRequestsData = await paymentRequestsRes.json();
+          setPaymentRequests(paymentRequestsData.paymentRequests || []);
+        }
+
+        const amendmentsRes = await fetch(`/api/lease-amendments/application/${id}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
+        if (amendmentsRes.ok) {
+          const amendmentsData = await amendmentsRes.json();
+          setLeaseAmendments(amendmentsData.amendments || []);
+          setLeaseHistory(amendmentsData.history || []);
+        }
       } else {
         toast.error('Application not found');
         navigate('/admin/dashboard');
@@ -153,7 +265,7 @@ const AdminApplicationDetails = () => {
     return null;
   }
 
-  const updateApplicationStatus = async (newStatus) => {
+  const updateApplicationStatus = async (newStatus, override = false) => {
     try {
       const response = await fetch(`/api/application/admin/${id}/status`, {
         method: 'PUT',
@@ -161,9 +273,20 @@ const AdminApplicationDetails = () => {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
-        body: JSON.stringify({ status: newStatus })
+        body: JSON.stringify({ status: newStatus, override })
       });
 
+      // Approving over a date conflict needs an explicit confirmation
+      if (response.status === 409) {
+        const data = await response.json();
+        const details = (data.conflicts || []).map(conflict => `• ${conflict.message}`).join('\n');
+        if (data.canOverride && window.confirm(`${data.error}:\n\n${details}\n\nApprove anyway?`)) {
+          return updateApplicationStatus(newStatus, true);
+        }
+        toast.error(data.error || 'Date conflict');
+        return;
+      }
+
       if (response.ok) {
         toast.success('Application status updated');
         setApplication(prev => ({ ...prev, status: newStatus }));
@@ -271,10 +394,8 @@ const AdminApplicationDetails = () => {
 
       if (response.ok) {
         const data = await response.json();
-        // Filter out the current application and only show applications with available balance
-        const filtered = data.applications.filter(app => 
-          app.applicationId._id !== id && app.totalBalance > 0
-        );
+        // Any of the tenant's other applications can receive the transfer
+        const filtered = (data.applications || []).filter(app => app.applicationId._id !== id);
         setAvailableApplications(filtered);
       } else {
         toast.error('Failed to fetch available applications');
@@ -489,6 +610,98 @@ const AdminApplicationDetails = () => {
     }
   };
 
+  // Opens a signed lease or addendum PDF from the lease history
+  const handleViewHistoryDocument = async (entry) => {
+    try {
+      const response = await fetch(entry.viewUrl, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      if (!response.ok) {
+        toast.error(`Failed to load ${entry.title}`);
+        return;
+      }
+      const blob = await response.blob();
+      window.open(window.URL.createObjectURL(blob), '_blank');
+    } catch (error) {
+      console.error('Error viewing lease history document:', error);
+      toast.error(`Error loading ${entry.title}`);
+    }
+  };
+
+  const openAmendmentModal = () => {
+    setAmendmentData({
+      leaseStartDate: formatDateForInput(application.leaseStartDate),
+      leaseEndDate: formatDateForInput(application.leaseEndDate),
+      rentalAmount: application.rentalAmount != null ? String(application.rentalAmount) : '',
+      depositAmount: application.depositAmount != null ? String(application.depositAmount) : '',
+      reason: ''
+    });
+    setAmendmentConflicts([]);
+    setShowAmendmentModal(true);
+  };
+
+  const handleProposeAmendment = async (override = false) => {
+    try {
+      setProposingAmendment(true);
+      const response = await fetch(`/api/lease-amendments/application/${id}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({
+          leaseStartDate: amendmentData.leaseStartDate,
+          leaseEndDate: amendmentData.leaseEndDate,
+          rentalAmount: amendmentData.rentalAmount === '' ? undefined : Number(amendmentData.rentalAmount),
+          depositAmount: amendmentData.depositAmount === '' ? undefined : Number(amendmentData.depositAmount),
+          reason: amendmentData.reason,
+          override
+        })
+      });
+      const data = await response.json();
+      if (response.status === 409 && data.conflicts) {
+        setAmendmentConflicts(data.conflicts);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to propose amendment');
+      }
+      toast.success(`${data.message}. The tenant can now review and sign it.`);
+      setShowAmendmentModal(false);
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error proposing amendment:', error);
+      toast.error(error.message || 'Error proposing amendment');
+    } finally {
+      setProposingAmendment(false);
+    }
+  };
+
+  const handleCancelAmendment = async (amendment) => {
+    if (!window.confirm(`Cancel Addendum ${amendment.number}? The tenant will no longer be able to sign it.`)) {
+      return;
+    }
+    try {
+      const response = await fetch(`/api/lease-amendments/${amendment._id}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel amendment');
+      }
+      toast.success(data.message);
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error cancelling amendment:', error);
+      toast.error(error.message || 'Error cancelling amendment');
+    }
+  };
+
   const handleDeleteLease = async () => {
     if (!window.confirm('Are you sure you want to delete this lease? This action cannot be undone.')) {
       return;
@@ -515,6 +728,118 @@ const AdminApplicationDetails = () => {
     }
   };
 
+  // Issues a fresh link (the previous one stops working) and copies it for the admin to send
+  const handleCopyCoSignLink = async () => {
+    try {
+      const response = await fetch(`/api/lease/co-sign-link/${id}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create signing link');
+      }
+      await navigator.clipboard.writeText(data.coApplicantSigningUrl);
+      toast.success('Co-applicant signing link copied');
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error creating signing link:', error);
+      toast.error(error.message || 'Error creating signing link');
+    }
+  };
+
+  const openCountersignModal = async () => {
+    setShowCountersignModal(true);
+    try {
+      const response = await fetch('/api/lease/admin/manager-signature', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setStoredSignature(data.signature);
+        setCountersignMethod(data.signature ? 'stored' : 'type');
+        setSignatureUpload({ name: data.signature?.name || '', image: '' });
+      }
+    } catch (error) {
+      console.error('Error fetching stored signature:', error);
+    }
+  };
+
+  const handleSignatureFileChange = (file) => {
+    if (!file) return;
+    if (!['image/png', 'image/jpeg'].includes(file.type)) {
+      toast.error('Signature must be a PNG or JPEG image');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setSignatureUpload(prev => ({ ...prev, image: reader.result }));
+    reader.readAsDataURL(file);
+  };
+
+  const handleSaveStoredSignature = async () => {
+    if (!signatureUpload.name.trim() || !signatureUpload.image) {
+      toast.error('Please enter the signer name and choose a signature image');
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/lease/admin/manager-signature', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(signatureUpload)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save signature');
+      }
+      toast.success('Signature saved');
+      setStoredSignature(data.signature);
+      setCountersignMethod('stored');
+      setSignatureUpload(prev => ({ ...prev, image: '' }));
+    } catch (error) {
+      console.error('Error saving signature:', error);
+      toast.error(error.message || 'Error saving signature');
+    }
+  };
+
+  const handleCountersign = async () => {
+    if (countersignMethod === 'type' && !countersignName.trim()) {
+      toast.error('Please type the signer name');
+      return;
+    }
+
+    try {
+      setCountersigning(true);
+      const response = await fetch(`/api/lease/admin/countersign/${id}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ method: countersignMethod, typedName: countersignName })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to counter-sign lease');
+      }
+      toast.success('Lease counter-signed and fully executed');
+      setShowCountersignModal(false);
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error counter-signing lease:', error);
+      toast.error(error.message || 'Error counter-signing lease');
+    } finally {
+      setCountersigning(false);
+    }
+  };
+
   const handleDeletePayment = async (paymentId) => {
     if (!window.confirm('Are you sure you want to delete this payment? This action cannot be undone.')) {
       return;
@@ -586,110 +911,491 @@ const AdminApplicationDetails = () => {
     }
   };
 
-  const handleManualRefund = async () => {
-    if (!refundData.amount) {
-      toast.error('Please enter a refund amount');
+  const handleAddCharge = async () => {
+    if (!chargeData.amount) {
+      toast.error('Please enter an amount');
       return;
     }
 
     try {
-      setSavingRefund(true);
-
-      const response = await fetch('/api/payment/admin/manual-refund', {
+      setSavingCharge(true);
+      const response = await fetch(`/api/payment/admin/ledger/${id}/charges`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
         body: JSON.stringify({
-          ...refundData,
-          applicationId: id,
-          amount: parseFloat(refundData.amount)
+          ...chargeData,
+          amount: parseFloat(chargeData.amount) // Backend will convert to cents
         })
       });
 
       if (response.ok) {
-        toast.success('Refund recorded successfully!');
-        setShowRefundModal(false);
-        setRefundData({
+        toast.success(chargeData.type === 'credit' ? 'Credit added' : 'Charge added');
+        setLedger(await response.json());
+        setShowChargeModal(false);
+        setChargeData({
+          type: 'late_fee',
           amount: '',
-          refundType: 'deposit',
-          refundDate: new Date().toISOString().split('T')[0],
-          checkNumber: '',
-          notes: ''
+          description: '',
+          date: new Date().toISOString().split('T')[0]
         });
-        await fetchApplicationData();
       } else {
         const error = await response.json();
-        toast.error(error.error || 'Failed to record refund');
+        toast.error(error.error || 'Failed to add charge');
       }
     } catch (error) {
-      console.error('Error recording refund:', error);
-      toast.error('Error recording refund');
+      console.error('Error adding charge:', error);
+      toast.error('Error adding charge');
     } finally {
-      setSavingRefund(false);
+      setSavingCharge(false);
     }
   };
 
-  const deleteApplication = async () => {
-    if (!window.confirm('Are you sure you want to delete this application? This action cannot be undone.')) {
+  const handleDeleteCharge = async (chargeId) => {
+    if (!window.confirm('Remove this entry from the ledger?')) return;
+
+    try {
+      const response = await fetch(`/api/payment/admin/ledger/${id}/charges/${chargeId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+
+      if (response.ok) {
+        toast.success('Ledger entry removed');
+        setLedger(await response.json());
+      } else {
+        const error = await response.json();
+        toast.error(error.error || 'Failed to remove entry');
+      }
+    } catch (error) {
+      console.error('Error removing charge:', error);
+      toast.error('Error removing entry');
+    }
+  };
+
+  const handleWaiveLateFee = async (chargeId) => {
+    const reason = window.prompt('Reason for waiving this late fee (kept on the ledger):');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error('A reason is required to waive a late fee');
       return;
     }
 
     try {
-      const response = await fetch(`/api/application/admin/${id}`, {
-        method: 'DELETE',
+      const response = await fetch(`/api/payment/admin/ledger/${id}/charges/${chargeId}/waive`, {
+        method: 'POST',
         headers: {
+          'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
+        },
+        body: JSON.stringify({ reason })
       });
 
       if (response.ok) {
-        toast.success('Application deleted successfully');
-        navigate('/admin/dashboard');
+        toast.success('Late fee waived');
+        setLedger(await response.json());
       } else {
         const error = await response.json();
-        toast.error(error.error || 'Failed to delete application');
+        toast.error(error.error || 'Failed to waive late fee');
       }
     } catch (error) {
-      console.error('Error deleting application:', error);
-      toast.error('Error deleting application');
+      console.error('Error waiving late fee:', error);
+      toast.error('Error waiving late fee');
     }
   };
 
-  const formatDate = (value) => {
-    if (!value) return 'Not set';
-
-    // If it's already a Date instance
-    if (value instanceof Date) {
-      if (isNaN(value.getTime())) return 'Invalid Date';
-      return value.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  const handleCreatePaymentRequest = async () => {
+    if (!paymentRequestData.amount || !paymentRequestData.memo.trim()) {
+      toast.error('Please enter an amount and a memo');
+      return;
     }
 
-    // For YYYY-MM-DD strings, parse manually to avoid timezone issues
-    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
-      const [year, month, day] = value.split('-').map(Number);
-      const date = new Date(year, month - 1, day); // month is 0-indexed
-      return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-    }
+    try {
+      setSavingPaymentRequest(true);
+      const response = await fetch('/api/payment/admin/payment-requests', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({
+          ...paymentRequestData,
+          applicationId: id,
+          amount: parseFloat(paymentRequestData.amount) // Backend will convert to cents
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create payment request');
+      }
 
-    // Fallback for other date formats
-    const d = new Date(value);
-    if (isNaN(d.getTime())) return 'Invalid Date';
-    return d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+      try {
+        await navigator.clipboard.writeText(data.payUrl);
+        toast.success(data.emailed ? 'Payment request emailed and link copied' : 'Payment request created and link copied');
+      } catch (clipboardError) {
+        window.prompt('Payment request created. Copy the link:', data.payUrl);
+      }
+      setShowPaymentRequestModal(false);
+      setPaymentRequestData(emptyPaymentRequest());
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error creating payment request:', error);
+      toast.error(error.message || 'Error creating payment request');
+    } finally {
+      setSavingPaymentRequest(false);
+    }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount / 100);
+  // Issues a fresh pay link (the previous one stops working) and copies it
+  const handleCopyPaymentRequestLink = async (requestId) => {
+    try {
+      const response = await fetch(`/api/payment/admin/payment-requests/${requestId}/link`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create payment link');
+      }
+      await navigator.clipboard.writeText(data.payUrl);
+      toast.success('Payment link copied');
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error creating payment link:', error);
+      toast.error(error.message || 'Error creating payment link');
+    }
   };
 
-  // Format phone number with dashes
-  const formatPhoneNumber = (phone) => {
-    if (!phone) return 'Not provided';
-    
+  const handleCancelPaymentRequest = async (requestId) => {
+    if (!window.confirm('Cancel this payment request? Its link will stop working.')) return;
+
+    try {
+      const response = await fetch(`/api/payment/admin/payment-requests/${requestId}/cancel`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel payment request');
+      }
+      toast.success('Payment request canceled');
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error canceling payment request:', error);
+      toast.error(error.message || 'Error canceling payment request');
+    }
+  };
+
+  const handleManualRefund = async () => {
+    if (!refundData.amount) {
+      toast.error('Please enter a refund amount');
+      return;
+    }
+
+    try {
+      setSavingRefund(true);
+
+      const response = await fetch('/api/payment/admin/manual-refund', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({
+          ...refundData,
+          applicationId: id,
+          amount: parseFloat(refundData.amount)
+        })
+      });
+
+      if (response.ok) {
+        toast.success('Refund recorded successfully!');
+        setShowRefundModal(false);
+        setRefundData({
+          amount: '',
+          refundType: 'deposit',
+          refundDate: new Date().toISOString().split('T')[0],
+          checkNumber: '',
+          notes: ''
+        });
+        await fetchApplicationData();
+      } else {
+        const error = await response.json();
+        toast.error(error.error || 'Failed to record refund');
+      }
+    } catch (error) {
+      console.error('Error recording refund:', error);
+      toast.error('Error recording refund');
+    } finally {
+      setSavingRefund(false);
+    }
+  };
+
+  const fetchCancellationPreview = async (relet) => {
+    try {
+      const response = await fetch(`/api/application/admin/${id}/cancellation?relet=${relet}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        toast.error(data.error || 'This application cannot be cancelled');
+        return false;
+      }
+      setCancellationPreview(data.breakdown);
+      return true;
+    } catch (error) {
+      console.error('Error loading cancellation preview:', error);
+      toast.error('Error loading cancellation preview');
+      return false;
+    }
+  };
+
+  const openCancelModal = async () => {
+    setCancelData({ reason: '', relet: false });
+    if (await fetchCancellationPreview(false)) {
+      setShowCancelModal(true);
+    }
+  };
+
+  const handleCancelReletChange = (relet) => {
+    setCancelData(prev => ({ ...prev, relet }));
+    fetchCancellationPreview(relet);
+  };
+
+  const handleCancelApplication = async () => {
+    try {
+      setCancellingApplication(true);
+      const response = await fetch(`/api/application/admin/${id}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(cancelData)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel application');
+      }
+      toast.success(data.refunds.length > 0
+        ? `Cancelled. ${data.refunds.length} pending refund${data.refunds.length === 1 ? '' : 's'} recorded`
+        : 'Application cancelled');
+      setShowCancelModal(false);
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error cancelling application:', error);
+      toast.error(error.message || 'Error cancelling application');
+    } finally {
+      setCancellingApplication(false);
+    }
+  };
+
+  const handleMarkRelet = async () => {
+    if (!window.confirm('Mark this stay as re-let? The retained Rental Fee will be recorded as a pending refund.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/application/admin/${id}/relet`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to mark stay as re-let');
+      }
+      toast.success('Stay marked as re-let');
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error marking stay as re-let:', error);
+      toast.error(error.message || 'Error marking stay as re-let');
+    }
+  };
+
+  const openIssueRefund = (payment) => {
+    setIssueRefundData({
+      paymentMethod: 'check',
+      refundDate: new Date().toISOString().split('T')[0],
+      checkNumber: '',
+      notes: ''
+    });
+    setIssuingRefund(payment);
+  };
+
+  const handleIssueRefund = async () => {
+    try {
+      setSavingIssueRefund(true);
+      const response = await fetch(`/api/payment/admin/refunds/${issuingRefund._id}/issue`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(issueRefundData)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to mark refund as issued');
+      }
+      toast.success('Refund marked as issued');
+      setIssuingRefund(null);
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error issuing refund:', error);
+      toast.error(error.message || 'Error issuing refund');
+    } finally {
+      setSavingIssueRefund(false);
+    }
+  };
+
+  // Card payments taken through Stripe can be refunded back to the card
+  const getCardRefundable = (payment) => Math.max(0, payment.amount - (payment.refundAmount || 0));
+  const canRefundToCard = (payment) => payment.paymentMethod === 'card'
+    && payment.status === 'succeeded'
+    && /^pi_/.test(payment.stripePaymentIntentId || '')
+    && getCardRefundable(payment) > 0;
+
+  const openCardRefund = (payment) => {
+    setCardRefundData({
+      amount: (getCardRefundable(payment) / 100).toFixed(2),
+      refundCategory: payment.paymentType === 'rent' ? 'rent' : payment.paymentType === 'deposit' ? 'deposit' : 'other',
+      reason: ''
+    });
+    setCardRefundPayment(payment);
+  };
+
+  const handleCardRefund = async () => {
+    try {
+      setSavingCardRefund(true);
+      const response = await fetch(`/api/payment/admin/payments/${cardRefundPayment._id}/stripe-refund`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(cardRefundData)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to refund payment');
+      }
+      toast.success(data.refund?.status === 'succeeded' ? 'Refunded to card' : 'Refund submitted to Stripe');
+      setCardRefundPayment(null);
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Error refunding to card:', error);
+      toast.error(error.message || 'Error refunding payment');
+    } finally {
+      setSavingCardRefund(false);
+    }
+  };
+
+  const downloadEvidencePackage = async (payment) => {
+    try {
+      const response = await fetch(`/api/payment/admin/disputes/${payment._id}/evidence`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to build evidence package');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `dispute_evidence_${application.applicationNumber || id}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading evidence package:', error);
+      toast.error(error.message || 'Error building evidence package');
+    }
+  };
+
+  const handleDownloadReceipt = async (payment) => {
+    try {
+      await downloadPaymentReceipt(payment._id);
+    } catch (error) {
+      console.error('Error downloading receipt:', error);
+      toast.error(error.message || 'Error downloading receipt');
+    }
+  };
+
+  const handleDownloadStatement = async () => {
+    try {
+      await downloadStatement(id, application.applicationNumber);
+    } catch (error) {
+      console.error('Error downloading statement:', error);
+      toast.error(error.message || 'Error downloading statement');
+    }
+  };
+
+  const deleteApplication = async () => {
+    if (!window.confirm('Are you sure you want to delete this application? This action cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/application/admin/${id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (response.ok) {
+        toast.success('Application deleted successfully');
+        navigate('/admin/dashboard');
+      } else {
+        const error = await response.json();
+        toast.error(error.error || 'Failed to delete application');
+      }
+    } catch (error) {
+      console.error('Error deleting application:', error);
+      toast.error('Error deleting application');
+    }
+  };
+
+  const formatDate = (value) => {
+    if (!value) return 'Not set';
+
+    // If it's already a Date instance
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) return 'Invalid Date';
+      return value.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    // For YYYY-MM-DD strings, parse manually to avoid timezone issues
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      const date = new Date(year, month - 1, day); // month is 0-indexed
+      return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    // Fallback for other date formats
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return 'Invalid Date';
+    return d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount / 100);
+  };
+
+  // Lease terms as quoted in an addendum (amounts are stored in dollars)
+  const formatAmendmentTerm = (field, value) => (
+    field === 'rentalAmount' || field === 'depositAmount' ? formatCurrency(value * 100) : formatDate(value)
+  );
+
+  // Format phone number with dashes
+  const formatPhoneNumber = (phone) => {
+    if (!phone) return 'Not provided';
+    
     // Remove all non-digit characters
     const cleaned = phone.replace(/\D/g, '');
     
@@ -717,36 +1423,20 @@ const AdminApplicationDetails = () => {
         return 'text-red-600 bg-red-100';
       case 'completed':
         return 'text-blue-600 bg-blue-100';
+      case 'cancelled':
+        return 'text-gray-700 bg-gray-200';
       default:
         return 'text-gray-600 bg-gray-100';
     }
   };
 
-  const calculatePaymentTotals = () => {
-    if (!application || !payments) return { totalOwed: 0, totalPaid: 0, balance: 0 };
-
-    let totalOwed = 0;
-    if (application.leaseGenerated) {
-      const depositAmount = application.depositAmount || 0;
-      const rentalAmount = application.rentalAmount || 0;
-      totalOwed = depositAmount + rentalAmount;
-    }
-
-    const totalPaid = payments
-      .filter(payment => payment.status === 'succeeded')
-      .reduce((sum, payment) => sum + payment.amount, 0);
-
-    const balance = totalOwed - (totalPaid / 100);
-
-    return {
-      totalOwed: totalOwed,
-      totalPaid: totalPaid / 100,
-      balance: balance
-    };
+  // Totals come from the ledger so every screen agrees on the balance
+  const paymentTotals = {
+    totalCharges: ledger?.totalCharges || 0,
+    totalPaid: ledger?.totalPaid || 0,
+    balance: ledger?.balance || 0
   };
 
-  const paymentTotals = calculatePaymentTotals();
-
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -1199,15 +1889,30 @@ const AdminApplicationDetails = () => {
                 Payment Information
               </h3>
 
+              {application.dispute?.open && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start">
+                  <ShieldAlert className="w-5 h-5 text-red-600 mr-2 mt-0.5" />
+                  <div>
+                    <p className="text-sm font-medium text-red-800">
+                      Open card dispute for {formatCurrency(application.dispute.amount || 0)} ({application.dispute.status?.replace(/_/g, ' ')})
+                    </p>
+                    <p className="text-xs text-red-700">
+                      Evidence due {application.dispute.evidenceDueBy ? formatDate(application.dispute.evidenceDueBy) : 'n/a'}.
+                      Download the evidence package from the disputed payment below and submit it in the Stripe dashboard.
+                    </p>
+                  </div>
+                </div>
+              )}
+
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
                 <div className="text-center p-4 bg-blue-50 rounded-lg border border-blue-200">
-                  <h5 className="text-sm font-medium text-blue-900">Total Owed</h5>
+                  <h5 className="text-sm font-medium text-blue-900">Total Charges</h5>
                   <p className="text-lg font-bold text-blue-900">
-                    {formatCurrency(paymentTotals.totalOwed * 100)}
+                    {formatCurrency(paymentTotals.totalCharges)}
                   </p>
                   <p className="text-xs text-blue-700">
                     {application?.leaseGenerated 
-                      ? `$${application?.depositAmount || 0} deposit + $${application?.rentalAmount || 0} rent`
+                      ? 'Lease terms, fees and credits'
                       : 'Amounts will be set when lease is created'
                     }
                   </p>
@@ -1215,19 +1920,19 @@ const AdminApplicationDetails = () => {
                 <div className="text-center p-4 bg-green-50 rounded-lg border border-green-200">
                   <h5 className="text-sm font-medium text-green-900">Total Paid</h5>
                   <p className="text-lg font-bold text-green-900">
-                    {formatCurrency(paymentTotals.totalPaid * 100)}
+                    {formatCurrency(paymentTotals.totalPaid)}
                   </p>
                   <p className="text-xs text-green-700">
-                    {payments.filter(payment => payment.status === 'succeeded').length} successful payments
+                    Net of refunds and transfers
                   </p>
                 </div>
                 <div className="text-center p-4 bg-gray-50 rounded-lg border border-gray-200">
                   <h5 className="text-sm font-medium text-gray-700">Balance</h5>
                   <p className={`text-lg font-bold ${paymentTotals.balance > 0 ? 'text-red-600' : 'text-green-600'}`}>
-                    {formatCurrency(paymentTotals.balance * 100)}
+                    {formatCurrency(Math.abs(paymentTotals.balance))}
                   </p>
                   <p className="text-xs text-gray-600">
-                    {paymentTotals.balance > 0 ? 'Amount owed' : 'Overpaid'}
+                    {paymentTotals.balance > 0 ? 'Amount owed' : paymentTotals.balance < 0 ? 'Credit to tenant' : 'Settled'}
                   </p>
                 </div>
               </div>
@@ -1265,17 +1970,30 @@ const AdminApplicationDetails = () => {
                   return (
                     <div key={payment._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg border border-gray-200">
                       <div className="flex items-center space-x-3">
-                        <div className={`w-2 h-2 rounded-full ${payment.status === 'succeeded' ? 'bg-green-500' : payment.status === 'pending' ? 'bg-yellow-500' : 'bg-red-500'}`}></div>
+                        <div className={`w-2 h-2 rounded-full ${payment.status === 'succeeded' ? 'bg-green-500' : payment.status === 'pending' ? 'bg-yellow-500' : payment.status === 'processing' ? 'bg-blue-500' : 'bg-red-500'}`}></div>
                         <div>
                           <p className="text-sm font-medium text-gray-900">
                             {payment.description}
                           </p>
                           <p className="text-xs text-gray-500">
                             {formatDate(payment.createdAt)}
+                            {payment.bankLast4 && ` · bank debit ${payment.bankName || ''} •••• ${payment.bankLast4}`}
                           </p>
                           {isRefund && (
                             <span className="inline-flex items-center text-[11px] font-medium text-red-600">
-                              Refund recorded
+                              {payment.status === 'pending' ? 'Refund owed' : 'Refund recorded'}
+                            </span>
+                          )}
+                          {payment.dispute?.stripeDisputeId && (
+                            <span className="flex items-center text-[11px] font-medium text-red-600">
+                              <ShieldAlert className="w-3 h-3 mr-1" />
+                              Disputed ({payment.dispute.reason?.replace(/_/g, ' ')}, {payment.dispute.status?.replace(/_/g, ' ')})
+                              {payment.dispute.evidenceDueBy && !payment.dispute.closedAt && ` · evidence due ${formatDate(payment.dispute.evidenceDueBy)}`}
+                            </span>
+                          )}
+                          {!isRefund && payment.refundAmount > 0 && (
+                            <span className="inline-flex items-center text-[11px] font-medium text-red-600">
+                              {formatCurrency(payment.refundAmount)} refunded to card
                             </span>
                           )}
                         </div>
@@ -1289,6 +2007,39 @@ const AdminApplicationDetails = () => {
                             {payment.status}
                           </p>
                         </div>
+                        {payment.status === 'succeeded' && (
+                          <button
+                            onClick={() => handleDownloadReceipt(payment)}
+                            className="p-1 text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded-lg"
+                            title="Download receipt"
+                          >
+                            <Download className="w-4 h-4" />
+                          </button>
+                        )}
+                        {payment.dispute?.stripeDisputeId && (
+                          <button
+                            onClick={() => downloadEvidencePackage(payment)}
+                            className="px-2 py-1 text-xs text-red-700 border border-red-200 rounded-lg hover:bg-red-50"
+                          >
+                            Evidence Package
+                          </button>
+                        )}
+                        {canRefundToCard(payment) && (
+                          <button
+                            onClick={() => openCardRefund(payment)}
+                            className="px-2 py-1 text-xs text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+                          >
+                            Refund to Card
+                          </button>
+                        )}
+                        {isRefund && payment.status === 'pending' && !payment.stripeRefundId && (
+                          <button
+                            onClick={() => openIssueRefund(payment)}
+                            className="px-2 py-1 text-xs text-green-700 border border-green-200 rounded-lg hover:bg-green-50"
+                          >
+                            Mark Issued
+                          </button>
+                        )}
                         <button
                           onClick={() => handleDeletePayment(payment._id)}
                           className="flex items-center p-1 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-lg transition-colors"
@@ -1302,10 +2053,174 @@ const AdminApplicationDetails = () => {
                 })}
               </div>
             </div>
-          </div>
 
-          {/* Right Column - Status and Actions */}
-          <div className="space-y-6">
+            {/* Ledger */}
+            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 hover:shadow-xl transition-shadow duration-300">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <FileText className="h-5 w-5 mr-2 text-blue-600" />
+                  Ledger
+                </h3>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={handleDownloadStatement}
+                    className="flex items-center px-3 py-2 text-sm text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    <Download className="w-4 h-4 mr-2" />
+                    Statement
+                  </button>
+                  <button
+                    onClick={() => setShowChargeModal(true)}
+                    className="flex items-center px-3 py-2 text-sm text-blue-600 hover:text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50"
+                  >
+                    <Plus className="w-4 h-4 mr-2" />
+                    Add Charge/Credit
+                  </button>
+                </div>
+              </div>
+
+              {ledger?.entries?.length ? (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                        <th className="py-2 pr-4">Date</th>
+                        <th className="py-2 pr-4">Description</th>
+                        <th className="py-2 pr-4 text-right">Charge</th>
+                        <th className="py-2 pr-4 text-right">Payment</th>
+                        <th className="py-2 pr-4 text-right">Balance</th>
+                        <th className="py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ledger.entries.map((entry, index) => (
+                        <tr key={entry.paymentId || entry.chargeId || `${entry.type}-${index}`} className="border-b border-gray-100">
+                          <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{formatDate(entry.date)}</td>
+                          <td className="py-2 pr-4 text-gray-900">
+                            {entry.description}
+                            {entry.waived && <span className="ml-2 text-xs text-gray-500">(waived)</span>}
+                          </td>
+                          <td className="py-2 pr-4 text-right text-gray-900">
+                            {entry.kind === 'charge' ? formatCurrency(entry.amount) : ''}
+                          </td>
+                          <td className="py-2 pr-4 text-right text-gray-900">
+                            {entry.kind === 'payment' ? formatCurrency(-entry.amount) : ''}
+                          </td>
+                          <td className={`py-2 pr-4 text-right font-medium ${entry.balance > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                            {entry.balance < 0 ? `${formatCurrency(-entry.balance)} CR` : formatCurrency(entry.balance)}
+                          </td>
+                          <td className="py-2 text-right whitespace-nowrap">
+                            {entry.type === 'late_fee' && !entry.waived && (
+                              <button
+                                onClick={() => handleWaiveLateFee(entry.chargeId)}
+                                className="px-2 py-1 text-xs text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50"
+                              >
+                                Waive
+                              </button>
+                            )}
+                            {entry.chargeId && !entry.assessed && entry.type !== 'waiver' && (
+                              <button
+                                onClick={() => handleDeleteCharge(entry.chargeId)}
+                                className="p-1 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-lg"
+                                title="Remove entry"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+                  <p className="text-sm text-gray-500">No charges or payments yet</p>
+                </div>
+              )}
+
+              {ledger?.pendingRefunds?.length > 0 && (
+                <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <p className="text-xs font-medium text-yellow-800 uppercase tracking-wide mb-1">Refunds not yet issued</p>
+                  {ledger.pendingRefunds.map(refund => (
+                    <p key={refund.paymentId} className="text-sm text-yellow-900">
+                      {refund.description} · {formatCurrency(-refund.amount)}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Payment Requests */}
+            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 hover:shadow-xl transition-shadow duration-300">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <Send className="h-5 w-5 mr-2 text-blue-600" />
+                  Payment Requests
+                </h3>
+                <button
+                  onClick={() => setShowPaymentRequestModal(true)}
+                  className="flex items-center px-3 py-2 text-sm text-blue-600 hover:text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50"
+                >
+                  <Plus className="w-4 h-4 mr-2" />
+                  Request Payment
+                </button>
+              </div>
+
+              {paymentRequests.length ? (
+                <div className="space-y-3">
+                  {paymentRequests.map(request => (
+                    <div key={request._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {request.memo} · {formatCurrency(request.amount)}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {PAYMENT_REQUEST_TYPE_LABELS[request.paymentType] || request.paymentType} · requested {formatDate(request.createdAt)}
+                          {request.status === 'open' && request.expiresAt && ` · link expires ${formatDate(request.expiresAt)}`}
+                          {request.status === 'paid' && request.paidAt && ` · paid ${formatDate(request.paidAt)}`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span className={`px-2 py-1 text-xs rounded-full ${
+                          request.status === 'paid'
+                            ? 'bg-green-100 text-green-800'
+                            : request.status === 'canceled' ? 'bg-gray-100 text-gray-600' : 'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {request.status}
+                        </span>
+                        {request.status === 'open' && (
+                          <>
+                            <button
+                              onClick={() => handleCopyPaymentRequestLink(request._id)}
+                              className="p-1 text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded-lg"
+                              title="Copy a new link"
+                            >
+                              <Copy className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => handleCancelPaymentRequest(request._id)}
+                              className="p-1 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-lg"
+                              title="Cancel request"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+                  <p className="text-sm text-gray-500">No payment requests yet</p>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Right Column - Status and Actions */}
+          <div className="space-y-6">
             {/* Application Status */}
             <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 hover:shadow-xl transition-shadow duration-300">
               <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
@@ -1329,6 +2244,20 @@ const AdminApplicationDetails = () => {
                   </div>
                 </div>
 
+                {application.status === 'pending' && application.holdExpiresAt && (
+                  <div className="flex items-center space-x-3">
+                    <Clock className="w-4 h-4 text-amber-500" />
+                    <div>
+                      <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">Dates Held Until</p>
+                      <p className="text-sm font-medium text-gray-900">
+                        {new Date(application.holdExpiresAt) > new Date()
+                          ? new Date(application.holdExpiresAt).toLocaleDateString('en-US')
+                          : 'Hold expired'}
+                      </p>
+                    </div>
+                  </div>
+                )}
+
                 {application.leaseSigned && (
                   <div className="flex items-center space-x-3">
                     <CheckCircle className="w-4 h-4 text-green-500" />
@@ -1338,6 +2267,32 @@ const AdminApplicationDetails = () => {
                     </div>
                   </div>
                 )}
+
+                {application.status === 'cancelled' && application.cancellation && (
+                  <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-1">
+                    <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
+                      Cancelled by {application.cancellation.initiatedBy === 'admin' ? 'admin' : 'tenant'}
+                    </p>
+                    <p className="text-sm font-medium text-gray-900">{formatDate(application.cancellation.cancelledAt)}</p>
+                    <p className="text-xs text-gray-600">
+                      Paid {formatCurrency(application.cancellation.paidAmount || 0)} · Refund {formatCurrency(application.cancellation.refundableAmount || 0)} · Kept {formatCurrency(application.cancellation.retainedAmount || 0)}
+                    </p>
+                    {application.cancellation.relet && (
+                      <p className="text-xs text-green-700">Re-let {formatDate(application.cancellation.reletAt)}</p>
+                    )}
+                    {application.cancellation.reason && (
+                      <p className="text-xs text-gray-600">Reason: {application.cancellation.reason}</p>
+                    )}
+                    {!application.cancellation.relet && application.cancellation.retainedAmount > 0 && (
+                      <button
+                        onClick={handleMarkRelet}
+                        className="mt-2 px-3 py-1 text-xs text-green-700 border border-green-200 rounded-lg hover:bg-green-50"
+                      >
+                        Mark as Re-let
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
 
               <div className="mt-6">
@@ -1364,6 +2319,15 @@ const AdminApplicationDetails = () => {
                     <CheckCircle className="w-4 h-4 mr-2" />
                     Complete
                   </button>
+                  {['pending', 'approved'].includes(application.status) && (
+                    <button
+                      onClick={openCancelModal}
+                      className="w-full flex items-center justify-center px-3 py-2 text-sm text-red-600 border border-red-200 hover:bg-red-50 rounded-lg"
+                    >
+                      <XCircle className="w-4 h-4 mr-2" />
+                      Cancel Booking
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -1377,6 +2341,12 @@ const AdminApplicationDetails = () => {
 
               {application.leaseGenerated ? (
                 <div className="space-y-4">
+                  {application.leaseTemplateVersion && (
+                    <p className="text-xs text-gray-500">
+                      Lease template v{application.leaseTemplateVersion}
+                      {application.signedLeaseTemplateVersion ? ` · signed on v${application.signedLeaseTemplateVersion}` : ''}
+                    </p>
+                  )}
                   <div className="grid grid-cols-2 gap-4">
                     <div>
                       <label className="text-xs font-medium text-gray-500 uppercase tracking-wide">Start Date</label>
@@ -1510,10 +2480,26 @@ const AdminApplicationDetails = () => {
                           </p>
                         </div>
                       ) : (
-                        <div className="text-center py-4">
-                          <AlertCircle className="w-6 h-6 text-gray-400 mx-auto mb-2" />
-                          <p className="text-xs text-gray-500">No lease signed by user yet</p>
-                        </div>
+                        application.leaseSignature?.signedAt && !application.leaseSignature?.coApplicantSignedAt && application.secondApplicantFirstName ? (
+                          <div className="space-y-2">
+                            <p className="text-xs text-amber-700">
+                              {application.leaseSignature.typedName} signed {formatDate(application.leaseSignature.signedAt)}. Waiting for the co-applicant to sign
+                              {application.coApplicantSigningExpires ? ` (link expires ${formatDate(application.coApplicantSigningExpires)})` : ''}.
+                            </p>
+                            <button
+                              onClick={handleCopyCoSignLink}
+                              className="w-full flex items-center justify-center px-3 py-2 text-xs text-blue-700 bg-blue-100 hover:bg-blue-200 rounded-lg"
+                            >
+                              <Mail className="w-3 h-3 mr-1" />
+                              Copy New Co-Applicant Link
+                            </button>
+                          </div>
+                        ) : (
+                          <div className="text-center py-4">
+                            <AlertCircle className="w-6 h-6 text-gray-400 mx-auto mb-2" />
+                            <p className="text-xs text-gray-500">No lease signed by user yet</p>
+                          </div>
+                        )
                       )}
                     </div>
                   </div>
@@ -1522,7 +2508,28 @@ const AdminApplicationDetails = () => {
                   {application.leaseSigned && (
                     <div className="mt-4 pt-4 border-t border-gray-200">
                       <h4 className="text-sm font-medium text-gray-900 mb-3">Lease Management</h4>
+                      {application.fullyExecutedAt ? (
+                        <p className="flex items-center text-xs text-green-700 mb-3">
+                          <CheckCircle className="w-4 h-4 mr-1" />
+                          Fully executed {formatDate(application.fullyExecutedAt)}
+                          {application.managerSignature?.name ? ` · counter-signed by ${application.managerSignature.name}` : ''}
+                        </p>
+                      ) : (
+                        <p className="flex items-center text-xs text-amber-700 mb-3">
+                          <AlertCircle className="w-4 h-4 mr-1" />
+                          Signed by the tenants; awaiting the manager's counter-signature
+                        </p>
+                      )}
                       <div className="flex gap-3">
+                        {!application.fullyExecutedAt && (
+                          <button
+                            onClick={openCountersignModal}
+                            className="flex items-center px-4 py-2 text-sm text-white bg-green-600 hover:bg-green-700 rounded-lg"
+                          >
+                            <PenTool className="w-4 h-4 mr-2" />
+                            Counter-Sign
+                          </button>
+                        )}
                         <button 
                           onClick={handleViewLease}
                           className="flex items-center px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg"
@@ -1545,10 +2552,234 @@ const AdminApplicationDetails = () => {
                           Delete Lease
                         </button>
       </div>
+
+                      {/* Lease History & Amendments */}
+                      <div className="mt-4 pt-4 border-t border-gray-200">
+                        <div className="flex items-center justify-between mb-3">
+                          <h4 className="text-sm font-medium text-gray-900">Lease History</h4>
+                          {!leaseAmendments.some(amendment => amendment.status === 'proposed') && (
+                            <button
+                              onClick={openAmendmentModal}
+                              className="flex items-center px-3 py-1.5 text-xs text-blue-700 bg-blue-100 hover:bg-blue-200 rounded-lg"
+                            >
+                              <Plus className="w-3 h-3 mr-1" />
+                              Propose Amendment
+                            </button>
+                          )}
+                        </div>
+                        <ul className="space-y-2">
+                          {leaseHistory.map(entry => (
+                            <li key={entry.amendmentId || 'lease'} className="flex items-start justify-between text-sm">
+                              <div>
+                                <p className="font-medium text-gray-900">{entry.title}</p>
+                                <p className="text-xs text-gray-500">Signed {formatDate(entry.signedAt)}</p>
+                                {entry.type === 'amendment' && (
+                                  <p className="text-xs text-gray-600">
+                                    {entry.changes.map(field => `${AMENDMENT_FIELD_LABELS[field]}: ${formatAmendmentTerm(field, entry.previousTerms[field])} → ${formatAmendmentTerm(field, entry.newTerms[field])}`).join(' · ')}
+                                  </p>
+                                )}
+                              </div>
+                              <button
+                                onClick={() => handleViewHistoryDocument(entry)}
+                                className="flex items-center text-xs text-blue-600 hover:text-blue-800"
+                              >
+                                <Download className="w-3 h-3 mr-1" />
+                                View
+                              </button>
+                            </li>
+                          ))}
+                          {leaseAmendments.filter(amendment => amendment.status === 'proposed').map(amendment => (
+                            <li key={amendment._id} className="flex items-start justify-between text-sm bg-amber-50 border border-amber-200 rounded-md p-2">
+                              <div>
+                                <p className="font-medium text-amber-900">Addendum {amendment.number} — awaiting tenant signature</p>
+                                <p className="text-xs text-amber-800">
+                                  Proposed {formatDate(amendment.createdAt)}
+                                  {amendment.reason ? ` · ${amendment.reason}` : ''}
+                                </p>
+                              </div>
+                              <button
+                                onClick={() => handleCancelAmendment(amendment)}
+                                className="flex items-center text-xs text-red-600 hover:text-red-800"
+                              >
+                                <X className="w-3 h-3 mr-1" />
+                                Cancel
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
     </div>
   )}
 
       {/* Refund Modal */}
+      {showChargeModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Add Charge or Credit</h3>
+                <button
+                  onClick={() => setShowChargeModal(false)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="h-6 w-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select
+                    value={chargeData.type}
+                    onChange={(e) => setChargeData(prev => ({ ...prev, type: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="late_fee">Late fee</option>
+                    <option value="credit">Credit</option>
+                    <option value="other">Other charge</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Amount ($)</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={chargeData.amount}
+                    onChange={(e) => setChargeData(prev => ({ ...prev, amount: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="0.00"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                  <input
+                    type="date"
+                    value={chargeData.date}
+                    onChange={(e) => setChargeData(prev => ({ ...prev, date: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                  <input
+                    type="text"
+                    value={chargeData.description}
+                    onChange={(e) => setChargeData(prev => ({ ...prev, description: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="e.g., Late payment of balance"
+                  />
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    onClick={() => setShowChargeModal(false)}
+                    className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleAddCharge}
+                    disabled={savingCharge || !chargeData.amount}
+                    className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {savingCharge ? 'Saving...' : 'Add to Ledger'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Payment Request Modal */}
+      {showPaymentRequestModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Request a Payment</h3>
+                <button
+                  onClick={() => setShowPaymentRequestModal(false)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="h-6 w-6" />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select
+                    value={paymentRequestData.paymentType}
+                    onChange={(e) => setPaymentRequestData(prev => ({ ...prev, paymentType: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="other">Other (adds a ledger charge)</option>
+                    <option value="deposit">Deposit</option>
+                    <option value="rent">Rent</option>
+                    <option value="late_fee">Late fee</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Amount ($)</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={paymentRequestData.amount}
+                    onChange={(e) => setPaymentRequestData(prev => ({ ...prev, amount: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="0.00"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Memo</label>
+                  <input
+                    type="text"
+                    value={paymentRequestData.memo}
+                    onChange={(e) => setPaymentRequestData(prev => ({ ...prev, memo: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="e.g., Extra guest, 3 nights"
+                  />
+                </div>
+
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={paymentRequestData.sendEmail}
+                    onChange={(e) => setPaymentRequestData(prev => ({ ...prev, sendEmail: e.target.checked }))}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  Email the link to the tenant
+                </label>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    onClick={() => setShowPaymentRequestModal(false)}
+                    className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleCreatePaymentRequest}
+                    disabled={savingPaymentRequest || !paymentRequestData.amount || !paymentRequestData.memo.trim()}
+                    className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {savingPaymentRequest ? 'Creating...' : 'Create Link'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {showRefundModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
           <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
@@ -1642,6 +2873,252 @@ const AdminApplicationDetails = () => {
         </div>
       )}
 
+      {/* Cancel Booking Modal */}
+      {showCancelModal && cancellationPreview && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Cancel Booking</h3>
+                <button
+                  onClick={() => setShowCancelModal(false)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="h-6 w-6" />
+                </button>
+              </div>
+
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Paid (net)</span>
+                  <span className="font-medium text-gray-900">{formatCurrency(cancellationPreview.paidAmount)}</span>
+                </div>
+                {cancellationPreview.deadline && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Cancellation deadline</span>
+                    <span className="font-medium text-gray-900">{formatDate(cancellationPreview.deadline)}</span>
+                  </div>
+                )}
+                {cancellationPreview.lines.map(line => (
+                  <div key={line.category} className="flex justify-between">
+                    <span className="text-gray-600">{line.description}</span>
+                    <span className="font-medium text-green-700">{formatCurrency(line.amount)}</span>
+                  </div>
+                ))}
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Kept under clause 1</span>
+                  <span className="font-medium text-red-600">{formatCurrency(cancellationPreview.retainedAmount)}</span>
+                </div>
+              </div>
+
+              <label className="flex items-center mt-4 space-x-2">
+                <input
+                  type="checkbox"
+                  checked={cancelData.relet}
+                  onChange={(e) => handleCancelReletChange(e.target.checked)}
+                />
+                <span className="text-sm text-gray-700">Stay has been re-let (refund the Rental Fee in full)</span>
+              </label>
+
+              <div className="mt-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason (Optional)</label>
+                <textarea
+                  value={cancelData.reason}
+                  onChange={(e) => setCancelData(prev => ({ ...prev, reason: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                  rows={3}
+                />
+              </div>
+
+              <p className="text-xs text-gray-500 mt-2">
+                Card payments are refunded to the card through Stripe. Other refunds are recorded as pending; mark each one issued once it is sent. The calendar dates are released immediately.
+              </p>
+
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setShowCancelModal(false)}
+                  className="px-4 py-2 text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleCancelApplication}
+                  disabled={cancellingApplication}
+                  className="px-4 py-2 text-sm text-white bg-red-600 hover:bg-red-700 rounded-lg disabled:opacity-50"
+                >
+                  {cancellingApplication ? 'Cancelling...' : 'Cancel Booking'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Issue Refund Modal */}
+      {cardRefundPayment && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Refund to Card</h3>
+                <button
+                  onClick={() => setCardRefundPayment(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="h-6 w-6" />
+                </button>
+              </div>
+
+              <p className="text-sm text-gray-600 mb-4">
+                {cardRefundPayment.description}
+                {cardRefundPayment.cardLast4 && ` (${cardRefundPayment.cardBrand || 'card'} ending ${cardRefundPayment.cardLast4})`}:
+                {' '}up to <span className="font-semibold">{formatCurrency(getCardRefundable(cardRefundPayment))}</span> can be refunded.
+                The card processing fee is not refunded.
+              </p>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Refund Amount ($)</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={cardRefundData.amount}
+                    onChange={(e) => setCardRefundData(prev => ({ ...prev, amount: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Refund Type</label>
+                  <select
+                    value={cardRefundData.refundCategory}
+                    onChange={(e) => setCardRefundData(prev => ({ ...prev, refundCategory: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                  >
+                    <option value="deposit">Deposit</option>
+                    <option value="rent">Rent</option>
+                    <option value="other">Other</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reason (Optional)</label>
+                  <textarea
+                    value={cardRefundData.reason}
+                    onChange={(e) => setCardRefundData(prev => ({ ...prev, reason: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                    rows={2}
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setCardRefundPayment(null)}
+                  className="px-4 py-2 text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleCardRefund}
+                  disabled={savingCardRefund || !cardRefundData.amount}
+                  className="px-4 py-2 text-sm text-white bg-red-600 hover:bg-red-700 rounded-lg disabled:opacity-50"
+                >
+                  {savingCardRefund ? 'Refunding...' : 'Refund to Card'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {issuingRefund && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Mark Refund Issued</h3>
+                <button
+                  onClick={() => setIssuingRefund(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="h-6 w-6" />
+                </button>
+              </div>
+
+              <p className="text-sm text-gray-600 mb-4">
+                {issuingRefund.description}: <span className="font-semibold text-red-600">{formatCurrency(issuingRefund.amount)}</span>
+              </p>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+                  <select
+                    value={issueRefundData.paymentMethod}
+                    onChange={(e) => setIssueRefundData(prev => ({ ...prev, paymentMethod: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                  >
+                    <option value="check">Check</option>
+                    <option value="bank_transfer">Bank Transfer</option>
+                    <option value="cash">Cash</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Refund Date</label>
+                  <input
+                    type="date"
+                    value={issueRefundData.refundDate}
+                    onChange={(e) => setIssueRefundData(prev => ({ ...prev, refundDate: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                  />
+                </div>
+
+                {issueRefundData.paymentMethod === 'check' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Check Number (Optional)</label>
+                    <input
+                      type="text"
+                      value={issueRefundData.checkNumber}
+                      onChange={(e) => setIssueRefundData(prev => ({ ...prev, checkNumber: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                      placeholder="Check number"
+                    />
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Notes (Optional)</label>
+                  <textarea
+                    value={issueRefundData.notes}
+                    onChange={(e) => setIssueRefundData(prev => ({ ...prev, notes: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                    rows={2}
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setIssuingRefund(null)}
+                  className="px-4 py-2 text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleIssueRefund}
+                  disabled={savingIssueRefund}
+                  className="px-4 py-2 text-sm text-white bg-green-600 hover:bg-green-700 rounded-lg disabled:opacity-50"
+                >
+                  {savingIssueRefund ? 'Saving...' : 'Mark Issued'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
                 </div>
               ) : (
                 <div className="text-center py-6">
@@ -1677,6 +3154,237 @@ const AdminApplicationDetails = () => {
         </div>
       </div>
 
+      {/* Propose Lease Amendment Modal */}
+      {showAmendmentModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Propose Lease Amendment</h3>
+              <button
+                onClick={() => setShowAmendmentModal(false)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">
+              The signed lease stays as it is. The tenant signs an addendum with the new terms, and they take effect once it is signed.
+            </p>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+                  <input
+                    type="date"
+                    value={amendmentData.leaseStartDate}
+                    onChange={(e) => setAmendmentData(prev => ({ ...prev, leaseStartDate: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+                  <input
+                    type="date"
+                    value={amendmentData.leaseEndDate}
+                    onChange={(e) => setAmendmentData(prev => ({ ...prev, leaseEndDate: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Rental Fee</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={amendmentData.rentalAmount}
+                    onChange={(e) => setAmendmentData(prev => ({ ...prev, rentalAmount: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Quoted from the new dates"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Security Deposit</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={amendmentData.depositAmount}
+                    onChange={(e) => setAmendmentData(prev => ({ ...prev, depositAmount: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">Clear the rental fee to price new dates from the published rates.</p>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason (Optional)</label>
+                <textarea
+                  value={amendmentData.reason}
+                  onChange={(e) => setAmendmentData(prev => ({ ...prev, reason: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  rows={2}
+                  placeholder="e.g. Stay extended by two weeks"
+                />
+              </div>
+
+              {amendmentConflicts.length > 0 && (
+                <div className="rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+                  <p className="font-medium mb-1 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    The new dates conflict with the calendar
+                  </p>
+                  <ul className="list-disc list-inside text-xs space-y-0.5">
+                    {amendmentConflicts.map((conflict, index) => (
+                      <li key={index}>{conflict.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => setShowAmendmentModal(false)}
+                className="px-4 py-2 text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg"
+              >
+                Cancel
+              </button>
+              {amendmentConflicts.length > 0 ? (
+                <button
+                  onClick={() => handleProposeAmendment(true)}
+                  disabled={proposingAmendment}
+                  className="px-4 py-2 text-sm text-white bg-amber-600 hover:bg-amber-700 rounded-lg disabled:opacity-50"
+                >
+                  {proposingAmendment ? 'Proposing...' : 'Propose Anyway'}
+                </button>
+              ) : (
+                <button
+                  onClick={() => handleProposeAmendment(false)}
+                  disabled={proposingAmendment}
+                  className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+                >
+                  {proposingAmendment ? 'Proposing...' : 'Propose Amendment'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Counter-Sign Lease Modal */}
+      {showCountersignModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-6 border w-full max-w-lg shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Counter-Sign Lease</h3>
+              <button
+                onClick={() => setShowCountersignModal(false)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">
+              Signs the agent line for Palm Run, LLC{application.paymentReceived ? ' and acknowledges receipt of the deposit' : ''}. The tenant will be able to download the fully executed lease.
+            </p>
+
+            <div className="space-y-4">
+              <label className="flex items-start space-x-2">
+                <input
+                  type="radio"
+                  name="countersignMethod"
+                  checked={countersignMethod === 'stored'}
+                  onChange={() => setCountersignMethod('stored')}
+                  disabled={!storedSignature}
+                  className="mt-1"
+                />
+                <div className="flex-1">
+                  <span className="text-sm font-medium text-gray-900">Stored signature</span>
+                  {storedSignature ? (
+                    <div className="mt-2 border border-gray-200 rounded-md p-2 bg-gray-50">
+                      <img src={storedSignature.image} alt="Stored signature" className="h-12 object-contain" />
+                      <p className="text-xs text-gray-600 mt-1">{storedSignature.name}</p>
+                    </div>
+                  ) : (
+                    <p className="text-xs text-gray-500">No signature saved yet.</p>
+                  )}
+                </div>
+              </label>
+
+              <label className="flex items-start space-x-2">
+                <input
+                  type="radio"
+                  name="countersignMethod"
+                  checked={countersignMethod === 'type'}
+                  onChange={() => setCountersignMethod('type')}
+                  className="mt-1"
+                />
+                <div className="flex-1">
+                  <span className="text-sm font-medium text-gray-900">Typed signature</span>
+                  <input
+                    type="text"
+                    value={countersignName}
+                    onChange={(e) => { setCountersignName(e.target.value); setCountersignMethod('type'); }}
+                    placeholder="Jay Pommrehn"
+                    className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </label>
+
+              <div className="border-t border-gray-200 pt-4">
+                <h4 className="text-sm font-medium text-gray-900 mb-2">
+                  {storedSignature ? 'Replace stored signature' : 'Save a signature image'}
+                </h4>
+                <div className="space-y-2">
+                  <input
+                    type="text"
+                    value={signatureUpload.name}
+                    onChange={(e) => setSignatureUpload(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="Printed name"
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <input
+                    type="file"
+                    accept=".png,.jpg,.jpeg"
+                    onChange={(e) => handleSignatureFileChange(e.target.files[0])}
+                    className="block w-full text-xs text-gray-500 file:mr-4 file:py-1 file:px-2 file:rounded file:border-0 file:text-xs file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                  />
+                  <button
+                    onClick={handleSaveStoredSignature}
+                    disabled={!signatureUpload.image}
+                    className="px-3 py-1 text-xs text-blue-700 bg-blue-100 hover:bg-blue-200 rounded-lg disabled:opacity-50"
+                  >
+                    Save Signature
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => setShowCountersignModal(false)}
+                className="px-4 py-2 text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCountersign}
+                disabled={countersigning}
+                className="px-4 py-2 text-sm text-white bg-green-600 hover:bg-green-700 rounded-lg disabled:opacity-50"
+              >
+                {countersigning ? 'Signing...' : 'Counter-Sign Lease'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Generate Lease Modal */}
       {showLeaseModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -1700,7 +3408,7 @@ const AdminApplicationDetails = () => {
                   <input
                     type="date"
                     value={leaseFormData.leaseStartDate}
-                    onChange={(e) => setLeaseFormData(prev => ({ ...prev, leaseStartDate: e.target.value }))}
+                    onChange={(e) => handleLeaseDateChange('leaseStartDate', e.target.value)}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                     required
                   />
@@ -1712,28 +3420,53 @@ const AdminApplicationDetails = () => {
                   <input
                     type="date"
                     value={leaseFormData.leaseEndDate}
-                    onChange={(e) => setLeaseFormData(prev => ({ ...prev, leaseEndDate: e.target.value }))}
+                    onChange={(e) => handleLeaseDateChange('leaseEndDate', e.target.value)}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                     required
                   />
                 </div>
               </div>
 
+              <StayQuote
+                startDate={leaseFormData.leaseStartDate}
+                endDate={leaseFormData.leaseEndDate}
+                guests={getApplicationGuestCount()}
+                onQuote={handleLeaseQuote}
+              />
+
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Monthly Rent ($)
+                    Rental Fee ($)
                   </label>
                   <input
                     type="number"
                     min="0"
                     step="0.01"
                     value={leaseFormData.rentalAmount}
-                    onChange={(e) => setLeaseFormData(prev => ({ ...prev, rentalAmount: e.target.value }))}
+                    onChange={(e) => {
+                      setRentalAmountEdited(true);
+                      setLeaseFormData(prev => ({ ...prev, rentalAmount: e.target.value }));
+                    }}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                     placeholder="0.00"
                     required
                   />
+                  {leaseQuote && leaseFormData.rentalAmount !== '' && Number(leaseFormData.rentalAmount) !== leaseQuote.subtotal && (
+                    <p className="mt-1 text-xs text-amber-700">
+                      Differs from the quoted ${leaseQuote.subtotal.toLocaleString('en-US', { minimumFractionDigits: 2 })}.{' '}
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setRentalAmountEdited(false);
+                          setLeaseFormData(prev => ({ ...prev, rentalAmount: String(leaseQuote.subtotal) }));
+                        }}
+                        className="underline"
+                      >
+                        Use quote
+                      </button>
+                    </p>
+                  )}
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -1921,13 +3654,15 @@ const AdminApplicationDetails = () => {
                         <option key={app.applicationId._id} value={app.applicationId._id}>
                           {app.applicationId.firstName} {app.applicationId.lastName} - 
                           App #{app.applicationId.applicationNumber} 
-                          (${(app.totalBalance / 100).toFixed(2)} available)
+                          ({app.balance > 0
+                            ? `${formatCurrency(app.balance)} owed`
+                            : app.balance < 0 ? `${formatCurrency(-app.balance)} credit` : 'settled'})
                         </option>
                       ))}
                     </select>
                   )}
                   {availableApplications.length === 0 && !loadingApplications && (
-                    <p className="text-sm text-gray-500 mt-1">No other applications with available balance found</p>
+                    <p className="text-sm text-gray-500 mt-1">No other applications found for this tenant</p>
                   )}
                 </div>
 
@@ -1935,6 +3670,9 @@ const AdminApplicationDetails = () => {
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Transfer Amount ($)
                   </label>
+                  <p className="text-xs text-gray-500 mb-1">
+                    Up to {formatCurrency(paymentTotals.totalPaid)} paid into this application
+                  </p>
                   <input
                     type="number"
                     step="0.01"
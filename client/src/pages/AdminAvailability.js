@@ -7,7 +7,13 @@ import {
   AlertCircle,
   RefreshCw,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  Calendar,
+  Copy,
+  Download,
+  Upload,
+  Trash2,
+  Clock
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -20,6 +26,13 @@ const AdminAvailability = () => {
   const [bulkAction, setBulkAction] = useState('available');
   const [bulkReason, setBulkReason] = useState('');
   const [showBulkForm, setShowBulkForm] = useState(false);
+  const [feedPath, setFeedPath] = useState('');
+  const [rotatingFeed, setRotatingFeed] = useState(false);
+  const [calendarSources, setCalendarSources] = useState([]);
+  const [newSource, setNewSource] = useState({ name: '', url: '' });
+  const [busySourceId, setBusySourceId] = useState(null);
+  const [holdExpiryDays, setHoldExpiryDays] = useState('');
+  const [savingHoldSettings, setSavingHoldSettings] = useState(false);
 
   // Fetch availability
   const fetchAvailability = useCallback(async () => {
@@ -52,6 +65,244 @@ const AdminAvailability = () => {
     fetchAvailability();
   }, [fetchAvailability]);
 
+  // Fetch the iCal export feed URL
+  useEffect(() => {
+    const fetchFeed = async () => {
+      try {
+        const response = await fetch('/api/availability/admin/ical', {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          }
+        });
+        if (!response.ok) {
+          throw new Error('Failed to fetch calendar feed');
+        }
+        const data = await response.json();
+        setFeedPath(data.feedPath);
+      } catch (err) {
+        console.error('Calendar feed error:', err);
+      }
+    };
+    fetchFeed();
+  }, []);
+
+  // Fetch external calendars that are imported as blocks
+  const fetchCalendarSources = useCallback(async () => {
+    try {
+      const response = await fetch('/api/availability/admin/calendar-sources', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error('Failed to fetch calendar sources');
+      }
+      const data = await response.json();
+      setCalendarSources(data.sources || []);
+    } catch (err) {
+      console.error('Calendar sources error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCalendarSources();
+  }, [fetchCalendarSources]);
+
+  const describeImport = (result) => (
+    `${result.added} added, ${result.updated} updated, ${result.removed} removed`
+  );
+
+  const handleAddSource = async (e) => {
+    e.preventDefault();
+    if (!newSource.name.trim()) {
+      toast.error('Please enter a name for the calendar');
+      return;
+    }
+
+    try {
+      setBusySourceId('new');
+      const response = await fetch('/api/availability/admin/calendar-sources', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(newSource)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add calendar');
+      }
+
+      if (data.syncError) {
+        toast.error(`Calendar added, but the import failed: ${data.syncError}`);
+      } else if (data.result) {
+        toast.success(`Calendar imported: ${describeImport(data.result)}`);
+      } else {
+        toast.success('Calendar added - upload an .ics file to import it');
+      }
+      setNewSource({ name: '', url: '' });
+      fetchCalendarSources();
+      fetchAvailability();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusySourceId(null);
+    }
+  };
+
+  const runSourceImport = async (source, request) => {
+    try {
+      setBusySourceId(source._id);
+      const response = await request();
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Calendar import failed');
+      }
+      toast.success(`${source.name}: ${describeImport(data.result)}`);
+      fetchAvailability();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusySourceId(null);
+      fetchCalendarSources();
+    }
+  };
+
+  const handleSyncSource = (source) => runSourceImport(source, () => (
+    fetch(`/api/availability/admin/calendar-sources/${source._id}/sync`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      }
+    })
+  ));
+
+  const handleUploadSource = (source, file) => {
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('calendar', file);
+    return runSourceImport(source, () => (
+      fetch(`/api/availability/admin/calendar-sources/${source._id}/upload`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: formData
+      })
+    ));
+  };
+
+  const handleDeleteSource = async (source) => {
+    if (!window.confirm(`Remove "${source.name}"? All dates it blocked will become available again.`)) {
+      return;
+    }
+
+    try {
+      setBusySourceId(source._id);
+      const response = await fetch(`/api/availability/admin/calendar-sources/${source._id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to remove calendar');
+      }
+      toast.success(`${source.name} removed`);
+      fetchCalendarSources();
+      fetchAvailability();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusySourceId(null);
+    }
+  };
+
+  // Fetch how long submitted applications hold their dates
+  useEffect(() => {
+    const fetchHoldSettings = async () => {
+      try {
+        const response = await fetch('/api/availability/admin/hold-settings', {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          }
+        });
+        if (!response.ok) {
+          throw new Error('Failed to fetch hold settings');
+        }
+        const data = await response.json();
+        setHoldExpiryDays(String(data.holdExpiryDays));
+      } catch (err) {
+        console.error('Hold settings error:', err);
+      }
+    };
+    fetchHoldSettings();
+  }, []);
+
+  const handleSaveHoldSettings = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingHoldSettings(true);
+      const response = await fetch('/api/availability/admin/hold-settings', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ holdExpiryDays: Number(holdExpiryDays) })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update hold settings');
+      }
+      setHoldExpiryDays(String(data.holdExpiryDays));
+      toast.success('Hold length updated');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingHoldSettings(false);
+    }
+  };
+
+  const feedUrl = feedPath ? `${window.location.origin}${feedPath}` : '';
+
+  const handleCopyFeedUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      toast.success('Calendar feed URL copied');
+    } catch (err) {
+      toast.error('Unable to copy - select the URL and copy it manually');
+    }
+  };
+
+  const handleRotateFeed = async () => {
+    if (!window.confirm('Generate a new feed URL? Calendars subscribed to the current URL will stop syncing until they are updated.')) {
+      return;
+    }
+
+    try {
+      setRotatingFeed(true);
+      const response = await fetch('/api/availability/admin/ical/rotate', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to rotate calendar feed');
+      }
+      setFeedPath(data.feedPath);
+      toast.success('New calendar feed URL generated');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setRotatingFeed(false);
+    }
+  };
+
   // Calendar helper functions
   const getDaysInMonth = (date) => {
     return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
@@ -69,6 +320,14 @@ const AdminAvailability = () => {
     return availabilityRecord ? availabilityRecord.isAvailable : true;
   };
 
+  const getDateReason = (date) => {
+    const dateStr = date.toISOString().split('T')[0];
+    const availabilityRecord = availability.find(record =>
+      record.date.split('T')[0] === dateStr
+    );
+    return availabilityRecord && availabilityRecord.reason ? ` (${availabilityRecord.reason})` : '';
+  };
+
   const isDateInPast = (date) => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -385,7 +644,7 @@ const AdminAvailability = () => {
                         }`}
                         onClick={() => handleDateClick(date)}
                         onDoubleClick={() => handleDateDoubleClick(date)}
-                        title={isPast ? 'Past date' : `${isAvailable ? 'Available' : 'Unavailable'} - Click to select, Double-click to toggle`}
+                        title={isPast ? 'Past date' : `${isAvailable ? 'Available' : 'Unavailable'}${getDateReason(date)} - Click to select, Double-click to toggle`}
                       >
                         {day}
                       </div>
@@ -428,6 +687,166 @@ const AdminAvailability = () => {
             </ul>
           </div>
         </div>
+
+        {/* Calendar Sync */}
+        <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
+          <div className="flex items-center mb-2">
+            <Calendar className="w-5 h-5 mr-2 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Calendar Export (iCal)</h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Subscribe to this URL from Airbnb, VRBO, Google Calendar or Outlook to keep them in sync with
+            unavailable dates and approved or leased stays. Anyone with the URL can see these dates, so
+            generate a new one if it has been shared by mistake.
+          </p>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+            <input
+              type="text"
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              placeholder="Loading feed URL..."
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm text-gray-700 font-mono"
+            />
+            <button
+              onClick={handleCopyFeedUrl}
+              disabled={!feedUrl}
+              className="inline-flex items-center justify-center px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200"
+            >
+              <Copy className="w-4 h-4 mr-2" />
+              Copy
+            </button>
+            <button
+              onClick={handleRotateFeed}
+              disabled={rotatingFeed}
+              className="inline-flex items-center justify-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors duration-200"
+            >
+              <RefreshCw className={`w-4 h-4 mr-2 ${rotatingFeed ? 'animate-spin' : ''}`} />
+              Rotate URL
+            </button>
+          </div>
+        </div>
+
+        {/* Calendar Import */}
+        <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
+          <div className="flex items-center mb-2">
+            <Download className="w-5 h-5 mr-2 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Calendar Import (iCal)</h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Block dates booked on other channels. Add each channel's iCal export URL (imported again
+            automatically by the scheduled sync), or upload an .ics file. Re-importing updates moved
+            bookings and releases cancelled ones.
+          </p>
+
+          {calendarSources.length > 0 && (
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-4">
+              {calendarSources.map(source => (
+                <div key={source._id} className="p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900">{source.name}</p>
+                    <p className="text-xs text-gray-500 truncate">{source.url || 'File upload only'}</p>
+                    <p className={`text-xs mt-1 ${source.lastSyncStatus === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                      {source.lastSyncedAt
+                        ? `${source.lastSyncStatus === 'failed' ? 'Import failed' : 'Imported'} ${new Date(source.lastSyncedAt).toLocaleString()}`
+                        : 'Not imported yet'}
+                      {source.lastSyncStatus === 'failed' && source.lastSyncError ? ` - ${source.lastSyncError}` : ''}
+                      {source.lastSyncStatus === 'success' ? ` - ${source.importedEvents.length} upcoming blocks` : ''}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    {source.url && (
+                      <button
+                        onClick={() => handleSyncSource(source)}
+                        disabled={busySourceId === source._id}
+                        className="inline-flex items-center px-3 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        <RefreshCw className={`w-4 h-4 mr-1 ${busySourceId === source._id ? 'animate-spin' : ''}`} />
+                        Sync
+                      </button>
+                    )}
+                    <label className={`inline-flex items-center px-3 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 cursor-pointer ${busySourceId === source._id ? 'opacity-50 pointer-events-none' : ''}`}>
+                      <Upload className="w-4 h-4 mr-1" />
+                      Upload .ics
+                      <input
+                        type="file"
+                        accept=".ics,text/calendar"
+                        className="hidden"
+                        onChange={(e) => {
+                          handleUploadSource(source, e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                    <button
+                      onClick={() => handleDeleteSource(source)}
+                      disabled={busySourceId === source._id}
+                      className="inline-flex items-center px-3 py-2 text-sm text-red-600 bg-white border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <form onSubmit={handleAddSource} className="flex flex-col md:flex-row gap-3">
+            <input
+              type="text"
+              value={newSource.name}
+              onChange={(e) => setNewSource(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Channel name, e.g. Airbnb"
+              className="md:w-56 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <input
+              type="text"
+              value={newSource.url}
+              onChange={(e) => setNewSource(prev => ({ ...prev, url: e.target.value }))}
+              placeholder="iCal URL (optional, https:// or webcal://)"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={busySourceId === 'new'}
+              className="inline-flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Add Calendar
+            </button>
+          </form>
+        </div>
+
+        {/* Tentative Holds */}
+        <div className="bg-white rounded-lg shadow-sm border p-6">
+          <div className="flex items-center mb-2">
+            <Clock className="w-5 h-5 mr-2 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Tentative Holds</h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Submitted applications hold their requested dates so other applicants are warned. A hold lapses
+            after this many days unless the application is approved.
+          </p>
+          <form onSubmit={handleSaveHoldSettings} className="flex items-center gap-3">
+            <input
+              type="number"
+              min="1"
+              max="60"
+              value={holdExpiryDays}
+              onChange={(e) => setHoldExpiryDays(e.target.value)}
+              className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <span className="text-sm text-gray-600">days</span>
+            <button
+              type="submit"
+              disabled={savingHoldSettings || !holdExpiryDays}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+            >
+              <Save className="w-4 h-4 mr-2" />
+              Save
+            </button>
+          </form>
+        </div>
       </div>
     </div>
   );
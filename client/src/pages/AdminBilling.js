@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import AdminNavbar from '../components/AdminNavbar';
+import { AlarmClock, Save, Percent, Plus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const AdminBilling = () => {
+  const [policy, setPolicy] = useState(null);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [taxPolicy, setTaxPolicy] = useState(null);
+  const [savingTaxPolicy, setSavingTaxPolicy] = useState(false);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await fetch('/api/payment/admin/late-fee-policy', {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch late fee policy');
+        }
+        setPolicy({
+          ...data.policy,
+          flatAmount: (data.policy.flatAmount / 100).toFixed(2),
+          reminderDays: (data.policy.reminderDays || []).join(', ')
+        });
+      } catch (err) {
+        toast.error(err.message);
+      }
+    };
+    const fetchTaxPolicy = async () => {
+      try {
+        const response = await fetch('/api/payment/admin/tax-policy', {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch tax rates');
+        }
+        setTaxPolicy(data.policy);
+      } catch (err) {
+        toast.error(err.message);
+      }
+    };
+    fetchPolicy();
+    fetchTaxPolicy();
+  }, []);
+
+  const handleSavePolicy = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingPolicy(true);
+      const response = await fetch('/api/payment/admin/late-fee-policy', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({
+          ...policy,
+          reminderDays: policy.reminderDays.split(',').map(day => day.trim()).filter(Boolean)
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update late fee policy');
+      }
+      setPolicy({
+        ...data.policy,
+        flatAmount: (data.policy.flatAmount / 100).toFixed(2),
+        reminderDays: data.policy.reminderDays.join(', ')
+      });
+      toast.success('Late fee policy updated');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const handleSaveTaxPolicy = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingTaxPolicy(true);
+      const response = await fetch('/api/payment/admin/tax-policy', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(taxPolicy)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update tax rates');
+      }
+      setTaxPolicy(data.policy);
+      toast.success('Tax rates updated');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingTaxPolicy(false);
+    }
+  };
+
+  const updateTaxRate = (index, field, value) => {
+    setTaxPolicy({
+      ...taxPolicy,
+      rates: taxPolicy.rates.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate))
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminNavbar />
+
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="py-6">
+            <h1 className="text-2xl font-bold text-gray-900">Billing</h1>
+            <p className="text-gray-600">Taxes and the policies the scheduled billing jobs apply to every lease.</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Taxes */}
+        <div className="bg-white rounded-lg shadow-sm border p-6">
+          <div className="flex items-center mb-2">
+            <Percent className="w-5 h-5 mr-2 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Sales and Tourist Development Taxes</h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Each rate is charged on the Rental Fee of stays up to the exemption threshold and shown as its own line on quotes, leases and receipts.
+            Changes apply to quotes and to leases generated or amended from now on; existing leases keep the taxes they were set with.
+          </p>
+
+          {!taxPolicy ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : (
+            <form onSubmit={handleSaveTaxPolicy} className="space-y-4 max-w-3xl">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={taxPolicy.enabled}
+                  onChange={(e) => setTaxPolicy({ ...taxPolicy, enabled: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                Charge taxes on the Rental Fee
+              </label>
+
+              <div className="max-w-xs">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Exempt when the stay is longer than (months)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="24"
+                  value={taxPolicy.exemptAfterMonths}
+                  onChange={(e) => setTaxPolicy({ ...taxPolicy, exemptAfterMonths: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <div className="hidden sm:grid grid-cols-12 gap-2 text-xs font-medium text-gray-500 uppercase tracking-wide">
+                  <span className="col-span-5">Tax</span>
+                  <span className="col-span-4">Jurisdiction (filed with)</span>
+                  <span className="col-span-2">Rate (%)</span>
+                </div>
+                {taxPolicy.rates.map((rate, index) => (
+                  <div key={rate.key || index} className="grid grid-cols-1 sm:grid-cols-12 gap-2 items-center">
+                    <input
+                      type="text"
+                      value={rate.name}
+                      onChange={(e) => updateTaxRate(index, 'name', e.target.value)}
+                      placeholder="Florida sales tax"
+                      className="sm:col-span-5 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <input
+                      type="text"
+                      value={rate.jurisdiction}
+                      onChange={(e) => updateTaxRate(index, 'jurisdiction', e.target.value)}
+                      placeholder="Florida"
+                      className="sm:col-span-4 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <input
+                      type="number"
+                      min="0.01"
+                      max="25"
+                      step="0.01"
+                      value={rate.rate}
+                      onChange={(e) => updateTaxRate(index, 'rate', e.target.value)}
+                      className="sm:col-span-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setTaxPolicy({ ...taxPolicy, rates: taxPolicy.rates.filter((_, i) => i !== index) })}
+                      className="sm:col-span-1 inline-flex justify-center text-gray-400 hover:text-red-600"
+                      title="Remove this tax"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setTaxPolicy({ ...taxPolicy, rates: [...taxPolicy.rates, { name: '', jurisdiction: '', rate: '' }] })}
+                  className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add a tax
+                </button>
+              </div>
+
+              <button
+                type="submit"
+                disabled={savingTaxPolicy}
+                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+              >
+                <Save className="w-4 h-4 mr-2" />
+                {savingTaxPolicy ? 'Saving...' : 'Save'}
+              </button>
+            </form>
+          )}
+        </div>
+
+        {/* Late Fees */}
+        <div className="bg-white rounded-lg shadow-sm border p-6">
+          <div className="flex items-center mb-2">
+            <AlarmClock className="w-5 h-5 mr-2 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Late Fees and Reminders</h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Once an installment is past due by more than the grace period, a late fee is added to the application's ledger.
+            Tenants with payment reminders turned on are emailed on each reminder day, with firmer wording each time.
+          </p>
+
+          {!policy ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : (
+            <form onSubmit={handleSavePolicy} className="space-y-4 max-w-xl">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={policy.enabled}
+                  onChange={(e) => setPolicy({ ...policy, enabled: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                Assess late fees automatically
+              </label>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Grace period (days)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="60"
+                    value={policy.graceDays}
+                    onChange={(e) => setPolicy({ ...policy, graceDays: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Fee type</label>
+                  <select
+                    value={policy.feeType}
+                    onChange={(e) => setPolicy({ ...policy, feeType: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="flat">Flat amount</option>
+                    <option value="percent">Percentage of the unpaid installment</option>
+                  </select>
+                </div>
+                {policy.feeType === 'flat' ? (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Fee ($)</label>
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={policy.flatAmount}
+                      onChange={(e) => setPolicy({ ...policy, flatAmount: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                ) : (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Fee (%)</label>
+                    <input
+                      type="number"
+                      min="0.01"
+                      max="100"
+                      step="0.01"
+                      value={policy.percent}
+                      onChange={(e) => setPolicy({ ...policy, percent: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reminder days past due</label>
+                  <input
+                    type="text"
+                    value={policy.reminderDays}
+                    onChange={(e) => setPolicy({ ...policy, reminderDays: e.target.value })}
+                    placeholder="1, 7, 14"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Up to three, comma separated. Leave empty for no reminders.</p>
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={savingPolicy}
+                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+              >
+                <Save className="w-4 h-4 mr-2" />
+                {savingPolicy ? 'Saving...' : 'Save'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminBilling;
@@ -13,7 +13,9 @@ import {
   Filter,
   ChevronDown,
   ChevronUp,
-  RefreshCw
+  RefreshCw,
+  XCircle,
+  ShieldAlert
 } from 'lucide-react';
 
 const AdminDashboard = () => {
@@ -88,7 +90,8 @@ const AdminDashboard = () => {
         app.phone?.includes(searchTerm) ||
         app.applicationNumber?.toLowerCase().includes(searchTerm.toLowerCase());
       
-      const matchesStatus = statusFilter === 'all' || app.status === statusFilter;
+      const matchesStatus = statusFilter === 'all'
+        || (statusFilter === 'disputed' ? app.dispute?.open : app.status === statusFilter);
       
       return matchesSearch && matchesStatus;
     })
@@ -172,6 +175,7 @@ const AdminDashboard = () => {
       case 'approved': return 'text-green-600 bg-green-100';
       case 'rejected': return 'text-red-600 bg-red-100';
       case 'completed': return 'text-blue-600 bg-blue-100';
+      case 'cancelled': return 'text-gray-700 bg-gray-200';
       default: return 'text-gray-600 bg-gray-100';
     }
   };
@@ -183,6 +187,7 @@ const AdminDashboard = () => {
       case 'approved': return <CheckCircle className="h-4 w-4" />;
       case 'rejected': return <AlertCircle className="h-4 w-4" />;
       case 'completed': return <CheckCircle className="h-4 w-4" />;
+      case 'cancelled': return <XCircle className="h-4 w-4" />;
       default: return <Clock className="h-4 w-4" />;
     }
   };
@@ -307,6 +312,23 @@ const AdminDashboard = () => {
         </div>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Open payment disputes */}
+        {applications.some(app => app.dispute?.open) && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-start">
+            <ShieldAlert className="h-5 w-5 text-red-600 mr-3 mt-0.5" />
+            <div>
+              <p className="text-sm font-medium text-red-800">
+                {applications.filter(app => app.dispute?.open).length} open payment dispute(s)
+              </p>
+              <p className="text-sm text-red-700">
+                {applications.filter(app => app.dispute?.open).map(app =>
+                  `${app.applicationNumber || `${app.firstName} ${app.lastName}`} (evidence due ${app.dispute.evidenceDueBy ? formatDate(app.dispute.evidenceDueBy) : 'n/a'})`
+                ).join(', ')}
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Search and Filters */}
         <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
           <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between space-y-4 lg:space-y-0">
@@ -371,6 +393,8 @@ const AdminDashboard = () => {
                     <option value="approved">Approved</option>
                     <option value="rejected">Rejected</option>
                     <option value="completed">Completed</option>
+                    <option value="cancelled">Cancelled</option>
+                    <option value="disputed">Open Dispute</option>
                   </select>
                   </div>
                 </div>
@@ -507,6 +531,15 @@ const AdminDashboard = () => {
                         {getStatusIcon(application.status)}
                         <span className="ml-1 capitalize">{application.status}</span>
                       </span>
+                      {application.dispute?.open && (
+                        <span
+                          className="mt-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium text-red-700 bg-red-100"
+                          title={application.dispute.evidenceDueBy ? `Evidence due ${formatDate(application.dispute.evidenceDueBy)}` : undefined}
+                        >
+                          <ShieldAlert className="h-3 w-3" />
+                          <span className="ml-1">Disputed</span>
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4">
                 <div className="flex items-center space-x-2">
@@ -0,0 +1,412 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import AdminNavbar from '../components/AdminNavbar';
+import {
+  FileText,
+  Save,
+  Eye,
+  History,
+  RotateCcw,
+  AlertCircle,
+  RefreshCw
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const AdminLeaseTemplates = () => {
+  const [current, setCurrent] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [body, setBody] = useState('');
+  const [notes, setNotes] = useState('');
+  const [previewApplicationId, setPreviewApplicationId] = useState('');
+  const [previewText, setPreviewText] = useState('');
+  const [unknownPlaceholders, setUnknownPlaceholders] = useState([]);
+  const [viewingVersion, setViewingVersion] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const editorRef = useRef(null);
+
+  const authHeaders = () => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${localStorage.getItem('token')}`
+  });
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/lease-templates', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error('Failed to fetch lease templates');
+      }
+      const data = await response.json();
+      setCurrent(data.current);
+      setVersions(data.versions || []);
+      setPlaceholders(data.placeholders || []);
+      setBody(data.current.body);
+      setViewingVersion(null);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const isDirty = current && body !== current.body;
+
+  // Insert a placeholder at the cursor position in the editor
+  const insertPlaceholder = (key) => {
+    const token = `{{${key}}}`;
+    const editor = editorRef.current;
+    if (!editor) {
+      setBody(prev => prev + token);
+      return;
+    }
+    const { selectionStart, selectionEnd } = editor;
+    setBody(prev => prev.slice(0, selectionStart) + token + prev.slice(selectionEnd));
+    requestAnimationFrame(() => {
+      editor.focus();
+      editor.setSelectionRange(selectionStart + token.length, selectionStart + token.length);
+    });
+  };
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      const response = await fetch('/api/lease-templates/preview', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ body, applicationId: previewApplicationId.trim() || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to preview template');
+      }
+      setPreviewText(data.leaseText);
+      setUnknownPlaceholders(data.unknownPlaceholders || []);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  // Render the template through the server's lease PDF renderer, exactly as tenants will see it
+  const handlePreviewPdf = async () => {
+    try {
+      setPreviewing(true);
+      const response = await fetch('/api/lease-templates/preview', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ body, applicationId: previewApplicationId.trim() || undefined, format: 'pdf' })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to render PDF preview');
+      }
+      const blob = await response.blob();
+      window.open(window.URL.createObjectURL(blob), '_blank');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!notes.trim() && !window.confirm('Save this version without a note describing the change?')) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await fetch('/api/lease-templates', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ body, notes })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save template');
+      }
+      toast.success(data.message);
+      setNotes('');
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleViewVersion = async (version) => {
+    if (isDirty && !window.confirm('Discard your unsaved changes?')) return;
+
+    try {
+      const response = await fetch(`/api/lease-templates/${version}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load version');
+      }
+      setViewingVersion(data.template);
+      setPreviewText('');
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Make version ${version} the current lease template? New leases will use it; leases already generated keep their version.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/lease-templates/${version}/restore`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to restore version');
+      }
+      toast.success(data.message);
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const formatAuthor = (createdBy) => {
+    if (!createdBy) return 'System';
+    const name = `${createdBy.firstName || ''} ${createdBy.lastName || ''}`.trim();
+    return name || createdBy.email;
+  };
+
+  if (loading && !current) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <RefreshCw className="h-8 w-8 animate-spin mx-auto mb-4 text-blue-600" />
+          <p className="text-gray-600">Loading lease template...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminNavbar />
+
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Lease Template</h1>
+              <p className="text-gray-600">
+                Edit the rental agreement text. Each save creates a new version; leases already generated keep the version they were created from.
+              </p>
+            </div>
+            {current && (
+              <span className="px-3 py-1 rounded-full text-sm font-medium text-blue-600 bg-blue-100 whitespace-nowrap">
+                Current: v{current.version}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Editor */}
+        <div className="lg:col-span-2 space-y-6">
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <FileText className="w-5 h-5 mr-2 text-blue-600" />
+                {viewingVersion ? `Version ${viewingVersion.version} (read only)` : 'Editor'}
+              </h2>
+              {viewingVersion && (
+                <div className="flex items-center space-x-2">
+                  {viewingVersion.version !== current.version && (
+                    <button
+                      onClick={() => handleRestore(viewingVersion.version)}
+                      className="inline-flex items-center px-3 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+                    >
+                      <RotateCcw className="w-4 h-4 mr-1" />
+                      Restore
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setViewingVersion(null)}
+                    className="px-3 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Back to editor
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {viewingVersion ? (
+              <pre className="whitespace-pre-wrap text-sm font-mono text-gray-800 bg-gray-50 border border-gray-200 rounded-lg p-4 max-h-[600px] overflow-y-auto">
+                {viewingVersion.body}
+              </pre>
+            ) : (
+              <>
+                <textarea
+                  ref={editorRef}
+                  value={body}
+                  onChange={(e) => setBody(e.target.value)}
+                  rows={28}
+                  spellCheck={false}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <div className="mt-4 flex flex-col md:flex-row md:items-center gap-3">
+                  <input
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    placeholder="What changed? e.g. Association updated pool hours"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={() => setBody(current.body)}
+                    disabled={!isDirty}
+                    className="px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Discard Changes
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    disabled={!isDirty || saving}
+                    className="inline-flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+                  >
+                    <Save className="w-4 h-4 mr-2" />
+                    {saving ? 'Saving...' : 'Save New Version'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Preview */}
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Eye className="w-5 h-5 mr-2 text-blue-600" />
+                Preview
+              </h2>
+              <div className="flex items-center gap-3">
+                <input
+                  type="text"
+                  value={previewApplicationId}
+                  onChange={(e) => setPreviewApplicationId(e.target.value)}
+                  placeholder="Application ID (optional, sample data otherwise)"
+                  className="w-72 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  onClick={handlePreview}
+                  disabled={previewing || !!viewingVersion}
+                  className="inline-flex items-center px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <Eye className="w-4 h-4 mr-2" />
+                  {previewing ? 'Rendering...' : 'Preview'}
+                </button>
+                <button
+                  onClick={handlePreviewPdf}
+                  disabled={previewing || !!viewingVersion}
+                  className="inline-flex items-center px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <FileText className="w-4 h-4 mr-2" />
+                  PDF
+                </button>
+              </div>
+            </div>
+
+            {unknownPlaceholders.length > 0 && (
+              <div className="flex items-start mb-4 rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+                <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                <span>
+                  Unknown placeholders will not be filled in and block saving: {unknownPlaceholders.map(key => `{{${key}}}`).join(', ')}
+                </span>
+              </div>
+            )}
+
+            {previewText ? (
+              <pre className="whitespace-pre-wrap text-sm font-mono text-gray-800 bg-gray-50 border border-gray-200 rounded-lg p-4 max-h-[600px] overflow-y-auto">
+                {previewText}
+              </pre>
+            ) : (
+              <p className="text-sm text-gray-500">Click Preview to render the template with an application's details.</p>
+            )}
+          </div>
+        </div>
+
+        {/* Sidebar */}
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Placeholders</h2>
+            <p className="text-xs text-gray-500 mb-3">Click to insert at the cursor.</p>
+            <ul className="space-y-2">
+              {placeholders.map(placeholder => (
+                <li key={placeholder.key}>
+                  <button
+                    onClick={() => insertPlaceholder(placeholder.key)}
+                    disabled={!!viewingVersion}
+                    className="text-left w-full hover:bg-gray-50 rounded p-1 disabled:opacity-50"
+                  >
+                    <code className="text-xs text-blue-700">{`{{${placeholder.key}}}`}</code>
+                    <p className="text-xs text-gray-500">{placeholder.description}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+              <History className="w-5 h-5 mr-2 text-blue-600" />
+              Version History
+            </h2>
+            <ul className="divide-y divide-gray-200">
+              {versions.map(version => (
+                <li key={version.version} className="py-3">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-900">
+                      v{version.version}
+                      {current && version.version === current.version && (
+                        <span className="ml-2 text-xs text-green-600">current</span>
+                      )}
+                    </span>
+                    <button
+                      onClick={() => handleViewVersion(version.version)}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      View
+                    </button>
+                  </div>
+                  {version.notes && <p className="text-xs text-gray-600 mt-1">{version.notes}</p>}
+                  <p className="text-xs text-gray-400 mt-1">
+                    {new Date(version.createdAt).toLocaleString()} · {formatAuthor(version.createdBy)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminLeaseTemplates;
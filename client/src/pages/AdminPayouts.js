@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import AdminNavbar from '../components/AdminNavbar';
+import { Landmark, RefreshCw, AlertTriangle, CheckCircle, ChevronDown, ChevronRight } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+const formatCurrency = (cents) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format((cents || 0) / 100);
+
+const AdminPayouts = () => {
+  const [from, setFrom] = useState(() => toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(() => toDateInput(new Date()));
+  // The range last run; date changes wait for Run
+  const [range, setRange] = useState({ from, to });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState({});
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams(range);
+      const response = await fetch(`/api/payment/admin/reconciliation?${params.toString()}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to reconcile payouts');
+      }
+      setReport(data);
+      // Payouts with something to look at start open
+      setExpanded(Object.fromEntries(data.payouts.map(payout => [
+        payout.id,
+        payout.flags.length > 0 || payout.transactions.some(txn => txn.flags.length > 0)
+      ])));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const flagLabel = (flag) => report?.flagLabels?.[flag] || flag;
+  const totals = report?.totals || {};
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminNavbar />
+
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-col gap-4 lg:flex-row lg:items-end lg:justify-between py-6">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Payouts</h1>
+              <p className="text-gray-600">Stripe payouts matched to payment records, with Stripe's actual fees.</p>
+            </div>
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Arriving from</label>
+                <input
+                  type="date"
+                  value={from}
+                  onChange={(e) => setFrom(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">to</label>
+                <input
+                  type="date"
+                  value={to}
+                  onChange={(e) => setTo(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <button
+                onClick={() => setRange({ from, to })}
+                disabled={loading}
+                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm"
+              >
+                <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+                Run
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {report?.source === 'fake' && (
+          <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            Development data: these payouts are simulated from local payment records, not read from Stripe.
+          </div>
+        )}
+
+        {report && (
+          <>
+            {/* Totals */}
+            <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+              {[
+                { label: 'Paid out', value: formatCurrency(totals.paidOut), sublabel: `${totals.payouts} payouts` },
+                { label: 'Gross', value: formatCurrency(totals.gross), sublabel: `${totals.transactions} transactions` },
+                { label: 'Stripe fees', value: formatCurrency(totals.fees), sublabel: `Card fees collected ${formatCurrency(totals.cardFeesCollected)}` },
+                { label: 'Net', value: formatCurrency(totals.net), sublabel: 'Gross less Stripe fees' },
+                { label: 'Flagged', value: totals.flagged, sublabel: totals.flagged ? 'Transactions to review' : 'Everything matches' }
+              ].map(card => (
+                <div key={card.label} className="bg-white rounded-lg shadow-sm border p-4">
+                  <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">{card.label}</p>
+                  <p className="text-xl font-bold text-gray-900 mt-1">{card.value}</p>
+                  <p className="text-xs text-gray-500 mt-1">{card.sublabel}</p>
+                </div>
+              ))}
+            </div>
+
+            {Object.keys(report.flagCounts).length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm border p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <h2 className="text-sm font-semibold text-gray-900 flex items-center">
+                    <AlertTriangle className="w-4 h-4 mr-2 text-amber-500" />
+                    Discrepancies
+                  </h2>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={flaggedOnly}
+                      onChange={(e) => setFlaggedOnly(e.target.checked)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    Show flagged transactions only
+                  </label>
+                </div>
+                <ul className="text-sm text-gray-700 space-y-1">
+                  {Object.entries(report.flagCounts).map(([flag, count]) => (
+                    <li key={flag}>{flagLabel(flag)}: <span className="font-semibold">{count}</span></li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Payouts */}
+            {report.payouts.length === 0 ? (
+              <div className="bg-white rounded-lg shadow-sm border p-6 text-center text-gray-500">
+                No payouts arrived in this period.
+              </div>
+            ) : (
+              report.payouts.map(payout => {
+                const rows = flaggedOnly ? payout.transactions.filter(txn => txn.flags.length) : payout.transactions;
+                const isOpen = expanded[payout.id];
+                return (
+                  <div key={payout.id} className="bg-white rounded-lg shadow-sm border">
+                    <button
+                      onClick={() => setExpanded(prev => ({ ...prev, [payout.id]: !prev[payout.id] }))}
+                      className="w-full flex items-center justify-between p-4 text-left"
+                    >
+                      <div className="flex items-center">
+                        {isOpen ? <ChevronDown className="w-4 h-4 mr-2 text-gray-500" /> : <ChevronRight className="w-4 h-4 mr-2 text-gray-500" />}
+                        <Landmark className="w-5 h-5 mr-2 text-blue-600" />
+                        <div>
+                          <p className="text-sm font-semibold text-gray-900">
+                            {formatCurrency(payout.amount)} on {payout.arrivalDate}
+                          </p>
+                          <p className="text-xs text-gray-500 font-mono">{payout.id} · {payout.status}</p>
+                        </div>
+                      </div>
+                      {payout.flags.length > 0 ? (
+                        <span className="text-xs text-red-600">
+                          {flagLabel('payout_mismatch')} ({formatCurrency(payout.difference)})
+                        </span>
+                      ) : (
+                        <CheckCircle className="w-5 h-5 text-green-500" />
+                      )}
+                    </button>
+
+                    {isOpen && (
+                      <div className="border-t overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                              <th className="py-2 px-4">Date</th>
+                              <th className="py-2 pr-4">Type</th>
+                              <th className="py-2 pr-4">Payment</th>
+                              <th className="py-2 pr-4 text-right">Amount</th>
+                              <th className="py-2 pr-4 text-right">Stripe fee</th>
+                              <th className="py-2 pr-4 text-right">Card fee</th>
+                              <th className="py-2 pr-4 text-right">Net</th>
+                              <th className="py-2 pr-4">Flags</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {rows.map(txn => (
+                              <tr key={txn.id} className={`border-b border-gray-100 ${txn.flags.length ? 'bg-red-50' : ''}`}>
+                                <td className="py-2 px-4 text-gray-600 whitespace-nowrap">{new Date(txn.created).toLocaleDateString()}</td>
+                                <td className="py-2 pr-4 text-gray-600">{txn.type}</td>
+                                <td className="py-2 pr-4 text-gray-900">
+                                  {txn.payment ? (
+                                    txn.payment.applicationId ? (
+                                      <Link to={`/admin/application/${txn.payment.applicationId}`} className="text-blue-600 hover:text-blue-800">
+                                        {txn.payment.description}
+                                      </Link>
+                                    ) : txn.payment.description
+                                  ) : (
+                                    <span className="text-gray-500">{txn.description || txn.paymentIntentId || txn.id}</span>
+                                  )}
+                                </td>
+                                <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(txn.amount)}</td>
+                                <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(txn.fee)}</td>
+                                <td className="py-2 pr-4 text-right text-gray-600">
+                                  {txn.payment && txn.kind === 'charge' ? formatCurrency(txn.payment.creditCardFee) : ''}
+                                </td>
+                                <td className="py-2 pr-4 text-right font-medium text-gray-900">{formatCurrency(txn.net)}</td>
+                                <td className="py-2 pr-4 text-xs text-red-600">
+                                  {txn.flags.map(flagLabel).join('; ')}
+                                </td>
+                              </tr>
+                            ))}
+                            {rows.length === 0 && (
+                              <tr>
+                                <td colSpan="8" className="py-3 px-4 text-sm text-gray-500">No flagged transactions in this payout.</td>
+                              </tr>
+                            )}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                );
+              })
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminPayouts;
@@ -223,9 +223,11 @@ const AdminRevenueDashboard = () => {
           icon: DollarSign
         },
         {
-          label: 'Net After Fees',
+          label: 'Net After Stripe Fees',
           value: formatCurrency(cashSummary.netRevenue || 0),
-          sublabel: `Fees: ${formatCurrency(cashSummary.totalFees || 0)}`,
+          sublabel: cashSummary.unreconciledCount
+            ? `Stripe fees: ${formatCurrency(cashSummary.totalFees || 0)} · ${cashSummary.unreconciledCount} not yet reconciled`
+            : `Stripe fees: ${formatCurrency(cashSummary.totalFees || 0)} · Card fees collected: ${formatCurrency(cashSummary.cardFeesCollected || 0)}`,
           icon: TrendingUp
         },
         {
@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import AdminNavbar from '../components/AdminNavbar';
+import { Percent, Download, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const formatCurrency = (cents) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format((cents || 0) / 100);
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const STATUS_LABELS = {
+  taxable: 'Taxable',
+  exempt: 'Exempt',
+  unassessed: 'Not assessed'
+};
+
+// CSV cells with commas or quotes (tenant names, tax names) are quoted
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const AdminTaxReport = () => {
+  // Returns are filed for the month just ended, so start there
+  const [year, setYear] = useState(() => {
+    const now = new Date();
+    return now.getMonth() === 0 ? now.getFullYear() - 1 : now.getFullYear();
+  });
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return now.getMonth() === 0 ? 12 : now.getMonth();
+  });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ year: String(year), month: String(month) });
+      const response = await fetch(`/api/payment/admin/tax-report?${params.toString()}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load tax report');
+      }
+      setReport(data);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [year, month]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const exportCsv = () => {
+    if (!report) return;
+    const dollars = (cents) => ((cents || 0) / 100).toFixed(2);
+    const rows = [
+      [`Tax report ${report.period}`],
+      [],
+      ['Gross rent received', dollars(report.totals.grossRent)],
+      ['Taxable rent', dollars(report.totals.taxableRent)],
+      ['Exempt rent', dollars(report.totals.exemptRent)],
+      ['Rent with no tax assessed', dollars(report.totals.unassessedRent)],
+      ['Tax collected', dollars(report.totals.taxCollected)],
+      [],
+      ['Jurisdiction', 'Tax', 'Rate (%)', 'Taxable rent (USD)', 'Tax collected (USD)']
+    ];
+    report.jurisdictions.forEach((jurisdiction) => {
+      jurisdiction.taxes.forEach((tax) => {
+        rows.push([jurisdiction.jurisdiction, tax.name, tax.rate, dollars(tax.taxableRent), dollars(tax.amount)]);
+      });
+    });
+    rows.push([]);
+    rows.push(['Date', 'Application', 'Tenant', 'Stay', 'Status', 'Amount (USD)', 'Rent (USD)', 'Tax (USD)']);
+    report.transactions.forEach((txn) => {
+      rows.push([
+        txn.paidAt,
+        txn.applicationNumber,
+        txn.tenant,
+        `${txn.stayStart} to ${txn.stayEnd}`,
+        STATUS_LABELS[txn.status],
+        dollars(txn.amount),
+        dollars(txn.rent),
+        dollars(txn.tax)
+      ]);
+    });
+
+    const csvContent = rows.map((row) => row.map(csvCell).join(',')).join('\n');
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `palm-run-taxes-${report.period}.csv`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+
+  const currentYear = new Date().getFullYear();
+  const yearOptions = Array.from({ length: 5 }, (_, index) => currentYear - index);
+  const totals = report?.totals || {};
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminNavbar />
+
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-col gap-4 lg:flex-row lg:items-end lg:justify-between py-6">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Taxes</h1>
+              <p className="text-gray-600">Rent received and the sales and tourist development taxes collected on it, by month.</p>
+            </div>
+            <div className="flex flex-wrap items-end gap-3">
+              <select
+                value={month}
+                onChange={(e) => setMonth(parseInt(e.target.value, 10))}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+              <select
+                value={year}
+                onChange={(e) => setYear(parseInt(e.target.value, 10))}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {yearOptions.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+              <button
+                onClick={fetchReport}
+                disabled={loading}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 text-sm"
+              >
+                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              </button>
+              <button
+                onClick={exportCsv}
+                disabled={!report}
+                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm"
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Export CSV
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {report && (
+          <>
+            {/* Totals */}
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+              {[
+                { label: 'Taxable rent', value: totals.taxableRent, sublabel: 'Stays within the exemption threshold' },
+                { label: 'Exempt rent', value: totals.exemptRent, sublabel: 'Stays longer than the threshold' },
+                { label: 'Tax collected', value: totals.taxCollected, sublabel: `${report.transactions.length} rent payments and refunds` },
+                { label: 'Not assessed', value: totals.unassessedRent, sublabel: 'Leases set before taxes were charged' }
+              ].map(card => (
+                <div key={card.label} className="bg-white rounded-lg shadow-sm border p-4">
+                  <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">{card.label}</p>
+                  <p className="text-xl font-bold text-gray-900 mt-1">{formatCurrency(card.value)}</p>
+                  <p className="text-xs text-gray-500 mt-1">{card.sublabel}</p>
+                </div>
+              ))}
+            </div>
+
+            {/* By jurisdiction */}
+            <div className="bg-white rounded-lg shadow-sm border p-6">
+              <div className="flex items-center mb-4">
+                <Percent className="w-5 h-5 mr-2 text-blue-600" />
+                <h2 className="text-lg font-semibold text-gray-900">Tax Due by Jurisdiction</h2>
+              </div>
+              {report.jurisdictions.length === 0 ? (
+                <p className="text-sm text-gray-500">No tax was collected in {MONTH_NAMES[month - 1]} {year}.</p>
+              ) : (
+                <div className="space-y-4">
+                  {report.jurisdictions.map(jurisdiction => (
+                    <div key={jurisdiction.jurisdiction}>
+                      <div className="flex justify-between text-sm font-semibold text-gray-900 border-b border-gray-200 pb-1 mb-1">
+                        <span>{jurisdiction.jurisdiction}</span>
+                        <span>{formatCurrency(jurisdiction.total)}</span>
+                      </div>
+                      {jurisdiction.taxes.map(tax => (
+                        <div key={`${tax.key}:${tax.rate}`} className="flex justify-between text-sm text-gray-700 py-0.5">
+                          <span>{tax.name} ({tax.rate}%) on {formatCurrency(tax.taxableRent)} taxable rent</span>
+                          <span>{formatCurrency(tax.amount)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Payments */}
+            <div className="bg-white rounded-lg shadow-sm border">
+              <h2 className="text-lg font-semibold text-gray-900 p-6 pb-2">Rent Received</h2>
+              {report.transactions.length === 0 ? (
+                <p className="text-sm text-gray-500 px-6 pb-6">No rent was received in {MONTH_NAMES[month - 1]} {year}.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                        <th className="py-2 px-6">Date</th>
+                        <th className="py-2 pr-4">Application</th>
+                        <th className="py-2 pr-4">Stay</th>
+                        <th className="py-2 pr-4">Status</th>
+                        <th className="py-2 pr-4 text-right">Amount</th>
+                        <th className="py-2 pr-4 text-right">Rent</th>
+                        <th className="py-2 pr-6 text-right">Tax</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.transactions.map(txn => (
+                        <tr key={txn.paymentId} className="border-b border-gray-100">
+                          <td className="py-2 px-6 text-gray-600 whitespace-nowrap">{txn.paidAt}</td>
+                          <td className="py-2 pr-4 text-gray-900">
+                            <Link to={`/admin/application/${txn.applicationId}`} className="text-blue-600 hover:text-blue-800">
+                              {txn.applicationNumber || 'Application'}
+                            </Link>
+                            <span className="text-gray-500"> · {txn.tenant}</span>
+                          </td>
+                          <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{txn.stayStart} to {txn.stayEnd}</td>
+                          <td className="py-2 pr-4 text-gray-600">
+                            {STATUS_LABELS[txn.status]}{txn.paymentType === 'refund' ? ' (refund)' : ''}
+                          </td>
+                          <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(txn.amount)}</td>
+                          <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(txn.rent)}</td>
+                          <td className="py-2 pr-6 text-right font-medium text-gray-900">{formatCurrency(txn.tax)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminTaxReport;
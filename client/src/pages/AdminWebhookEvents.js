@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import AdminNavbar from '../components/AdminNavbar';
+import { Activity, RefreshCw, RotateCcw, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const STATUS_OPTIONS = [
+  { value: 'failed', label: 'Failed' },
+  { value: 'processing', label: 'Processing' },
+  { value: 'processed', label: 'Processed' },
+  { value: 'all', label: 'All' }
+];
+
+const STATUS_COLORS = {
+  received: 'text-gray-600 bg-gray-100',
+  processing: 'text-yellow-700 bg-yellow-100',
+  processed: 'text-green-600 bg-green-100',
+  failed: 'text-red-600 bg-red-100'
+};
+
+const AdminWebhookEvents = () => {
+  const [events, setEvents] = useState([]);
+  const [failedCount, setFailedCount] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('failed');
+  const [loading, setLoading] = useState(true);
+  const [replayingId, setReplayingId] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/payment/admin/webhook-events?status=${statusFilter}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch webhook events');
+      }
+      setEvents(data.events || []);
+      setFailedCount(data.failedCount || 0);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleReplay = async (event) => {
+    if (!window.confirm(`Replay ${event.type} (${event.stripeEventId})?`)) return;
+
+    try {
+      setReplayingId(event._id);
+      const response = await fetch(`/api/payment/admin/webhook-events/${event._id}/replay`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to replay event');
+      }
+      if (data.success) {
+        toast.success('Event processed');
+      } else {
+        toast.error(`Replay failed: ${data.event.error?.message || 'unknown error'}`);
+      }
+      fetchEvents();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-US') : '—');
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminNavbar />
+
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Stripe Webhooks</h1>
+              <p className="text-gray-600">
+                Every Stripe event is stored with how processing went. Replay a failed event once the cause is fixed.
+              </p>
+            </div>
+            {failedCount > 0 && (
+              <span className="px-3 py-1 rounded-full text-sm font-medium text-red-600 bg-red-100 whitespace-nowrap">
+                {failedCount} failed
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="bg-white rounded-lg shadow-sm border p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+              <Activity className="w-5 h-5 mr-2 text-blue-600" />
+              Events
+            </h2>
+            <div className="flex items-center gap-3">
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {STATUS_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={fetchEvents}
+                disabled={loading}
+                className="inline-flex items-center px-3 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+                Refresh
+              </button>
+            </div>
+          </div>
+
+          {!loading && events.length === 0 ? (
+            <div className="text-center py-12">
+              <AlertCircle className="h-10 w-10 mx-auto text-gray-400 mb-3" />
+              <p className="text-gray-500">No {statusFilter === 'all' ? '' : `${statusFilter} `}events</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Error</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {events.map(event => (
+                    <tr key={event._id}>
+                      <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">{formatDateTime(event.createdAt)}</td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm font-medium text-gray-900">{event.type}</div>
+                        <div className="text-xs font-mono text-gray-500">{event.stripeEventId}</div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_COLORS[event.status] || STATUS_COLORS.received}`}>
+                          {event.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {event.attempts}
+                        {event.lastAttemptAt && (
+                          <div className="text-xs text-gray-400">last {formatDateTime(event.lastAttemptAt)}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-red-600 max-w-md break-words">{event.error?.message || ''}</td>
+                      <td className="px-4 py-3 text-right">
+                        {event.status === 'failed' && (
+                          <button
+                            onClick={() => handleReplay(event)}
+                            disabled={replayingId === event._id}
+                            className="inline-flex items-center px-3 py-1 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+                          >
+                            <RotateCcw className="w-4 h-4 mr-1" />
+                            {replayingId === event._id ? 'Replaying...' : 'Replay'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminWebhookEvents;
@@ -11,6 +11,8 @@ import {
   FileText
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import StayQuote from '../components/StayQuote';
+import DateHoldWarning from '../components/DateHoldWarning';
 
 const Application = () => {
   const { user } = useAuth();
@@ -168,6 +170,13 @@ const Application = () => {
     return Object.keys(newErrors).length === 0;
   };
 
+  // Spell out date conflicts so the applicant knows which dates to change
+  const describeError = (errorData, fallback) => {
+    const message = errorData.error || fallback;
+    if (!Array.isArray(errorData.conflicts) || errorData.conflicts.length === 0) return message;
+    return `${message}: ${errorData.conflicts.map(conflict => conflict.message).join('; ')}`;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -205,7 +214,7 @@ const Application = () => {
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to create application');
+        throw new Error(describeError(errorData, 'Failed to create application'));
       }
 
       const result = await response.json();
@@ -220,10 +229,14 @@ const Application = () => {
 
       if (!submitResponse.ok) {
         const submitErrorData = await submitResponse.json();
-        throw new Error(submitErrorData.error || 'Failed to submit application');
+        throw new Error(describeError(submitErrorData, 'Failed to submit application'));
       }
 
+      const submitResult = await submitResponse.json();
       toast.success('Application submitted successfully!');
+      if (submitResult.holdWarnings && submitResult.holdWarnings.length > 0) {
+        toast('Some of your dates are on hold for another applicant. We will let you know once they are reviewed.', { icon: '⏳', duration: 6000 });
+      }
       
       // Navigate back to dashboard
       navigate('/dashboard');
@@ -239,6 +252,10 @@ const Application = () => {
     return errors[fieldName] || '';
   };
 
+  const guestCount = 1
+    + (formData.secondApplicantFirstName.trim() && formData.secondApplicantLastName.trim() ? 1 : 0)
+    + formData.additionalGuests.length;
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-cyan-50">
       {/* Hero header to match Home/Login/Dashboard */}
@@ -435,6 +452,19 @@ const Application = () => {
                   )}
                 </div>
               </div>
+
+              <StayQuote
+                startDate={formData.requestedStartDate}
+                endDate={formData.requestedEndDate}
+                guests={guestCount}
+              />
+
+              <div className="mt-3">
+                <DateHoldWarning
+                  startDate={formData.requestedStartDate}
+                  endDate={formData.requestedEndDate}
+                />
+              </div>
             </div>
 
             {/* Current Address Section */}
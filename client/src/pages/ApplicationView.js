@@ -10,6 +10,7 @@ import {
   ArrowLeft,
   Mail,
   Calendar,
+  Clock,
   CheckCircle,
   Download,
   Upload,
@@ -23,6 +24,14 @@ import {
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import CompletionStatus from '../components/CompletionStatus';
+import { createTypedSignatureImage } from '../utils/signature';
+import { downloadStatement } from '../utils/pdfDownloads';
+
+// Contact details stay editable after submitting; names only while a draft
+const EDITABLE_STATUSES = ['draft', 'pending', 'approved'];
+
+// Sales and tourist development taxes on the Rental Fee, in dollars
+const stayTaxTotal = (application) => (application?.stayTaxes?.assessedAt ? (application.stayTaxes.total || 0) / 100 : 0);
 
 const ApplicationView = () => {
   const { user } = useAuth();
@@ -42,20 +51,26 @@ const ApplicationView = () => {
   const [leasePreview, setLeasePreview] = useState('');
   // const [leasePreviewHash, setLeasePreviewHash] = useState(''); // currently unused
   const [typedSignatureName, setTypedSignatureName] = useState('');
-  const [typedSignatureName2, setTypedSignatureName2] = useState('');
   const [consentChecked, setConsentChecked] = useState(false);
+  const [consentedAt, setConsentedAt] = useState(null);
   const [signing, setSigning] = useState(false);
   const [signMode, setSignMode] = useState('type');
   const canvasRef = useRef(null);
   const ctxRef = useRef(null);
   const drawingRef = useRef(false);
   const [hasDrawing, setHasDrawing] = useState(false);
-  const canvasRef2 = useRef(null);
-  const ctxRef2 = useRef(null);
-  const drawingRef2 = useRef(false);
-  const [hasDrawing2, setHasDrawing2] = useState(false);
+  const [coSignLink, setCoSignLink] = useState(null);
+  const [leaseAmendments, setLeaseAmendments] = useState([]);
+  const [leaseHistory, setLeaseHistory] = useState([]);
+  const [paymentSchedule, setPaymentSchedule] = useState(null);
+  // The addendum being signed in the sign modal; null while signing the lease itself
+  const [signingAmendment, setSigningAmendment] = useState(null);
+  const [showCancelModal, setShowCancelModal] = useState(false);
+  const [cancellationPreview, setCancellationPreview] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
   const initCanvas = useCallback(() => {
-    const setup = (canvas, setHas) => {
+    const setup = (canvas) => {
       if (!canvas) return;
       const parent = canvas.parentElement;
       const width = parent ? parent.clientWidth : 520;
@@ -71,20 +86,16 @@ const ApplicationView = () => {
       ctx.lineJoin = 'round';
       ctx.lineWidth = 2.5;
       ctx.strokeStyle = '#111827';
-      setHas(false);
+      setHasDrawing(false);
       return ctx;
     };
-    const ctx1 = setup(canvasRef.current, setHasDrawing);
+    const ctx1 = setup(canvasRef.current);
     if (ctx1) ctxRef.current = ctx1;
-    if (application?.secondApplicantFirstName && application?.secondApplicantLastName) {
-      const ctx2 = setup(canvasRef2.current, setHasDrawing2);
-      if (ctx2) ctxRef2.current = ctx2;
-    }
-  }, [application?.secondApplicantFirstName, application?.secondApplicantLastName]);
+  }, []);
 
   const fetchApplicationData = useCallback(async () => {
     try {
-      const [applicationRes, leaseRes, paymentsRes] = await Promise.all([
+      const [applicationRes, leaseRes, paymentsRes, amendmentsRes, scheduleRes] = await Promise.all([
         fetch(`/api/application/${id}`, {
           headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
         }),
@@ -93,6 +104,12 @@ const ApplicationView = () => {
         }),
         fetch(`/api/payment/history?applicationId=${id}`, {
           headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        }),
+        fetch(`/api/lease-amendments/application/${id}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        }),
+        fetch(`/api/payment/schedule/${id}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
         })
       ]);
 
@@ -117,6 +134,16 @@ const ApplicationView = () => {
         console.log('Payments data received:', paymentsData.payments);
         setPayments(paymentsData.payments || []);
       }
+
+      if (amendmentsRes.ok) {
+        const amendmentsData = await amendmentsRes.json();
+        setLeaseAmendments(amendmentsData.amendments || []);
+        setLeaseHistory(amendmentsData.history || []);
+      }
+
+      if (scheduleRes.ok) {
+        setPaymentSchedule(await scheduleRes.json());
+      }
     } catch (error) {
       console.error('Error loading application data:', error);
       toast.error('Failed to load application data');
@@ -138,6 +165,15 @@ const ApplicationView = () => {
     }
   }, [showSignModal, signMode, initCanvas]);
 
+  // Primary applicant has signed; the co-applicant still has to sign through their link
+  const awaitingCoApplicant = !!(
+    application?.secondApplicantFirstName &&
+    application?.secondApplicantLastName &&
+    !application?.leaseSigned &&
+    application?.leaseSignature?.signedAt &&
+    !application?.leaseSignature?.coApplicantSignedAt
+  );
+
   // Check if user is authenticated
   if (!user) {
     navigate('/login');
@@ -172,6 +208,8 @@ const ApplicationView = () => {
         return 'text-red-600 bg-red-100';
       case 'completed':
         return 'text-blue-600 bg-blue-100';
+      case 'cancelled':
+        return 'text-gray-700 bg-gray-200';
       default:
         return 'text-gray-600 bg-gray-100';
     }
@@ -187,6 +225,8 @@ const ApplicationView = () => {
         return 'Declined';
       case 'completed':
         return 'Complete';
+      case 'cancelled':
+        return 'Cancelled';
       default:
         return 'Unknown';
     }
@@ -215,6 +255,17 @@ const ApplicationView = () => {
   };
 
 
+  const getInstallmentStatusColor = (status) => {
+    switch (status) {
+      case 'paid':
+        return 'text-green-600 bg-green-100';
+      case 'overdue':
+        return 'text-red-600 bg-red-100';
+      default:
+        return 'text-yellow-600 bg-yellow-100';
+    }
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -231,7 +282,7 @@ const ApplicationView = () => {
     if (application.leaseGenerated) {
       const depositAmount = application.depositAmount || 0;
       const rentalAmount = application.rentalAmount || 0;
-      totalOwed = depositAmount + rentalAmount;
+      totalOwed = depositAmount + rentalAmount + stayTaxTotal(application);
     }
 
     // Calculate total paid from successful payments
@@ -259,17 +310,11 @@ const ApplicationView = () => {
     }
 
     try {
-      // Get lease data from the application
-      const leaseStartDate = application.leaseStartDate || application.requestedStartDate;
-      const leaseEndDate = application.leaseEndDate || application.requestedEndDate;
-      const rentalAmount = application.rentalAmount || 2500;
-      const depositAmount = application.depositAmount || 500;
-
       // Fetch lease data with proper authentication
       console.log('Downloading lease for application:', id);
       const token = localStorage.getItem('token');
       
-      const response = await fetch(`/api/lease/download?applicationId=${id}&leaseStartDate=${leaseStartDate}&leaseEndDate=${leaseEndDate}&rentalAmount=${rentalAmount}&depositAmount=${depositAmount}`, {
+      const response = await fetch(`/api/lease/download?applicationId=${id}`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -385,6 +430,52 @@ const ApplicationView = () => {
     }
   };
 
+  // Show what cancelling would refund under the lease's cancellation policy
+  const openCancelModal = async () => {
+    try {
+      const res = await fetch(`/api/application/${id}/cancellation`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || 'This application cannot be cancelled');
+        return;
+      }
+      setCancellationPreview(data.breakdown);
+      setCancelReason('');
+      setShowCancelModal(true);
+    } catch (error) {
+      console.error('Cancellation preview error:', error);
+      toast.error('Error loading cancellation details');
+    }
+  };
+
+  const handleCancelApplication = async () => {
+    try {
+      setCancelling(true);
+      const res = await fetch(`/api/application/${id}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ reason: cancelReason })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to cancel application');
+      }
+      toast.success('Your application has been cancelled');
+      setShowCancelModal(false);
+      await fetchApplicationData();
+    } catch (error) {
+      console.error('Cancellation error:', error);
+      toast.error(error.message || 'Error cancelling application');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
   const handleMakePayment = () => {
     // Navigate to payment page with application context
     navigate(`/payment?applicationId=${id}`);
@@ -392,10 +483,9 @@ const ApplicationView = () => {
 
   const openSignModal = async () => {
     try {
+      setSigningAmendment(null);
       setTypedSignatureName('');
-      setTypedSignatureName2('');
       setHasDrawing(false);
-      setHasDrawing2(false);
       setSignMode('type');
       setShowSignModal(true);
       setLeasePreview('Loading preview...');
@@ -419,57 +509,51 @@ const ApplicationView = () => {
     }
   };
 
-  const createTypedSignatureImage = async (name) => {
-    const text = name?.trim();
-    if (!text) return '';
-
-    const width = 600;
-    const height = 200;
-    const dpr = window.devicePixelRatio || 1;
-    const canvas = document.createElement('canvas');
-    canvas.width = width * dpr;
-    canvas.height = height * dpr;
-    const ctx = canvas.getContext('2d');
-    if (!ctx) return '';
-    ctx.scale(dpr, dpr);
-    ctx.clearRect(0, 0, width, height);
-
-    const baseFontSize = 72;
+  // Review and sign an addendum the manager proposed, in the same signing modal
+  const openAmendmentSignModal = async (amendment) => {
     try {
-      if (document?.fonts?.load) {
-        await document.fonts.load(`${baseFontSize}px "Great Vibes"`);
-      }
-    } catch (e) {
-      console.warn('Font load warning:', e);
+      setSigningAmendment(amendment);
+      setTypedSignatureName('');
+      setHasDrawing(false);
+      setSignMode('type');
+      setShowSignModal(true);
+      setLeasePreview('Loading addendum...');
+      const res = await fetch(`/api/lease-amendments/${amendment._id}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await res.json();
+      setLeasePreview(res.ok ? data.amendment.addendumText : (data.error || 'Failed to load addendum'));
+    } catch (err) {
+      console.error('Addendum preview error', err);
+      setLeasePreview('Error loading addendum');
     }
+  };
 
-    let fontSize = baseFontSize;
-    ctx.font = `${fontSize}px "Great Vibes", "Lucida Handwriting", cursive`;
-    ctx.textBaseline = 'middle';
-    ctx.lineJoin = 'round';
-    ctx.lineCap = 'round';
-
-    const maxWidth = width - 60;
-    let metrics = ctx.measureText(text);
-    if (metrics.width > maxWidth) {
-      fontSize = Math.max(42, (maxWidth / metrics.width) * fontSize);
-      ctx.font = `${fontSize}px "Great Vibes", "Lucida Handwriting", cursive`;
-      metrics = ctx.measureText(text);
+  // Opens the signed lease or a signed addendum from the lease history
+  const viewHistoryDocument = async (entry) => {
+    try {
+      const res = await fetch(entry.viewUrl, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      if (!res.ok) {
+        toast.error(`Failed to load ${entry.title}`);
+        return;
+      }
+      const blob = await res.blob();
+      window.open(window.URL.createObjectURL(blob), '_blank');
+    } catch (err) {
+      console.error('Lease history error', err);
+      toast.error(`Error loading ${entry.title}`);
     }
+  };
 
-    const textX = (width - metrics.width) / 2;
-    const baseline = height / 2;
-    ctx.fillStyle = '#111827';
-    ctx.fillText(text, textX, baseline);
-
-    ctx.strokeStyle = '#4b5563';
-    ctx.lineWidth = 1.2;
-    ctx.beginPath();
-    ctx.moveTo(textX, baseline + fontSize * 0.25);
-    ctx.lineTo(textX + metrics.width, baseline + fontSize * 0.18);
-    ctx.stroke();
-
-    return canvas.toDataURL('image/png');
+  const handleDownloadStatement = async () => {
+    try {
+      await downloadStatement(id, application?.applicationNumber);
+    } catch (err) {
+      console.error('Statement download error', err);
+      toast.error(err.message || 'Error downloading statement');
+    }
   };
 
   const submitSignature = async () => {
@@ -480,7 +564,6 @@ const ApplicationView = () => {
       }
 
       let signatureImageBase64 = '';
-      let signatureImageBase64_2 = '';
 
       if (signMode === 'draw') {
         if (!canvasRef.current || !hasDrawing) {
@@ -488,32 +571,20 @@ const ApplicationView = () => {
           return;
         }
         signatureImageBase64 = canvasRef.current.toDataURL('image/png');
-
-        if (application?.secondApplicantFirstName && application?.secondApplicantLastName) {
-          if (!canvasRef2.current || !hasDrawing2) {
-            toast.error('Co-applicant must draw their signature before submitting.');
-            return;
-          }
-          signatureImageBase64_2 = canvasRef2.current.toDataURL('image/png');
-        }
       } else {
         if (!typedSignatureName.trim()) {
           toast.error('Please type your full name to sign.');
           return;
         }
-        if (application?.secondApplicantFirstName && application?.secondApplicantLastName && !typedSignatureName2.trim()) {
-          toast.error('Co-applicant must type their full name to sign.');
-          return;
-        }
 
         signatureImageBase64 = await createTypedSignatureImage(typedSignatureName);
-        if (application?.secondApplicantFirstName && application?.secondApplicantLastName) {
-          signatureImageBase64_2 = await createTypedSignatureImage(typedSignatureName2);
-        }
       }
 
       setSigning(true);
-      const res = await fetch(`/api/lease/sign/${id}`, {
+      const signUrl = signingAmendment
+        ? `/api/lease-amendments/${signingAmendment._id}/sign`
+        : `/api/lease/sign/${id}`;
+      const res = await fetch(signUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -521,14 +592,23 @@ const ApplicationView = () => {
         },
         body: JSON.stringify({
           typedName: typedSignatureName.trim(),
-          typedName2: typedSignatureName2.trim(),
           signatureImageBase64,
-          signatureImageBase64_2,
-          consent: true
+          signatureMethod: signMode,
+          consent: true,
+          consentedAt
         })
       });
       if (res.ok) {
-        toast.success('Lease signed successfully');
+        const data = await res.json();
+        if (signingAmendment) {
+          toast.success(data.message || 'Addendum signed');
+        } else if (data.leaseSigned) {
+          toast.success('Lease signed successfully');
+        } else {
+          // The co-applicant signs separately through their own link
+          toast.success('Your signature was saved. Send the signing link to your co-applicant.');
+          setCoSignLink({ url: data.coApplicantSigningUrl, expiresAt: data.coApplicantSigningExpires });
+        }
         setShowSignModal(false);
         // refresh application data
         if (typeof fetchApplicationData === 'function') {
@@ -548,6 +628,30 @@ const ApplicationView = () => {
     }
   };
 
+  // Signing links are only stored hashed, so copying one issues a fresh link
+  const copyCoSignLink = async () => {
+    try {
+      let link = coSignLink;
+      if (!link) {
+        const res = await fetch(`/api/lease/co-sign-link/${id}`, {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || 'Failed to create signing link');
+        }
+        link = { url: data.coApplicantSigningUrl, expiresAt: data.coApplicantSigningExpires };
+        setCoSignLink(link);
+      }
+      await navigator.clipboard.writeText(link.url);
+      toast.success('Signing link copied');
+    } catch (err) {
+      console.error('Signing link error', err);
+      toast.error(err.message || 'Could not copy the signing link');
+    }
+  };
+
   // Canvas drawing handlers
   const startDraw = (e) => {
     e.preventDefault();
@@ -683,7 +787,9 @@ const ApplicationView = () => {
       <div className="fixed inset-0 bg-gray-800/50 z-50 flex items-center justify-center p-4">
         <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full p-6">
           <div className="flex items-center justify-between mb-4">
-            <h3 className="text-lg font-semibold text-gray-900">Sign Lease</h3>
+            <h3 className="text-lg font-semibold text-gray-900">
+              {signingAmendment ? `Sign Addendum ${signingAmendment.number}` : 'Sign Lease'}
+            </h3>
             <button className="text-gray-500 hover:text-gray-700" onClick={() => setShowSignModal(false)}>
               <X className="w-5 h-5" />
             </button>
@@ -698,7 +804,6 @@ const ApplicationView = () => {
                     onClick={() => {
                       setSignMode('type');
                       setHasDrawing(false);
-                      setHasDrawing2(false);
                     }}
                     className={`px-3 py-1 text-sm border ${signMode === 'type' ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300'}`}
                   >
@@ -727,17 +832,6 @@ const ApplicationView = () => {
                     className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                     placeholder="First Last"
                   />
-                  {application?.secondApplicantFirstName && application?.secondApplicantLastName && (
-                    <>
-                      <label className="block text-sm font-medium text-gray-700 mb-1 mt-3">Co-applicant Typed Signature</label>
-                      <input
-                        value={typedSignatureName2}
-                        onChange={(e) => setTypedSignatureName2(e.target.value)}
-                        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        placeholder="First Last"
-                      />
-                    </>
-                  )}
 
                 </>
               ) : (
@@ -762,42 +856,24 @@ const ApplicationView = () => {
                     <button onClick={clearCanvas} className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50">Clear</button>
                   </div>
 
-                  {application?.secondApplicantFirstName && application?.secondApplicantLastName && (
-                    <>
-                      <label className="block text-sm font-medium text-gray-700 mb-1 mt-4">Co-applicant Signature</label>
-                      <div className="border rounded-md bg-white">
-                        <canvas
-                          ref={canvasRef2}
-                          onMouseDown={(e) => { drawingRef2.current = true; setHasDrawing2(true); const rect = canvasRef2.current.getBoundingClientRect(); const x = (e.touches ? e.touches[0].clientX : e.clientX) - rect.left; const y = (e.touches ? e.touches[0].clientY : e.clientY) - rect.top; ctxRef2.current.beginPath(); ctxRef2.current.moveTo(x, y); }}
-                          onMouseMove={(e) => { if (!drawingRef2.current) return; e.preventDefault(); const rect = canvasRef2.current.getBoundingClientRect(); const x = (e.touches ? e.touches[0].clientX : e.clientX) - rect.left; const y = (e.touches ? e.touches[0].clientY : e.clientY) - rect.top; ctxRef2.current.lineTo(x, y); ctxRef2.current.stroke(); }}
-                          onMouseUp={() => { drawingRef2.current = false; }}
-                          onMouseLeave={() => { drawingRef2.current = false; }}
-                          onTouchStart={(e) => { drawingRef2.current = true; setHasDrawing2(true); const rect = canvasRef2.current.getBoundingClientRect(); const x = (e.touches ? e.touches[0].clientX : e.clientX) - rect.left; const y = (e.touches ? e.touches[0].clientY : e.clientY) - rect.top; ctxRef2.current.beginPath(); ctxRef2.current.moveTo(x, y); }}
-                          onTouchMove={(e) => { if (!drawingRef2.current) return; e.preventDefault(); const rect = canvasRef2.current.getBoundingClientRect(); const x = (e.touches ? e.touches[0].clientX : e.clientX) - rect.left; const y = (e.touches ? e.touches[0].clientY : e.clientY) - rect.top; ctxRef2.current.lineTo(x, y); ctxRef2.current.stroke(); }}
-                          onTouchEnd={() => { drawingRef2.current = false; }}
-                          className="w-full h-44"
-                        />
-                      </div>
-                      <div className="mt-2">
-                        <button
-                          onClick={() => {
-                            const canvas = canvasRef2.current;
-                            if (!canvas || !ctxRef2.current) return;
-                            ctxRef2.current.clearRect(0, 0, canvas.width, canvas.height);
-                            setHasDrawing2(false);
-                          }}
-                          className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
-                        >
-                          Clear
-                        </button>
-                      </div>
-                    </>
-                  )}
                 </>
               )}
 
+              {!signingAmendment && application?.secondApplicantFirstName && application?.secondApplicantLastName && (
+                <p className="text-xs text-gray-500 mt-3">
+                  {application.secondApplicantFirstName} {application.secondApplicantLastName} signs separately: after you sign you will get a link to send them. The lease counts as signed once both of you have signed.
+                </p>
+              )}
+
               <label className="flex items-center mt-3 space-x-2">
-                <input type="checkbox" checked={consentChecked} onChange={(e) => setConsentChecked(e.target.checked)} />
+                <input
+                  type="checkbox"
+                  checked={consentChecked}
+                  onChange={(e) => {
+                    setConsentChecked(e.target.checked);
+                    setConsentedAt(e.target.checked ? new Date().toISOString() : null);
+                  }}
+                />
                 <span className="text-sm text-gray-700">I consent to use electronic records and signatures (ESIGN).</span>
               </label>
 
@@ -818,6 +894,75 @@ const ApplicationView = () => {
       </div>
     )}
 
+    {showCancelModal && cancellationPreview && (
+      <div className="fixed inset-0 bg-gray-800/50 z-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow-xl max-w-lg w-full p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {application.leaseSigned ? 'Cancel Lease' : 'Cancel Application'}
+            </h3>
+            <button className="text-gray-500 hover:text-gray-700" onClick={() => setShowCancelModal(false)}>
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Paid toward this stay</span>
+              <span className="font-medium text-gray-900">{formatCurrency(cancellationPreview.paidAmount)}</span>
+            </div>
+            {cancellationPreview.deadline && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Cancellation deadline</span>
+                <span className="font-medium text-gray-900">{formatDate(cancellationPreview.deadline)}</span>
+              </div>
+            )}
+            <div className="flex justify-between">
+              <span className="text-gray-600">Refund</span>
+              <span className="font-semibold text-green-700">{formatCurrency(cancellationPreview.refundableAmount)}</span>
+            </div>
+            {cancellationPreview.retainedAmount > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Non-refundable Rental Fee</span>
+                <span className="font-semibold text-red-600">{formatCurrency(cancellationPreview.retainedAmount)}</span>
+              </div>
+            )}
+          </div>
+
+          <p className="text-xs text-gray-600 bg-gray-50 border border-gray-200 rounded-lg p-3 mt-4">
+            {cancellationPreview.rule === 'afterDeadline'
+              ? 'The cancellation deadline has passed, so the Rental Fee is non-refundable under clause 1 of your lease. If we re-let the unit for the same period, we will refund it.'
+              : 'You are cancelling on or before the cancellation deadline, so everything you have paid will be refunded.'}
+            {' '}Card processing fees are not refunded. Your dates will be released as soon as you cancel.
+          </p>
+
+          <label className="block text-sm font-medium text-gray-700 mt-4 mb-1">Reason (optional)</label>
+          <textarea
+            value={cancelReason}
+            onChange={(e) => setCancelReason(e.target.value)}
+            rows={3}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+
+          <div className="flex justify-end space-x-3 mt-4">
+            <button
+              onClick={() => setShowCancelModal(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Keep My Booking
+            </button>
+            <button
+              onClick={handleCancelApplication}
+              disabled={cancelling}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {cancelling ? 'Cancelling...' : 'Confirm Cancellation'}
+            </button>
+          </div>
+        </div>
+      </div>
+    )}
+
         <div className="grid grid-cols-1 xl:grid-cols-4 gap-4">
           {/* Left Panel - Application Information */}
           <div className="xl:col-span-3">
@@ -829,7 +974,7 @@ const ApplicationView = () => {
                     <User className="h-4 w-4 mr-2 text-blue-600" />
                     Personal Information
                   </h3>
-                  {!isEditing ? (
+                  {!isEditing ? (EDITABLE_STATUSES.includes(application.status) && (
                     <button
                       onClick={handleEditClick}
                       className="flex items-center px-3 py-2 text-sm text-blue-600 hover:text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors"
@@ -837,7 +982,7 @@ const ApplicationView = () => {
                       <Edit3 className="w-4 h-4 mr-2" />
                       Edit
                     </button>
-                  ) : (
+                  )) : (
                     <div className="flex items-center space-x-2">
                       <button
                         onClick={handleSaveEdit}
@@ -864,7 +1009,7 @@ const ApplicationView = () => {
                     <User className="w-4 h-4 text-gray-400 mt-1 flex-shrink-0" />
                     <div className="flex-1 min-w-0">
                       <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">Name</p>
-                      {isEditing ? (
+                      {isEditing && application.status === 'draft' ? (
                         <div className="flex space-x-2 mt-1">
                           <input
                             type="text"
@@ -891,7 +1036,7 @@ const ApplicationView = () => {
                     <Users className="w-4 h-4 text-gray-400 mt-1 flex-shrink-0" />
                     <div className="flex-1 min-w-0">
                       <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">Co-Applicant</p>
-                      {isEditing ? (
+                      {isEditing && application.status === 'draft' ? (
                         <div className="flex space-x-2 mt-1">
                           <input
                             type="text"
@@ -1087,6 +1232,21 @@ const ApplicationView = () => {
                         </div>
                       </div>
 
+                      {application.stayTaxes?.assessedAt && (
+                        <div className="text-xs text-gray-600 space-y-1">
+                          {application.stayTaxes.exempt ? (
+                            <p>No sales or tourist development tax: {application.stayTaxes.exemptReason.toLowerCase()}.</p>
+                          ) : (
+                            application.stayTaxes.lines.map(line => (
+                              <div key={line.key} className="flex justify-between">
+                                <span>{line.name} ({line.rate}%)</span>
+                                <span>{formatCurrency(line.amount)}</span>
+                              </div>
+                            ))
+                          )}
+                        </div>
+                      )}
+
                       <div className="space-y-4 pt-4 border-t border-gray-200">
                         <div className="flex flex-col sm:flex-row gap-3">
                           <button
@@ -1096,7 +1256,24 @@ const ApplicationView = () => {
                             <Download className="w-4 h-4 mr-2" />
                             Download Lease
                           </button>
-                          {!application?.leaseSigned && (
+                          {awaitingCoApplicant && (
+                            <>
+                              <div className="flex items-center text-amber-600">
+                                <Clock className="w-4 h-4 mr-2" />
+                                <span className="text-sm font-medium">
+                                  Waiting for {application.secondApplicantFirstName} {application.secondApplicantLastName} to sign
+                                </span>
+                              </div>
+                              <button
+                                onClick={copyCoSignLink}
+                                className="flex items-center justify-center px-4 py-2 bg-white text-blue-700 border border-blue-300 rounded-lg hover:bg-blue-50 transition-colors"
+                              >
+                                <Mail className="w-4 h-4 mr-2" />
+                                Copy Co-Applicant Signing Link
+                              </button>
+                            </>
+                          )}
+                          {!application?.leaseSigned && !awaitingCoApplicant && (
                             <button
                               onClick={openSignModal}
                               className="flex items-center justify-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
@@ -1108,10 +1285,57 @@ const ApplicationView = () => {
                           {application?.leaseSigned && (
                             <div className="flex items-center text-green-600">
                               <CheckCircle className="w-4 h-4 mr-2" />
-                              <span className="text-sm font-medium">Lease Signed & Uploaded</span>
+                              <span className="text-sm font-medium">
+                                {application.fullyExecutedAt
+                                  ? `Fully Executed ${new Date(application.fullyExecutedAt).toLocaleDateString()}`
+                                  : 'Lease Signed & Uploaded'}
+                              </span>
                             </div>
                           )}
                         </div>
+
+                        {leaseAmendments.filter(amendment => amendment.status === 'proposed').map(amendment => (
+                          <div key={amendment._id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 rounded-lg border border-amber-200 bg-amber-50 p-3">
+                            <div>
+                              <p className="text-sm font-medium text-amber-900">Addendum {amendment.number} needs your signature</p>
+                              <p className="text-xs text-amber-800">
+                                The manager proposed a change to your lease{amendment.reason ? `: ${amendment.reason}` : ''}. It takes effect once you sign.
+                              </p>
+                            </div>
+                            <button
+                              onClick={() => openAmendmentSignModal(amendment)}
+                              className="flex items-center justify-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                            >
+                              <FileText className="w-4 h-4 mr-2" />
+                              Review & Sign
+                            </button>
+                          </div>
+                        ))}
+
+                        {leaseHistory.length > 1 && (
+                          <div>
+                            <h4 className="text-sm font-medium text-gray-900 mb-2 flex items-center">
+                              <History className="w-4 h-4 mr-2 text-blue-600" />
+                              Lease History
+                            </h4>
+                            <ul className="space-y-1">
+                              {leaseHistory.map(entry => (
+                                <li key={entry.amendmentId || 'lease'} className="flex items-center justify-between text-sm">
+                                  <span className="text-gray-700">
+                                    {entry.title} <span className="text-xs text-gray-500">· signed {formatDate(entry.signedAt)}</span>
+                                  </span>
+                                  <button
+                                    onClick={() => viewHistoryDocument(entry)}
+                                    className="flex items-center text-xs text-blue-600 hover:text-blue-800"
+                                  >
+                                    <Download className="w-3 h-3 mr-1" />
+                                    View
+                                  </button>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
                         
                         {!application?.leaseSigned && (
                           <div className="space-y-3">
@@ -1175,15 +1399,49 @@ const ApplicationView = () => {
                         }
                       </p>
                     </div>
-                    <button
-                      onClick={handleMakePayment}
-                      className="flex items-center px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm"
-                    >
-                      <CreditCard className="w-4 h-4 mr-2" />
-                      Make Payment
-                    </button>
+                    <div className="flex items-center gap-2">
+                      {application?.leaseGenerated && (
+                        <button
+                          onClick={handleDownloadStatement}
+                          className="flex items-center px-3 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors text-sm"
+                        >
+                          <Download className="w-4 h-4 mr-2" />
+                          Statement
+                        </button>
+                      )}
+                      <button
+                        onClick={handleMakePayment}
+                        className="flex items-center px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm"
+                      >
+                        <CreditCard className="w-4 h-4 mr-2" />
+                        Make Payment
+                      </button>
+                    </div>
                   </div>
 
+                  {paymentSchedule?.installments?.length > 0 && (
+                    <div className="mb-3 space-y-2">
+                      <h5 className="text-sm font-medium text-gray-900">Payment Schedule</h5>
+                      {paymentSchedule.installments.map((installment) => (
+                        <div key={installment.key} className="flex items-center justify-between p-3 bg-white rounded-lg border border-gray-200">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">{installment.label}</p>
+                            <p className="text-xs text-gray-500">
+                              Due {formatDate(installment.dueDate)}
+                              {installment.status !== 'paid' && installment.paidAmount > 0 && ` · ${formatCurrency(installment.remainingAmount)} remaining`}
+                            </p>
+                          </div>
+                          <div className="text-right">
+                            <p className="text-sm font-semibold text-gray-900">{formatCurrency(installment.amount)}</p>
+                            <p className={`text-xs px-2 py-1 rounded-full ${getInstallmentStatusColor(installment.status)}`}>
+                              {installment.status}
+                            </p>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
                   {payments.length > 0 ? (
                     <div className="space-y-3">
                       {/* Payment Summary */}
@@ -1196,7 +1454,7 @@ const ApplicationView = () => {
                             </p>
                             <p className="text-xs text-blue-700">
                               {application?.leaseGenerated 
-                                ? `$${application?.depositAmount || 0} deposit + $${application?.rentalAmount || 0} rent`
+                                ? `$${application?.depositAmount || 0} deposit + $${application?.rentalAmount || 0} rent${stayTaxTotal(application) ? ` + $${stayTaxTotal(application).toFixed(2)} taxes` : ''}`
                                 : 'Amounts will be set when lease is created'
                               }
                             </p>
@@ -1273,7 +1531,7 @@ const ApplicationView = () => {
                             </p>
                             <p className="text-xs text-gray-600">
                               {application?.leaseGenerated 
-                                ? `$${application?.depositAmount || 0} deposit + $${application?.rentalAmount || 0} rent`
+                                ? `$${application?.depositAmount || 0} deposit + $${application?.rentalAmount || 0} rent${stayTaxTotal(application) ? ` + $${stayTaxTotal(application).toFixed(2)} taxes` : ''}`
                                 : 'Amounts will be set when lease is created'
                               }
                             </p>
@@ -1331,7 +1589,30 @@ const ApplicationView = () => {
                   </div>
                 </div>
 
+                {application.status === 'pending' && application.holdExpiresAt && (
+                  <div className="flex items-center space-x-3">
+                    <Clock className="w-4 h-4 text-amber-500 flex-shrink-0" />
+                    <div>
+                      <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">Dates Held Until</p>
+                      <p className="text-sm font-medium text-gray-900">
+                        {new Date(application.holdExpiresAt) > new Date()
+                          ? new Date(application.holdExpiresAt).toLocaleDateString('en-US')
+                          : 'Hold expired'}
+                      </p>
+                    </div>
+                  </div>
+                )}
 
+                {application.status === 'cancelled' && application.cancellation && (
+                  <div className="pt-3 border-t border-gray-200 space-y-1">
+                    <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">Cancelled</p>
+                    <p className="text-sm text-gray-900">{formatDate(application.cancellation.cancelledAt)}</p>
+                    <p className="text-xs text-gray-600">
+                      Refund: {formatCurrency(application.cancellation.refundableAmount || 0)}
+                      {application.cancellation.retainedAmount > 0 && ` (${formatCurrency(application.cancellation.retainedAmount)} non-refundable)`}
+                    </p>
+                  </div>
+                )}
 
                 {application.notes && (
                   <div className="pt-3 border-t border-gray-200">
@@ -1370,6 +1651,15 @@ const ApplicationView = () => {
                   <FileText className="h-4 w-4 mr-2" />
                   New Application
                 </button>
+                {['pending', 'approved'].includes(application.status) && (
+                  <button
+                    onClick={openCancelModal}
+                    className="w-full btn-secondary flex items-center justify-center text-sm py-2 text-red-600"
+                  >
+                    <X className="h-4 w-4 mr-2" />
+                    {application.leaseSigned ? 'Cancel Lease' : 'Cancel Application'}
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import Navigation from '../components/Navigation';
+import { FileText, CheckCircle, AlertCircle, Clock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { createTypedSignatureImage } from '../utils/signature';
+
+// Public signing page the co-applicant reaches through their emailed or texted link
+const CoSignLease = () => {
+  const { token } = useParams();
+  const [lease, setLease] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [signMode, setSignMode] = useState('type');
+  const [typedName, setTypedName] = useState('');
+  const [hasDrawing, setHasDrawing] = useState(false);
+  const [consentChecked, setConsentChecked] = useState(false);
+  const [consentedAt, setConsentedAt] = useState(null);
+  const [signing, setSigning] = useState(false);
+  const [signed, setSigned] = useState(false);
+  const canvasRef = useRef(null);
+  const ctxRef = useRef(null);
+  const drawingRef = useRef(false);
+
+  useEffect(() => {
+    const loadLease = async () => {
+      try {
+        const res = await fetch(`/api/lease/co-sign/${token}`);
+        const data = await res.json();
+        if (!res.ok) {
+          setLoadError(data.error || 'This signing link is not valid');
+          return;
+        }
+        setLease(data);
+        setTypedName(data.coApplicantName || '');
+      } catch (err) {
+        console.error('Error loading lease:', err);
+        setLoadError('Unable to load the lease right now');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadLease();
+  }, [token]);
+
+  const initCanvas = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const width = canvas.parentElement ? canvas.parentElement.clientWidth : 520;
+    const height = 180;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.floor(width * dpr);
+    canvas.height = Math.floor(height * dpr);
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = 2.5;
+    ctx.strokeStyle = '#111827';
+    ctxRef.current = ctx;
+    setHasDrawing(false);
+  }, []);
+
+  useEffect(() => {
+    if (signMode === 'draw') initCanvas();
+  }, [signMode, initCanvas]);
+
+  const pointFromEvent = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const source = e.touches ? e.touches[0] : e;
+    return { x: source.clientX - rect.left, y: source.clientY - rect.top };
+  };
+
+  const startDraw = (e) => {
+    e.preventDefault();
+    drawingRef.current = true;
+    setHasDrawing(true);
+    const { x, y } = pointFromEvent(e);
+    ctxRef.current.beginPath();
+    ctxRef.current.moveTo(x, y);
+  };
+
+  const drawMove = (e) => {
+    if (!drawingRef.current) return;
+    e.preventDefault();
+    const { x, y } = pointFromEvent(e);
+    ctxRef.current.lineTo(x, y);
+    ctxRef.current.stroke();
+  };
+
+  const endDraw = () => {
+    drawingRef.current = false;
+  };
+
+  const submitSignature = async () => {
+    if (!consentChecked) {
+      toast.error('Please provide consent to sign electronically.');
+      return;
+    }
+
+    let signatureImageBase64 = '';
+    if (signMode === 'draw') {
+      if (!hasDrawing) {
+        toast.error('Please draw your signature before submitting.');
+        return;
+      }
+      signatureImageBase64 = canvasRef.current.toDataURL('image/png');
+    } else {
+      if (!typedName.trim()) {
+        toast.error('Please type your full name to sign.');
+        return;
+      }
+      signatureImageBase64 = await createTypedSignatureImage(typedName);
+    }
+
+    try {
+      setSigning(true);
+      const res = await fetch(`/api/lease/co-sign/${token}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          typedName: typedName.trim(),
+          signatureImageBase64,
+          signatureMethod: signMode,
+          consent: true,
+          consentedAt
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to sign lease');
+      }
+      setSigned(true);
+      toast.success('Lease signed successfully');
+    } catch (err) {
+      console.error('Co-sign error:', err);
+      toast.error(err.message || 'Error signing lease');
+    } finally {
+      setSigning(false);
+    }
+  };
+
+  const renderMessage = (Icon, iconClass, title, message) => (
+    <div className="card text-center py-10">
+      <Icon className={`mx-auto h-14 w-14 mb-4 ${iconClass}`} />
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{title}</h2>
+      <p className="text-gray-600">{message}</p>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navigation />
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 pt-24 pb-12">
+        {loading && (
+          <div className="flex justify-center py-20">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+
+        {!loading && loadError && renderMessage(AlertCircle, 'text-amber-500', 'Signing link unavailable', loadError)}
+
+        {!loading && signed && renderMessage(
+          CheckCircle,
+          'text-green-500',
+          'Thank you for signing',
+          `Your signature has been added to the Palm Run lease ${lease.applicationNumber ? `(${lease.applicationNumber})` : ''}. The primary applicant can download the signed copy from their account.`
+        )}
+
+        {!loading && lease && !signed && (
+          <div className="card p-6">
+            <div className="mb-6">
+              <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+                <FileText className="h-6 w-6 mr-2 text-blue-600" />
+                Sign the Palm Run Lease
+              </h1>
+              <p className="text-gray-600 mt-1">
+                {lease.primarySignerName} signed on {new Date(lease.primarySignedAt).toLocaleDateString()} and listed you, {lease.coApplicantName}, as co-applicant.
+              </p>
+              <p className="text-xs text-gray-500 mt-1 flex items-center">
+                <Clock className="h-3 w-3 mr-1" />
+                This link expires {new Date(lease.expiresAt).toLocaleString()}
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <div className="mb-3">
+                  <div className="inline-flex rounded-md shadow-sm" role="group">
+                    <button
+                      type="button"
+                      onClick={() => setSignMode('type')}
+                      className={`px-3 py-1 text-sm border ${signMode === 'type' ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300'}`}
+                    >
+                      Type
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSignMode('draw')}
+                      className={`px-3 py-1 text-sm border -ml-px ${signMode === 'draw' ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300'}`}
+                    >
+                      Draw
+                    </button>
+                  </div>
+                </div>
+
+                {signMode === 'type' ? (
+                  <>
+                    <p className="text-sm text-gray-600 mb-3">Type your full legal name exactly as it should appear on the lease.</p>
+                    <input
+                      value={typedName}
+                      onChange={(e) => setTypedName(e.target.value)}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="First Last"
+                    />
+                  </>
+                ) : (
+                  <>
+                    <p className="text-sm text-gray-600 mb-3">Use your mouse or finger to sign in the box below.</p>
+                    <div className="border rounded-md bg-white">
+                      <canvas
+                        ref={canvasRef}
+                        onMouseDown={startDraw}
+                        onMouseMove={drawMove}
+                        onMouseUp={endDraw}
+                        onMouseLeave={endDraw}
+                        onTouchStart={startDraw}
+                        onTouchMove={drawMove}
+                        onTouchEnd={endDraw}
+                        className="w-full h-44"
+                      />
+                    </div>
+                    <div className="mt-2">
+                      <button onClick={initCanvas} className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50">Clear</button>
+                    </div>
+                  </>
+                )}
+
+                <label className="flex items-center mt-3 space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={consentChecked}
+                    onChange={(e) => {
+                      setConsentChecked(e.target.checked);
+                      setConsentedAt(e.target.checked ? new Date().toISOString() : null);
+                    }}
+                  />
+                  <span className="text-sm text-gray-700">I consent to use electronic records and signatures (ESIGN).</span>
+                </label>
+
+                <button
+                  onClick={submitSignature}
+                  disabled={signing}
+                  className="mt-4 inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                >
+                  {signing ? 'Signing...' : 'Sign and Submit'}
+                </button>
+              </div>
+
+              <div className="border rounded-md p-3 bg-gray-50 overflow-auto max-h-96">
+                <pre className="whitespace-pre-wrap text-xs text-gray-800">{lease.leaseText}</pre>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CoSignLease;
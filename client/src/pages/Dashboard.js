@@ -113,6 +113,8 @@ const Dashboard = () => {
         return 'Declined';
       case 'completed':
         return 'Complete';
+      case 'cancelled':
+        return 'Cancelled';
       case 'not_started':
         return 'Start';
       default:
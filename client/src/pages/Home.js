@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import Navigation from '../components/Navigation';
+import StayQuote from '../components/StayQuote';
 import { 
   Star,
   Bed,
@@ -25,6 +26,9 @@ const Home = () => {
   const [showAllRates, setShowAllRates] = useState(false);
   const [availability, setAvailability] = useState([]);
   const [currentMonth, setCurrentMonth] = useState(new Date());
+  const [selectedStart, setSelectedStart] = useState('');
+  const [selectedEnd, setSelectedEnd] = useState('');
+  const [quoteGuests, setQuoteGuests] = useState(2);
   const [reviews, setReviews] = useState([
     {
       id: 2,
@@ -227,12 +231,61 @@ const Home = () => {
     return availabilityRecord ? availabilityRecord.isAvailable : true;
   };
 
+  // Held dates are tentatively requested by a submitted application
+  const isDateHeld = (date) => {
+    const dateStr = date.toISOString().split('T')[0];
+    const availabilityRecord = availability.find(record =>
+      record.date.split('T')[0] === dateStr
+    );
+    return availabilityRecord ? availabilityRecord.status === 'held' : false;
+  };
+
   const isDateInPast = (date) => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     return date < today;
   };
 
+  const toDateKey = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  };
+
+  // First click picks the arrival day, second click the departure day
+  const handleDayClick = (date) => {
+    if (isDateInPast(date) || !isDateAvailable(date)) return;
+    const key = toDateKey(date);
+
+    if (!selectedStart || selectedEnd || key <= selectedStart) {
+      setSelectedStart(key);
+      setSelectedEnd('');
+    } else {
+      setSelectedEnd(key);
+    }
+  };
+
+  const getSelectionState = (date) => {
+    const key = toDateKey(date);
+    if (key === selectedStart || key === selectedEnd) return 'edge';
+    if (selectedStart && selectedEnd && key > selectedStart && key < selectedEnd) return 'inside';
+    return null;
+  };
+
+  const selectionIncludesHeld = () => {
+    if (!selectedStart || !selectedEnd) return false;
+    return availability.some(record => {
+      const key = record.date.split('T')[0];
+      return record.status === 'held' && key >= selectedStart && key < selectedEnd;
+    });
+  };
+
+  const clearSelection = () => {
+    setSelectedStart('');
+    setSelectedEnd('');
+  };
+
   const navigateMonth = (direction) => {
     setCurrentMonth(prev => {
       const newMonth = new Date(prev);
@@ -604,18 +657,28 @@ const Home = () => {
                       const day = i + 1;
                       const date = new Date(month.getFullYear(), month.getMonth(), day);
                       const isAvailable = isDateAvailable(date);
+                      const isHeld = isDateHeld(date);
                       const isPast = isDateInPast(date);
+                      const selection = getSelectionState(date);
                       
                       return (
                         <div
                           key={day}
+                          onClick={() => handleDayClick(date)}
                           className={`h-8 flex items-center justify-center text-sm font-medium rounded ${
                             isPast
                               ? 'text-gray-300 bg-gray-100'
-                              : isAvailable
-                                ? 'text-gray-900 bg-green-100 hover:bg-green-200 cursor-pointer'
-                                : 'text-gray-500 bg-red-100 line-through'
+                              : selection === 'edge'
+                                ? 'text-white bg-blue-600 cursor-pointer'
+                                : selection === 'inside'
+                                  ? 'text-gray-900 bg-blue-200 cursor-pointer'
+                                  : !isAvailable
+                                    ? 'text-gray-500 bg-red-100 line-through'
+                                    : isHeld
+                                      ? 'text-gray-900 bg-amber-100 hover:bg-amber-200 cursor-pointer'
+                                      : 'text-gray-900 bg-green-100 hover:bg-green-200 cursor-pointer'
                           }`}
+                          title={!isPast && isAvailable && isHeld ? 'On hold for a submitted application' : undefined}
                         >
                           {day}
                         </div>
@@ -631,6 +694,10 @@ const Home = () => {
                 <div className="w-4 h-4 bg-green-100 rounded mr-2"></div>
                 <span className="text-sm text-gray-600">Available</span>
               </div>
+              <div className="flex items-center">
+                <div className="w-4 h-4 bg-amber-100 rounded mr-2"></div>
+                <span className="text-sm text-gray-600">On hold</span>
+              </div>
               <div className="flex items-center">
                 <div className="w-4 h-4 bg-red-100 rounded mr-2"></div>
                 <span className="text-sm text-gray-600">Unavailable</span>
@@ -640,6 +707,46 @@ const Home = () => {
                 <span className="text-sm text-gray-600">Past dates</span>
               </div>
             </div>
+
+            <div className="mt-8 max-w-xl mx-auto">
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                <p className="text-sm text-gray-600">
+                  {!selectedStart
+                    ? 'Select your arrival date on the calendar to see a price.'
+                    : !selectedEnd
+                      ? 'Now select your departure date.'
+                      : `${selectedStart} to ${selectedEnd}`}
+                </p>
+                <div className="flex items-center gap-3">
+                  <label htmlFor="quoteGuests" className="text-sm text-gray-600">Guests</label>
+                  <select
+                    id="quoteGuests"
+                    value={quoteGuests}
+                    onChange={(e) => setQuoteGuests(Number(e.target.value))}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                  >
+                    {[1, 2, 3, 4].map(count => (
+                      <option key={count} value={count}>{count}</option>
+                    ))}
+                  </select>
+                  {selectedStart && (
+                    <button
+                      onClick={clearSelection}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Clear
+                    </button>
+                  )}
+                </div>
+              </div>
+              {selectionIncludesHeld() && (
+                <div className="mb-3 rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+                  Some of these dates are on hold for an application that is awaiting review. You can still
+                  apply, but they may not remain available.
+                </div>
+              )}
+                            <StayQuote startDate={selectedStart} endDate={selectedEnd} guests={quoteGuests} />
+            </div>
           </div>
         </div>
       </section>
@@ -3,7 +3,6 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { toast } from 'react-hot-toast';
 import axios from 'axios';
-import jsPDF from 'jspdf';
 import {
   FileText,
   Download,
@@ -68,12 +67,9 @@ const Lease = () => {
   const generateLeaseFromData = useCallback(async (leaseInfo) => {
     try {
       setLoading(true);
-      const response = await axios.post(`/api/lease/generate/${leaseInfo.applicationId}`, {
-        leaseStartDate: leaseInfo?.leaseStartDate || formatDateForAPI(new Date()),
-        leaseEndDate: leaseInfo?.leaseEndDate || formatDateForAPI(new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)),
-        rentalAmount: leaseInfo?.rentalAmount || 2500
-      });
-      setLeaseContent(response.data.leaseAgreement);
+      // Read-only: the text the tenant will sign (or, once signed, the text they signed)
+      const response = await axios.get(`/api/lease/preview/${leaseInfo.applicationId}`);
+      setLeaseContent(response.data.leaseText);
       toast.success('Lease agreement loaded successfully!');
     } catch (error) {
       console.error('Error loading existing lease:', error);
@@ -132,39 +128,25 @@ const Lease = () => {
     setShowPreview(true);
   };
 
-  const downloadLease = () => {
+  const downloadLease = async () => {
     if (!leaseContent) {
       toast.error('No lease content available. Please generate the lease first.');
       return;
     }
     
     try {
-      // Generate PDF
-      const doc = new jsPDF();
-      
-      // Set title
-      doc.setFontSize(20);
-      doc.text('Lease Agreement', 105, 20, { align: 'center' });
-      
-      // Add lease content with proper page handling
-      doc.setFontSize(10);
-      const splitText = doc.splitTextToSize(leaseContent, 170);
-      
-             let yPosition = 40;
-      
-      for (let i = 0; i < splitText.length; i++) {
-        // Check if we need a new page
-        if (yPosition > 270) {
-          doc.addPage();
-          yPosition = 20;
-        }
-        
-        doc.text(splitText[i], 20, yPosition);
-        yPosition += 7;
-      }
-      
-      // Save the PDF
-      doc.save(`lease-agreement-${user.firstName}-${user.lastName}.pdf`);
+      // Rendered by the server so the download matches the signed copy
+      const params = new URLSearchParams({ applicationId: leaseData.applicationId });
+      const response = await axios.get(`/api/lease/download?${params.toString()}`, { responseType: 'blob' });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `lease-agreement-${user.firstName}-${user.lastName}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => window.URL.revokeObjectURL(url), 1000);
       
       toast.success('Lease agreement downloaded successfully as PDF!');
     } catch (error) {
@@ -239,20 +221,10 @@ const Lease = () => {
       await loadLeaseStatus();
     } catch (error) {
       console.error('Error removing signed lease:', error);
-      toast.error('Error removing signed lease');
+      toast.error(error.response?.data?.error || 'Error removing signed lease');
     }
   };
 
-
-
-  // Helper function to format dates for API calls (YYYY-MM-DD format)
-  const formatDateForAPI = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-  };
-
   if (!user) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 to-cyan-50 flex items-center justify-center">
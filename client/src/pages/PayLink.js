@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import Navigation from '../components/Navigation';
+import { CreditCard, Landmark, CheckCircle, AlertCircle, Clock, DollarSign } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const PAYMENT_TYPE_LABELS = {
+  deposit: 'Security Deposit',
+  rent: 'Rent',
+  late_fee: 'Late Fee',
+  other: 'Other Charge'
+};
+
+// Public page a tenant reaches through a payment request link from an admin
+const PayLink = () => {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const returnedFromCheckout = searchParams.get('status') === 'success';
+  const [request, setRequest] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('card');
+  const [redirecting, setRedirecting] = useState(false);
+  const isBankDebit = paymentMethod === 'us_bank_account';
+
+  useEffect(() => {
+    const loadRequest = async () => {
+      try {
+        const res = await fetch(`/api/payment/pay-links/${token}`);
+        const data = await res.json();
+        if (!res.ok) {
+          setLoadError(data.error || 'This payment link is not valid');
+          return;
+        }
+        setRequest(data);
+      } catch (err) {
+        console.error('Error loading payment request:', err);
+        setLoadError('Unable to load this payment right now');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRequest();
+  }, [token]);
+
+  const amount = request ? request.amount / 100 : 0;
+  const creditCardFee = isBankDebit ? 0 : Math.round(amount * 0.03 * 100) / 100;
+  const totalAmount = amount + creditCardFee;
+
+  const handlePay = async () => {
+    try {
+      setRedirecting(true);
+      const res = await fetch(`/api/payment/pay-links/${token}/checkout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paymentMethod })
+      });
+      const data = await res.json();
+      if (!res.ok || !data.url) {
+        throw new Error(data.error || 'Failed to create checkout session');
+      }
+      window.location.href = data.url;
+    } catch (err) {
+      toast.error(err.message);
+      setRedirecting(false);
+    }
+  };
+
+  const renderMessage = (Icon, iconClass, title, message) => (
+    <div className="card text-center py-10">
+      <Icon className={`mx-auto h-14 w-14 mb-4 ${iconClass}`} />
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{title}</h2>
+      <p className="text-gray-600">{message}</p>
+    </div>
+  );
+
+  const renderBody = () => {
+    if (request.status === 'paid') {
+      return renderMessage(
+        CheckCircle,
+        'text-green-500',
+        'Payment received',
+        `Thank you. ${request.memo} ($${amount.toFixed(2)}) was paid${request.paidAt ? ` on ${new Date(request.paidAt).toLocaleDateString()}` : ''}.`
+      );
+    }
+    if (request.status === 'canceled') {
+      return renderMessage(AlertCircle, 'text-amber-500', 'Payment link unavailable', 'This payment request has been canceled.');
+    }
+    if (returnedFromCheckout || request.processing) {
+      return renderMessage(
+        Clock,
+        'text-blue-500',
+        'Payment submitted',
+        'Thank you. Card payments are confirmed within a few minutes; bank debits clear in about 4 business days. A receipt will be in your payment history.'
+      );
+    }
+
+    return (
+      <div className="card p-6 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <DollarSign className="h-6 w-6 mr-2 text-blue-600" />
+            Payment Request
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Palm Run LLC has requested a payment{request.renterName ? ` from ${request.renterName}` : ''}
+            {request.applicationNumber ? ` for application ${request.applicationNumber}` : ''}.
+          </p>
+          <p className="text-xs text-gray-500 mt-1 flex items-center">
+            <Clock className="h-3 w-3 mr-1" />
+            This link expires {new Date(request.expiresAt).toLocaleString()}
+          </p>
+        </div>
+
+        {/* Payment Method */}
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Payment Method</h2>
+          <div className="grid grid-cols-2 gap-3">
+            <button
+              type="button"
+              onClick={() => setPaymentMethod('card')}
+              className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                paymentMethod === 'card'
+                  ? 'border-primary-600 bg-primary-600 text-white shadow-lg'
+                  : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50'
+              }`}
+            >
+              <CreditCard className="mx-auto h-8 w-8 mb-2" />
+              <span className="font-medium">Credit or Debit Card</span>
+              <p className="text-xs mt-1 opacity-90">3% processing fee</p>
+            </button>
+            <button
+              type="button"
+              onClick={() => setPaymentMethod('us_bank_account')}
+              className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                isBankDebit
+                  ? 'border-primary-600 bg-primary-600 text-white shadow-lg'
+                  : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50'
+              }`}
+            >
+              <Landmark className="mx-auto h-8 w-8 mb-2" />
+              <span className="font-medium">US Bank Account</span>
+              <p className="text-xs mt-1 opacity-90">No fee · clears in about 4 business days</p>
+            </button>
+          </div>
+        </div>
+
+        {/* Payment Summary */}
+        <div className="bg-white/60 backdrop-blur-sm rounded-lg p-4">
+          <h3 className="font-medium text-gray-900 mb-3">Payment Summary</h3>
+          <div className="space-y-2">
+            <div className="flex justify-between">
+              <span className="text-gray-600">For:</span>
+              <span className="font-medium text-right">{request.memo}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Payment Type:</span>
+              <span className="font-medium">{PAYMENT_TYPE_LABELS[request.paymentType] || request.paymentType}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Amount:</span>
+              <span className="font-bold text-lg">${amount.toFixed(2)}</span>
+            </div>
+            {isBankDebit ? (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Bank debit processing fee:</span>
+                <span className="text-gray-600">None</span>
+              </div>
+            ) : (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Credit Card Processing Fee (3%):</span>
+                <span className="text-gray-600">${creditCardFee.toFixed(2)}</span>
+              </div>
+            )}
+            <div className="border-t pt-2">
+              <div className="flex justify-between">
+                <span className="font-semibold text-gray-900">Total:</span>
+                <span className="font-bold text-xl text-primary">${totalAmount.toFixed(2)}</span>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <button
+          onClick={handlePay}
+          disabled={redirecting}
+          className="btn-primary w-full flex items-center justify-center text-lg py-3"
+        >
+          {redirecting ? (
+            <>
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+              Processing...
+            </>
+          ) : (
+            <>
+              {isBankDebit ? <Landmark className="mr-2 h-5 w-5" /> : <CreditCard className="mr-2 h-5 w-5" />}
+              Proceed to Payment
+            </>
+          )}
+        </button>
+
+        <p className="text-center text-sm text-gray-500">
+          Payments are processed securely by Stripe.
+        </p>
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navigation />
+      <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 pt-24 pb-12">
+        {loading && (
+          <div className="flex justify-center py-20">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+
+        {!loading && loadError && renderMessage(AlertCircle, 'text-amber-500', 'Payment link unavailable', loadError)}
+
+        {!loading && request && renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default PayLink;
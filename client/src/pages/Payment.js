@@ -5,6 +5,7 @@ import { toast } from 'react-hot-toast';
 import axios from 'axios';
 import {
   CreditCard,
+  Landmark,
   AlertCircle,
   Download,
   Clock,
@@ -22,6 +23,11 @@ const Payment = () => {
   const [customAmount, setCustomAmount] = useState('');
   const [paymentType, setPaymentType] = useState('deposit');
   const [description, setDescription] = useState('');
+  const [schedule, setSchedule] = useState(null);
+  const [selectedInstallment, setSelectedInstallment] = useState(null);
+  // card, or us_bank_account for an ACH debit (no processing fee)
+  const [paymentMethod, setPaymentMethod] = useState('card');
+  const isBankDebit = paymentMethod === 'us_bank_account';
   
   // Get applicationId from URL parameters
   const applicationId = searchParams.get('applicationId');
@@ -38,11 +44,38 @@ const Payment = () => {
     }
   }, [applicationId]);
 
+  // Once the lease is generated, payments follow its installments
+  const loadPaymentSchedule = useCallback(async () => {
+    if (!applicationId) return;
+    try {
+      const response = await axios.get(`/api/payment/schedule/${applicationId}`);
+      setSchedule(response.data);
+      const next = response.data.nextInstallment;
+      if (next) {
+        setSelectedInstallment(next);
+        setPaymentType(next.paymentType);
+        setSelectedAmount(String(next.remainingAmount / 100));
+      }
+    } catch (error) {
+      console.error('Error loading payment schedule:', error);
+    }
+  }, [applicationId]);
+
   useEffect(() => {
     if (user) {
       loadPaymentHistory();
+      loadPaymentSchedule();
     }
-  }, [user, applicationId, loadPaymentHistory]);
+  }, [user, applicationId, loadPaymentHistory, loadPaymentSchedule]);
+
+  const hasSchedule = schedule?.installments?.length > 0;
+
+  const selectInstallment = (installment) => {
+    setSelectedInstallment(installment);
+    setPaymentType(installment.paymentType);
+    setSelectedAmount(String(installment.remainingAmount / 100));
+    setCustomAmount('');
+  };
 
   const handleAmountSelect = (amount) => {
     setSelectedAmount(amount);
@@ -75,7 +108,8 @@ const Payment = () => {
   };
 
   const getCreditCardFee = (amount) => {
-    // 3% credit card processing fee
+    // 3% credit card processing fee; bank debits are an alternative method and pay none
+    if (isBankDebit) return 0;
     return Math.round(amount * 0.03 * 100) / 100; // Round to 2 decimal places
   };
 
@@ -102,8 +136,10 @@ const Payment = () => {
         creditCardFee: creditCardFee,
         totalAmount: totalAmount,
         paymentType,
+        paymentMethod,
         applicationId: applicationId,
-        description: description || `${paymentType === 'deposit' ? 'Security Deposit' : 'Rent Payment'} - $${baseAmount.toFixed(2)} + $${creditCardFee.toFixed(2)} processing fee`,
+        installmentKey: hasSchedule && selectedInstallment ? selectedInstallment.key : undefined,
+        description: description || `${hasSchedule && selectedInstallment ? selectedInstallment.label : paymentType === 'deposit' ? 'Security Deposit' : 'Rent Payment'} - $${baseAmount.toFixed(2)}${isBankDebit ? ' by bank debit' : ` + $${creditCardFee.toFixed(2)} processing fee`}`,
         successUrl: `${window.location.origin}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
         cancelUrl: `${window.location.origin}/payment/cancel`
       });
@@ -147,12 +183,30 @@ const Payment = () => {
     }).format(amount / 100);
   };
 
+  // Installment due dates are YYYY-MM-DD; read them as local dates
+  const formatDueDate = (value) => new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric'
+  });
+
+  const getInstallmentStatusColor = (status) => {
+    switch (status) {
+      case 'paid':
+        return 'text-green-600 bg-green-100';
+      case 'overdue':
+        return 'text-red-600 bg-red-100';
+      default:
+        return 'text-yellow-600 bg-yellow-100';
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'succeeded':
         return 'text-green-600 bg-green-100';
       case 'pending':
         return 'text-yellow-600 bg-yellow-100';
+      case 'processing':
+        return 'text-blue-600 bg-blue-100';
       case 'failed':
         return 'text-red-600 bg-red-100';
       default:
@@ -204,102 +258,149 @@ const Payment = () => {
           {/* Payment Form */}
           <div className="bg-white/90 backdrop-blur-md border border-white/30 rounded-lg shadow-medium overflow-hidden">
             <div className="p-6 space-y-6">
-              {/* Payment Type Selection */}
-              <div>
-                <h2 className="text-lg font-semibold text-gray-900 mb-3">Payment Type</h2>
-                <div className="grid grid-cols-2 gap-3">
-                  <button
-                    type="button"
-                    onClick={() => handlePaymentTypeChange('deposit')}
-                    className={`p-4 rounded-lg border-2 transition-all duration-200 ${
-                      paymentType === 'deposit'
-                        ? 'border-primary-600 bg-primary-600 text-white shadow-lg scale-105'
-                        : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50 hover:scale-102'
-                    }`}
-                  >
-                    <Shield className="mx-auto h-8 w-8 mb-2" />
-                    <span className="font-medium">Security Deposit</span>
-                    <p className="text-xs mt-1 opacity-90">$500 Required</p>
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => handlePaymentTypeChange('rent')}
-                    className={`p-4 rounded-lg border-2 transition-all duration-200 ${
-                      paymentType === 'rent'
-                        ? 'border-primary-600 bg-primary-600 text-white shadow-lg scale-105'
-                        : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50 hover:scale-102'
-                    }`}
-                  >
-                    <Home className="mx-auto h-8 w-8 mb-2" />
-                    <span className="font-medium">Rent Payment</span>
-                    <p className="text-xs mt-1 opacity-90">Custom Amount</p>
-                  </button>
+              {hasSchedule ? (
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900 mb-3">Payment Schedule</h2>
+                  <div className="space-y-2">
+                    {schedule.installments.map((installment) => {
+                      const isSelected = selectedInstallment?.key === installment.key;
+                      const isPaid = installment.status === 'paid';
+                      return (
+                        <button
+                          key={installment.key}
+                          type="button"
+                          disabled={isPaid}
+                          onClick={() => selectInstallment(installment)}
+                          className={`w-full p-4 rounded-lg border-2 text-left transition-all duration-200 ${
+                            isSelected
+                              ? 'border-primary-600 bg-primary-50'
+                              : isPaid
+                                ? 'border-gray-200 bg-gray-50 opacity-75 cursor-default'
+                                : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50'
+                          }`}
+                        >
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <p className="font-medium text-gray-900">{installment.label}</p>
+                              <p className="text-sm text-gray-600">Due {formatDueDate(installment.dueDate)}</p>
+                            </div>
+                            <div className="text-right">
+                              <p className="text-lg font-bold text-gray-900">
+                                {formatAmount(isPaid ? installment.amount : installment.remainingAmount)}
+                              </p>
+                              <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getInstallmentStatusColor(installment.status)}`}>
+                                {installment.status === 'due' && installment.paidAmount > 0 ? 'partly paid' : installment.status}
+                              </span>
+                            </div>
+                          </div>
+                        </button>
+                      );
+                    })}
+                  </div>
+                  {!schedule.nextInstallment && (
+                    <p className="text-sm text-green-700 mt-3">Every installment has been paid. Thank you!</p>
+                  )}
                 </div>
-              </div>
-
-              {/* Amount Selection */}
-              <div>
-                <h2 className="text-lg font-semibold text-gray-900 mb-3">Payment Amount</h2>
-                
-                {paymentType === 'deposit' ? (
-                  <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-                    <div className="flex items-center justify-between">
-                      <div>
-                        <p className="text-green-800 font-medium">Security Deposit</p>
-                        <p className="text-green-600 text-sm">Required for all tenants</p>
-                      </div>
-                      <div className="text-right">
-                        <p className="text-2xl font-bold text-green-800">$500.00</p>
-                        <p className="text-green-600 text-sm">Fixed amount</p>
-                      </div>
+              ) : (
+                <>
+                  {/* Payment Type Selection */}
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900 mb-3">Payment Type</h2>
+                    <div className="grid grid-cols-2 gap-3">
+                      <button
+                        type="button"
+                        onClick={() => handlePaymentTypeChange('deposit')}
+                        className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                          paymentType === 'deposit'
+                            ? 'border-primary-600 bg-primary-600 text-white shadow-lg scale-105'
+                            : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50 hover:scale-102'
+                        }`}
+                      >
+                        <Shield className="mx-auto h-8 w-8 mb-2" />
+                        <span className="font-medium">Security Deposit</span>
+                        <p className="text-xs mt-1 opacity-90">$500 Required</p>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handlePaymentTypeChange('rent')}
+                        className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                          paymentType === 'rent'
+                            ? 'border-primary-600 bg-primary-600 text-white shadow-lg scale-105'
+                            : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50 hover:scale-102'
+                        }`}
+                      >
+                        <Home className="mx-auto h-8 w-8 mb-2" />
+                        <span className="font-medium">Rent Payment</span>
+                        <p className="text-xs mt-1 opacity-90">Custom Amount</p>
+                      </button>
                     </div>
                   </div>
-                ) : (
-                  <div className="space-y-4">
-                    {/* Quick Amount Buttons */}
-                    <div>
-                      <p className="text-sm text-gray-600 mb-2">Quick Select:</p>
-                      <div className="grid grid-cols-3 gap-2">
-                        {['1000', '1500', '2000', '2500', '3000', '3500'].map((amount) => (
-                          <button
-                            key={amount}
-                            type="button"
-                            onClick={() => handleAmountSelect(amount)}
-                            className={`py-2 px-3 rounded-md border transition-colors ${
-                              selectedAmount === amount
-                                ? 'border-primary-600 bg-primary-600 text-white'
-                                : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50'
-                            }`}
-                          >
-                            ${amount}
-                          </button>
-                        ))}
+
+                  {/* Amount Selection */}
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900 mb-3">Payment Amount</h2>
+                
+                    {paymentType === 'deposit' ? (
+                      <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <p className="text-green-800 font-medium">Security Deposit</p>
+                            <p className="text-green-600 text-sm">Required for all tenants</p>
+                          </div>
+                          <div className="text-right">
+                            <p className="text-2xl font-bold text-green-800">$500.00</p>
+                            <p className="text-green-600 text-sm">Fixed amount</p>
+                          </div>
+                        </div>
                       </div>
-                    </div>
+                    ) : (
+                      <div className="space-y-4">
+                        {/* Quick Amount Buttons */}
+                        <div>
+                          <p className="text-sm text-gray-600 mb-2">Quick Select:</p>
+                          <div className="grid grid-cols-3 gap-2">
+                            {['1000', '1500', '2000', '2500', '3000', '3500'].map((amount) => (
+                              <button
+                                key={amount}
+                                type="button"
+                                onClick={() => handleAmountSelect(amount)}
+                                className={`py-2 px-3 rounded-md border transition-colors ${
+                                  selectedAmount === amount
+                                    ? 'border-primary-600 bg-primary-600 text-white'
+                                    : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50'
+                                }`}
+                              >
+                                ${amount}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
 
-                    {/* Custom Amount Input */}
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Custom Amount
-                      </label>
-                      <div className="relative">
-                        <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500">
-                          $
-                        </span>
-                        <input
-                          type="number"
-                          value={customAmount}
-                          onChange={handleCustomAmountChange}
-                          placeholder="0.00"
-                          min="1"
-                          step="0.01"
-                          className="input-field pl-8 py-3"
-                        />
+                        {/* Custom Amount Input */}
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Custom Amount
+                          </label>
+                          <div className="relative">
+                            <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500">
+                              $
+                            </span>
+                            <input
+                              type="number"
+                              value={customAmount}
+                              onChange={handleCustomAmountChange}
+                              placeholder="0.00"
+                              min="1"
+                              step="0.01"
+                              className="input-field pl-8 py-3"
+                            />
+                          </div>
+                        </div>
                       </div>
-                    </div>
+                    )}
                   </div>
-                )}
-              </div>
+                </>
+              )}
 
               {/* Description */}
               <div>
@@ -315,6 +416,39 @@ const Payment = () => {
                 />
               </div>
 
+              {/* Payment Method */}
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">Payment Method</h2>
+                <div className="grid grid-cols-2 gap-3">
+                  <button
+                    type="button"
+                    onClick={() => setPaymentMethod('card')}
+                    className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                      paymentMethod === 'card'
+                        ? 'border-primary-600 bg-primary-600 text-white shadow-lg'
+                        : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50'
+                    }`}
+                  >
+                    <CreditCard className="mx-auto h-8 w-8 mb-2" />
+                    <span className="font-medium">Credit or Debit Card</span>
+                    <p className="text-xs mt-1 opacity-90">3% processing fee</p>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setPaymentMethod('us_bank_account')}
+                    className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                      isBankDebit
+                        ? 'border-primary-600 bg-primary-600 text-white shadow-lg'
+                        : 'border-gray-300 hover:border-primary-600 hover:bg-primary-50'
+                    }`}
+                  >
+                    <Landmark className="mx-auto h-8 w-8 mb-2" />
+                    <span className="font-medium">US Bank Account</span>
+                    <p className="text-xs mt-1 opacity-90">No fee · clears in about 4 business days</p>
+                  </button>
+                </div>
+              </div>
+
               {/* Credit Card Fee Notice */}
               <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4">
                 <div className="flex items-start space-x-3">
@@ -325,7 +459,7 @@ const Payment = () => {
                     </h4>
                     <p className="text-sm text-amber-700">
                       A 3% processing fee will be applied to credit card payments to cover processing costs. 
-                      Alternative payment methods (Zelle, PayPal, Venmo, Money Order, Fed Wire, USDC, or US Checks) 
+                      Alternative payment methods (US bank account debit, Zelle, PayPal, Venmo, Money Order, Fed Wire, USDC, or US Checks) 
                       do not incur this fee.
                     </p>
                   </div>
@@ -339,7 +473,9 @@ const Payment = () => {
                   <div className="flex justify-between">
                     <span className="text-gray-600">Payment Type:</span>
                     <span className="font-medium">
-                      {paymentType === 'deposit' ? 'Security Deposit' : 'Rent Payment'}
+                      {hasSchedule && selectedInstallment
+                        ? selectedInstallment.label
+                        : paymentType === 'deposit' ? 'Security Deposit' : 'Rent Payment'}
                     </span>
                   </div>
                   <div className="flex justify-between">
@@ -348,12 +484,19 @@ const Payment = () => {
                       ${getPaymentAmount().toFixed(2)}
                     </span>
                   </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Credit Card Processing Fee (3%):</span>
-                    <span className="text-gray-600">
-                      ${getCreditCardFee(getPaymentAmount()).toFixed(2)}
-                    </span>
-                  </div>
+                  {isBankDebit ? (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Bank debit processing fee:</span>
+                      <span className="text-gray-600">None</span>
+                    </div>
+                  ) : (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Credit Card Processing Fee (3%):</span>
+                      <span className="text-gray-600">
+                        ${getCreditCardFee(getPaymentAmount()).toFixed(2)}
+                      </span>
+                    </div>
+                  )}
                   <div className="border-t pt-2">
                     <div className="flex justify-between">
                       <span className="font-semibold text-gray-900">Total:</span>
@@ -368,7 +511,7 @@ const Payment = () => {
               {/* Submit Button */}
               <button
                 onClick={handlePayment}
-                disabled={loading}
+                disabled={loading || (hasSchedule && !selectedInstallment)}
                 className="btn-primary w-full flex items-center justify-center text-lg py-3"
               >
                 {loading ? (
@@ -378,7 +521,7 @@ const Payment = () => {
                   </>
                 ) : (
                   <>
-                    <CreditCard className="mr-2 h-5 w-5" />
+                    {isBankDebit ? <Landmark className="mr-2 h-5 w-5" /> : <CreditCard className="mr-2 h-5 w-5" />}
                     Proceed to Payment
                   </>
                 )}
@@ -387,7 +530,7 @@ const Payment = () => {
               {/* Security Notice */}
               <div className="text-center text-sm text-gray-500">
                 <Shield className="inline h-4 w-4 mr-1" />
-                Your payment is secured by Stripe. We never store your card information.
+                Your payment is secured by Stripe. We never store your card or bank account information.
               </div>
             </div>
           </div>
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { ArrowLeft, Calendar, CreditCard, CheckCircle, XCircle, Clock } from 'lucide-react';
+import { ArrowLeft, Calendar, CreditCard, CheckCircle, XCircle, Clock, Download } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
+import { downloadPaymentReceipt } from '../utils/pdfDownloads';
 
 const PaymentHistory = () => {
   const { user, loading: authLoading } = useAuth();
@@ -36,6 +37,15 @@ const PaymentHistory = () => {
     fetchPayments();
   }, [authLoading, user, navigate]);
 
+  const handleDownloadReceipt = async (paymentId) => {
+    try {
+      await downloadPaymentReceipt(paymentId);
+    } catch (error) {
+      console.error('Error downloading receipt:', error);
+      toast.error(error.message || 'Error downloading receipt');
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -59,6 +69,8 @@ const PaymentHistory = () => {
         return <XCircle className="h-4 w-4 text-red-500" />;
       case 'pending':
         return <Clock className="h-4 w-4 text-yellow-500" />;
+      case 'processing':
+        return <Clock className="h-4 w-4 text-blue-500" />;
       default:
         return <Clock className="h-4 w-4 text-gray-500" />;
     }
@@ -72,6 +84,8 @@ const PaymentHistory = () => {
         return 'text-red-600';
       case 'pending':
         return 'text-yellow-600';
+      case 'processing':
+        return 'text-blue-600';
       default:
         return 'text-gray-600';
     }
@@ -87,6 +101,8 @@ const PaymentHistory = () => {
         return 'Admin Transfer';
       case 'deposit_transfer':
         return 'Deposit Transfer';
+      case 'refund':
+        return 'Refund';
       default:
         return paymentType;
     }
@@ -144,6 +160,9 @@ const PaymentHistory = () => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Transaction ID
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Receipt
+                    </th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
@@ -183,6 +202,17 @@ const PaymentHistory = () => {
                           {payment.stripePaymentIntentId?.slice(-8) || 'N/A'}
                         </span>
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {payment.status === 'succeeded' && (
+                          <button
+                            onClick={() => handleDownloadReceipt(payment._id)}
+                            className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                          >
+                            <Download className="h-4 w-4 mr-1" />
+                            PDF
+                          </button>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
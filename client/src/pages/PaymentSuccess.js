@@ -1,10 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { CheckCircle, ArrowLeft, FileText } from 'lucide-react';
+import { CheckCircle, Clock, ArrowLeft, FileText, Download } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import axios from 'axios';
 import { sendPaymentReceiptEmail } from '../utils/emailjs';
+import { downloadPaymentReceipt } from '../utils/pdfDownloads';
 
 const PaymentSuccess = () => {
   const { user, loading: authLoading } = useAuth();
@@ -36,21 +37,26 @@ const PaymentSuccess = () => {
         const { data } = await axios.get(`/api/payment/by-session/${sessionId}`,{ headers: token ? { Authorization: `Bearer ${token}` } : {} });
         const p = data.payment;
         const details = {
+          paymentId: p._id,
           amount: (p.amount / 100).toFixed(2),
           paymentType: p.paymentType === 'deposit' ? 'Security Deposit' : p.paymentType,
           date: new Date(p.paidAt || p.createdAt).toLocaleDateString(),
           transactionId: p.stripePaymentIntentId,
           receiptUrl: data.receiptUrl,
           cardBrand: p.cardBrand,
-          cardLast4: p.cardLast4
+          cardLast4: p.cardLast4,
+          bankName: p.bankName,
+          bankLast4: p.bankLast4,
+          // Bank debits stay processing for a few business days until the debit clears
+          processing: p.status === 'processing'
         };
         setPaymentDetails(details);
 
-        // Send confirmation email once per session
+        // Send confirmation email once per session, and only once the money has actually arrived
         try {
           const sentKey = `pr:receipt-sent:${sessionId}`;
           
-          if (!sessionStorage.getItem(sentKey) && details.amount) {
+          if (!sessionStorage.getItem(sentKey) && details.amount && !details.processing) {
             const amountStr = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(parseFloat(details.amount));
             
             const emailResult = await sendPaymentReceiptEmail({
@@ -77,7 +83,7 @@ const PaymentSuccess = () => {
             
             sessionStorage.setItem(sentKey, '1');
           } else {
-            console.log('📧 Email skipped:', sessionStorage.getItem(sentKey) ? 'Already sent' : 'No amount');
+            console.log('📧 Email skipped:', sessionStorage.getItem(sentKey) ? 'Already sent' : details.processing ? 'Payment still processing' : 'No amount');
           }
         } catch (mailErr) {
           console.error('❌ Payment receipt email error:', mailErr);
@@ -93,6 +99,15 @@ const PaymentSuccess = () => {
   }, [authLoading, user, sessionId, navigate]);
 
 
+  const handleDownloadReceipt = async () => {
+    try {
+      await downloadPaymentReceipt(paymentDetails.paymentId);
+    } catch (error) {
+      console.error('Error downloading receipt:', error);
+      toast.error(error.message || 'Error downloading receipt');
+    }
+  };
+
   const handleBackToDashboard = () => {
     // Set a flag to indicate we're returning from a payment success
     sessionStorage.setItem('paymentSuccessReturn', 'true');
@@ -112,15 +127,27 @@ const PaymentSuccess = () => {
       <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="bg-white rounded-lg shadow-lg overflow-hidden">
           {/* Success Header */}
-          <div className="bg-green-50 px-6 py-8 text-center">
-            <CheckCircle className="mx-auto h-16 w-16 text-green-600 mb-4" />
-            <h1 className="text-3xl font-bold text-green-900 mb-2">
-              Payment Successful!
-            </h1>
-            <p className="text-lg text-green-700">
-              Thank you for your payment. Your transaction has been completed successfully.
-            </p>
-          </div>
+          {paymentDetails?.processing ? (
+            <div className="bg-blue-50 px-6 py-8 text-center">
+              <Clock className="mx-auto h-16 w-16 text-blue-600 mb-4" />
+              <h1 className="text-3xl font-bold text-blue-900 mb-2">
+                Payment Processing
+              </h1>
+              <p className="text-lg text-blue-700">
+                Thank you for your payment. Your bank debit has been authorized and usually clears within 4 business days.
+              </p>
+            </div>
+          ) : (
+            <div className="bg-green-50 px-6 py-8 text-center">
+              <CheckCircle className="mx-auto h-16 w-16 text-green-600 mb-4" />
+              <h1 className="text-3xl font-bold text-green-900 mb-2">
+                Payment Successful!
+              </h1>
+              <p className="text-lg text-green-700">
+                Thank you for your payment. Your transaction has been completed successfully.
+              </p>
+            </div>
+          )}
 
           {/* Payment Details */}
           <div className="px-6 py-8">
@@ -153,6 +180,12 @@ const PaymentSuccess = () => {
                       <span className="font-semibold text-gray-900">{paymentDetails.cardBrand} •••• {paymentDetails.cardLast4}</span>
                     </div>
                   )}
+                  {paymentDetails.bankLast4 && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Bank Account:</span>
+                      <span className="font-semibold text-gray-900">{paymentDetails.bankName || 'Bank'} •••• {paymentDetails.bankLast4}</span>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -163,7 +196,9 @@ const PaymentSuccess = () => {
               <ul className="space-y-2 text-blue-800">
                 <li className="flex items-start">
                   <span className="w-2 h-2 bg-blue-600 rounded-full mt-2 mr-3 flex-shrink-0"></span>
-                  You'll receive a confirmation email with your payment details
+                  {paymentDetails?.processing
+                    ? 'Your payment shows as processing until the debit clears; if it fails, we will let you know so you can pay another way'
+                    : 'You\'ll receive a confirmation email with your payment details'}
                 </li>
                 <li className="flex items-start">
                   <span className="w-2 h-2 bg-blue-600 rounded-full mt-2 mr-3 flex-shrink-0"></span>
@@ -174,6 +209,15 @@ const PaymentSuccess = () => {
 
             {/* Action Buttons */}
             <div className="flex flex-col sm:flex-row gap-3">
+              {paymentDetails && !paymentDetails.processing && (
+                <button
+                  onClick={handleDownloadReceipt}
+                  className="flex-1 bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors flex items-center justify-center"
+                >
+                  <Download className="h-5 w-5 mr-2" />
+                  Download Receipt (PDF)
+                </button>
+              )}
               <button
                 onClick={handleBackToDashboard}
                 className="flex-1 bg-gray-600 text-white px-6 py-3 rounded-lg hover:bg-gray-700 transition-colors flex items-center justify-center"
@@ -0,0 +1,23 @@
+// Fetch a PDF from the API with the user's token and save it under filename
+const downloadPdf = async (url, filename) => {
+  const response = await fetch(url, {
+    headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to download PDF');
+  }
+  const blob = await response.blob();
+  const objectUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(objectUrl);
+};
+
+export const downloadPaymentReceipt = (paymentId) =>
+  downloadPdf(`/api/payment/${paymentId}/receipt`, `receipt_${paymentId}.pdf`);
+
+export const downloadStatement = (applicationId, applicationNumber) =>
+  downloadPdf(`/api/payment/ledger/${applicationId}/statement`, `statement_${applicationNumber || applicationId}.pdf`);
@@ -0,0 +1,54 @@
+// Render a typed name in a script font as a PNG data URL, so typed and drawn
+// signatures reach the server in the same form
+export const createTypedSignatureImage = async (name) => {
+  const text = name?.trim();
+  if (!text) return '';
+
+  const width = 600;
+  const height = 200;
+  const dpr = window.devicePixelRatio || 1;
+  const canvas = document.createElement('canvas');
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return '';
+  ctx.scale(dpr, dpr);
+  ctx.clearRect(0, 0, width, height);
+
+  const baseFontSize = 72;
+  try {
+    if (document?.fonts?.load) {
+      await document.fonts.load(`${baseFontSize}px "Great Vibes"`);
+    }
+  } catch (e) {
+    console.warn('Font load warning:', e);
+  }
+
+  let fontSize = baseFontSize;
+  ctx.font = `${fontSize}px "Great Vibes", "Lucida Handwriting", cursive`;
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+
+  const maxWidth = width - 60;
+  let metrics = ctx.measureText(text);
+  if (metrics.width > maxWidth) {
+    fontSize = Math.max(42, (maxWidth / metrics.width) * fontSize);
+    ctx.font = `${fontSize}px "Great Vibes", "Lucida Handwriting", cursive`;
+    metrics = ctx.measureText(text);
+  }
+
+  const textX = (width - metrics.width) / 2;
+  const baseline = height / 2;
+  ctx.fillStyle = '#111827';
+  ctx.fillText(text, textX, baseline);
+
+  ctx.strokeStyle = '#4b5563';
+  ctx.lineWidth = 1.2;
+  ctx.beginPath();
+  ctx.moveTo(textX, baseline + fontSize * 0.25);
+  ctx.lineTo(textX + metrics.width, baseline + fontSize * 0.18);
+  ctx.stroke();
+
+  return canvas.toDataURL('image/png');
+};
@@ -123,6 +123,8 @@ app.use('/api/application', applicationRoutes);
 app.use('/api/lease', leaseRoutes);
 app.use('/api/rates', require('./routes/rates'));
 app.use('/api/availability', require('./routes/availability'));
+app.use('/api/lease-templates', require('./routes/leaseTemplates'));
+app.use('/api/lease-amendments', require('./routes/leaseAmendments'));
 
 // Payment routes (JSON parsed)
 app.use('/api/payment', paymentRoutes.router);
@@ -81,7 +81,7 @@ const applicationSchema = new mongoose.Schema({
   // Application Status
   status: {
     type: String,
-    enum: ['draft', 'pending', 'approved', 'rejected', 'completed'],
+    enum: ['draft', 'pending', 'approved', 'rejected', 'completed', 'cancelled'],
     default: 'draft'
   },
   
@@ -115,6 +115,12 @@ const applicationSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+
+  // Soft hold on the requested dates while the application is pending review
+  holdExpiresAt: {
+    type: Date,
+    default: null
+  },
   
   reviewedAt: Date,
   reviewedBy: {
@@ -125,6 +131,9 @@ const applicationSchema = new mongoose.Schema({
   // Lease Information
   leaseStartDate: String, // Store as YYYY-MM-DD string to avoid timezone issues
   leaseEndDate: String,   // Store as YYYY-MM-DD string to avoid timezone issues
+  // LeaseTemplate versions the lease was generated from and signed against
+  leaseTemplateVersion: Number,
+  signedLeaseTemplateVersion: Number,
   leaseSigned: {
     type: Boolean,
     default: false
@@ -133,11 +142,106 @@ const applicationSchema = new mongoose.Schema({
   leaseSignature: {
     typedName: String,
     method: String,
-    signedAt: Date
+    signedAt: Date,
+    // Drawn (or rendered typed) signature images, kept to re-render the executed copy
+    image: String,
+    coApplicantName: String,
+    coApplicantImage: String,
+    coApplicantMethod: String,
+    coApplicantSignedAt: Date
+  },
+  // Tokenized link the co-applicant signs with (no account needed); only a hash is stored
+  coApplicantSigningToken: String,
+  coApplicantSigningExpires: Date,
+  // Lease text exactly as the tenants signed it
+  signedLeaseText: String,
+  // Owner's agent counter-signature, applied after the tenants sign
+  managerSignature: {
+    name: String,
+    method: {
+      type: String,
+      enum: ['stored', 'type']
+    },
+    image: String,
+    signedAt: Date,
+    signedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   },
+  fullyExecutedAt: Date,
   rentalAmount: Number,
   depositAmount: Number,
-  
+  // Itemized quote (from the Rate periods) the rental amount was based on
+  stayQuote: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Sales and tourist development taxes on the Rental Fee (amounts in cents, rates
+  // in percent), worked out from the tax policy whenever the lease terms are set
+  stayTaxes: {
+    exempt: Boolean,
+    exemptReason: String,
+    lines: [{
+      _id: false,
+      key: String,
+      name: String,
+      jurisdiction: String,
+      rate: Number,
+      amount: Number
+    }],
+    total: Number,
+    assessedAt: Date
+  },
+  // Installments the lease sets out (amounts in cents, due dates YYYY-MM-DD)
+  paymentSchedule: [{
+    _id: false,
+    key: String, // deposit or balance
+    label: String,
+    paymentType: String,
+    amount: Number,
+    dueDate: String
+  }],
+  // Ledger charges beyond the lease terms (amounts in cents; credits reduce the balance)
+  charges: [{
+    type: {
+      type: String,
+      enum: ['late_fee', 'credit', 'other'],
+      required: true
+    },
+    description: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Late fees assessed by the scheduled job, once per installment and due date
+    installmentKey: String,
+    dueDate: String, // YYYY-MM-DD
+    // A waived fee stays on the ledger with an offsetting line
+    waivedAt: Date,
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    waiverReason: String
+  }],
+  // Overdue reminders sent for each installment (stage escalates 1, 2, 3)
+  paymentReminders: [{
+    _id: false,
+    installmentKey: String,
+    dueDate: String,
+    stage: Number,
+    sentAt: Date
+  }],
+
   // Signed Lease File
   signedLeaseFile: {
     filename: String,
@@ -159,6 +263,45 @@ const applicationSchema = new mongoose.Schema({
     default: false
   },
   
+  // Cancellation under the lease's refund policy (amounts in cents)
+  cancellation: {
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    initiatedBy: {
+      type: String,
+      enum: ['tenant', 'admin']
+    },
+    reason: String,
+    deadline: String, // YYYY-MM-DD, last day to cancel with a Rental Fee refund
+    rule: String,     // unsigned, beforeDeadline, afterDeadline or relet
+    relet: Boolean,
+    reletAt: Date,
+    paidAmount: Number,
+    refundableAmount: Number,
+    retainedAmount: Number,
+    refundPayments: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }]
+  },
+  
+  // Latest Stripe dispute on one of the application's payments (flagged in the admin dashboard while open)
+  dispute: {
+    open: Boolean,
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    stripeDisputeId: String,
+    status: String,
+    amount: Number,
+    evidenceDueBy: Date,
+    updatedAt: Date
+  },
+  
   // Audit Trail
   lastUpdated: Date,
   updatedBy: {
@@ -174,6 +317,7 @@ const applicationSchema = new mongoose.Schema({
 
 // Index for efficient queries
 applicationSchema.index({ userId: 1, status: 1 });
+applicationSchema.index({ coApplicantSigningToken: 1 }, { sparse: true });
 
 // Virtual for full name
 applicationSchema.virtual('fullName').get(function() {
@@ -186,6 +330,11 @@ applicationSchema.virtual('secondApplicantFullName').get(function() {
   return `${this.secondApplicantFirstName} ${this.secondApplicantLastName}`;
 });
 
+// Signers the lease needs before it counts as signed
+applicationSchema.virtual('requiredLeaseSigners').get(function() {
+  return this.secondApplicantFirstName && this.secondApplicantLastName ? ['primary', 'coApplicant'] : ['primary'];
+});
+
 // Virtual for full address
 applicationSchema.virtual('fullAddress').get(function() {
   if (!this.address.street) return '';
@@ -233,4 +382,26 @@ applicationSchema.pre('save', async function(next) {
 applicationSchema.set('toJSON', { virtuals: true });
 applicationSchema.set('toObject', { virtuals: true });
 
+// Hash a co-applicant signing token the way it is stored
+applicationSchema.statics.hashSigningToken = function(token) {
+  const crypto = require('crypto');
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Method to generate the co-applicant's signing link token, replacing any earlier one
+applicationSchema.methods.generateCoApplicantSigningToken = function() {
+  const crypto = require('crypto');
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiryDays = parseInt(process.env.SIGNING_LINK_EXPIRY_DAYS, 10) || 7;
+  this.coApplicantSigningToken = this.constructor.hashSigningToken(token);
+  this.coApplicantSigningExpires = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Method to clear the co-applicant signing token
+applicationSchema.methods.clearCoApplicantSigningToken = function() {
+  this.coApplicantSigningToken = undefined;
+  this.coApplicantSigningExpires = undefined;
+};
+
 module.exports = mongoose.model('Application', applicationSchema);
@@ -5,12 +5,19 @@ const AvailabilityRangeSchema = new mongoose.Schema({
   endDate: { type: Date, required: true },   // UTC midnight, inclusive
   isAvailable: { type: Boolean, required: true, default: true },
   reason: { type: String, trim: true, default: '' },
-  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Where the range came from; non-manual ranges are maintained by the system
+  source: { type: String, enum: ['manual', 'ical', 'lease'], default: 'manual' },
+  calendarSource: { type: mongoose.Schema.Types.ObjectId, ref: 'CalendarSource', default: null },
+  externalUid: { type: String, default: null }, // UID of the imported iCal event
+  application: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', default: null } // Signed lease holding the dates
 }, { timestamps: true });
 
 // Fast range intersection queries
 AvailabilityRangeSchema.index({ startDate: 1, endDate: 1 });
 AvailabilityRangeSchema.index({ isAvailable: 1 });
+AvailabilityRangeSchema.index({ calendarSource: 1, externalUid: 1 });
+AvailabilityRangeSchema.index({ application: 1 });
 
 module.exports = mongoose.model('AvailabilityRange', AvailabilityRangeSchema);
 
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// External booking channel calendar (Airbnb, VRBO, ...) imported into AvailabilityRange blocks
+const calendarSourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Optional: sources without a URL are kept up to date by uploading .ics files
+  url: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastSyncedAt: Date,
+  lastSyncStatus: {
+    type: String,
+    enum: ['success', 'failed', null],
+    default: null
+  },
+  lastSyncError: String,
+  // Snapshot of the events from the last import, used to detect upstream changes
+  importedEvents: [{
+    _id: false,
+    uid: String,
+    summary: String,
+    startDate: String, // YYYY-MM-DD, first blocked day
+    endDate: String    // YYYY-MM-DD, last blocked day (inclusive)
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CalendarSource', calendarSourceSchema);
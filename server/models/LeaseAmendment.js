@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// The lease terms an amendment can change, as stored on the application
+const leaseTermsSchema = new mongoose.Schema({
+  leaseStartDate: String,
+  leaseEndDate: String,
+  rentalAmount: Number,
+  depositAmount: Number
+}, { _id: false });
+
+// An addendum to a signed lease. The signed lease itself is never modified:
+// the admin proposes new terms, the tenant e-signs the addendum, and only then
+// are the new terms applied to the application.
+const leaseAmendmentSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    index: true
+  },
+  // Addendum 1, 2, ... per application
+  number: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'signed', 'cancelled'],
+    default: 'proposed'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Terms in force when the amendment was proposed, and the terms it sets
+  previousTerms: leaseTermsSchema,
+  newTerms: leaseTermsSchema,
+  // Quote for the new dates, when they changed
+  stayQuote: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  addendumText: {
+    type: String,
+    required: true
+  },
+  addendumTextHash: {
+    type: String,
+    required: true
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  signature: {
+    typedName: String,
+    method: String,
+    image: String
+  },
+  signedAt: Date,
+  // Evidence records in the same shape as leaseAudit.signers
+  signers: [mongoose.Schema.Types.Mixed],
+  signedFile: {
+    filename: String,
+    mimetype: String,
+    size: Number,
+    content: String // Base64 encoded PDF
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leaseAmendmentSchema.index({ application: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeaseAmendment', leaseAmendmentSchema);
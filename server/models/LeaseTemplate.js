@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Each save of the lease template is kept as a new, immutable version.
+// The highest version is the one used for newly generated leases.
+const leaseTemplateSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // What changed, e.g. "Association updated pool hours"
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LeaseTemplate', leaseTemplateSchema);
@@ -79,12 +79,32 @@ const paymentSchema = new mongoose.Schema({
   // Card information (last 4 digits only for security)
   cardLast4: String,
   cardBrand: String,
+  // Bank account details for ACH debits
+  bankName: String,
+  bankLast4: String,
   
   // Application fee (Stripe fee)
   applicationFee: Number,
+  // Stripe's actual processing fee and the payout that paid the charge out,
+  // recorded by the payout reconciliation report (cents)
+  stripeFee: Number,
+  stripePayoutId: String,
   
   // Receipt information
   receiptUrl: String,
+  receiptEmailedAt: Date,
+
+  // Set when the payment was made through an admin's payment request link
+  paymentRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentRequest'
+  },
+
+  // Set when autopay charged a saved payment method for a scheduled installment
+  autopay: {
+    installmentKey: String,
+    dueDate: String // YYYY-MM-DD
+  },
   
   // Metadata for additional information
   metadata: {
@@ -123,6 +143,22 @@ const paymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment'
   },
+  // Stripe dispute (chargeback) on this payment, amounts in cents
+  dispute: {
+    stripeDisputeId: String,
+    status: String, // Stripe dispute status, e.g. needs_response, under_review, won, lost
+    reason: String,
+    amount: Number,
+    evidenceDueBy: Date,
+    openedAt: Date,
+    closedAt: Date
+  },
+  // Stripe Refund ID (re_...) for refunds made to the card
+  stripeRefundId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   
   // Deposit transfer information
   isDepositTransfer: {
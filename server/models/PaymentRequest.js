@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// An amount an admin asks a tenant to pay (extra guest, damage, ...), paid
+// through a tokenized link that opens a Stripe Checkout for exactly that amount.
+const paymentRequestSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Cents
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  paymentType: {
+    type: String,
+    enum: ['deposit', 'rent', 'late_fee', 'other'],
+    required: true
+  },
+  memo: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'paid', 'canceled'],
+    default: 'open'
+  },
+  // Only a hash of the link token is stored
+  token: String,
+  expiresAt: Date,
+  // Ledger charge added for "other" requests, which are not already charged by the lease
+  chargeId: mongoose.Schema.Types.ObjectId,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  paidAt: Date,
+  canceledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+paymentRequestSchema.index({ token: 1 }, { sparse: true });
+paymentRequestSchema.index({ applicationId: 1, createdAt: -1 });
+
+paymentRequestSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Issue the pay link token, replacing any earlier one
+paymentRequestSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiryDays = parseInt(process.env.PAY_LINK_EXPIRY_DAYS, 10) || 30;
+  this.token = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+module.exports = mongoose.model('PaymentRequest', paymentRequestSchema);
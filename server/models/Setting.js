@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Site-wide key/value settings managed from the admin console
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Read a setting, falling back to defaultValue when it has never been saved
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key });
+  if (!setting || setting.value === null || setting.value === undefined) return defaultValue;
+  return setting.value;
+};
+
+settingSchema.statics.setValue = async function(key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
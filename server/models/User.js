@@ -71,6 +71,15 @@ const userSchema = new mongoose.Schema({
   resetPasswordExpires: {
     type: Date
   },
+  // Charge upcoming installments to a saved Stripe payment method on their due date
+  autopay: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    paymentMethodId: String,
+    updatedAt: Date
+  },
   notificationSettings: {
     emailNotifications: {
       type: Boolean,
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Every Stripe event the webhook receives, kept with how processing went so a
+// retried delivery is not applied twice and a failed one can be replayed.
+const webhookEventSchema = new mongoose.Schema({
+  stripeEventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  livemode: Boolean,
+  // The verified event exactly as Stripe sent it
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    message: String,
+    stack: String
+  },
+  lastAttemptAt: Date,
+  processedAt: Date,
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -5,8 +5,50 @@ const fs = require('fs');
 const Application = require('../models/Application');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { syncLeaseAvailability, releaseLeaseAvailability } = require('../utils/availability');
+const { placeHold, findOverlappingHolds } = require('../utils/holds');
+const { findDateConflicts } = require('../utils/conflicts');
+const { LEASE_TERM_FIELDS, SIGNED_LEASE_LOCKED } = require('../utils/leaseAmendment');
+const { parseDateOnly } = require('../utils/dates');
+const { applyPaymentSchedule } = require('../utils/paymentSchedule');
+const { applyStayTaxes } = require('../utils/taxes');
+const {
+  CancellationError,
+  previewCancellation,
+  cancelApplication,
+  markCancelledStayRelet
+} = require('../utils/cancellation');
 const router = express.Router();
 
+// Fields a tenant fills in on the application form; everything else (status,
+// lease terms, signatures, schedule, charges, taxes) is set by the server
+const DRAFT_FORM_FIELDS = [
+  'firstName',
+  'lastName',
+  'secondApplicantFirstName',
+  'secondApplicantLastName',
+  'phone',
+  'address',
+  'additionalGuests',
+  'requestedStartDate',
+  'requestedEndDate',
+  'notes'
+];
+
+// Once submitted, the names, co-applicant and dates feed the quote and lease;
+// only contact details (and guest names, keeping the same number of guests)
+// can still be corrected by the tenant
+const SUBMITTED_FORM_FIELDS = ['phone', 'address', 'additionalGuests', 'notes'];
+const LOCKED_FORM_FIELDS = DRAFT_FORM_FIELDS.filter(key => !SUBMITTED_FORM_FIELDS.includes(key));
+const EDITABLE_STATUSES = ['draft', 'pending', 'approved'];
+
+const pickFormFields = (body = {}, keys) => keys.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const pickDraftFormFields = (body = {}) => pickFormFields(body, DRAFT_FORM_FIELDS);
+
 // Configure multer for file uploads (memory storage for Heroku compatibility)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -182,6 +224,22 @@ router.get('/admin/:applicationId', auth, async (req, res) => {
   }
 });
 
+// Check whether other applicants currently hold any of the requested dates
+router.get('/date-holds', auth, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+      return res.status(400).json({ error: 'startDate and endDate (YYYY-MM-DD) are required' });
+    }
+
+    const holds = await findOverlappingHolds({ startDate, endDate, excludeUserId: req.user._id });
+    res.json({ holds });
+  } catch (error) {
+    console.error('Date hold check error:', error);
+    res.status(500).json({ error: 'Server error checking date holds' });
+  }
+});
+
 // Get specific application by ID
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -207,15 +265,20 @@ router.get('/:id', auth, async (req, res) => {
 // Create new application
 router.post('/', auth, async (req, res) => {
   try {
-    // Remove any client-provided submittedAt to prevent tampering
-    const { submittedAt, ...cleanData } = req.body;
-    
     const applicationData = {
-      ...cleanData,
+      ...pickDraftFormFields(req.body),
       userId: req.user._id,
       status: 'draft'
     };
 
+    const conflicts = await findDateConflicts({
+      startDate: applicationData.requestedStartDate,
+      endDate: applicationData.requestedEndDate
+    });
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'The requested dates are not available', conflicts });
+    }
+
     const application = new Application(applicationData);
     await application.save();
 
@@ -244,11 +307,28 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Application not found' });
     }
 
-    // Update application fields (excluding sensitive fields)
-    Object.keys(req.body).forEach(key => {
-      if (key !== 'userId' && key !== '_id' && key !== 'submittedAt') {
-        application[key] = req.body[key];
+    if (!EDITABLE_STATUSES.includes(application.status)) {
+      return res.status(409).json({ error: `A ${application.status} application can no longer be edited` });
+    }
+
+    let fields = pickDraftFormFields(req.body);
+    if (application.status !== 'draft') {
+      // Unchanged locked fields are fine; the edit form sends them back as they were
+      const changedLocked = LOCKED_FORM_FIELDS.filter(key => (
+        req.body[key] !== undefined && String(req.body[key] ?? '') !== String(application[key] ?? '')
+      ));
+      const guestCountChanged = Array.isArray(req.body.additionalGuests)
+        && req.body.additionalGuests.length !== (application.additionalGuests || []).length;
+      if (changedLocked.length > 0 || guestCountChanged) {
+        return res.status(409).json({
+          error: 'The names, co-applicant, guest count and dates can no longer be changed. Contact us to change them.'
+        });
       }
+      fields = pickFormFields(req.body, SUBMITTED_FORM_FIELDS);
+    }
+
+    Object.entries(fields).forEach(([key, value]) => {
+      application[key] = value;
     });
 
     await application.save();
@@ -299,15 +379,34 @@ router.post('/:id/submit', auth, async (req, res) => {
       });
     }
 
+    const conflicts = await findDateConflicts({
+      startDate: application.requestedStartDate,
+      endDate: application.requestedEndDate,
+      excludeApplicationId: application._id
+    });
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'The requested dates are not available', conflicts });
+    }
+
     // Mark application as submitted
     application.status = 'pending';
     application.submittedAt = new Date();
+    // Tentatively hold the requested dates until the admin reviews it
+    await placeHold(application);
     
     await application.save();
 
+    // Let the applicant know if someone else already holds some of these dates
+    const holdWarnings = await findOverlappingHolds({
+      startDate: application.requestedStartDate,
+      endDate: application.requestedEndDate,
+      excludeUserId: req.user._id
+    });
+
     res.json({
       message: 'Application submitted successfully',
-      application
+      application,
+      holdWarnings
     });
   } catch (error) {
     console.error('Application submission error:', error);
@@ -333,6 +432,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await Application.findByIdAndDelete(req.params.id);
+    await releaseLeaseAvailability(application._id);
 
     res.json({
       message: 'Application deleted successfully'
@@ -343,6 +443,64 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Tenants cancel online only until arrival; after that the admin handles it
+const ensureStayNotStarted = (application) => {
+  const start = parseDateOnly(application.leaseStartDate || application.requestedStartDate);
+  if (start && start <= parseDateOnly(new Date())) {
+    throw new CancellationError('Your stay has already begun. Please contact us to cancel.');
+  }
+};
+
+// Preview what cancelling this application would refund
+router.get('/:id/cancellation', auth, async (req, res) => {
+  try {
+    const application = await Application.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    ensureStayNotStarted(application);
+    const breakdown = await previewCancellation(application);
+    res.json({ breakdown });
+  } catch (error) {
+    if (error instanceof CancellationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancellation preview error:', error);
+    res.status(500).json({ error: 'Server error previewing cancellation' });
+  }
+});
+
+// Cancel an application or signed lease
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const application = await Application.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    ensureStayNotStarted(application);
+    const { breakdown, refunds } = await cancelApplication(application, {
+      cancelledBy: req.user._id,
+      initiatedBy: 'tenant',
+      reason: (req.body.reason || '').trim()
+    });
+
+    res.json({
+      message: 'Application cancelled',
+      application,
+      breakdown,
+      refunds
+    });
+  } catch (error) {
+    if (error instanceof CancellationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Application cancellation error:', error);
+    res.status(500).json({ error: 'Server error cancelling application' });
+  }
+});
+
 // Upload documents
 router.post('/documents', auth, async (req, res) => {
   try {
@@ -414,23 +572,49 @@ router.put('/admin/:applicationId/status', auth, async (req, res) => {
     }
 
     const { applicationId } = req.params;
-    const { status, notes } = req.body;
+    const { status, notes, override } = req.body;
 
     const application = await Application.findById(applicationId);
     if (!application) {
       return res.status(404).json({ error: 'Application not found' });
     }
 
+    // Approving books the dates, so make sure nothing else already has them
+    let conflicts = [];
+    if (status === 'approved' && application.status !== 'approved') {
+      conflicts = await findDateConflicts({
+        startDate: application.leaseStartDate || application.requestedStartDate,
+        endDate: application.leaseEndDate || application.requestedEndDate,
+        excludeApplicationId: application._id,
+        includeReferences: true
+      });
+      if (conflicts.length > 0 && !override) {
+        return res.status(409).json({
+          error: 'The requested dates conflict with the calendar',
+          conflicts,
+          canOverride: true
+        });
+      }
+      if (conflicts.length > 0) {
+        console.warn(`Application ${application.applicationNumber} approved despite date conflicts by admin ${req.user._id}`);
+      }
+    }
+
     application.status = status;
     application.notes = notes;
     application.reviewedAt = new Date();
     application.reviewedBy = req.user._id;
+    // Approval turns the hold into a booking; any other decision releases it
+    if (status !== 'pending') {
+      application.holdExpiresAt = null;
+    }
 
     await application.save();
 
     res.json({
       message: 'Application status updated successfully',
-      application
+      application,
+      conflicts
     });
   } catch (error) {
     console.error('Application status update error:', error);
@@ -454,12 +638,30 @@ router.put('/admin/:applicationId/progress', auth, async (req, res) => {
       return res.status(404).json({ error: 'Application not found' });
     }
 
+    // Signed terms only change through a signed addendum
+    if (application.leaseSigned) {
+      const lockedFields = LEASE_TERM_FIELDS.filter(field => (
+        updates[field] !== undefined && String(updates[field]) !== String(application[field] ?? '')
+      ));
+      if (lockedFields.length > 0) {
+        return res.status(409).json({
+          error: SIGNED_LEASE_LOCKED,
+          lockedFields
+        });
+      }
+    }
+
     // Update application fields based on progress updates
     Object.keys(updates).forEach(key => {
       if (application.schema.paths[key]) {
         application[key] = updates[key];
       }
     });
+    // Keep the installments in step with edited terms
+    if (application.leaseGenerated && LEASE_TERM_FIELDS.some(field => updates[field] !== undefined)) {
+      await applyStayTaxes(application);
+      applyPaymentSchedule(application);
+    }
 
     // Add audit trail
     application.lastUpdated = new Date();
@@ -553,6 +755,8 @@ router.put('/admin/:applicationId/edit', auth, async (req, res) => {
     application.updatedBy = req.user._id;
 
     await application.save();
+    // Move the lease block if the stay dates changed
+    await syncLeaseAvailability(application, req.user._id);
 
     res.json({
       message: 'Application updated successfully',
@@ -584,6 +788,7 @@ router.delete('/admin/:applicationId', auth, async (req, res) => {
 
     // Admin can delete any application regardless of status
     await Application.findByIdAndDelete(applicationId);
+    await releaseLeaseAvailability(application._id);
 
     res.json({
       message: 'Application deleted successfully'
@@ -594,6 +799,90 @@ router.delete('/admin/:applicationId', auth, async (req, res) => {
   }
 });
 
+// Admin: Preview a cancellation, optionally with the stay re-let
+router.get('/admin/:applicationId/cancellation', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const breakdown = await previewCancellation(application, { relet: req.query.relet === 'true' });
+    res.json({ breakdown });
+  } catch (error) {
+    if (error instanceof CancellationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Admin cancellation preview error:', error);
+    res.status(500).json({ error: 'Server error previewing cancellation' });
+  }
+});
+
+// Admin: Cancel an application or lease on the tenant's behalf
+router.post('/admin/:applicationId/cancel', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const { breakdown, refunds } = await cancelApplication(application, {
+      cancelledBy: req.user._id,
+      initiatedBy: 'admin',
+      reason: (req.body.reason || '').trim(),
+      relet: Boolean(req.body.relet)
+    });
+
+    res.json({
+      message: 'Application cancelled',
+      application,
+      breakdown,
+      refunds
+    });
+  } catch (error) {
+    if (error instanceof CancellationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Admin application cancellation error:', error);
+    res.status(500).json({ error: 'Server error cancelling application' });
+  }
+});
+
+// Admin: Mark a cancelled stay as re-let, refunding the Rental Fee that was kept
+router.post('/admin/:applicationId/relet', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const { refunds } = await markCancelledStayRelet(application, { reletBy: req.user._id });
+    res.json({
+      message: 'Stay marked as re-let',
+      application,
+      refunds
+    });
+  } catch (error) {
+    if (error instanceof CancellationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Mark re-let error:', error);
+    res.status(500).json({ error: 'Server error marking stay as re-let' });
+  }
+});
+
 // Admin: Upload signed lease file
 router.post('/admin/upload-lease', auth, upload.single('leaseFile'), async (req, res) => {
   try {
@@ -640,8 +929,15 @@ router.post('/admin/upload-lease', auth, upload.single('leaseFile'), async (req,
     // Mark lease as signed
     application.leaseSigned = true;
     application.leaseSignedAt = new Date();
+    application.signedLeaseTemplateVersion = application.leaseTemplateVersion;
+    // A replaced document needs to be counter-signed again
+    application.signedLeaseText = undefined;
+    application.managerSignature = undefined;
+    application.fullyExecutedAt = undefined;
+    application.clearCoApplicantSigningToken();
     application.lastUpdated = new Date();
     await application.save();
+    await syncLeaseAvailability(application, req.user._id);
 
     res.json({
       success: true,
@@ -702,9 +998,15 @@ router.delete('/admin/remove-lease/:applicationId', auth, async (req, res) => {
     application.signedLeaseFile = null;
     application.leaseSigned = false;
     application.leaseSignedAt = null;
+    application.signedLeaseTemplateVersion = null;
+    application.signedLeaseText = undefined;
+    application.managerSignature = undefined;
+    application.fullyExecutedAt = undefined;
+    application.clearCoApplicantSigningToken();
     application.lastUpdated = new Date();
 
     await application.save();
+    await syncLeaseAvailability(application, req.user._id);
 
     res.json({ 
       success: true, 
@@ -1,8 +1,46 @@
 const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
 const router = express.Router();
 const Availability = require('../models/Availability');
 const AvailabilityRange = require('../models/AvailabilityRange');
+const Application = require('../models/Application');
+const Setting = require('../models/Setting');
+const CalendarSource = require('../models/CalendarSource');
 const { auth, adminAuth } = require('../middleware/auth');
+const { buildCalendar, inclusiveRangeEnd } = require('../utils/ical');
+const { buildContiguousRanges, applyAvailabilityRange } = require('../utils/availability');
+const { syncCalendarSource } = require('../utils/calendarSync');
+const { MAX_HOLD_EXPIRY_DAYS, getHoldExpiryDays, setHoldExpiryDays, activeHoldQuery } = require('../utils/holds');
+const { parseDateOnly, formatDateOnly, addDays } = require('../utils/dates');
+const { bookedApplicationQuery } = require('../utils/conflicts');
+
+// .ics uploads are small text files; keep them in memory
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(ics|ical|ifb|icalendar)$/i.test(file.originalname) || file.mimetype === 'text/calendar') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only iCal (.ics) files are allowed'), false);
+    }
+  }
+});
+
+const ICAL_TOKEN_KEY = 'icalFeedToken';
+
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+const getFeedPath = (token) => `/api/availability/ical/${token}.ics`;
+
+// Compare tokens in constant time so the feed URL can't be guessed byte by byte
+const tokensMatch = (provided, expected) => {
+  if (!provided || !expected) return false;
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
 
 // Get availability for a date range (public endpoint)
 router.get('/', async (req, res) => {
@@ -22,7 +60,7 @@ router.get('/', async (req, res) => {
       endDate: { $gte: start }
     }).sort({ startDate: 1 });
 
-    const days = [];
+    const days = new Map();
     for (const r of ranges) {
       const cur = new Date(r.startDate);
       const last = new Date(r.endDate);
@@ -30,19 +68,301 @@ router.get('/', async (req, res) => {
       last.setUTCHours(0,0,0,0);
       while (cur <= last) {
         if (cur >= start && cur <= end) {
-          days.push({ date: new Date(cur).toISOString(), isAvailable: r.isAvailable });
+          const date = new Date(cur).toISOString();
+          // Manual, imported and lease ranges can overlap; blocked wins
+          const existing = days.get(date);
+          if (!existing || existing.isAvailable) {
+            days.set(date, { date, isAvailable: r.isAvailable, status: r.isAvailable ? 'available' : 'unavailable' });
+          }
         }
         cur.setUTCDate(cur.getUTCDate() + 1);
       }
     }
 
-    res.json({ availability: days });
+    // Nights tentatively held by submitted applications stay bookable but are flagged
+    const holds = await Application.find({
+      ...activeHoldQuery(),
+      requestedStartDate: { $lte: formatDateOnly(end) },
+      requestedEndDate: { $gt: formatDateOnly(start) }
+    }).select('requestedStartDate requestedEndDate holdExpiresAt');
+
+    for (const hold of holds) {
+      const departure = parseDateOnly(hold.requestedEndDate);
+      for (let cur = parseDateOnly(hold.requestedStartDate); cur && cur < departure; cur = addDays(cur, 1)) {
+        if (cur < start || cur > end) continue;
+        const date = cur.toISOString();
+        const existing = days.get(date);
+        if (existing && !existing.isAvailable) continue;
+
+        const heldUntil = existing && existing.heldUntil > hold.holdExpiresAt ? existing.heldUntil : hold.holdExpiresAt;
+        days.set(date, { date, isAvailable: true, status: 'held', heldUntil });
+      }
+    }
+
+    const availability = Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date));
+    res.json({ availability });
   } catch (error) {
     console.error('Error fetching availability:', error);
     res.status(500).json({ error: 'Failed to fetch availability' });
   }
 });
 
+// iCal feed of blocked and booked dates for syncing with external calendars (token protected)
+router.get('/ical/:token.ics', async (req, res) => {
+  try {
+    const expectedToken = await Setting.getValue(ICAL_TOKEN_KEY);
+    if (!tokensMatch(req.params.token, expectedToken)) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const [blockedRanges, bookings] = await Promise.all([
+      // Lease blocks are exported below as the booking they belong to
+      AvailabilityRange.find({ isAvailable: false, source: { $ne: 'lease' } }).sort({ startDate: 1 }),
+      Application.find(bookedApplicationQuery).select('applicationNumber status leaseSigned requestedStartDate requestedEndDate leaseStartDate leaseEndDate updatedAt')
+    ]);
+
+    const events = [];
+    blockedRanges.forEach(range => {
+      // Stays imported from other channels still block this feed so every
+      // channel sees them, but are marked as imported with a UID that stays the
+      // same across re-imports
+      if (range.source === 'ical') {
+        events.push({
+          uid: `import-${range.calendarSource}-${range.externalUid}@palmrunllc`,
+          summary: `Imported: ${range.reason}`,
+          description: 'Blocked by a stay imported from another calendar',
+          start: range.startDate,
+          end: inclusiveRangeEnd(range.endDate),
+          updatedAt: range.updatedAt
+        });
+        return;
+      }
+      events.push({
+        uid: `availability-${range._id}@palmrunllc`,
+        summary: range.reason ? `Blocked: ${range.reason}` : 'Blocked',
+        start: range.startDate,
+        end: inclusiveRangeEnd(range.endDate),
+        updatedAt: range.updatedAt
+      });
+    });
+    bookings.forEach(application => {
+      // Departure day is exclusive so the next guest can arrive the same day
+      events.push({
+        uid: `application-${application._id}@palmrunllc`,
+        summary: `${application.leaseSigned ? 'Leased' : 'Booked'}: ${application.applicationNumber}`,
+        description: `Application ${application.applicationNumber} (${application.leaseSigned ? 'lease signed' : application.status})`,
+        start: application.leaseStartDate || application.requestedStartDate,
+        end: application.leaseEndDate || application.requestedEndDate,
+        updatedAt: application.updatedAt
+      });
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="palm-run-availability.ics"');
+    res.set('Cache-Control', 'no-cache');
+    res.send(buildCalendar(events, { name: 'Palm Run LLC - Unavailable Dates' }));
+  } catch (error) {
+    console.error('Error generating iCal feed:', error);
+    res.status(500).json({ error: 'Failed to generate calendar feed' });
+  }
+});
+
+// Get the iCal feed URL, creating the token on first use (admin only)
+router.get('/admin/ical', auth, adminAuth, async (req, res) => {
+  try {
+    let token = await Setting.getValue(ICAL_TOKEN_KEY);
+    if (!token) {
+      token = generateFeedToken();
+      await Setting.setValue(ICAL_TOKEN_KEY, token, req.user.id);
+    }
+
+    res.json({ feedPath: getFeedPath(token) });
+  } catch (error) {
+    console.error('Error fetching iCal feed settings:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// Rotate the iCal feed token; the previous URL stops working immediately (admin only)
+router.post('/admin/ical/rotate', auth, adminAuth, async (req, res) => {
+  try {
+    const token = generateFeedToken();
+    await Setting.setValue(ICAL_TOKEN_KEY, token, req.user.id);
+
+    res.json({ message: 'Calendar feed URL rotated', feedPath: getFeedPath(token) });
+  } catch (error) {
+    console.error('Error rotating iCal feed token:', error);
+    res.status(500).json({ error: 'Failed to rotate calendar feed' });
+  }
+});
+
+// List imported calendar sources (admin only)
+router.get('/admin/calendar-sources', auth, adminAuth, async (req, res) => {
+  try {
+    const sources = await CalendarSource.find().sort({ createdAt: 1 });
+    res.json({ sources });
+  } catch (error) {
+    console.error('Error fetching calendar sources:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar sources' });
+  }
+});
+
+// Add an external calendar to import from (admin only)
+router.post('/admin/calendar-sources', auth, adminAuth, async (req, res) => {
+  try {
+    const { name, url } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Calendar name is required' });
+    }
+
+    const source = new CalendarSource({
+      name,
+      url: url || '',
+      createdBy: req.user.id
+    });
+    await source.save();
+
+    // Import straight away when a URL was given
+    let result = null;
+    let syncError = null;
+    if (source.url) {
+      try {
+        result = await syncCalendarSource(source, { userId: req.user.id });
+      } catch (error) {
+        syncError = error.message;
+      }
+    }
+
+    res.status(201).json({ source, result, syncError });
+  } catch (error) {
+    console.error('Error creating calendar source:', error);
+    res.status(500).json({ error: 'Failed to create calendar source' });
+  }
+});
+
+// Update a calendar source (admin only)
+router.put('/admin/calendar-sources/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const source = await CalendarSource.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Calendar source not found' });
+    }
+
+    const { name, url, isActive } = req.body;
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({ error: 'Calendar name is required' });
+      }
+      source.name = name;
+    }
+    if (url !== undefined) source.url = url;
+    if (typeof isActive === 'boolean') source.isActive = isActive;
+    await source.save();
+
+    res.json({ source });
+  } catch (error) {
+    console.error('Error updating calendar source:', error);
+    res.status(500).json({ error: 'Failed to update calendar source' });
+  }
+});
+
+// Remove a calendar source and release the dates it blocked (admin only)
+router.delete('/admin/calendar-sources/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const source = await CalendarSource.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Calendar source not found' });
+    }
+
+    const released = await AvailabilityRange.deleteMany({ calendarSource: source._id });
+    await source.deleteOne();
+
+    res.json({ message: 'Calendar source removed', releasedRanges: released.deletedCount });
+  } catch (error) {
+    console.error('Error deleting calendar source:', error);
+    res.status(500).json({ error: 'Failed to delete calendar source' });
+  }
+});
+
+// Re-import a calendar source from its URL (admin only)
+router.post('/admin/calendar-sources/:id/sync', auth, adminAuth, async (req, res) => {
+  try {
+    const source = await CalendarSource.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Calendar source not found' });
+    }
+
+    let result;
+    try {
+      result = await syncCalendarSource(source, { userId: req.user.id });
+    } catch (error) {
+      return res.status(400).json({ error: `Calendar import failed: ${error.message}`, source });
+    }
+
+    res.json({ message: 'Calendar imported', result, source });
+  } catch (error) {
+    console.error('Error syncing calendar source:', error);
+    res.status(500).json({ error: 'Failed to import calendar' });
+  }
+});
+
+// Import a calendar source from an uploaded .ics file (admin only)
+router.post('/admin/calendar-sources/:id/upload', auth, adminAuth, icsUpload.single('calendar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No .ics file uploaded' });
+    }
+
+    const source = await CalendarSource.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Calendar source not found' });
+    }
+
+    const icsText = req.file.buffer.toString('utf8');
+    if (!icsText.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ error: 'The uploaded file is not an iCal (.ics) calendar' });
+    }
+
+    let result;
+    try {
+      result = await syncCalendarSource(source, { icsText, userId: req.user.id });
+    } catch (error) {
+      return res.status(400).json({ error: `Calendar import failed: ${error.message}`, source });
+    }
+
+    res.json({ message: 'Calendar imported', result, source });
+  } catch (error) {
+    console.error('Error importing calendar file:', error);
+    res.status(500).json({ error: 'Failed to import calendar' });
+  }
+});
+
+// Get tentative hold settings (admin only)
+router.get('/admin/hold-settings', auth, adminAuth, async (req, res) => {
+  try {
+    res.json({ holdExpiryDays: await getHoldExpiryDays(), maxHoldExpiryDays: MAX_HOLD_EXPIRY_DAYS });
+  } catch (error) {
+    console.error('Error fetching hold settings:', error);
+    res.status(500).json({ error: 'Failed to fetch hold settings' });
+  }
+});
+
+// Update how long submitted applications hold their dates (admin only)
+router.put('/admin/hold-settings', auth, adminAuth, async (req, res) => {
+  try {
+    const holdExpiryDays = parseInt(req.body.holdExpiryDays, 10);
+    if (!Number.isInteger(holdExpiryDays) || holdExpiryDays < 1 || holdExpiryDays > MAX_HOLD_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `Hold length must be between 1 and ${MAX_HOLD_EXPIRY_DAYS} days` });
+    }
+
+    await setHoldExpiryDays(holdExpiryDays, req.user.id);
+    res.json({ message: 'Hold settings updated', holdExpiryDays });
+  } catch (error) {
+    console.error('Error updating hold settings:', error);
+    res.status(500).json({ error: 'Failed to update hold settings' });
+  }
+});
+
 // Get all availability (admin only)
 router.get('/admin/all', auth, adminAuth, async (req, res) => {
   try {
@@ -78,11 +398,13 @@ router.get('/admin/all', auth, adminAuth, async (req, res) => {
     
     for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
       const normalizedDate = normalizeDate(d);
-      const range = availabilityRanges.find(r => {
+      const matching = availabilityRanges.filter(r => {
         const rangeStart = normalizeDate(r.startDate);
         const rangeEnd = normalizeDate(r.endDate);
         return rangeStart <= normalizedDate && rangeEnd >= normalizedDate;
       });
+      // Manual, imported and lease ranges can overlap; blocked wins
+      const range = matching.find(r => !r.isAvailable) || matching[0];
       
       const dateStr = d.toISOString().split('T')[0];
       if (range) {
@@ -95,6 +417,7 @@ router.get('/admin/all', auth, adminAuth, async (req, res) => {
         date: d.toISOString(),
         isAvailable: range ? range.isAvailable : true,
         reason: range ? range.reason : '',
+        source: range ? range.source || 'manual' : null,
         createdBy: range ? range.createdBy : null
       });
     }
@@ -150,88 +473,15 @@ router.put('/admin/bulk', auth, adminAuth, async (req, res) => {
       return res.status(400).json({ error: 'No valid dates provided' });
     }
 
-    // Build contiguous ranges from normalizedDates
-    normalizedDates.sort((a, b) => a - b);
-    const ranges = [];
-    let start = normalizedDates[0];
-    let prev = normalizedDates[0];
-    for (let i = 1; i < normalizedDates.length; i++) {
-      const d = normalizedDates[i];
-      const nextDay = new Date(prev.getTime());
-      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
-      if (d.getTime() !== nextDay.getTime()) {
-        ranges.push({ startDate: start, endDate: prev });
-        start = d;
-      }
-      prev = d;
-    }
-    ranges.push({ startDate: start, endDate: prev });
-
-    // For each range, perform the same splitting/merging logic as single-day
-    for (const r of ranges) {
-      const overlapping = await AvailabilityRange.find({
-        startDate: { $lte: r.endDate },
-        endDate: { $gte: r.startDate }
-      }).sort({ startDate: 1 });
-
-      for (const o of overlapping) {
-        if (o.startDate <= r.startDate && o.endDate >= r.endDate) {
-          // Split into up to two outer ranges around the new block
-          if (o.startDate.getTime() < r.startDate.getTime()) {
-            const left = new AvailabilityRange({
-              startDate: o.startDate,
-              endDate: new Date(r.startDate.getTime() - 24*3600*1000),
-              isAvailable: o.isAvailable,
-              reason: o.reason,
-              createdBy: o.createdBy
-            });
-            await left.save();
-          }
-          if (o.endDate.getTime() > r.endDate.getTime()) {
-            const right = new AvailabilityRange({
-              startDate: new Date(r.endDate.getTime() + 24*3600*1000),
-              endDate: o.endDate,
-              isAvailable: o.isAvailable,
-              reason: o.reason,
-              createdBy: o.createdBy
-            });
-            await right.save();
-          }
-          await o.deleteOne();
-        } else if (o.startDate < r.startDate && o.endDate >= r.startDate && o.endDate <= r.endDate) {
-          // Trim overlapping tail
-          o.endDate = new Date(r.startDate.getTime() - 24*3600*1000);
-          await o.save();
-        } else if (o.endDate > r.endDate && o.startDate >= r.startDate && o.startDate <= r.endDate) {
-          // Trim overlapping head
-          o.startDate = new Date(r.endDate.getTime() + 24*3600*1000);
-          await o.save();
-        }
-      }
-
-      // Upsert new range
-      await AvailabilityRange.updateOne(
-        { startDate: r.startDate, endDate: r.endDate },
-        { $set: { isAvailable, reason: reason || '', createdBy: req.user.id } },
-        { upsert: true }
-      );
-
-      // Merge with adjacent ranges of same state
-      let merged = await AvailabilityRange.findOne({ startDate: r.startDate, endDate: r.endDate, isAvailable });
-      if (merged) {
-        const prevAdj = await AvailabilityRange.findOne({ endDate: new Date(r.startDate.getTime() - 24*3600*1000), isAvailable });
-        if (prevAdj) {
-          merged.startDate = prevAdj.startDate;
-          await prevAdj.deleteOne();
-          await merged.save();
-        }
-        const nextAdj = await AvailabilityRange.findOne({ startDate: new Date(r.endDate.getTime() + 24*3600*1000), isAvailable });
-        if (nextAdj) {
-          merged.endDate = nextAdj.endDate;
-          await nextAdj.deleteOne();
-          await merged.save();
-        }
-      }
+    // Apply each contiguous run of dates as one range
+    for (const r of buildContiguousRanges(normalizedDates)) {
+      await applyAvailabilityRange({
+        startDate: r.startDate,
+        endDate: r.endDate,
+        isAvailable,
+        reason,
+        createdBy: req.user.id
+      });
     }
 
     res.json({ message: 'Availability updated successfully' });
@@ -275,76 +525,13 @@ router.put('/admin/:date', auth, adminAuth, async (req, res) => {
     // Normalize to UTC midnight
     targetDate.setUTCHours(0, 0, 0, 0);
 
-    // Range update algorithm: find any overlapping ranges around the day
-    const dayStart = new Date(targetDate);
-    const dayEnd = new Date(targetDate);
-    
-    // Fetch overlapping ranges
-    const overlapping = await AvailabilityRange.find({
-      startDate: { $lte: dayEnd },
-      endDate: { $gte: dayStart }
-    }).sort({ startDate: 1 });
-
-    // Remove/adjust overlapping ranges
-    for (const r of overlapping) {
-      // If the range is exactly the day
-      if (r.startDate.getTime() === dayStart.getTime() && r.endDate.getTime() === dayStart.getTime()) {
-        r.isAvailable = isAvailable;
-        r.reason = reason || r.reason;
-        await r.save();
-      } else if (r.startDate.getTime() === dayStart.getTime() && r.endDate.getTime() > dayStart.getTime()) {
-        // Shrink from the start
-        r.startDate = new Date(dayStart.getTime() + 24*3600*1000);
-        await r.save();
-      } else if (r.endDate.getTime() === dayStart.getTime() && r.startDate.getTime() < dayStart.getTime()) {
-        // Shrink from the end
-        r.endDate = new Date(dayStart.getTime() - 24*3600*1000);
-        await r.save();
-      } else if (r.startDate.getTime() < dayStart.getTime() && r.endDate.getTime() > dayStart.getTime()) {
-        // Split into two ranges around the day
-        const left = new AvailabilityRange({
-          startDate: r.startDate,
-          endDate: new Date(dayStart.getTime() - 24*3600*1000),
-          isAvailable: r.isAvailable,
-          reason: r.reason,
-          createdBy: r.createdBy
-        });
-        const right = new AvailabilityRange({
-          startDate: new Date(dayStart.getTime() + 24*3600*1000),
-          endDate: r.endDate,
-          isAvailable: r.isAvailable,
-          reason: r.reason,
-          createdBy: r.createdBy
-        });
-        await r.deleteOne();
-        await left.save();
-        await right.save();
-      }
-    }
-
-    // Upsert the single-day range
-    await AvailabilityRange.updateOne(
-      { startDate: dayStart, endDate: dayStart },
-      { $set: { isAvailable, reason: reason || '', createdBy: req.user.id } },
-      { upsert: true }
-    );
-
-    // Attempt to merge adjacent ranges with the same state
-    const prev = await AvailabilityRange.findOne({ endDate: new Date(dayStart.getTime() - 24*3600*1000), isAvailable }).sort({ startDate: 1 });
-    const next = await AvailabilityRange.findOne({ startDate: new Date(dayStart.getTime() + 24*3600*1000), isAvailable }).sort({ startDate: 1 });
-    const current = await AvailabilityRange.findOne({ startDate: dayStart, endDate: dayStart, isAvailable });
-    if (current) {
-      if (prev) {
-        current.startDate = prev.startDate;
-        await prev.deleteOne();
-        await current.save();
-      }
-      if (next) {
-        current.endDate = next.endDate;
-        await next.deleteOne();
-        await current.save();
-      }
-    }
+    await applyAvailabilityRange({
+      startDate: targetDate,
+      endDate: targetDate,
+      isAvailable,
+      reason,
+      createdBy: req.user.id
+    });
 
     res.json({ success: true });
   } catch (error) {
@@ -2,12 +2,25 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { jsPDF } = require('jspdf');
-const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { PDFDocument } = require('pdf-lib');
 const crypto = require('crypto');
 const Application = require('../models/Application');
-const User = require('../models/User');
+const Setting = require('../models/Setting');
+const LeaseAmendment = require('../models/LeaseAmendment');
 const { auth } = require('../middleware/auth');
+const { calculateStayQuote, countApplicationGuests, QuoteError } = require('../utils/quote');
+const { syncLeaseAvailability } = require('../utils/availability');
+const {
+  buildLeaseVariables,
+  renderLeaseTemplate,
+  getCurrentLeaseTemplate,
+  getLeaseTemplate
+} = require('../utils/leaseTemplate');
+const { buildSignerRecord } = require('../utils/signatureCertificate');
+const { titleCase, renderLeasePdf, appendCounterSignaturePage } = require('../utils/leasePdf');
+const { SIGNED_LEASE_LOCKED, EXECUTED_LEASE_LOCKED } = require('../utils/leaseAmendment');
+const { applyPaymentSchedule } = require('../utils/paymentSchedule');
+const { applyStayTaxes } = require('../utils/taxes');
 const router = express.Router();
 
 // Trace all lease route hits
@@ -37,11 +50,67 @@ const upload = multer({
   }
 });
 
+// Once the manager has countersigned, or an addendum has been signed against
+// it, the signed lease is part of the record and stays as it is
+async function isLeaseExecuted(application) {
+  if (application.fullyExecutedAt) return true;
+  return !!(await LeaseAmendment.exists({ application: application._id, status: 'signed' }));
+}
+
+// Price a lease from the stay quote. An explicit amount (set by an admin) takes
+// precedence, but the quote is still stored alongside it for reference.
+async function resolveLeasePricing(application, leaseStartDate, leaseEndDate, rentalAmountOverride) {
+  const hasOverride = rentalAmountOverride !== undefined && rentalAmountOverride !== null && rentalAmountOverride !== '';
+  let quote = null;
+
+  try {
+    quote = await calculateStayQuote({
+      startDate: leaseStartDate,
+      endDate: leaseEndDate,
+      guests: countApplicationGuests(application)
+    });
+  } catch (error) {
+    if (!(error instanceof QuoteError) || !hasOverride) {
+      throw error;
+    }
+  }
+
+  return {
+    rentalAmount: hasOverride ? Number(rentalAmountOverride) : quote.subtotal,
+    quote
+  };
+}
+
+// Tenants cannot set their own price: keep the admin-generated amount while the
+// dates are unchanged, otherwise fall back to the quote for the new dates.
+function getTenantRentalOverride(application, leaseStartDate, leaseEndDate) {
+  const datesUnchanged = application.leaseStartDate === leaseStartDate && application.leaseEndDate === leaseEndDate;
+  return application.leaseGenerated && datesUnchanged ? application.rentalAmount : undefined;
+}
+
+// Tenants can't set their own terms: the dates and deposit come from the application
+// (as requested, or as an admin set them when generating the lease)
+function getTenantLeaseTerms(application) {
+  return {
+    leaseStartDate: application.leaseStartDate || application.requestedStartDate,
+    leaseEndDate: application.leaseEndDate || application.requestedEndDate,
+    depositAmount: application.depositAmount ?? 500
+  };
+}
+
+// Regenerating an unsigned lease discards partial signatures, which were given on the old text
+function resetPendingSignatures(application) {
+  if (application.leaseSigned || !application.leaseSignature?.signedAt) return;
+  application.leaseSignature = undefined;
+  application.signedLeaseText = undefined;
+  application.leaseAudit = undefined;
+  application.clearCoApplicantSigningToken();
+}
+
 // Generate lease agreement for a specific application
 router.post('/generate/:applicationId', auth, async (req, res) => {
   try {
     const { applicationId } = req.params;
-    const { leaseStartDate, leaseEndDate, rentalAmount = 2500, depositAmount = 500 } = req.body;
     
     // Get the specific application
     const application = await Application.findOne({ 
@@ -52,6 +121,17 @@ router.post('/generate/:applicationId', auth, async (req, res) => {
     if (!application) {
       return res.status(404).json({ error: 'Application not found. Please complete your application first.' });
     }
+    if (application.leaseSigned) {
+      return res.status(409).json({ error: SIGNED_LEASE_LOCKED });
+    }
+
+    const { leaseStartDate, leaseEndDate, depositAmount } = getTenantLeaseTerms(application);
+    const { rentalAmount, quote } = await resolveLeasePricing(
+      application,
+      leaseStartDate,
+      leaseEndDate,
+      getTenantRentalOverride(application, leaseStartDate, leaseEndDate)
+    );
 
     // Save lease information to the application
     // Store dates as strings to avoid timezone issues
@@ -59,11 +139,17 @@ router.post('/generate/:applicationId', auth, async (req, res) => {
     application.leaseEndDate = leaseEndDate;
     application.rentalAmount = rentalAmount;
     application.depositAmount = depositAmount;
+    application.stayQuote = quote;
     application.leaseGenerated = true; // Mark lease as generated
+    await applyStayTaxes(application);
+    applyPaymentSchedule(application);
+    resetPendingSignatures(application);
+    const leaseTemplate = await getCurrentLeaseTemplate();
+    application.leaseTemplateVersion = leaseTemplate.version;
     await application.save();
 
     // Generate lease agreement content
-    const leaseAgreement = generateLeaseAgreement(application, leaseStartDate, leaseEndDate, rentalAmount);
+    const leaseAgreement = await generateLeaseAgreement(application, leaseStartDate, leaseEndDate, rentalAmount, leaseTemplate);
 
     res.json({
       message: 'Lease agreement generated successfully',
@@ -78,6 +164,9 @@ router.post('/generate/:applicationId', auth, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof QuoteError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
     console.error('Lease generation error:', error);
     res.status(500).json({ error: 'Server error generating lease agreement' });
   }
@@ -91,7 +180,7 @@ router.post('/admin/generate', auth, async (req, res) => {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const { applicationId, leaseStartDate, leaseEndDate, rentalAmount = 2500, depositAmount = 500 } = req.body;
+    const { applicationId, leaseStartDate, leaseEndDate, rentalAmount: rentalAmountOverride, depositAmount = 500 } = req.body;
     
     if (!applicationId) {
       return res.status(400).json({ error: 'Application ID is required' });
@@ -99,10 +188,15 @@ router.post('/admin/generate', auth, async (req, res) => {
 
     // Get application by ID
     const application = await Application.findById(applicationId).populate('userId', 'email');
-    console.log('[lease:sign] loaded application?', !!application);
     if (!application) {
       return res.status(404).json({ error: 'Application not found' });
     }
+    if (application.leaseSigned) {
+      return res.status(409).json({ error: SIGNED_LEASE_LOCKED });
+    }
+
+    // Rental amount comes from the stay quote unless the admin entered one explicitly
+    const { rentalAmount, quote } = await resolveLeasePricing(application, leaseStartDate, leaseEndDate, rentalAmountOverride);
 
     // Save lease information to the application
     // Store dates as strings to avoid timezone issues
@@ -110,11 +204,17 @@ router.post('/admin/generate', auth, async (req, res) => {
     application.leaseEndDate = leaseEndDate;
     application.rentalAmount = rentalAmount;
     application.depositAmount = depositAmount;
+    application.stayQuote = quote;
     application.leaseGenerated = true; // Mark lease as generated
+    await applyStayTaxes(application);
+    applyPaymentSchedule(application);
+    resetPendingSignatures(application);
+    const leaseTemplate = await getCurrentLeaseTemplate();
+    application.leaseTemplateVersion = leaseTemplate.version;
     await application.save();
 
     // Generate lease agreement content
-    const leaseAgreement = generateLeaseAgreement(application, leaseStartDate, leaseEndDate, rentalAmount);
+    const leaseAgreement = await generateLeaseAgreement(application, leaseStartDate, leaseEndDate, rentalAmount, leaseTemplate);
 
     // Return the lease content as JSON
     res.json({
@@ -130,10 +230,15 @@ router.post('/admin/generate', auth, async (req, res) => {
         leaseStartDate: application.leaseStartDate,
         leaseEndDate: application.leaseEndDate,
         rentalAmount: application.rentalAmount,
-        depositAmount: application.depositAmount
+        depositAmount: application.depositAmount,
+        stayQuote: application.stayQuote,
+        leaseTemplateVersion: application.leaseTemplateVersion
       }
     });
   } catch (error) {
+    if (error instanceof QuoteError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
     console.error('Admin lease generation error:', error);
     res.status(500).json({ error: 'Server error generating lease agreement' });
   }
@@ -142,7 +247,7 @@ router.post('/admin/generate', auth, async (req, res) => {
 // Download lease agreement as PDF
 router.get('/download', auth, async (req, res) => {
   try {
-    const { applicationId, leaseStartDate, leaseEndDate, rentalAmount = 2500, depositAmount = 500 } = req.query;
+    const { applicationId } = req.query;
     
     // Get the specific application
     let application;
@@ -160,102 +265,67 @@ router.get('/download', auth, async (req, res) => {
       return res.status(404).json({ error: 'Application not found' });
     }
 
-    // Save lease information to the application
-    // Store dates as strings to avoid timezone issues
-    application.leaseStartDate = leaseStartDate;
-    application.leaseEndDate = leaseEndDate;
-    application.rentalAmount = rentalAmount;
-    application.depositAmount = depositAmount;
-    await application.save();
-
-    // Generate lease agreement text
-    const leaseAgreement = generateLeaseAgreement(application, leaseStartDate, leaseEndDate, rentalAmount);
-
-    // Create PDF
-    console.log('Creating PDF for application:', application._id);
-    console.log('Lease agreement length:', leaseAgreement.length);
-    try {
-      const doc = new jsPDF();
-      console.log('jsPDF instance created successfully');
-      
-      // Set title
-      doc.setFontSize(16);
-      doc.text('Lease Agreement', 20, 20);
-      console.log('Title added to PDF');
-      
-      // Add lease content with proper page handling
-      doc.setFontSize(10);
-      const lines = leaseAgreement.split('\n');
-      console.log('Text split into', lines.length, 'lines');
-      
-      let yPosition = 40;
-      const pageHeight = 280;
-      const lineHeight = 6;
-      
-      for (let i = 0; i < lines.length; i++) {
-        // Check if we need a new page
-        if (yPosition > pageHeight) {
-          doc.addPage();
-          yPosition = 20;
-        }
-        
-        // Split long lines if needed
-        const text = lines[i] || '';
-        const splitText = doc.splitTextToSize(text, 170);
-        
-        for (let j = 0; j < splitText.length; j++) {
-          if (yPosition > pageHeight) {
-            doc.addPage();
-            yPosition = 20;
-          }
-          doc.text(splitText[j], 20, yPosition);
-          yPosition += lineHeight;
-        }
-      }
-
-      console.log('All text added to PDF');
+    let leaseAgreement;
+    if (application.leaseSigned) {
+      // Signed terms are locked: give back what was signed rather than re-pricing it
+      leaseAgreement = application.signedLeaseText || await generateLeaseAgreement(
+        application,
+        application.leaseStartDate,
+        application.leaseEndDate,
+        application.rentalAmount,
+        await getLeaseTemplate(application.signedLeaseTemplateVersion || application.leaseTemplateVersion)
+      );
+    } else {
+      const { leaseStartDate, leaseEndDate, depositAmount } = getTenantLeaseTerms(application);
+      const { rentalAmount, quote } = await resolveLeasePricing(
+        application,
+        leaseStartDate,
+        leaseEndDate,
+        getTenantRentalOverride(application, leaseStartDate, leaseEndDate)
+      );
+
+      // Save lease information to the application
+      // Store dates as strings to avoid timezone issues
+      application.leaseStartDate = leaseStartDate;
+      application.leaseEndDate = leaseEndDate;
+      application.rentalAmount = rentalAmount;
+      application.depositAmount = depositAmount;
+      application.stayQuote = quote;
+      await applyStayTaxes(application);
+      applyPaymentSchedule(application);
+      // Keep the template version the lease was generated from
+      const leaseTemplate = await getLeaseTemplate(application.leaseTemplateVersion);
+      application.leaseTemplateVersion = leaseTemplate.version;
+      await application.save();
+
+      leaseAgreement = await generateLeaseAgreement(application, leaseStartDate, leaseEndDate, rentalAmount, leaseTemplate);
+    }
 
-      // Set headers for PDF download
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="lease-agreement-${application.firstName}-${application.lastName}.pdf"`);
+    const pdfBytes = await renderLeasePdf({ application, leaseText: leaseAgreement });
 
-      console.log('Generating PDF buffer...');
-      // Send PDF buffer directly
-      const pdfBuffer = doc.output('arraybuffer');
-      console.log('PDF buffer generated, size:', pdfBuffer.byteLength);
-      
-      if (pdfBuffer.byteLength === 0) {
-        throw new Error('Generated PDF buffer is empty');
-      }
-      
-      res.send(Buffer.from(pdfBuffer));
-      console.log('PDF response sent successfully');
-    } catch (pdfError) {
-      console.error('PDF generation error:', pdfError);
-      // Fallback to text if PDF generation fails
-      res.setHeader('Content-Type', 'text/plain');
-      res.setHeader('Content-Disposition', `attachment; filename="lease-agreement-${application.firstName}-${application.lastName}.txt"`);
-      res.send(leaseAgreement);
-    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="lease-agreement-${application.firstName}-${application.lastName}.pdf"`);
+    res.send(Buffer.from(pdfBytes));
   } catch (error) {
+    if (error instanceof QuoteError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
     console.error('Lease download error:', error);
     res.status(500).json({ error: 'Server error downloading lease agreement' });
   }
 });
 
 // Test PDF generation endpoint
-router.get('/test-pdf', (req, res) => {
+router.get('/test-pdf', async (req, res) => {
   try {
-    const doc = new jsPDF();
-    doc.setFontSize(16);
-    doc.text('Test PDF', 20, 20);
-    doc.text('This is a test PDF generation.', 20, 40);
-    
+    const pdfBytes = await renderLeasePdf({
+      application: { applicationNumber: 'TEST' },
+      leaseText: 'TEST PDF\n\n1. **Rendering**: This is a test PDF generation.'
+    });
+
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', 'attachment; filename="test.pdf"');
-    
-    const pdfBuffer = doc.output('arraybuffer');
-    res.send(Buffer.from(pdfBuffer));
+    res.send(Buffer.from(pdfBytes));
   } catch (error) {
     console.error('Test PDF error:', error);
     res.status(500).json({ error: 'Test PDF generation failed' });
@@ -289,11 +359,26 @@ router.get('/preview', auth, async (req, res) => {
       return `${year}-${month}-${day}`;
     };
 
-    const leasePreview = generateLeaseAgreement(
+    let previewRentalAmount = application.rentalAmount;
+    if (previewRentalAmount == null) {
+      try {
+        const quote = await calculateStayQuote({
+          startDate: formatDateForAPI(defaultStartDate),
+          endDate: formatDateForAPI(defaultEndDate),
+          guests: countApplicationGuests(application)
+        });
+        previewRentalAmount = quote.subtotal;
+      } catch (quoteError) {
+        if (!(quoteError instanceof QuoteError)) throw quoteError;
+        previewRentalAmount = 'TBD';
+      }
+    }
+
+    const leasePreview = await generateLeaseAgreement(
       application, 
       formatDateForAPI(defaultStartDate), 
       formatDateForAPI(defaultEndDate),
-      2500
+      previewRentalAmount
     );
 
     res.json({
@@ -314,52 +399,6 @@ router.get('/preview', auth, async (req, res) => {
   }
 });
 
-// Sign lease agreement
-router.post('/sign', auth, async (req, res) => {
-  try {
-    const { leaseStartDate, leaseEndDate, rentalAmount, depositAmount, signature } = req.body;
-    
-    if (!signature) {
-      return res.status(400).json({ error: 'Digital signature is required' });
-    }
-
-    // Get user's application
-    const application = await Application.findOne({ userId: req.user._id });
-    if (!application) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
-
-    // Update application with lease information
-    // Store dates as strings to avoid timezone issues
-    application.leaseStartDate = leaseStartDate;
-    application.leaseEndDate = leaseEndDate;
-    application.leaseSigned = true;
-    application.leaseSignedAt = new Date();
-    application.leaseSignature = signature;
-    application.rentalAmount = rentalAmount;
-    application.depositAmount = depositAmount;
-
-    await application.save();
-
-    // Update user's lease status
-    await User.findByIdAndUpdate(req.user._id, { leaseSigned: true });
-
-    res.json({
-      message: 'Lease agreement signed successfully',
-      application: {
-        id: application._id,
-        leaseSigned: application.leaseSigned,
-        leaseSignedAt: application.leaseSignedAt,
-        leaseStartDate: application.leaseStartDate,
-        leaseEndDate: application.leaseEndDate
-      }
-    });
-  } catch (error) {
-    console.error('Lease signing error:', error);
-    res.status(500).json({ error: 'Server error signing lease agreement' });
-  }
-});
-
 // Get lease status
 router.get('/status', auth, async (req, res) => {
   try {
@@ -426,198 +465,14 @@ router.get('/status', auth, async (req, res) => {
   }
 });
 
-// Helper function to generate lease agreement content using the Palm Run LLC template
-function generateLeaseAgreement(application, leaseStartDate, leaseEndDate, rentalAmount = 2500) {
-  const currentDate = new Date().toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
-
-  const startDate = leaseStartDate ? (() => {
-    // Handle both date strings (YYYY-MM-DD) and Date objects
-    let dateObj;
-    if (typeof leaseStartDate === 'string') {
-      // If it's a string like "2025-01-01", parse it directly
-      const [year, month, day] = leaseStartDate.split('-').map(Number);
-      dateObj = new Date(year, month - 1, day);
-    } else {
-      // If it's already a Date object
-      dateObj = new Date(leaseStartDate);
-    }
-    
-    // Check if the date is valid
-    if (isNaN(dateObj.getTime())) {
-      return 'Invalid Date';
-    }
-    
-    return dateObj.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-  })() : 'TBD';
-
-  const endDate = leaseEndDate ? (() => {
-    // Handle both date strings (YYYY-MM-DD) and Date objects
-    let dateObj;
-    if (typeof leaseEndDate === 'string') {
-      // If it's a string like "2025-01-31", parse it directly
-      const [year, month, day] = leaseEndDate.split('-').map(Number);
-      dateObj = new Date(year, month - 1, day);
-    } else {
-      // If it's already a Date object
-      dateObj = new Date(leaseEndDate);
-    }
-    
-    // Check if the date is valid
-    if (isNaN(dateObj.getTime())) {
-      return 'Invalid Date';
-    }
-    
-    return dateObj.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-  })() : 'TBD';
-
-  // Calculate dates for payment terms
-  const startDateObj = leaseStartDate ? (() => {
-    let dateObj;
-    if (typeof leaseStartDate === 'string') {
-      const [year, month, day] = leaseStartDate.split('-').map(Number);
-      dateObj = new Date(year, month - 1, day);
-    } else {
-      dateObj = new Date(leaseStartDate);
-    }
-    
-    if (isNaN(dateObj.getTime())) {
-      return new Date(); // Fallback to current date
-    }
-    
-    return dateObj;
-  })() : new Date();
-  
-  const sixtyDaysBefore = new Date(startDateObj);
-  sixtyDaysBefore.setDate(sixtyDaysBefore.getDate() - 60);
-  
-  // Cancellation deadline is 60 days BEFORE the lease start date
-  const cancellationDeadline = new Date(startDateObj);
-  cancellationDeadline.setDate(cancellationDeadline.getDate() - 60);
-
-  const sixtyDaysBeforeFormatted = sixtyDaysBefore.toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
-
-  const cancellationDeadlineFormatted = cancellationDeadline.toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
-
-
-
-  // Build tenant name(s) for lease
-  let tenantNames = `${application.firstName} ${application.lastName}`;
-  if (application.secondApplicantFirstName && application.secondApplicantLastName) {
-    tenantNames += ` and ${application.secondApplicantFirstName} ${application.secondApplicantLastName}`;
-  }
-
-  return `PALM RUN LLC. MONTHLY RENTAL AGREEMENT
-
-This Agreement made and entered on ${currentDate}, between Palm Run, LLC (hereinafter referred
-to as the "Manager"), mailing address 18650 Gulf Blvd, #207, Indian Shores, FL 33785,
-and ${tenantNames} (hereinafter referred to as the "Renter"), mailing address ${application.address.street}, ${application.address.city}, ${application.address.state} ${application.address.zipCode}, concerning the premises known as "18650 Gulf Blvd, #207, Indian Shores, FL 33785". The
-Owner of the property is Palm Run, LLC.
-
-1. **Rent**: Renter agrees to pay the sum of $${rentalAmount}
-US Dollars (Rental Fee) for the rental period of ${startDate} to ${endDate}, to be paid in via Zelle,
-Paypal, Venmo, Money order, fed wire, USDC, or US Checks made payable to "Palm Run,
-LLC". The Rental Fee is non-refundable if Renter cancels this agreement after ${cancellationDeadlineFormatted}, unless the Manager can secure a replacement tenant for the same Rental
-Period, under the same or better terms. The rental period begins at 4 P.M. on the first day
-and ends at 10:00 A.M. the last day of the rental period.
-
-2. **Deposit & Payment**: A $500 US dollar deposit towards the Rental Fee is due upon
-execution of this Agreement. The balance of the Rental Fee $${rentalAmount} is due on or before ${sixtyDaysBeforeFormatted}. Following the renter's departure, an inspection of the premises will
-be conducted. Based upon the condition of the Premises, all, a portion of, or none of the
-Security Deposit may be refunded, depending on whether any damage, beyond normal
-wear and tear, has occurred.
-
-**Credit Card Processing Fee**: A 3% processing fee will be applied to all credit card
-payments. This fee covers the cost of credit card processing services. Alternative payment
-methods (Zelle, PayPal, Venmo, Money Order, Fed Wire, USDC, or US Checks) do not incur
-this processing fee.
-
-3. **Quiet Enjoyment**: Renter shall enjoy use of the Premises and is expected to share
-the common areas respectfully. Renter is prohibited from hosting gatherings exceeding
-eight individuals or creating excessive noise that would interfere with the quiet enjoyment
-of other tenants or surrounding neighbors.
-
-4. **Manager Responsibility**: The rental property includes a one car dedicated parking space for sole use of
-Renter.
-
-5. **Renter Responsibilities**: Renter agrees to maintain the Premises in a clean and
-orderly condition. Overnight guests are limited to four persons (including Renters). Daytime
-guests, present between 8 AM and 10 PM, are limited to four persons (including Renter),
-unless otherwise agreed upon by the Owner. Smoking and pets are strictly prohibited on
-the premises.
-
-6. **Limitation of Liability**: Manager or Owner is not responsible for injury to Renter or
-their guests or for any damage to or theft of Renter's property, unless such injury, damage,
-or theft results from the gross negligence or intentional misconduct of the Manager/Owner.
-
-**Gulf Shores Condominium Rules and Regulations**
-
-1. Lounge chairs, rafts or tubes SHALL NOT be placed in corridors or walkways outside Apartment doors (by order of Fire Marshall).
-
-2. No towels or laundry of any kind shall be hung out or exposed on the balcony railings. Wet towels, etc. can be hung on chairs or a wooden drying rack.
-
-3. ABSOLUTELY no feeding of birds from balconies, decks or walkways.
-
-4. NO skateboarding, roller skating or bike riding in WALKWAYS or PARKING LOT.
-
-5. Please observe RULES posted in POOL AREA.
-
-6. Children under the age of 14 MUST be accompanied by an adult in the POOL AREA.
-
-7. Please use assigned parking spaces only, and do not back in. Cars illegally parked will be TOWED at Owners expense.
-
-8. NO PETS are permitted for Renters or Guests.
-
-9. ELECTRIC GRILLS ONLY.
-
-10. Limit of 4 persons can occupy a 2 bedroom apartment.
-
-**POOL HOURS**
-DAILY: 9:00 AM to 10:00 PM
-NO LIFEGUARDS ON DUTY
-
-**LOBBY AND COMMON AMENITIES HOURS**
-DAILY: 7:00 AM to 11:00 PM
-
-IN WITNESS WHEREOF, THE PARTIES HAVE EXECUTED THIS RENTAL AGREEMENT THE DAY
-AND YEAR FIRST ABOVE WRITTEN.
-
-Renters:
-${application.firstName} ${application.lastName}_______________ DATED: ____________________
-
-${application.secondApplicantFirstName && application.secondApplicantLastName ? `${application.secondApplicantFirstName} ${application.secondApplicantLastName}_______________ DATED: ____________________\n` : ''}
-
-Jay Pommrehn for Palm Run, LLC:
-_________________________ DATED: ____________________
-
-Receipt of Deposit is hereby acknowledged by Manager (Owner's Agent):
-By _________________________________ Date ________________________
-
----
-Generated on: ${currentDate}
-Application ID: ${application._id}
-Tenant: ${application.firstName} ${application.lastName}
-Phone: ${application.phone}
-Email: ${application.userId ? application.userId.email : 'N/A'}`;
+// Helper function to generate lease agreement content from a LeaseTemplate version
+// (the current one unless a specific version is passed in)
+async function generateLeaseAgreement(application, leaseStartDate, leaseEndDate, rentalAmount, template) {
+  const leaseTemplate = template || await getCurrentLeaseTemplate();
+  return renderLeaseTemplate(
+    leaseTemplate.body,
+    buildLeaseVariables(application, leaseStartDate, leaseEndDate, rentalAmount)
+  );
 }
 
 // ---- In-house E-signing: Preview ----
@@ -625,22 +480,6 @@ function sha256(content) {
   return crypto.createHash('sha256').update(content).digest('hex');
 }
 
-function wrapText(text, maxCharsPerLine = 90) {
-  const words = text.split(/\s+/);
-  const lines = [];
-  let line = '';
-  for (const w of words) {
-    if ((line + ' ' + w).trim().length > maxCharsPerLine) {
-      lines.push(line.trim());
-      line = w;
-    } else {
-      line = (line + ' ' + w).trim();
-    }
-  }
-  if (line) lines.push(line);
-  return lines;
-}
-
 // Preview lease text and hash
 router.get('/preview/:applicationId', auth, async (req, res) => {
   try {
@@ -650,10 +489,20 @@ router.get('/preview/:applicationId', auth, async (req, res) => {
     if (req.user.role !== 'admin' && application.userId && application.userId._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
-    const leaseText = generateLeaseAgreement(application, application.leaseStartDate, application.leaseEndDate, application.rentalAmount);
+    // Once signed, show exactly what was signed
+    if (application.leaseSigned && application.signedLeaseText) {
+      return res.json({
+        success: true,
+        leaseText: application.signedLeaseText,
+        leaseTextHash: sha256(application.signedLeaseText),
+        leaseTemplateVersion: application.signedLeaseTemplateVersion
+      });
+    }
+    const leaseTemplate = await getLeaseTemplate(application.leaseTemplateVersion);
+    const leaseText = await generateLeaseAgreement(application, application.leaseStartDate, application.leaseEndDate, application.rentalAmount, leaseTemplate);
     console.log('[lease:sign] lease text length', leaseText?.length);
     const leaseTextHash = sha256(leaseText);
-    res.json({ success: true, leaseText, leaseTextHash });
+    res.json({ success: true, leaseText, leaseTextHash, leaseTemplateVersion: leaseTemplate.version });
   } catch (err) {
     console.error('Lease preview error:', err);
     res.status(500).json({ error: 'Server error generating preview' });
@@ -661,11 +510,81 @@ router.get('/preview/:applicationId', auth, async (req, res) => {
 });
 
 // ---- In-house E-signing: Sign and Generate PDF ----
+
+const coApplicantSigningUrl = (token) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/lease/co-sign/${token}`;
+
+// Which required signers have not signed yet
+function getPendingSigners(application) {
+  const signed = new Set(((application.leaseAudit && application.leaseAudit.signers) || []).map(signer => signer.role));
+  return application.requiredLeaseSigners.filter(role => !signed.has(role));
+}
+
+// Renter signatures kept on the application, in the shape renderLeasePdf expects
+function getTenantSignatures(application) {
+  const signature = application.leaseSignature;
+  return {
+    primary: { name: signature.typedName, image: signature.image, signedAt: signature.signedAt },
+    coApplicant: signature.coApplicantName
+      ? { name: signature.coApplicantName, image: signature.coApplicantImage, signedAt: signature.coApplicantSignedAt || signature.signedAt }
+      : null
+  };
+}
+
+// Every required signer has signed: render the PDF from the stored lease text and mark the lease signed
+async function completeLeaseSigning(application, userId) {
+  const audit = application.leaseAudit;
+  const documentHash = sha256(application.signedLeaseText);
+  const completedAt = new Date(Math.max(...audit.signers.map(signer => new Date(signer.signedAt).getTime())));
+
+  const pdfBytes = await renderLeasePdf({
+    application,
+    leaseText: application.signedLeaseText,
+    signatures: getTenantSignatures(application),
+    certificate: {
+      signers: audit.signers,
+      documentHash,
+      templateVersion: application.leaseTemplateVersion,
+      completedAt
+    }
+  });
+
+  application.leaseSigned = true;
+  application.leaseSignedAt = completedAt;
+  application.signedLeaseTemplateVersion = application.leaseTemplateVersion;
+  application.signedLeaseFile = {
+    filename: `lease_${application._id}.pdf`,
+    originalName: `lease_${application._id}.pdf`,
+    path: '',
+    mimetype: 'application/pdf',
+    size: pdfBytes.length,
+    uploadedAt: new Date(),
+    content: Buffer.from(pdfBytes).toString('base64')
+  };
+  application.clearCoApplicantSigningToken();
+  application.leaseAudit = {
+    ...audit,
+    coSignedName: application.leaseSignature.coApplicantName || undefined,
+    completedAt,
+    // Hash of the stored PDF (certificate included) to show the file was not altered later
+    signedPdfHash: 'sha256:' + sha256(Buffer.from(pdfBytes))
+  };
+  await application.save();
+  await syncLeaseAvailability(application, userId);
+}
+
+// Primary applicant signs. With a co-applicant, this issues their signing link and the
+// lease stays unsigned until they sign too.
 router.post('/sign/:applicationId', auth, async (req, res) => {
   try {
     console.log('[lease:sign] incoming request');
     const { applicationId } = req.params;
-    const { typedName = '', typedName2 = '', signatureImageBase64 = '', signatureImageBase64_2 = '', consent } = req.body;
+    const {
+      typedName = '',
+      signatureImageBase64 = '',
+      signatureMethod,
+      consent,
+      consentedAt
+    } = req.body;
     console.log('[lease:sign] context', {
       applicationId,
       userAuthenticated: !!req.user?._id
@@ -680,266 +599,373 @@ router.post('/sign/:applicationId', auth, async (req, res) => {
     if (req.user.role !== 'admin' && application.userId && application.userId._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
+    if (application.status === 'cancelled') {
+      return res.status(409).json({ error: 'This application has been cancelled' });
+    }
     if (!application.leaseGenerated) {
       return res.status(400).json({ error: 'Lease has not been generated yet' });
     }
-
-    const requiresCoApplicant = !!(application.secondApplicantFirstName && application.secondApplicantLastName);
+    if (application.leaseSigned) {
+      return res.status(400).json({ error: 'This lease has already been signed' });
+    }
+    if (application.leaseSignature?.signedAt && getPendingSigners(application).includes('coApplicant')) {
+      return res.status(400).json({ error: 'You have already signed. The lease is waiting for the co-applicant\'s signature.' });
+    }
 
     const trimmedTypedName = (typedName || '').trim();
-    const trimmedTypedName2 = (typedName2 || '').trim();
-
     const hasPrimaryDrawing = signatureImageBase64 && signatureImageBase64.startsWith('data:image');
-    const hasCoDrawing = signatureImageBase64_2 && signatureImageBase64_2.startsWith('data:image');
 
     if (!hasPrimaryDrawing && !trimmedTypedName) {
       return res.status(400).json({ error: 'Please provide a typed or drawn signature.' });
     }
 
-    if (requiresCoApplicant && !hasCoDrawing && !trimmedTypedName2) {
-      return res.status(400).json({ error: 'Co-applicant must provide a typed or drawn signature.' });
-    }
-
-    const leaseText = generateLeaseAgreement(application, application.leaseStartDate, application.leaseEndDate, application.rentalAmount);
+    // Sign exactly the template version the lease was generated and previewed from
+    const leaseTemplate = await getLeaseTemplate(application.leaseTemplateVersion);
+    const leaseText = await generateLeaseAgreement(application, application.leaseStartDate, application.leaseEndDate, application.rentalAmount, leaseTemplate);
     const leaseTextHash = sha256(leaseText);
+    const signedAt = new Date();
+
+    const primaryDisplayName = trimmedTypedName || titleCase(`${application.firstName} ${application.lastName}`.trim());
+    // Typed signatures also arrive as rendered images, so prefer the method the signer chose
+    const method = ['type', 'draw'].includes(signatureMethod) ? signatureMethod : (hasPrimaryDrawing ? 'draw' : 'type');
+    const primarySigner = buildSignerRecord({ req, role: 'primary', name: primaryDisplayName, method, consentedAt, documentHash: leaseTextHash, signedAt });
+
+    // Keep what was signed so later signers (and the manager) sign the same document
+    application.leaseTemplateVersion = leaseTemplate.version;
+    application.signedLeaseText = leaseText;
+    application.leaseSignature = {
+      typedName: primaryDisplayName,
+      method,
+      signedAt,
+      image: hasPrimaryDrawing ? signatureImageBase64 : ''
+    };
+    // A fresh tenant signature needs a fresh counter-signature
+    application.managerSignature = undefined;
+    application.fullyExecutedAt = undefined;
+    application.leaseAudit = {
+      leaseTextHash: 'sha256:' + leaseTextHash,
+      signedByUserId: req.user._id,
+      signedName: primaryDisplayName,
+      consent: !!consent,
+      ip: primarySigner.ip,
+      userAgent: primarySigner.userAgent,
+      signedAt,
+      version: 'v3',
+      templateVersion: leaseTemplate.version,
+      signers: [primarySigner]
+    };
+
+    if (getPendingSigners(application).length > 0) {
+      const token = application.generateCoApplicantSigningToken();
+      await application.save();
+      console.log('[lease:sign] primary signature saved; awaiting co-applicant for application', applicationId);
+
+      return res.json({
+        success: true,
+        leaseSigned: false,
+        pendingSigners: getPendingSigners(application),
+        coApplicantSigningUrl: coApplicantSigningUrl(token),
+        coApplicantSigningExpires: application.coApplicantSigningExpires
+      });
+    }
 
-    let pdfDoc, font, fontItalic;
     try {
-      pdfDoc = await PDFDocument.create();
-      font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-      fontItalic = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
+      await completeLeaseSigning(application, req.user._id);
     } catch (e) {
-      console.error('[lease:sign] pdf-lib init error:', e);
-      return res.status(500).json({ error: 'PDF engine initialization failed' });
+      console.error('[lease:sign] pdf generation error:', e);
+      return res.status(500).json({ error: 'Failed to generate PDF' });
     }
-    const margin = 50;
-    const pageWidth = 612;
-    const pageHeight = 792;
-    const fontSize = 11;
-    const lineHeight = fontSize + 4;
-    let y = pageHeight - margin;
-    let page = pdfDoc.addPage([pageWidth, pageHeight]);
-
-    // Helper: Title-case a full name for clean display
-    function titleCase(input) {
-      if (!input || typeof input !== 'string') return input;
-      return input
-        .split(' ')
-        .filter(Boolean)
-        .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
-        .join(' ');
+    console.log('[lease:sign] lease signed and saved for application', applicationId);
+
+    res.json({ success: true, leaseSigned: true, downloadUrl: `/api/lease/view-signed/${application._id}` });
+  } catch (err) {
+    console.error('Lease sign error:', err);
+    res.status(500).json({ error: 'Server error signing lease' });
+  }
+});
+
+// Issue a new co-applicant signing link (the old one stops working)
+router.post('/co-sign-link/:applicationId', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) return res.status(404).json({ error: 'Application not found' });
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    if (application.leaseSigned || !application.leaseSignature?.signedAt || !getPendingSigners(application).includes('coApplicant')) {
+      return res.status(400).json({ error: 'The lease is not waiting for a co-applicant signature' });
     }
 
-    const primaryDisplayName = trimmedTypedName || titleCase(`${application.firstName} ${application.lastName}`.trim());
-    const coDisplayName = requiresCoApplicant
-      ? (trimmedTypedName2 || titleCase(`${application.secondApplicantFirstName} ${application.secondApplicantLastName}`.trim()))
-      : '';
-
-    function drawLine(text) {
-      if (y < margin) {
-        page = pdfDoc.addPage([pageWidth, pageHeight]);
-        y = pageHeight - margin;
-      }
-      page.drawText(text, { x: margin, y: y, size: fontSize, font, color: rgb(0, 0, 0) });
-      y -= lineHeight;
+    const token = application.generateCoApplicantSigningToken();
+    await application.save();
+
+    res.json({
+      coApplicantSigningUrl: coApplicantSigningUrl(token),
+      coApplicantSigningExpires: application.coApplicantSigningExpires
+    });
+  } catch (error) {
+    console.error('Error creating co-applicant signing link:', error);
+    res.status(500).json({ error: 'Server error creating signing link' });
+  }
+});
+
+// Look up the application behind a co-applicant signing link
+async function findByCoSignToken(token, res) {
+  const application = await Application.findOne({
+    coApplicantSigningToken: Application.hashSigningToken(token)
+  }).populate('userId', 'email');
+
+  if (!application) {
+    res.status(404).json({ error: 'This signing link is invalid or has already been used' });
+    return null;
+  }
+  if (!application.coApplicantSigningExpires || application.coApplicantSigningExpires < new Date()) {
+    res.status(410).json({ error: 'This signing link has expired. Ask the primary applicant to send a new one.' });
+    return null;
+  }
+  return application;
+}
+
+// Public: lease the co-applicant is asked to sign (no account needed)
+router.get('/co-sign/:token', async (req, res) => {
+  try {
+    const application = await findByCoSignToken(req.params.token, res);
+    if (!application) return;
+
+    res.json({
+      applicationNumber: application.applicationNumber,
+      coApplicantName: titleCase(`${application.secondApplicantFirstName} ${application.secondApplicantLastName}`.trim()),
+      primarySignerName: application.leaseSignature.typedName,
+      primarySignedAt: application.leaseSignature.signedAt,
+      leaseStartDate: application.leaseStartDate,
+      leaseEndDate: application.leaseEndDate,
+      leaseText: application.signedLeaseText,
+      leaseTextHash: sha256(application.signedLeaseText),
+      expiresAt: application.coApplicantSigningExpires
+    });
+  } catch (error) {
+    console.error('Error loading co-applicant signing link:', error);
+    res.status(500).json({ error: 'Server error loading lease' });
+  }
+});
+
+// Public: co-applicant signs through their link
+router.post('/co-sign/:token', async (req, res) => {
+  try {
+    const { typedName = '', signatureImageBase64 = '', signatureMethod, consent, consentedAt } = req.body;
+    if (!consent) {
+      return res.status(400).json({ error: 'Consent is required' });
     }
 
-    const drawTypedSignature = (p, text, boxX, boxY, boxWidth, boxHeight) => {
-      if (!text) return;
-      const scriptFont = fontItalic || font;
-      const maxSize = 22;
-      const textWidth = scriptFont.widthOfTextAtSize(text, maxSize);
-      const scale = textWidth > boxWidth - 10 ? (boxWidth - 10) / textWidth : 1;
-      const size = Math.max(14, maxSize * scale);
-      const baseline = boxY + (boxHeight / 2) - size / 3;
-      p.drawText(text, {
-        x: boxX + 5,
-        y: baseline,
-        size,
-        font: scriptFont,
-        color: rgb(0.1, 0.1, 0.1)
-      });
-      p.drawLine({
-        start: { x: boxX + 4, y: boxY + 6 },
-        end: { x: boxX + boxWidth - 4, y: boxY + 4 },
-        thickness: 0.6,
-        color: rgb(0.3, 0.3, 0.3)
-      });
+    const application = await findByCoSignToken(req.params.token, res);
+    if (!application) return;
+
+    const trimmedTypedName = (typedName || '').trim();
+    const hasDrawing = signatureImageBase64 && signatureImageBase64.startsWith('data:image');
+    if (!hasDrawing && !trimmedTypedName) {
+      return res.status(400).json({ error: 'Please provide a typed or drawn signature.' });
+    }
+
+    const documentHash = sha256(application.signedLeaseText);
+    if (application.leaseAudit?.leaseTextHash !== 'sha256:' + documentHash) {
+      return res.status(409).json({ error: 'The lease changed after the primary applicant signed. Ask them to sign again.' });
+    }
+
+    const signedAt = new Date();
+    const name = trimmedTypedName || titleCase(`${application.secondApplicantFirstName} ${application.secondApplicantLastName}`.trim());
+    const method = ['type', 'draw'].includes(signatureMethod) ? signatureMethod : (hasDrawing ? 'draw' : 'type');
+    const coSigner = buildSignerRecord({ req, role: 'coApplicant', name, method, consentedAt, documentHash, signedAt });
+
+    application.leaseSignature.coApplicantName = name;
+    application.leaseSignature.coApplicantImage = hasDrawing ? signatureImageBase64 : '';
+    application.leaseSignature.coApplicantMethod = method;
+    application.leaseSignature.coApplicantSignedAt = signedAt;
+    application.leaseAudit = {
+      ...application.leaseAudit,
+      signers: [...application.leaseAudit.signers.filter(signer => signer.role !== 'coApplicant'), coSigner]
     };
 
-    // Re-flow the lease text, injecting the signature block inline
-    const signedDate = new Date().toLocaleDateString('en-US');
-    const nameX = margin;
-    const sigX = margin + 180;
-    const sigBoxWidth = 120;
-    const sigBoxHeight = 40;
-    const rowHeight = 70;
-    const paras = leaseText.split('\n');
-    let suppressOldNameLines = false;
-    
-    for (const par of paras) {
-      const t = par.trim();
-      if (t.startsWith('Renters:')) {
-        drawLine('Renters:');
-        // Ensure space for signature block
-        const rows = 1 + (application.secondApplicantFirstName && application.secondApplicantLastName ? 1 : 0);
-        const needed = rows * rowHeight + 6;
-        if (y - needed < margin) { page = pdfDoc.addPage([pageWidth, pageHeight]); y = pageHeight - margin; }
-        
-        // Primary signer row - complete block
-        const row1Y = y;
-        // Name
-        const primaryName = primaryDisplayName;
-        page.drawText(primaryName, { x: nameX, y: row1Y - (sigBoxHeight / 2) + 4, size: 12, font, color: rgb(0,0,0) });
-        
-        // Signature box
-        page.drawRectangle({
-          x: sigX,
-          y: row1Y - sigBoxHeight,
-          width: sigBoxWidth,
-          height: sigBoxHeight,
-          borderColor: rgb(0, 0, 0),
-          borderWidth: 1,
-        });
-        
-        // Signature inside box
-        if (signatureImageBase64 && signatureImageBase64.startsWith('data:image')) {
-          const base64 = signatureImageBase64.split(',')[1];
-          const bytes = Buffer.from(base64, 'base64');
-          const img = signatureImageBase64.includes('image/png') ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
-          const padding = 4;
-          const maxWidth = sigBoxWidth - padding * 2;
-          const maxHeight = sigBoxHeight - padding * 2;
-          const scale = Math.min(maxWidth / img.width, maxHeight / img.height);
-          const drawWidth = img.width * scale;
-          const drawHeight = img.height * scale;
-          const sigY = row1Y - sigBoxHeight + (sigBoxHeight - drawHeight) / 2;
-          const sigXPos = sigX + (sigBoxWidth - drawWidth) / 2;
-          page.drawImage(img, { x: sigXPos, y: sigY, width: drawWidth, height: drawHeight });
-        } else {
-          drawTypedSignature(page, primaryDisplayName, sigX, row1Y - sigBoxHeight, sigBoxWidth, sigBoxHeight);
-        }
+    if (getPendingSigners(application).length > 0) {
+      await application.save();
+      return res.json({ success: true, leaseSigned: false, pendingSigners: getPendingSigners(application) });
+    }
 
-        // Date
-        page.drawText(`DATED: ${signedDate}`, { x: sigX + sigBoxWidth + 12, y: row1Y - (sigBoxHeight / 2) + 4, size: 12, font, color: rgb(0,0,0) });
-        
-        y -= rowHeight;
-        
-        // Co-applicant row - complete block
-        if (application.secondApplicantFirstName && application.secondApplicantLastName) {
-          const row2Y = y;
-          // Name
-          const coName = coDisplayName;
-          page.drawText(coName, { x: nameX, y: row2Y - (sigBoxHeight / 2) + 4, size: 12, font, color: rgb(0,0,0) });
-          
-          // Signature box
-          page.drawRectangle({
-            x: sigX,
-            y: row2Y - sigBoxHeight,
-            width: sigBoxWidth,
-            height: sigBoxHeight,
-            borderColor: rgb(0, 0, 0),
-            borderWidth: 1,
-          });
-          
-          // Signature inside box
-          if (signatureImageBase64_2 && signatureImageBase64_2.startsWith('data:image')) {
-            const base64 = signatureImageBase64_2.split(',')[1];
-            const bytes = Buffer.from(base64, 'base64');
-            const img = signatureImageBase64_2.includes('image/png') ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
-            const padding = 4;
-            const maxWidth = sigBoxWidth - padding * 2;
-            const maxHeight = sigBoxHeight - padding * 2;
-            const scale = Math.min(maxWidth / img.width, maxHeight / img.height);
-            const drawWidth = img.width * scale;
-            const drawHeight = img.height * scale;
-            const sigY = row2Y - sigBoxHeight + (sigBoxHeight - drawHeight) / 2;
-            const sigXPos = sigX + (sigBoxWidth - drawWidth) / 2;
-            page.drawImage(img, { x: sigXPos, y: sigY, width: drawWidth, height: drawHeight });
-          } else if (coDisplayName) {
-            drawTypedSignature(page, coDisplayName, sigX, row2Y - sigBoxHeight, sigBoxWidth, sigBoxHeight);
-          }
-          
-          // Date
-          page.drawText(`DATED: ${signedDate}`, { x: sigX + sigBoxWidth + 12, y: row2Y - (sigBoxHeight / 2) + 4, size: 12, font, color: rgb(0,0,0) });
-          
-          y -= rowHeight;
-        }
-        
-        // Begin skipping old printed name lines until we reach the agent line
-        suppressOldNameLines = true;
-        continue;
+    // No account behind the link, so calendar blocks are attributed to the primary applicant
+    await completeLeaseSigning(application, application.userId._id);
+    console.log('[lease:co-sign] lease fully signed by tenants for application', application._id.toString());
+
+    res.json({ success: true, leaseSigned: true });
+  } catch (error) {
+    console.error('Co-applicant signing error:', error);
+    res.status(500).json({ error: 'Server error signing lease' });
+  }
+});
+
+const MANAGER_SIGNATURE_SETTING = 'managerSignature';
+const SIGNATURE_IMAGE_PATTERN = /^data:image\/(png|jpe?g);base64,/;
+const MAX_SIGNATURE_IMAGE_BYTES = 1.5 * 1024 * 1024;
+
+// Admin: stored counter-signature used for leases
+router.get('/admin/manager-signature', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const signature = await Setting.getValue(MANAGER_SIGNATURE_SETTING, null);
+    res.json({ signature });
+  } catch (error) {
+    console.error('Error fetching manager signature:', error);
+    res.status(500).json({ error: 'Failed to fetch manager signature' });
+  }
+});
+
+// Admin: save the counter-signature image (PNG or JPEG data URL) and printed name
+router.put('/admin/manager-signature', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { name, image } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Signer name is required' });
+    }
+    if (typeof image !== 'string' || !SIGNATURE_IMAGE_PATTERN.test(image)) {
+      return res.status(400).json({ error: 'Signature must be a PNG or JPEG image' });
+    }
+    // Measure the decoded image, not the base64 text, which is a third larger
+    const imageBytes = Buffer.byteLength(image.replace(SIGNATURE_IMAGE_PATTERN, ''), 'base64');
+    if (imageBytes > MAX_SIGNATURE_IMAGE_BYTES) {
+      return res.status(400).json({ error: `Signature image must be smaller than ${MAX_SIGNATURE_IMAGE_BYTES / (1024 * 1024)}MB` });
+    }
+
+    const signature = { name: name.trim(), image, updatedAt: new Date() };
+    await Setting.setValue(MANAGER_SIGNATURE_SETTING, signature, req.user._id);
+    res.json({ message: 'Signature saved', signature });
+  } catch (error) {
+    console.error('Error saving manager signature:', error);
+    res.status(500).json({ error: 'Failed to save manager signature' });
+  }
+});
+
+// Admin: counter-sign a lease the tenants have signed, producing the fully executed copy
+router.post('/admin/countersign/:applicationId', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { method = 'stored', typedName = '' } = req.body;
+    const application = await Application.findById(req.params.applicationId).populate('userId', 'email');
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (!application.leaseSigned || !application.signedLeaseFile?.content) {
+      return res.status(400).json({ error: 'The tenants have not signed the lease yet' });
+    }
+    if (application.fullyExecutedAt) {
+      return res.status(400).json({ error: 'This lease has already been counter-signed' });
+    }
+
+    let manager;
+    if (method === 'stored') {
+      const stored = await Setting.getValue(MANAGER_SIGNATURE_SETTING, null);
+      if (!stored || !stored.image) {
+        return res.status(400).json({ error: 'No stored signature has been saved yet' });
       }
-      if (suppressOldNameLines) {
-        if (t.startsWith('Jay Pommrehn for Palm Run, LLC:')) {
-          // stop skipping and render this line next
-          suppressOldNameLines = false;
-          // ensure a comfortable gap before the agent section
-          if (y - lineHeight < margin) { page = pdfDoc.addPage([pageWidth, pageHeight]); y = pageHeight - margin; }
-          drawLine('Jay Pommrehn for Palm Run, LLC:');
-        }
-        continue; // skip everything while suppressing
+      manager = { name: stored.name, image: stored.image };
+    } else if (method === 'type') {
+      if (!typedName.trim()) {
+        return res.status(400).json({ error: 'Please type the signer\'s name' });
       }
-      const wrapped = t.length === 0 ? [''] : wrapText(par, 95);
-      wrapped.forEach(drawLine);
+      manager = { name: typedName.trim(), image: '' };
+    } else {
+      return res.status(400).json({ error: 'Signature method must be stored or type' });
     }
 
-    // Append audit info directly below the generated timestamp section
-    if (y - 96 < margin) { page = pdfDoc.addPage([pageWidth, pageHeight]); y = pageHeight - margin; }
-    y -= 10;
-    function auditLine(t){ if (y < margin) { page = pdfDoc.addPage([pageWidth, pageHeight]); y = pageHeight - margin; } page.drawText(t, { x: margin, y, size: 11, font, color: rgb(0,0,0) }); y -= 16; }
-    auditLine('Signed electronically by: ' + primaryDisplayName);
-    if (coDisplayName) auditLine('Signed electronically by (Co-Applicant): ' + coDisplayName);
-    auditLine('Signed at (UTC): ' + new Date().toISOString());
-    auditLine('IP Address: ' + (req.headers['x-forwarded-for']?.split(',')[0] || req.ip));
-    auditLine('User Agent: ' + (req.headers['user-agent'] || 'n/a'));
-    auditLine('Document Hash (SHA-256): ' + leaseTextHash);
+    const signedAt = new Date();
+    manager.signedAt = signedAt;
+    manager.depositReceived = !!application.paymentReceived;
+
+    const audit = application.leaseAudit || {};
+    const canRerender = !!(application.signedLeaseText && application.leaseSignature?.typedName);
+    const documentHash = canRerender ? sha256(application.signedLeaseText) : (audit.leaseTextHash || '').replace('sha256:', '');
+    const managerSigner = buildSignerRecord({
+      req,
+      role: 'manager',
+      name: manager.name,
+      method,
+      documentHash,
+      signedAt
+    });
 
     let pdfBytes;
-    try {
+    if (canRerender) {
+      if (audit.leaseTextHash && audit.leaseTextHash !== 'sha256:' + documentHash) {
+        return res.status(409).json({ error: 'The stored lease text no longer matches what the tenants signed' });
+      }
+
+      const signers = [...(audit.signers || []), managerSigner];
+      pdfBytes = await renderLeasePdf({
+        application,
+        leaseText: application.signedLeaseText,
+        signatures: { ...getTenantSignatures(application), manager },
+        certificate: {
+          signers,
+          documentHash,
+          templateVersion: application.signedLeaseTemplateVersion,
+          completedAt: signedAt
+        }
+      });
+    } else if (application.signedLeaseFile.mimetype === 'application/pdf') {
+      const pdfDoc = await PDFDocument.load(Buffer.from(application.signedLeaseFile.content, 'base64'));
+      await appendCounterSignaturePage(pdfDoc, manager);
       pdfBytes = await pdfDoc.save();
-    } catch (e) {
-      console.error('[lease:sign] pdf save error:', e);
-      return res.status(500).json({ error: 'Failed to generate PDF' });
+    } else {
+      return res.status(400).json({ error: 'Only PDF leases can be counter-signed. Upload the executed copy instead.' });
     }
-    const base64 = Buffer.from(pdfBytes).toString('base64');
 
-    application.leaseSigned = true;
-    application.leaseSignedAt = new Date();
     application.signedLeaseFile = {
-      filename: `lease_${application._id}.pdf`,
-      originalName: `lease_${application._id}.pdf`,
+      filename: `lease_${application._id}_executed.pdf`,
+      originalName: `lease_${application._id}_executed.pdf`,
       path: '',
       mimetype: 'application/pdf',
       size: pdfBytes.length,
-      uploadedAt: new Date(),
-      content: base64
+      uploadedAt: signedAt,
+      uploadedBy: application.signedLeaseFile.uploadedBy,
+      content: Buffer.from(pdfBytes).toString('base64')
     };
-    application.leaseSignature = {
-      typedName: primaryDisplayName,
-      method: hasPrimaryDrawing ? 'draw' : 'type',
-      signedAt: application.leaseSignedAt
+    application.managerSignature = {
+      name: manager.name,
+      method,
+      image: manager.image || undefined,
+      signedAt,
+      signedBy: req.user._id
     };
+    application.fullyExecutedAt = signedAt;
     application.leaseAudit = {
-      leaseTextHash: 'sha256:' + leaseTextHash,
-      signedByUserId: req.user._id,
-      signedName: primaryDisplayName,
-      coSignedName: coDisplayName || undefined,
-      consent: !!consent,
-      ip: req.headers['x-forwarded-for']?.split(',')[0] || req.ip,
-      userAgent: req.headers['user-agent'] || 'n/a',
-      signedAt: application.leaseSignedAt,
-      version: 'v1'
+      ...audit,
+      signers: [...(audit.signers || []), managerSigner],
+      fullyExecutedAt: signedAt,
+      signedPdfHash: 'sha256:' + sha256(Buffer.from(pdfBytes))
     };
+    application.lastUpdated = signedAt;
+    application.updatedBy = req.user._id;
     await application.save();
-    console.log('[lease:sign] lease signed and saved for application', applicationId);
 
-    res.json({ success: true, downloadUrl: `/api/lease/view-signed/${application._id}` });
-  } catch (err) {
-    console.error('Lease sign error:', err);
-    res.status(500).json({ error: 'Server error signing lease' });
+    res.json({
+      message: 'Lease counter-signed and fully executed',
+      fullyExecutedAt: application.fullyExecutedAt,
+      managerSignature: { name: manager.name, method, signedAt },
+      downloadUrl: `/api/lease/view-signed/${application._id}`
+    });
+  } catch (error) {
+    console.error('Lease counter-sign error:', error);
+    res.status(500).json({ error: 'Server error counter-signing lease' });
   }
 });
+
 // Upload signed lease
 router.post('/upload-signed', auth, upload.single('signedLease'), async (req, res) => {
   try {
@@ -964,6 +990,9 @@ router.post('/upload-signed', auth, upload.single('signedLease'), async (req, re
     if (!application) {
       return res.status(404).json({ error: 'Application not found' });
     }
+    if (await isLeaseExecuted(application)) {
+      return res.status(409).json({ error: EXECUTED_LEASE_LOCKED });
+    }
 
     // Save file information to the application (storing file content in database for Heroku compatibility)
     const fileContent = req.file.buffer ? req.file.buffer.toString('base64') : null;
@@ -987,8 +1016,15 @@ router.post('/upload-signed', auth, upload.single('signedLease'), async (req, re
     // Mark lease as signed
     application.leaseSigned = true;
     application.leaseSignedAt = new Date();
+    // The uploaded copy was printed from the generated lease
+    application.signedLeaseTemplateVersion = application.leaseTemplateVersion;
+    application.signedLeaseText = undefined;
+    application.managerSignature = undefined;
+    application.fullyExecutedAt = undefined;
+    application.clearCoApplicantSigningToken();
 
     await application.save();
+    await syncLeaseAvailability(application, req.user._id);
 
     res.json({
       message: 'Signed lease uploaded successfully',
@@ -1087,6 +1123,9 @@ router.delete('/remove-signed/:applicationId', auth, async (req, res) => {
     if (!application || !application.signedLeaseFile) {
       return res.status(404).json({ error: 'Signed lease not found' });
     }
+    if (await isLeaseExecuted(application)) {
+      return res.status(409).json({ error: EXECUTED_LEASE_LOCKED });
+    }
 
     // No filesystem cleanup needed since files are stored in database
 
@@ -1094,8 +1133,14 @@ router.delete('/remove-signed/:applicationId', auth, async (req, res) => {
     application.signedLeaseFile = undefined;
     application.leaseSigned = false;
     application.leaseSignedAt = undefined;
+    application.signedLeaseTemplateVersion = undefined;
+    application.signedLeaseText = undefined;
+    application.managerSignature = undefined;
+    application.fullyExecutedAt = undefined;
+    application.clearCoApplicantSigningToken();
 
     await application.save();
+    await syncLeaseAvailability(application, req.user._id);
 
     res.json({ message: 'Signed lease removed successfully' });
   } catch (error) {
@@ -0,0 +1,368 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Application = require('../models/Application');
+const LeaseAmendment = require('../models/LeaseAmendment');
+const { auth, adminAuth } = require('../middleware/auth');
+const { calculateStayQuote, countApplicationGuests, QuoteError } = require('../utils/quote');
+const { parseDateOnly } = require('../utils/dates');
+const { findDateConflicts } = require('../utils/conflicts');
+const { syncLeaseAvailability } = require('../utils/availability');
+const { applyPaymentSchedule } = require('../utils/paymentSchedule');
+const { applyStayTaxes } = require('../utils/taxes');
+const { buildSignerRecord } = require('../utils/signatureCertificate');
+const { titleCase, renderLeasePdf } = require('../utils/leasePdf');
+const {
+  LEASE_TERM_FIELDS,
+  pickLeaseTerms,
+  diffLeaseTerms,
+  buildAddendumText
+} = require('../utils/leaseAmendment');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+// Everything but the signed PDF and signature image, which are served separately
+const SUMMARY_FIELDS = '-signedFile.content -signature.image';
+
+const canAccess = (req, application) => (
+  req.user.role === 'admin' || application.userId.toString() === req.user._id.toString()
+);
+
+// The signed lease followed by each signed addendum, oldest first
+const buildLeaseHistory = (application, amendments) => {
+  const history = [];
+  if (application.leaseSigned) {
+    history.push({
+      type: 'lease',
+      title: 'Rental Agreement',
+      signedAt: application.leaseSignedAt,
+      fullyExecutedAt: application.fullyExecutedAt,
+      templateVersion: application.signedLeaseTemplateVersion,
+      viewUrl: `/api/lease/view-signed/${application._id}`
+    });
+  }
+  amendments
+    .filter(amendment => amendment.status === 'signed')
+    .forEach(amendment => {
+      history.push({
+        type: 'amendment',
+        amendmentId: amendment._id,
+        number: amendment.number,
+        title: `Addendum ${amendment.number}`,
+        signedAt: amendment.signedAt,
+        changes: diffLeaseTerms(amendment.previousTerms, amendment.newTerms),
+        previousTerms: amendment.previousTerms,
+        newTerms: amendment.newTerms,
+        viewUrl: `/api/lease-amendments/${amendment._id}/pdf`
+      });
+    });
+  return history;
+};
+
+// Load an amendment with its application, enforcing owner-or-admin access
+async function findAmendment(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid amendment ID' });
+    return null;
+  }
+  const amendment = await LeaseAmendment.findById(req.params.id);
+  if (!amendment) {
+    res.status(404).json({ error: 'Amendment not found' });
+    return null;
+  }
+  const application = await Application.findById(amendment.application).populate('userId', 'email');
+  if (!application) {
+    res.status(404).json({ error: 'Application not found' });
+    return null;
+  }
+  if (req.user.role !== 'admin' && application.userId._id.toString() !== req.user._id.toString()) {
+    res.status(403).json({ error: 'Unauthorized' });
+    return null;
+  }
+  return { amendment, application };
+}
+
+// Amendments and lease history for an application
+router.get('/application/:applicationId', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) return res.status(404).json({ error: 'Application not found' });
+    if (!canAccess(req, application)) return res.status(403).json({ error: 'Unauthorized' });
+
+    const amendments = await LeaseAmendment.find({ application: application._id })
+      .select(SUMMARY_FIELDS)
+      .populate('proposedBy', 'firstName lastName')
+      .sort({ number: 1 });
+
+    res.json({
+      amendments,
+      history: buildLeaseHistory(application, amendments)
+    });
+  } catch (error) {
+    console.error('Error fetching lease amendments:', error);
+    res.status(500).json({ error: 'Server error fetching lease amendments' });
+  }
+});
+
+// Admin: propose new lease terms as an addendum for the tenant to sign
+router.post('/application/:applicationId', auth, adminAuth, async (req, res) => {
+  try {
+    const { reason = '', override = false } = req.body;
+    const application = await Application.findById(req.params.applicationId).populate('userId', 'email');
+    if (!application) return res.status(404).json({ error: 'Application not found' });
+
+    if (!application.leaseSigned) {
+      return res.status(400).json({ error: 'Amendments apply to signed leases. Regenerate the lease to change its terms before it is signed.' });
+    }
+    const openAmendment = await LeaseAmendment.findOne({ application: application._id, status: 'proposed' });
+    if (openAmendment) {
+      return res.status(409).json({ error: `Addendum ${openAmendment.number} is still waiting for the tenant's signature. Cancel it before proposing another.` });
+    }
+
+    const previousTerms = pickLeaseTerms(application);
+    const newTerms = { ...previousTerms };
+    LEASE_TERM_FIELDS.forEach(field => {
+      const value = req.body[field];
+      if (value === undefined || value === null || value === '') return;
+      newTerms[field] = field === 'rentalAmount' || field === 'depositAmount' ? Number(value) : value;
+    });
+
+    if (['rentalAmount', 'depositAmount'].some(field => !Number.isFinite(newTerms[field]) || newTerms[field] < 0)) {
+      return res.status(400).json({ error: 'Amounts must be zero or more' });
+    }
+    const start = parseDateOnly(newTerms.leaseStartDate);
+    const end = parseDateOnly(newTerms.leaseEndDate);
+    if (!start || !end) {
+      return res.status(400).json({ error: 'Valid start and end dates are required' });
+    }
+    if (end <= start) {
+      return res.status(400).json({ error: 'End date must be after start date' });
+    }
+
+    const datesChanged = newTerms.leaseStartDate !== previousTerms.leaseStartDate || newTerms.leaseEndDate !== previousTerms.leaseEndDate;
+    let stayQuote = null;
+    if (datesChanged) {
+      const conflicts = await findDateConflicts({
+        startDate: newTerms.leaseStartDate,
+        endDate: newTerms.leaseEndDate,
+        excludeApplicationId: application._id,
+        includeReferences: true
+      });
+      if (conflicts.length > 0 && !override) {
+        return res.status(409).json({
+          error: 'The new dates conflict with the calendar',
+          conflicts,
+          canOverride: true
+        });
+      }
+
+      // Price the new dates from the published rates unless the admin set a fee
+      try {
+        stayQuote = await calculateStayQuote({
+          startDate: newTerms.leaseStartDate,
+          endDate: newTerms.leaseEndDate,
+          guests: countApplicationGuests(application)
+        });
+        if (req.body.rentalAmount === undefined || req.body.rentalAmount === null || req.body.rentalAmount === '') {
+          newTerms.rentalAmount = stayQuote.subtotal;
+        }
+      } catch (error) {
+        if (!(error instanceof QuoteError)) throw error;
+      }
+    }
+
+    if (diffLeaseTerms(previousTerms, newTerms).length === 0) {
+      return res.status(400).json({ error: 'The proposed terms are the same as the current lease' });
+    }
+
+    const lastAmendment = await LeaseAmendment.findOne({ application: application._id }).sort({ number: -1 });
+    const number = lastAmendment ? lastAmendment.number + 1 : 1;
+    const addendumText = buildAddendumText({
+      application,
+      number,
+      previousTerms,
+      newTerms,
+      reason: String(reason).trim(),
+      proposedByName: titleCase(`${req.user.firstName || ''} ${req.user.lastName || ''}`.trim())
+    });
+
+    const amendment = await LeaseAmendment.create({
+      application: application._id,
+      number,
+      reason: String(reason).trim(),
+      previousTerms,
+      newTerms,
+      stayQuote,
+      addendumText,
+      addendumTextHash: sha256(addendumText),
+      proposedBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: `Addendum ${number} proposed`,
+      amendment
+    });
+  } catch (error) {
+    console.error('Error proposing lease amendment:', error);
+    res.status(500).json({ error: 'Server error proposing lease amendment' });
+  }
+});
+
+// One amendment, including the addendum text to review
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const found = await findAmendment(req, res);
+    if (!found) return;
+    const amendment = found.amendment.toObject();
+    delete amendment.signedFile;
+    res.json({ amendment });
+  } catch (error) {
+    console.error('Error fetching lease amendment:', error);
+    res.status(500).json({ error: 'Server error fetching lease amendment' });
+  }
+});
+
+// Tenant: e-sign the addendum, which applies the new terms to the application
+router.post('/:id/sign', auth, async (req, res) => {
+  try {
+    const {
+      typedName = '',
+      signatureImageBase64 = '',
+      signatureMethod,
+      consent,
+      consentedAt
+    } = req.body;
+    if (!consent) {
+      return res.status(400).json({ error: 'Consent is required' });
+    }
+
+    const found = await findAmendment(req, res);
+    if (!found) return;
+    const { amendment, application } = found;
+
+    if (amendment.status !== 'proposed') {
+      return res.status(400).json({ error: `This addendum has already been ${amendment.status}` });
+    }
+    if (!application.leaseSigned) {
+      return res.status(400).json({ error: 'The lease this addendum amends is no longer signed' });
+    }
+    // The addendum quotes the terms it replaces, so they must still be the ones in force
+    if (diffLeaseTerms(amendment.previousTerms, pickLeaseTerms(application)).length > 0) {
+      return res.status(409).json({ error: 'The lease terms have changed since this addendum was proposed. Please ask the manager to propose it again.' });
+    }
+    if (sha256(amendment.addendumText) !== amendment.addendumTextHash) {
+      return res.status(409).json({ error: 'The addendum text no longer matches what was proposed' });
+    }
+
+    const trimmedTypedName = (typedName || '').trim();
+    const hasDrawing = signatureImageBase64 && signatureImageBase64.startsWith('data:image');
+    if (!hasDrawing && !trimmedTypedName) {
+      return res.status(400).json({ error: 'Please provide a typed or drawn signature.' });
+    }
+
+    const signedAt = new Date();
+    const name = trimmedTypedName || titleCase(`${application.firstName} ${application.lastName}`.trim());
+    const method = ['type', 'draw'].includes(signatureMethod) ? signatureMethod : (hasDrawing ? 'draw' : 'type');
+    const signer = buildSignerRecord({ req, role: 'primary', name, method, consentedAt, documentHash: amendment.addendumTextHash, signedAt });
+
+    const pdfBytes = await renderLeasePdf({
+      application,
+      leaseText: amendment.addendumText,
+      title: `Addendum ${amendment.number}`,
+      signatures: {
+        primary: { name, image: hasDrawing ? signatureImageBase64 : '', signedAt }
+      },
+      certificate: {
+        title: `Addendum ${amendment.number} to the Palm Run Rental Agreement`,
+        signers: [signer],
+        documentHash: amendment.addendumTextHash,
+        completedAt: signedAt
+      }
+    });
+    const content = Buffer.from(pdfBytes).toString('base64');
+
+    amendment.status = 'signed';
+    amendment.signedAt = signedAt;
+    amendment.signature = { typedName: name, method, image: hasDrawing ? signatureImageBase64 : '' };
+    amendment.signers = [signer];
+    amendment.signedFile = {
+      filename: `lease-addendum-${amendment.number}-${application._id}.pdf`,
+      mimetype: 'application/pdf',
+      size: Buffer.byteLength(content, 'base64'),
+      content
+    };
+    await amendment.save();
+
+    // The signed lease file and text stay as they were; only the terms in force change
+    LEASE_TERM_FIELDS.forEach(field => {
+      application[field] = amendment.newTerms[field];
+    });
+    if (amendment.stayQuote) {
+      application.stayQuote = amendment.stayQuote;
+    }
+    await applyStayTaxes(application);
+    applyPaymentSchedule(application);
+    application.lastUpdated = new Date();
+    await application.save();
+    await syncLeaseAvailability(application, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Addendum ${amendment.number} signed`,
+      downloadUrl: `/api/lease-amendments/${amendment._id}/pdf`
+    });
+  } catch (error) {
+    console.error('Error signing lease amendment:', error);
+    res.status(500).json({ error: 'Server error signing lease amendment' });
+  }
+});
+
+// Admin: withdraw an addendum the tenant has not signed
+router.post('/:id/cancel', auth, adminAuth, async (req, res) => {
+  try {
+    const found = await findAmendment(req, res);
+    if (!found) return;
+    const { amendment } = found;
+
+    if (amendment.status !== 'proposed') {
+      return res.status(400).json({ error: `This addendum has already been ${amendment.status}` });
+    }
+
+    amendment.status = 'cancelled';
+    amendment.cancelledAt = new Date();
+    amendment.cancelledBy = req.user._id;
+    await amendment.save();
+
+    res.json({ message: `Addendum ${amendment.number} cancelled` });
+  } catch (error) {
+    console.error('Error cancelling lease amendment:', error);
+    res.status(500).json({ error: 'Server error cancelling lease amendment' });
+  }
+});
+
+// The signed addendum PDF
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    const found = await findAmendment(req, res);
+    if (!found) return;
+    const { amendment } = found;
+
+    if (!amendment.signedFile || !amendment.signedFile.content) {
+      return res.status(404).json({ error: 'This addendum has not been signed yet' });
+    }
+
+    const fileBuffer = Buffer.from(amendment.signedFile.content, 'base64');
+    res.set({
+      'Content-Type': amendment.signedFile.mimetype || 'application/pdf',
+      'Content-Disposition': `inline; filename="${amendment.signedFile.filename || 'lease-addendum.pdf'}"`,
+      'Content-Length': fileBuffer.length
+    });
+    res.send(fileBuffer);
+  } catch (error) {
+    console.error('Error viewing lease amendment:', error);
+    res.status(500).json({ error: 'Server error viewing lease amendment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const LeaseTemplate = require('../models/LeaseTemplate');
+const Application = require('../models/Application');
+const { auth, adminAuth } = require('../middleware/auth');
+const {
+  LEASE_PLACEHOLDERS,
+  buildLeaseVariables,
+  renderLeaseTemplate,
+  findUnknownPlaceholders,
+  getCurrentLeaseTemplate
+} = require('../utils/leaseTemplate');
+const { renderLeasePdf } = require('../utils/leasePdf');
+const { applyStayTaxes } = require('../utils/taxes');
+
+// Stand-in renter used to preview a template without picking an application
+const SAMPLE_APPLICATION = {
+  _id: '000000000000000000000000',
+  applicationNumber: 'APP-0000',
+  firstName: 'Jane',
+  lastName: 'Sample',
+  secondApplicantFirstName: 'John',
+  secondApplicantLastName: 'Sample',
+  phone: '(555) 555-0100',
+  address: { street: '100 Main St', city: 'Springfield', state: 'IL', zipCode: '62701' },
+  userId: { email: 'jane.sample@example.com' },
+  leaseStartDate: '2026-01-05',
+  leaseEndDate: '2026-03-31',
+  rentalAmount: 12500
+};
+
+const validateBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Template text is required';
+  }
+  const unknown = findUnknownPlaceholders(body);
+  if (unknown.length > 0) {
+    return `Unknown placeholders: ${unknown.map(key => `{{${key}}}`).join(', ')}`;
+  }
+  return null;
+};
+
+// Current template, version history and available placeholders (admin only)
+router.get('/', auth, adminAuth, async (req, res) => {
+  try {
+    const current = await getCurrentLeaseTemplate();
+    const versions = await LeaseTemplate.find()
+      .sort({ version: -1 })
+      .select('version notes createdAt createdBy')
+      .populate('createdBy', 'email firstName lastName');
+
+    res.json({ current, versions, placeholders: LEASE_PLACEHOLDERS });
+  } catch (error) {
+    console.error('Error fetching lease templates:', error);
+    res.status(500).json({ error: 'Failed to fetch lease templates' });
+  }
+});
+
+// Render a template body (saved or not) against an application or sample data (admin only)
+router.post('/preview', auth, adminAuth, async (req, res) => {
+  try {
+    const { body, applicationId, format } = req.body;
+    if (typeof body !== 'string') {
+      return res.status(400).json({ error: 'Template text is required' });
+    }
+
+    // The sample shows the taxes the current policy puts on its Rental Fee
+    let application = { ...SAMPLE_APPLICATION };
+    await applyStayTaxes(application);
+    if (applicationId) {
+      if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+        return res.status(400).json({ error: 'Invalid application ID' });
+      }
+      application = await Application.findById(applicationId).populate('userId', 'email');
+      if (!application) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+    }
+
+    const variables = buildLeaseVariables(
+      application,
+      application.leaseStartDate || application.requestedStartDate,
+      application.leaseEndDate || application.requestedEndDate,
+      application.rentalAmount ?? 'TBD'
+    );
+
+    const leaseText = renderLeaseTemplate(body, variables);
+
+    // The same renderer as the tenant's download and the signed copy
+    if (format === 'pdf') {
+      const pdfBytes = await renderLeasePdf({ application, leaseText });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'inline; filename="lease-preview.pdf"');
+      return res.send(Buffer.from(pdfBytes));
+    }
+
+    res.json({
+      leaseText,
+      unknownPlaceholders: findUnknownPlaceholders(body)
+    });
+  } catch (error) {
+    console.error('Error previewing lease template:', error);
+    res.status(500).json({ error: 'Failed to preview lease template' });
+  }
+});
+
+// Get the full text of one version (admin only)
+router.get('/:version', auth, adminAuth, async (req, res) => {
+  try {
+    const template = await LeaseTemplate.findOne({ version: Number(req.params.version) })
+      .populate('createdBy', 'email firstName lastName');
+    if (!template) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    res.json({ template });
+  } catch (error) {
+    console.error('Error fetching lease template version:', error);
+    res.status(500).json({ error: 'Failed to fetch lease template' });
+  }
+});
+
+// Save the edited template as a new version; it applies to leases generated from now on (admin only)
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { body, notes } = req.body;
+    const validationError = validateBody(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const current = await getCurrentLeaseTemplate();
+    if (current.body === body) {
+      return res.status(400).json({ error: 'No changes to save' });
+    }
+
+    const template = await LeaseTemplate.create({
+      version: current.version + 1,
+      body,
+      notes: notes || '',
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ message: `Lease template version ${template.version} saved`, template });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'The template was changed by someone else. Reload and try again.' });
+    }
+    console.error('Error saving lease template:', error);
+    res.status(500).json({ error: 'Failed to save lease template' });
+  }
+});
+
+// Make an older version current again by saving a copy of it as a new version (admin only)
+router.post('/:version/restore', auth, adminAuth, async (req, res) => {
+  try {
+    const source = await LeaseTemplate.findOne({ version: Number(req.params.version) });
+    if (!source) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    const current = await getCurrentLeaseTemplate();
+    const template = await LeaseTemplate.create({
+      version: current.version + 1,
+      body: source.body,
+      notes: `Restored from version ${source.version}`,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ message: `Version ${source.version} restored as version ${template.version}`, template });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'The template was changed by someone else. Reload and try again.' });
+    }
+    console.error('Error restoring lease template:', error);
+    res.status(500).json({ error: 'Failed to restore lease template' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,35 @@ const Payment = require('../models/Payment');
 const User = require('../models/User');
 const Application = require('../models/Application');
 const { auth } = require('../middleware/auth');
+const { getPaymentScheduleStatus } = require('../utils/paymentSchedule');
+const { loadApplicationLedger } = require('../utils/ledger');
+const { StripeRefundError, createStripeRefund, syncStripeRefunds } = require('../utils/stripeRefunds');
+const { recordStripeDispute } = require('../utils/disputes');
+const { buildDisputeEvidencePdf } = require('../utils/disputeEvidence');
+const { buildPaymentReceiptPdf, buildStatementPdf } = require('../utils/receiptPdf');
+const WebhookEvent = require('../models/WebhookEvent');
+const { recordWebhookEvent, runWebhookEvent } = require('../utils/webhookEvents');
+const {
+  getStripeCustomer,
+  applyPaymentMethodDetails,
+  getIntentCharge,
+  upsertPaymentFromIntent,
+  upsertPaymentFromCheckoutSession,
+  markPaymentFailed
+} = require('../utils/stripePayments');
+const { CARD_FEE_RATE, AutopayError, listSavedPaymentMethods, getOwnedPaymentMethod } = require('../utils/autopay');
+const { LateFeeError, getLateFeePolicy, setLateFeePolicy, waiveLateFee } = require('../utils/lateFees');
+const PaymentRequest = require('../models/PaymentRequest');
+const { FLAG_LABELS, ReconciliationError, reconcilePayouts } = require('../utils/payoutReconciliation');
+const { TaxError, getTaxPolicy, setTaxPolicy, buildTaxReport } = require('../utils/taxes');
+const {
+  PaymentRequestError,
+  payLinkUrl,
+  createPaymentRequest,
+  cancelPaymentRequest,
+  findPaymentRequestByToken,
+  sendPayLinkEmail
+} = require('../utils/paymentRequests');
 const router = express.Router();
 const webhookRouter = express.Router();
 
@@ -103,186 +132,56 @@ const monthMatchesPeriod = (monthKey, periodConfig) => {
   return true;
 };
 
-// Stripe webhook handler for payment completion - MUST use raw body
-async function handleStripeWebhook(req, res) {
-  const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-  console.log('=== WEBHOOK RECEIVED ===');
-  console.log('Webhook received:', req.headers['stripe-signature'] ? 'with signature' : 'without signature');
-  console.log('Webhook endpoint secret exists:', !!endpointSecret);
-  console.log('Request body length:', req.body?.length || 'no body');
-  console.log('Content-Type:', req.headers['content-type']);
-
-  let event;
-
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-    console.log('Webhook event type:', event.type);
-    console.log('Webhook event ID:', event.id);
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  // Handle the event
+// Apply one Stripe event. Throws on failure so the stored WebhookEvent records the
+// error and the event can be retried by Stripe or replayed by an admin.
+async function processStripeEvent(event) {
   switch (event.type) {
     case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded':
+      await upsertPaymentFromCheckoutSession(event.data.object);
+      break;
+
+    case 'checkout.session.async_payment_failed': {
       const session = event.data.object;
-      
-      console.log('Processing checkout.session.completed webhook');
-      console.log('Session metadata keys:', Object.keys(session.metadata || {}));
-      console.log('Session payment intent:', session.payment_intent);
-      
-      try {
-        // Create payment record from session metadata
-        const payment = new Payment({
-          userId: session.metadata.userId,
-          applicationId: session.metadata.applicationId,
-          stripePaymentIntentId: session.payment_intent,
-          stripeCustomerId: session.customer,
-          amount: Math.round(parseFloat(session.metadata.amount) * 100), // Convert to cents
-          creditCardFee: Math.round(parseFloat(session.metadata.creditCardFee || 0) * 100), // Convert to cents
-          totalAmount: session.amount_total,
-          currency: 'usd',
-          paymentType: session.metadata.paymentType,
-          description: `${session.metadata.paymentType} payment`,
-          status: 'succeeded',
-          paidAt: new Date(),
-          metadata: {
-            propertyAddress: session.metadata.propertyAddress,
-            checkoutSessionId: session.id
-          }
-        });
-        
-        console.log('Created payment object:', {
-          userId: payment.userId,
-          applicationId: payment.applicationId,
-          amount: payment.amount,
-          status: payment.status
-        });
+      await markPaymentFailed(session.payment_intent, { code: 'async_payment_failed', message: 'The bank debit failed' });
+      break;
+    }
 
-        // Get payment intent details for additional info
-        const paymentIntent = await stripe.paymentIntents.retrieve(session.payment_intent);
-        const charge = paymentIntent.charges?.data?.[0];
-        if (charge?.payment_method_details?.card) {
-          const card = charge.payment_method_details.card;
-          payment.cardLast4 = card.last4;
-          payment.cardBrand = card.brand;
-        }
+    case 'payment_intent.processing':
+      await upsertPaymentFromIntent(event.data.object, 'processing');
+      break;
 
-        // Get receipt URL from charge if available
-        payment.receiptUrl = payment.receiptUrl || charge?.receipt_url || null;
-
-        await payment.save();
-        console.log(`Payment ${payment._id} saved to database successfully`);
-        
-        // Update application to mark payment as received
-        if (session.metadata.applicationId) {
-          const updateResult = await Application.findByIdAndUpdate(
-            session.metadata.applicationId,
-            { 
-              paymentReceived: true,
-              lastUpdated: new Date()
-            }
-          );
-          console.log(`Updated application ${session.metadata.applicationId} with paymentReceived: true`);
-          console.log('Application update result:', updateResult ? 'success' : 'failed');
-        }
-        
-        console.log(`Payment ${payment._id} created and marked as successful`);
-        console.log(`Updated application ${session.metadata.applicationId} with paymentReceived: true`);
-      } catch (error) {
-        console.error('Error processing webhook:', error);
-      }
+    case 'payment_intent.succeeded':
+      await upsertPaymentFromIntent(event.data.object, 'succeeded');
       break;
 
-    case 'payment_intent.payment_failed':
+    case 'payment_intent.payment_failed': {
       const paymentIntent = event.data.object;
-      
-      try {
-        const payment = await Payment.findOne({ 
-          stripePaymentIntentId: paymentIntent.id 
-        });
+      await markPaymentFailed(paymentIntent.id, paymentIntent.last_payment_error);
+      break;
+    }
 
-        if (payment) {
-          payment.status = 'failed';
-          payment.failedAt = new Date();
-          payment.error = {
-            code: paymentIntent.last_payment_error?.code || 'payment_failed',
-            message: paymentIntent.last_payment_error?.message || 'Payment failed'
-          };
-          await payment.save();
-          console.log(`Payment ${payment._id} marked as failed`);
-        }
-      } catch (error) {
-        console.error('Error processing failed payment webhook:', error);
-      }
+    case 'charge.refunded': {
+      const charge = event.data.object;
+      // Covers refunds made here and ones made in the Stripe dashboard
+      const refunds = await syncStripeRefunds(charge.payment_intent);
+      console.log(`Synced ${refunds.length} refund(s) for payment intent ${charge.payment_intent}`);
+      break;
+    }
+
+    case 'charge.refund.updated':
+      await syncStripeRefunds(event.data.object.payment_intent);
       break;
 
-    case 'payment_intent.succeeded': {
-      const pi = event.data.object;
-      try {
-        let payment = await Payment.findOne({ stripePaymentIntentId: pi.id });
-        if (!payment) {
-          // Use metadata if available, otherwise use payment intent amount
-          const amountFromMetadata = pi.metadata?.amount ? Math.round(parseFloat(pi.metadata.amount) * 100) : pi.amount;
-          const creditCardFeeFromMetadata = pi.metadata?.creditCardFee ? Math.round(parseFloat(pi.metadata.creditCardFee) * 100) : 0;
-          const totalAmountFromMetadata = pi.metadata?.totalAmount ? Math.round(parseFloat(pi.metadata.totalAmount) * 100) : pi.amount;
-          
-          payment = new Payment({
-            userId: pi.metadata?.userId,
-            applicationId: pi.metadata?.applicationId,
-            stripePaymentIntentId: pi.id,
-            stripeCustomerId: pi.customer,
-            amount: amountFromMetadata,
-            creditCardFee: creditCardFeeFromMetadata,
-            totalAmount: totalAmountFromMetadata,
-            currency: pi.currency || 'usd',
-            paymentType: pi.metadata?.paymentType || 'deposit',
-            description: `${pi.metadata?.paymentType || 'deposit'} payment`,
-            status: 'succeeded',
-            paidAt: new Date(),
-            metadata: {
-              propertyAddress: pi.metadata?.propertyAddress,
-              checkoutSessionId: pi.metadata?.checkoutSessionId
-            }
-          });
-        } else {
-          payment.status = 'succeeded';
-          payment.paidAt = new Date();
-          // Update amount if it's still 0 (from previous incorrect processing)
-          if (payment.amount === 0) {
-            const amountFromMetadata = pi.metadata?.amount ? Math.round(parseFloat(pi.metadata.amount) * 100) : pi.amount;
-            const creditCardFeeFromMetadata = pi.metadata?.creditCardFee ? Math.round(parseFloat(pi.metadata.creditCardFee) * 100) : 0;
-            const totalAmountFromMetadata = pi.metadata?.totalAmount ? Math.round(parseFloat(pi.metadata.totalAmount) * 100) : pi.amount;
-            
-            payment.amount = amountFromMetadata;
-            payment.creditCardFee = creditCardFeeFromMetadata;
-            payment.totalAmount = totalAmountFromMetadata;
-          }
-        }
-        const charge = pi.charges?.data?.[0];
-        payment.receiptUrl = charge?.receipt_url || payment.receiptUrl;
-        if (charge?.payment_method_details?.card) {
-          payment.cardBrand = charge.payment_method_details.card.brand;
-          payment.cardLast4 = charge.payment_method_details.card.last4;
-        }
-        await payment.save();
-        
-        // Update application to mark payment as received
-        if (pi.metadata?.applicationId) {
-          await Application.findByIdAndUpdate(
-            pi.metadata.applicationId,
-            { 
-              paymentReceived: true,
-              lastUpdated: new Date()
-            }
-          );
-          console.log(`Updated application ${pi.metadata.applicationId} with paymentReceived: true`);
-        }
-      } catch (err) {
-        console.error('payment_intent.succeeded handling error:', err);
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed': {
+      const dispute = event.data.object;
+      const payment = await recordStripeDispute(dispute);
+      if (payment) {
+        console.log(`Dispute ${dispute.id} (${dispute.status}) recorded on payment ${payment._id}`);
+      } else {
+        console.log(`Dispute ${dispute.id} is for an unknown payment intent ${dispute.payment_intent}`);
       }
       break;
     }
@@ -290,8 +189,40 @@ async function handleStripeWebhook(req, res) {
     default:
       console.log(`Unhandled event type ${event.type}`);
   }
+}
+
+// Stripe webhook handler - MUST use raw body
+async function handleStripeWebhook(req, res) {
+  const sig = req.headers['stripe-signature'];
+  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    console.log('Webhook event:', event.type, event.id);
+  } catch (err) {
+    console.error('Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
 
-  res.json({ received: true });
+  try {
+    const stored = await recordWebhookEvent(event);
+    const result = await runWebhookEvent(stored, processStripeEvent);
+
+    if (result.skipped) {
+      console.log(`Webhook event ${event.id} already ${result.event.status}; skipping`);
+      return res.json({ received: true, duplicate: true });
+    }
+    if (result.event.status === 'failed') {
+      // A non-2xx response makes Stripe retry; the failure also shows on the admin webhook screen
+      return res.status(500).json({ received: true, error: result.event.error.message });
+    }
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Webhook event storage error:', error);
+    res.status(500).json({ error: 'Server error storing webhook event' });
+  }
 }
 
 // Mount webhook with raw body parser on dedicated router
@@ -357,15 +288,42 @@ router.post('/test-payment', auth, async (req, res) => {
 // Create Stripe Checkout session
 router.post('/create-checkout-session', auth, async (req, res) => {
   try {
-    const { amount, creditCardFee = 0, totalAmount, paymentType = 'deposit', description, successUrl, cancelUrl, applicationId } = req.body;
-    
+    const { description, successUrl, cancelUrl, applicationId, installmentKey, paymentMethod = 'card' } = req.body;
+    let { amount, paymentType = 'deposit' } = req.body;
+    // Bank debits (ACH) are an alternative method under the lease and carry no processing fee
+    const isBankDebit = paymentMethod === 'us_bank_account';
+
     console.log('=== CREATE CHECKOUT SESSION ===');
-    console.log('Request body:', { amount, paymentType, description, applicationId });
+    console.log('Request body:', { amount, paymentType, description, applicationId, installmentKey });
     console.log('User ID:', req.user._id);
-    
+
+    if (applicationId) {
+      const application = await Application.findOne({ _id: applicationId, userId: req.user._id });
+      if (!application) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      // Once the lease is generated, the amount is what is left on the installment
+      // (the balance includes the taxes), not what the client sends
+      const payments = await Payment.find({ applicationId: application._id, status: 'succeeded' });
+      const { installments } = getPaymentScheduleStatus(application, payments);
+      if (installments.length > 0) {
+        const installment = installments.find(item => item.key === installmentKey)
+          || installments.find(item => item.paymentType === paymentType && item.status !== 'paid');
+        if (!installment || installment.remainingAmount <= 0) {
+          return res.status(400).json({ error: 'This installment has already been paid' });
+        }
+        amount = installment.remainingAmount / 100;
+        paymentType = installment.paymentType;
+      }
+    }
+
+    amount = Number(amount);
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Invalid amount' });
     }
+    const creditCardFee = isBankDebit ? 0 : Math.round(amount * 100 * CARD_FEE_RATE) / 100;
+    const totalAmount = Math.round((amount + creditCardFee) * 100) / 100;
 
     // Get user information
     const user = await User.findById(req.user._id);
@@ -374,30 +332,17 @@ router.post('/create-checkout-session', auth, async (req, res) => {
     }
 
     // Create or retrieve Stripe customer
-    let customer;
-    const existingCustomers = await stripe.customers.list({
-      email: user.email,
-      limit: 1
-    });
-
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-    } else {
-      customer = await stripe.customers.create({
-        email: user.email,
-        name: user.getFullName(),
-        phone: user.phone,
-        metadata: {
-          userId: user._id.toString(),
-          propertyAddress: user.getFullAddress()
-        }
-      });
-    }
+    const customer = await getStripeCustomer(user);
 
     // Create Stripe Checkout session
     const session = await stripe.checkout.sessions.create({
       customer: customer.id,
-      payment_method_types: ['card'],
+      payment_method_types: [isBankDebit ? 'us_bank_account' : 'card'],
+      ...(isBankDebit && {
+        payment_method_options: {
+          us_bank_account: { verification_method: 'automatic' }
+        }
+      }),
       line_items: [
         {
           price_data: {
@@ -410,7 +355,7 @@ router.post('/create-checkout-session', auth, async (req, res) => {
                 userId: user._id.toString()
               }
             },
-            unit_amount: Math.round((totalAmount || amount) * 100), // Convert to cents
+            unit_amount: Math.round(totalAmount * 100), // Convert to cents
           },
           quantity: 1,
         },
@@ -424,7 +369,8 @@ router.post('/create-checkout-session', auth, async (req, res) => {
         paymentType,
         amount: amount.toString(),
         creditCardFee: creditCardFee.toString(),
-        totalAmount: (totalAmount || amount).toString(),
+        totalAmount: totalAmount.toString(),
+        paymentMethod: isBankDebit ? 'bank_transfer' : 'card',
         propertyAddress: user.getFullAddress()
       },
       billing_address_collection: 'required',
@@ -435,7 +381,8 @@ router.post('/create-checkout-session', auth, async (req, res) => {
           paymentType,
           amount: amount.toString(),
           creditCardFee: creditCardFee.toString(),
-          totalAmount: (totalAmount || amount).toString(),
+          totalAmount: totalAmount.toString(),
+          paymentMethod: isBankDebit ? 'bank_transfer' : 'card',
           propertyAddress: user.getFullAddress()
         }
       }
@@ -454,6 +401,140 @@ router.post('/create-checkout-session', auth, async (req, res) => {
   }
 });
 
+// Saved payment methods on the user's Stripe customer, plus their autopay setting
+router.get('/payment-methods', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const customer = await getStripeCustomer(user, { create: false });
+    const paymentMethods = await listSavedPaymentMethods(customer?.id);
+
+    res.json({
+      paymentMethods,
+      autopay: {
+        enabled: !!user.autopay?.enabled,
+        paymentMethodId: user.autopay?.paymentMethodId || null
+      }
+    });
+  } catch (error) {
+    console.error('Saved payment methods fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching saved payment methods' });
+  }
+});
+
+// Save a card or bank account: a Checkout Session in setup mode runs a SetupIntent on the customer
+router.post('/payment-methods/setup-session', auth, async (req, res) => {
+  try {
+    const { type = 'card' } = req.body;
+    if (!['card', 'us_bank_account'].includes(type)) {
+      return res.status(400).json({ error: 'type must be card or us_bank_account' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const customer = await getStripeCustomer(user);
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const session = await stripe.checkout.sessions.create({
+      mode: 'setup',
+      customer: customer.id,
+      payment_method_types: [type],
+      ...(type === 'us_bank_account' && {
+        payment_method_options: {
+          us_bank_account: { verification_method: 'automatic' }
+        }
+      }),
+      setup_intent_data: {
+        metadata: { userId: user._id.toString() }
+      },
+      success_url: `${clientUrl}/dashboard?paymentMethodSaved=1`,
+      cancel_url: `${clientUrl}/dashboard`
+    });
+
+    res.json({ sessionId: session.id, url: session.url });
+  } catch (error) {
+    console.error('Payment method setup session error:', error);
+    res.status(500).json({ error: 'Server error starting payment method setup' });
+  }
+});
+
+// Remove a saved payment method; autopay using it is turned off
+router.delete('/payment-methods/:paymentMethodId', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const customer = await getStripeCustomer(user, { create: false });
+    await getOwnedPaymentMethod(customer?.id, req.params.paymentMethodId);
+    await stripe.paymentMethods.detach(req.params.paymentMethodId);
+
+    if (user.autopay?.paymentMethodId === req.params.paymentMethodId) {
+      user.autopay = { enabled: false, paymentMethodId: null, updatedAt: new Date() };
+      await user.save();
+    }
+
+    res.json({
+      message: 'Payment method removed',
+      paymentMethods: await listSavedPaymentMethods(customer.id),
+      autopay: {
+        enabled: !!user.autopay?.enabled,
+        paymentMethodId: user.autopay?.paymentMethodId || null
+      }
+    });
+  } catch (error) {
+    if (error instanceof AutopayError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Payment method removal error:', error);
+    res.status(500).json({ error: 'Server error removing payment method' });
+  }
+});
+
+// Opt in or out of charging upcoming installments to a saved payment method on their due date
+router.put('/autopay', auth, async (req, res) => {
+  try {
+    const { enabled, paymentMethodId } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (enabled === true) {
+      if (!paymentMethodId) {
+        return res.status(400).json({ error: 'Choose a saved payment method for autopay' });
+      }
+      const customer = await getStripeCustomer(user, { create: false });
+      await getOwnedPaymentMethod(customer?.id, paymentMethodId);
+      user.autopay = { enabled: true, paymentMethodId, updatedAt: new Date() };
+    } else {
+      user.autopay = { enabled: false, paymentMethodId: user.autopay?.paymentMethodId, updatedAt: new Date() };
+    }
+    await user.save();
+
+    res.json({
+      message: user.autopay.enabled ? 'Autopay turned on' : 'Autopay turned off',
+      autopay: {
+        enabled: user.autopay.enabled,
+        paymentMethodId: user.autopay.paymentMethodId || null
+      }
+    });
+  } catch (error) {
+    if (error instanceof AutopayError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Autopay update error:', error);
+    res.status(500).json({ error: 'Server error updating autopay' });
+  }
+});
+
 // Confirm payment
 router.post('/confirm', auth, async (req, res) => {
   try {
@@ -469,19 +550,13 @@ router.post('/confirm', auth, async (req, res) => {
     }
 
     // Retrieve payment intent from Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
 
     if (paymentIntent.status === 'succeeded') {
       // Update payment status
       payment.status = 'succeeded';
       payment.paidAt = new Date();
-      payment.receiptUrl = paymentIntent.charges.data[0]?.receipt_url;
-      
-      if (paymentIntent.charges.data[0]?.payment_method_details?.card) {
-        const card = paymentIntent.charges.data[0].payment_method_details.card;
-        payment.cardLast4 = card.last4;
-        payment.cardBrand = card.brand;
-      }
+      applyPaymentMethodDetails(payment, getIntentCharge(paymentIntent));
 
       await payment.save();
 
@@ -563,6 +638,482 @@ router.get('/history', auth, async (req, res) => {
   }
 });
 
+// Get an application's payment schedule, each installment marked paid, due or overdue
+router.get('/schedule/:applicationId', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const payments = await Payment.find({ applicationId: application._id, status: 'succeeded' });
+    res.json(getPaymentScheduleStatus(application, payments));
+  } catch (error) {
+    console.error('Payment schedule fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching payment schedule' });
+  }
+});
+
+// Ledger for an application: charges and payments with a running balance
+router.get('/ledger/:applicationId', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    res.json(await loadApplicationLedger(application));
+  } catch (error) {
+    console.error('Ledger fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching ledger' });
+  }
+});
+
+// Account statement PDF for an application: ledger activity and the remaining balance
+router.get('/ledger/:applicationId/statement', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId).populate('userId', 'email');
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (req.user.role !== 'admin' && application.userId?._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const ledger = await loadApplicationLedger(application);
+    const pdfBytes = await buildStatementPdf({ application, ledger, user: application.userId });
+    const filename = `statement_${application.applicationNumber || application._id}.pdf`;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdfBytes.length
+    });
+    res.send(Buffer.from(pdfBytes));
+  } catch (error) {
+    console.error('Statement PDF error:', error);
+    res.status(500).json({ error: 'Server error building statement' });
+  }
+});
+
+// Admin: Add a late fee, credit or other charge to an application's ledger
+router.post('/admin/ledger/:applicationId/charges', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { type, amount, description = '', date } = req.body;
+    if (!['late_fee', 'credit', 'other'].includes(type)) {
+      return res.status(400).json({ error: 'Charge type must be late_fee, credit or other' });
+    }
+    const parsedAmount = parseFloat(amount);
+    if (Number.isNaN(parsedAmount) || parsedAmount <= 0) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    application.charges.push({
+      type,
+      amount: Math.round(parsedAmount * 100),
+      description: description.trim(),
+      date: parseDateOnly(date) || new Date(),
+      createdBy: req.user._id
+    });
+    application.lastUpdated = new Date();
+    application.updatedBy = req.user._id;
+    await application.save();
+
+    res.json(await loadApplicationLedger(application));
+  } catch (error) {
+    console.error('Ledger charge create error:', error);
+    res.status(500).json({ error: 'Server error adding ledger charge' });
+  }
+});
+
+// Admin: Remove a charge added by mistake
+router.delete('/admin/ledger/:applicationId/charges/:chargeId', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    const charge = application.charges.id(req.params.chargeId);
+    if (!charge) {
+      return res.status(404).json({ error: 'Charge not found' });
+    }
+    // Assessed late fees keep their audit trail; they are waived, not deleted
+    if (charge.installmentKey) {
+      return res.status(409).json({ error: 'Waive an assessed late fee instead of removing it' });
+    }
+
+    charge.deleteOne();
+    application.lastUpdated = new Date();
+    application.updatedBy = req.user._id;
+    await application.save();
+
+    res.json(await loadApplicationLedger(application));
+  } catch (error) {
+    console.error('Ledger charge delete error:', error);
+    res.status(500).json({ error: 'Server error removing ledger charge' });
+  }
+});
+
+// Admin: Waive an assessed late fee, with the reason logged on the charge
+router.post('/admin/ledger/:applicationId/charges/:chargeId/waive', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    await waiveLateFee(application, req.params.chargeId, {
+      reason: req.body.reason,
+      waivedBy: req.user._id
+    });
+
+    res.json(await loadApplicationLedger(application));
+  } catch (error) {
+    if (error instanceof LateFeeError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Late fee waiver error:', error);
+    res.status(500).json({ error: 'Server error waiving late fee' });
+  }
+});
+
+// Admin: Stripe payouts in a date range, each transaction matched to a Payment and discrepancies flagged
+router.get('/admin/reconciliation', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const report = await reconcilePayouts({ from: req.query.from, to: req.query.to });
+    res.json({ ...report, flagLabels: FLAG_LABELS });
+  } catch (error) {
+    if (error instanceof ReconciliationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Payout reconciliation error:', error);
+    res.status(500).json({ error: 'Server error reconciling payouts' });
+  }
+});
+
+// Admin: Late fee policy (grace period, flat or percentage fee, reminder days)
+router.get('/admin/late-fee-policy', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    res.json({ policy: await getLateFeePolicy() });
+  } catch (error) {
+    console.error('Late fee policy fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching late fee policy' });
+  }
+});
+
+router.put('/admin/late-fee-policy', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const policy = await setLateFeePolicy(req.body, req.user._id);
+    res.json({ message: 'Late fee policy updated', policy });
+  } catch (error) {
+    if (error instanceof LateFeeError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Late fee policy update error:', error);
+    res.status(500).json({ error: 'Server error updating late fee policy' });
+  }
+});
+
+// Admin: Tax rates by jurisdiction and the long-stay exemption threshold
+router.get('/admin/tax-policy', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    res.json({ policy: await getTaxPolicy() });
+  } catch (error) {
+    console.error('Tax policy fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching tax policy' });
+  }
+});
+
+router.put('/admin/tax-policy', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const policy = await setTaxPolicy(req.body, req.user._id);
+    res.json({ message: 'Tax policy updated', policy });
+  } catch (error) {
+    if (error instanceof TaxError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Tax policy update error:', error);
+    res.status(500).json({ error: 'Server error updating tax policy' });
+  }
+});
+
+// Admin: Taxable rent, exempt rent and tax collected in a month, for filing returns
+router.get('/admin/tax-report', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const now = new Date();
+    const report = await buildTaxReport({
+      year: req.query.year || now.getUTCFullYear(),
+      month: req.query.month || now.getUTCMonth() + 1
+    });
+    res.json(report);
+  } catch (error) {
+    if (error instanceof TaxError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Tax report error:', error);
+    res.status(500).json({ error: 'Server error building tax report' });
+  }
+});
+
+// Admin: Ask a tenant to pay an amount (extra guest, damage, ...) through an emailed or copied link
+router.post('/admin/payment-requests', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { applicationId, amount, paymentType, memo, sendEmail = true } = req.body;
+    const application = await Application.findById(applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const { paymentRequest, token } = await createPaymentRequest({
+      application,
+      amount: Math.round(parseFloat(amount) * 100), // Convert to cents
+      paymentType,
+      memo,
+      createdBy: req.user._id
+    });
+    const payUrl = payLinkUrl(token);
+
+    let emailed = false;
+    if (sendEmail) {
+      const user = await User.findById(application.userId);
+      if (user) {
+        const sent = await sendPayLinkEmail({ user, application, paymentRequest, url: payUrl });
+        emailed = sent.success;
+      }
+    }
+
+    res.status(201).json({ paymentRequest, payUrl, emailed });
+  } catch (error) {
+    if (error instanceof PaymentRequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Payment request create error:', error);
+    res.status(500).json({ error: 'Server error creating payment request' });
+  }
+});
+
+router.get('/admin/payment-requests', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const filter = req.query.applicationId ? { applicationId: req.query.applicationId } : {};
+    const paymentRequests = await PaymentRequest.find(filter)
+      .select('-token')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({ paymentRequests });
+  } catch (error) {
+    console.error('Payment request list error:', error);
+    res.status(500).json({ error: 'Server error fetching payment requests' });
+  }
+});
+
+// Admin: Issue a fresh link for an open request (the old one stops working)
+router.post('/admin/payment-requests/:id/link', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const paymentRequest = await PaymentRequest.findById(req.params.id);
+    if (!paymentRequest) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+    if (paymentRequest.status !== 'open') {
+      return res.status(409).json({ error: `This request is already ${paymentRequest.status}` });
+    }
+
+    const token = paymentRequest.generateToken();
+    await paymentRequest.save();
+
+    res.json({ payUrl: payLinkUrl(token), expiresAt: paymentRequest.expiresAt });
+  } catch (error) {
+    console.error('Payment request link error:', error);
+    res.status(500).json({ error: 'Server error creating payment link' });
+  }
+});
+
+router.post('/admin/payment-requests/:id/cancel', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const paymentRequest = await PaymentRequest.findById(req.params.id);
+    if (!paymentRequest) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+    const application = await Application.findById(paymentRequest.applicationId);
+
+    await cancelPaymentRequest(paymentRequest, application, req.user._id);
+    res.json({ message: 'Payment request canceled', paymentRequest });
+  } catch (error) {
+    if (error instanceof PaymentRequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Payment request cancel error:', error);
+    res.status(500).json({ error: 'Server error canceling payment request' });
+  }
+});
+
+// Public: what a pay link asks for (no login needed)
+router.get('/pay-links/:token', async (req, res) => {
+  try {
+    const paymentRequest = await findPaymentRequestByToken(req.params.token);
+    const application = paymentRequest.applicationId;
+    const processing = await Payment.exists({ paymentRequestId: paymentRequest._id, status: 'processing' });
+
+    res.json({
+      amount: paymentRequest.amount,
+      paymentType: paymentRequest.paymentType,
+      memo: paymentRequest.memo,
+      status: paymentRequest.status,
+      processing: Boolean(processing),
+      paidAt: paymentRequest.paidAt,
+      expiresAt: paymentRequest.expiresAt,
+      applicationNumber: application?.applicationNumber,
+      renterName: application ? `${application.firstName} ${application.lastName}`.trim() : undefined
+    });
+  } catch (error) {
+    if (error instanceof PaymentRequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Pay link lookup error:', error);
+    res.status(500).json({ error: 'Server error loading payment link' });
+  }
+});
+
+// Public: open a Stripe Checkout for exactly the requested amount
+router.post('/pay-links/:token/checkout', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const paymentRequest = await findPaymentRequestByToken(token);
+    if (paymentRequest.status !== 'open') {
+      return res.status(409).json({ error: `This request is already ${paymentRequest.status}` });
+    }
+    if (await Payment.exists({ paymentRequestId: paymentRequest._id, status: 'processing' })) {
+      return res.status(409).json({ error: 'A bank debit for this request is still clearing' });
+    }
+
+    const application = paymentRequest.applicationId;
+    const user = await User.findById(paymentRequest.userId);
+    if (!application || !user) {
+      return res.status(404).json({ error: 'This payment link is invalid or has been canceled' });
+    }
+
+    // Same terms as the tenant's own checkout: 3% on cards, nothing on bank debits
+    const isBankDebit = req.body.paymentMethod === 'us_bank_account';
+    const amount = paymentRequest.amount / 100;
+    const creditCardFee = isBankDebit ? 0 : Math.round(paymentRequest.amount * 0.03) / 100;
+    const totalAmount = Math.round((amount + creditCardFee) * 100) / 100;
+    const metadata = {
+      userId: user._id.toString(),
+      applicationId: application._id.toString(),
+      paymentType: paymentRequest.paymentType,
+      amount: amount.toString(),
+      creditCardFee: creditCardFee.toString(),
+      totalAmount: totalAmount.toString(),
+      paymentMethod: isBankDebit ? 'bank_transfer' : 'card',
+      propertyAddress: user.getFullAddress(),
+      paymentRequestId: paymentRequest._id.toString(),
+      description: paymentRequest.memo
+    };
+
+    const customer = await getStripeCustomer(user);
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const session = await stripe.checkout.sessions.create({
+      customer: customer.id,
+      payment_method_types: [isBankDebit ? 'us_bank_account' : 'card'],
+      ...(isBankDebit && {
+        payment_method_options: {
+          us_bank_account: { verification_method: 'automatic' }
+        }
+      }),
+      line_items: [
+        {
+          price_data: {
+            currency: 'usd',
+            product_data: {
+              name: paymentRequest.memo,
+              description: `Application ${application.applicationNumber || application._id}`
+            },
+            unit_amount: Math.round(totalAmount * 100), // Convert to cents
+          },
+          quantity: 1,
+        },
+      ],
+      mode: 'payment',
+      success_url: `${clientUrl}/pay/${token}?status=success`,
+      cancel_url: `${clientUrl}/pay/${token}`,
+      metadata,
+      billing_address_collection: 'required',
+      payment_intent_data: { metadata }
+    });
+
+    res.json({ sessionId: session.id, url: session.url });
+  } catch (error) {
+    if (error instanceof PaymentRequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Pay link checkout error:', error);
+    res.status(500).json({ error: 'Server error creating checkout session' });
+  }
+});
+
 // Get payment details by Checkout Session ID
 router.get('/by-session/:sessionId', auth, async (req, res) => {
   try {
@@ -581,12 +1132,14 @@ router.get('/by-session/:sessionId', auth, async (req, res) => {
         if (!session) return res.status(404).json({ error: 'Stripe session not found' });
 
         const pi = session.payment_intent
-          ? await stripe.paymentIntents.retrieve(session.payment_intent)
+          ? await stripe.paymentIntents.retrieve(session.payment_intent, { expand: ['latest_charge'] })
           : null;
 
         const amount = session.amount_total || (pi ? pi.amount : undefined);
-        const receiptUrl = pi?.charges?.data?.[0]?.receipt_url || null;
-        const card = pi?.charges?.data?.[0]?.payment_method_details?.card;
+        const charge = getIntentCharge(pi);
+        const receiptUrl = charge?.receipt_url || null;
+        const card = charge?.payment_method_details?.card;
+        const bankAccount = charge?.payment_method_details?.us_bank_account;
 
         return res.json({
           payment: {
@@ -598,8 +1151,11 @@ router.get('/by-session/:sessionId', auth, async (req, res) => {
             paidAt: pi?.status === 'succeeded' ? new Date() : null,
             createdAt: new Date(),
             stripePaymentIntentId: pi?.id || session?.payment_intent || sessionId,
+            paymentMethod: session?.metadata?.paymentMethod === 'bank_transfer' ? 'bank_transfer' : 'card',
             cardBrand: card?.brand,
-            cardLast4: card?.last4
+            cardLast4: card?.last4,
+            bankName: bankAccount?.bank_name,
+            bankLast4: bankAccount?.last4
           },
           receiptUrl
         });
@@ -637,6 +1193,34 @@ router.get('/:paymentId', auth, async (req, res) => {
   }
 });
 
+// Receipt PDF for any completed payment: card, bank debit, check, transfer or refund
+router.get('/:paymentId/receipt', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.paymentId).populate('userId', 'firstName lastName email');
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (req.user.role !== 'admin' && payment.userId?._id.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (payment.status !== 'succeeded') {
+      return res.status(409).json({ error: 'A receipt is available once the payment has gone through' });
+    }
+
+    const application = payment.applicationId ? await Application.findById(payment.applicationId) : null;
+    const pdfBytes = await buildPaymentReceiptPdf({ payment, application, user: payment.userId });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receipt_${payment._id}.pdf"`,
+      'Content-Length': pdfBytes.length
+    });
+    res.send(Buffer.from(pdfBytes));
+  } catch (error) {
+    console.error('Receipt PDF error:', error);
+    res.status(500).json({ error: 'Server error building receipt' });
+  }
+});
+
 // Cancel payment
 router.post('/:paymentId/cancel', auth, async (req, res) => {
   try {
@@ -692,25 +1276,7 @@ router.post('/create-payment-intent', auth, async (req, res) => {
     }
 
     // Create or retrieve Stripe customer
-    let customer;
-    const existingCustomers = await stripe.customers.list({
-      email: user.email,
-      limit: 1
-    });
-
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-    } else {
-      customer = await stripe.customers.create({
-        email: user.email,
-        name: user.getFullName(),
-        phone: user.phone,
-        metadata: {
-          userId: user._id.toString(),
-          propertyAddress: user.getFullAddress()
-        }
-      });
-    }
+    const customer = await getStripeCustomer(user);
 
     // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
@@ -861,60 +1427,32 @@ router.get('/admin/available-deposits', auth, async (req, res) => {
       return res.status(400).json({ error: 'User ID is required' });
     }
 
-    // Get all successful payments for this user (not just deposits)
-    const payments = await Payment.find({
-      userId: userId,
-      status: 'succeeded'
-      // Removed isDepositTransfer filter to include all payments
-    })
-    .populate('applicationId', 'firstName lastName requestedStartDate requestedEndDate applicationNumber')
-    .sort({ createdAt: -1 });
-
-    console.log(`Found ${payments.length} total successful payments for user ${userId}`);
-    payments.forEach(payment => {
-      console.log(`Payment: ${payment._id}, App: ${payment.applicationId?._id}, Amount: $${(payment.amount / 100).toFixed(2)}, Type: ${payment.paymentType}, Transfer: ${payment.isDepositTransfer}`);
-    });
-
-    // Filter out payments that have already been transferred and group by application
-    const availablePayments = payments.filter(payment => {
-      return !payment.transferredToApplicationId;
-    });
-
-    console.log(`After filtering transfers: ${availablePayments.length} available payments`);
-
-    // Group payments by application and calculate total balance for each
-    const applicationBalances = {};
-    availablePayments.forEach(payment => {
-      const appId = payment.applicationId._id.toString();
-      if (!applicationBalances[appId]) {
-        applicationBalances[appId] = {
-          applicationId: payment.applicationId,
-          totalBalance: 0,
-          paymentCount: 0
-        };
-      }
-      applicationBalances[appId].totalBalance += payment.amount;
-      applicationBalances[appId].paymentCount += 1;
-    });
-
-    console.log(`Grouped into ${Object.keys(applicationBalances).length} applications with balances`);
-
-    // Convert to array format for frontend
-    const deposits = Object.values(applicationBalances).map(balance => ({
-      _id: balance.applicationId._id,
-      applicationId: balance.applicationId,
-      amount: balance.totalBalance,
-      paymentCount: balance.paymentCount
-    }));
+    // Every application the user has, with what it holds per its ledger
+    const userApplications = await Application.find({ userId, status: { $ne: 'draft' } })
+      .select('firstName lastName requestedStartDate requestedEndDate applicationNumber status leaseGenerated rentalAmount depositAmount stayTaxes paymentSchedule charges cancellation createdAt leaseSignedAt')
+      .sort({ createdAt: -1 });
 
-    console.log(`Returning ${deposits.length} applications with balances:`, deposits.map(d => ({
-      appId: d.applicationId._id,
-      appNumber: d.applicationId.applicationNumber,
-      amount: (d.amount / 100).toFixed(2),
-      paymentCount: d.paymentCount
-    })));
+    const applications = [];
+    for (const app of userApplications) {
+      const ledger = await loadApplicationLedger(app);
+      applications.push({
+        applicationId: {
+          _id: app._id,
+          firstName: app.firstName,
+          lastName: app.lastName,
+          requestedStartDate: app.requestedStartDate,
+          requestedEndDate: app.requestedEndDate,
+          applicationNumber: app.applicationNumber,
+          status: app.status
+        },
+        // Net amount paid in (what can be transferred out) and the ledger balance owed (+) or credited (-)
+        totalBalance: ledger.totalPaid,
+        balance: ledger.balance,
+        paymentCount: ledger.paymentCount
+      });
+    }
 
-    res.json({ deposits });
+    res.json({ applications });
   } catch (error) {
     console.error('Admin available payments fetch error:', error);
     res.status(500).json({ error: 'Server error fetching available payments' });
@@ -957,8 +1495,14 @@ router.get('/admin/revenue-summary', auth, async (req, res) => {
 
     // Calculate revenue metrics
     const totalRevenue = payments.reduce((sum, payment) => sum + payment.amount, 0);
-    const netRevenue = payments.reduce((sum, payment) => sum + (payment.amount - (payment.creditCardFee || 0)), 0);
-    const totalFees = payments.reduce((sum, payment) => sum + (payment.creditCardFee || 0), 0);
+    // Net is what reaches the bank: everything charged, card fees included, less
+    // Stripe's real fees as recorded by the payout reconciliation report
+    const totalFees = payments.reduce((sum, payment) => sum + (payment.stripeFee || 0), 0);
+    const netRevenue = payments.reduce((sum, payment) => sum + (payment.totalAmount ?? payment.amount), 0) - totalFees;
+    const cardFeesCollected = payments.reduce((sum, payment) => sum + (payment.creditCardFee || 0), 0);
+    const unreconciledCount = payments.filter(payment => (
+      payment.stripePaymentIntentId?.startsWith('pi_') && payment.stripeFee === undefined
+    )).length;
     const refundsTotal = payments
       .filter(payment => payment.paymentType === 'refund' || payment.amount < 0)
       .reduce((sum, payment) => sum + Math.abs(payment.amount), 0);
@@ -1101,6 +1645,8 @@ router.get('/admin/revenue-summary', auth, async (req, res) => {
         totalRevenue,
         netRevenue,
         totalFees,
+        cardFeesCollected,
+        unreconciledCount,
         refundsTotal,
         paymentCount: payments.length,
         averagePayment: payments.length > 0 ? totalRevenue / payments.length : 0
@@ -1403,6 +1949,172 @@ router.post('/admin/manual-refund', auth, async (req, res) => {
   }
 });
 
+// Admin: Refund a card payment to the card through Stripe (full or partial)
+router.post('/admin/payments/:paymentId/stripe-refund', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { amount, reason = '', refundCategory } = req.body;
+    let cents;
+    if (amount !== undefined && amount !== '') {
+      const parsedAmount = parseFloat(amount);
+      if (Number.isNaN(parsedAmount) || parsedAmount <= 0) {
+        return res.status(400).json({ error: 'Amount must be a positive number' });
+      }
+      cents = Math.round(parsedAmount * 100);
+    }
+    const category = ['deposit', 'rent', 'other'].includes(refundCategory) ? refundCategory : undefined;
+
+    const payment = await Payment.findById(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const refund = await createStripeRefund(payment, {
+      amount: cents,
+      reason: reason.trim(),
+      category,
+      refundedBy: req.user._id
+    });
+
+    if (payment.applicationId) {
+      await Application.findByIdAndUpdate(payment.applicationId, { lastUpdated: new Date() });
+    }
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    if (error instanceof StripeRefundError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.type && error.type.startsWith('Stripe')) {
+      console.error('Stripe refund error:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Admin Stripe refund error:', error);
+    res.status(500).json({ error: 'Server error refunding payment' });
+  }
+});
+
+// Admin: Evidence package for a disputed payment (summary, receipt, e-sign audit and signed lease in one PDF)
+router.get('/admin/disputes/:paymentId/evidence', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const payment = await Payment.findById(req.params.paymentId).populate('userId', 'email');
+    if (!payment || !payment.dispute?.stripeDisputeId) {
+      return res.status(404).json({ error: 'Disputed payment not found' });
+    }
+    const application = await Application.findById(payment.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const pdfBytes = await buildDisputeEvidencePdf({ application, payment, user: payment.userId });
+    const filename = `dispute_evidence_${application.applicationNumber || application._id}.pdf`;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdfBytes.length
+    });
+    res.send(Buffer.from(pdfBytes));
+  } catch (error) {
+    console.error('Dispute evidence package error:', error);
+    res.status(500).json({ error: 'Server error building evidence package' });
+  }
+});
+
+// Admin: Stored Stripe webhook events, failed ones by default
+router.get('/admin/webhook-events', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { status = 'failed', limit = 100 } = req.query;
+    const query = status === 'all' ? {} : { status };
+    const events = await WebhookEvent.find(query)
+      .select('-payload -error.stack')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 100, 500));
+    const failedCount = await WebhookEvent.countDocuments({ status: 'failed' });
+
+    res.json({ events, failedCount });
+  } catch (error) {
+    console.error('Webhook events fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching webhook events' });
+  }
+});
+
+// Admin: Run a failed webhook event again from its stored payload
+router.post('/admin/webhook-events/:id/replay', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const stored = await WebhookEvent.findById(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+
+    const { event, skipped } = await runWebhookEvent(stored, processStripeEvent, { replayedBy: req.user._id });
+    if (skipped) {
+      return res.status(409).json({ error: `This event is already ${event.status}` });
+    }
+
+    const result = event.toObject();
+    delete result.payload;
+    res.json({ success: event.status === 'processed', event: result });
+  } catch (error) {
+    console.error('Webhook event replay error:', error);
+    res.status(500).json({ error: 'Server error replaying webhook event' });
+  }
+});
+
+// Admin: Mark a pending refund (e.g. from a cancellation) as sent
+router.post('/admin/refunds/:paymentId/issue', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { paymentMethod = 'check', refundDate, checkNumber = '', notes = '' } = req.body;
+    const allowedMethods = ['check', 'bank_transfer', 'cash'];
+    if (!allowedMethods.includes(paymentMethod)) {
+      return res.status(400).json({ error: 'Refund method must be check, bank transfer or cash' });
+    }
+
+    const refund = await Payment.findById(req.params.paymentId);
+    if (!refund || refund.paymentType !== 'refund') {
+      return res.status(404).json({ error: 'Refund not found' });
+    }
+    if (refund.status !== 'pending') {
+      return res.status(409).json({ error: 'This refund has already been issued' });
+    }
+    if (refund.stripeRefundId) {
+      return res.status(409).json({ error: 'Card refunds are updated by Stripe' });
+    }
+
+    const issuedAt = refundDate ? new Date(refundDate) : new Date();
+    refund.status = 'succeeded';
+    refund.paymentMethod = paymentMethod;
+    refund.paidAt = issuedAt;
+    refund.refunded = true;
+    refund.refundedAt = issuedAt;
+    refund.set('metadata.notes', `Refund issued${checkNumber ? ` by check #${checkNumber}` : ''}${notes ? ` - ${notes}` : ''}`);
+    await refund.save();
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error('Issue refund error:', error);
+    res.status(500).json({ error: 'Server error issuing refund' });
+  }
+});
+
 // Admin: Transfer amount from one application to another
 router.post('/admin/transfer-amount', auth, async (req, res) => {
   try {
@@ -1456,10 +2168,8 @@ router.post('/admin/transfer-amount', auth, async (req, res) => {
       return res.status(404).json({ error: 'No payments found in source application' });
     }
 
-    // Calculate total available balance from source application
-    const totalSourceBalance = sourcePayments.reduce((sum, payment) => {
-      return sum + payment.amount;
-    }, 0);
+    // Available balance is what the source ledger shows as paid in, net of refunds and transfers out
+    const { totalPaid: totalSourceBalance } = await loadApplicationLedger(fromApp);
 
     // Check if transfer amount is valid (admin can transfer any amount up to total balance)
     if (depositAmount > totalSourceBalance) {
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Rate = require('../models/Rate');
 const { auth, adminAuth } = require('../middleware/auth');
+const { calculateStayQuote, QuoteError } = require('../utils/quote');
 
 // Get all active rates (public endpoint)
 router.get('/', async (req, res) => {
@@ -17,6 +18,26 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get an itemized price for a stay (public endpoint)
+router.get('/quote', async (req, res) => {
+  try {
+    const { startDate, endDate, guests } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'Start date and end date are required' });
+    }
+
+    const quote = await calculateStayQuote({ startDate, endDate, guests });
+    res.json({ quote });
+  } catch (error) {
+    if (error instanceof QuoteError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    console.error('Error calculating quote:', error);
+    res.status(500).json({ error: 'Failed to calculate quote' });
+  }
+});
+
 // Get all rates (admin only)
 router.get('/admin/all', auth, adminAuth, async (req, res) => {
   try {
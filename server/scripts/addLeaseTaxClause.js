@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const LeaseTemplate = require('../models/LeaseTemplate');
+
+// Where the built-in lease prints the taxes, at the end of the Rent clause
+const RENT_CLAUSE_END = 'and ends at 10:00 A.M. the last day of the rental period.';
+
+// One-off: add the {{taxClause}} placeholder to the current lease template of an
+// install set up before taxes were charged. Saved as a new version, so leases
+// already generated from the old version keep their text.
+async function addLeaseTaxClause() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/palm-run-llc', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const current = await LeaseTemplate.findOne().sort({ version: -1 });
+    if (!current) {
+      console.log('No lease template saved yet; version 1 will be seeded with the tax clause');
+      return;
+    }
+    if (/\{\{\s*(taxClause|taxLines)\s*\}\}/.test(current.body)) {
+      console.log(`Lease template version ${current.version} already prints the taxes`);
+      return;
+    }
+    if (!current.body.includes(RENT_CLAUSE_END)) {
+      console.log(`❌ Lease template version ${current.version} has been edited; add {{taxClause}} to it from the lease template editor`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const template = await LeaseTemplate.create({
+      version: current.version + 1,
+      body: current.body.replace(RENT_CLAUSE_END, `${RENT_CLAUSE_END} {{taxClause}}`),
+      notes: 'Added the taxes on the Rental Fee'
+    });
+    console.log(`✅ Saved lease template version ${template.version} with the tax clause`);
+  } catch (error) {
+    console.error('❌ Error adding the tax clause:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+addLeaseTaxClause();
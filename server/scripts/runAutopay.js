@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { runAutopay } = require('../utils/autopay');
+
+// Charge installments that have come due to tenants' saved payment methods.
+// Intended to run once a day on a schedule (e.g. Heroku Scheduler).
+async function runAutopayJob() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/palm-run-llc', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const summary = await runAutopay();
+    console.log(`✅ Autopay for ${summary.users} users: ${summary.succeeded} succeeded, ${summary.processing} processing, ${summary.failed} failed, ${summary.errors} errors`);
+    if (summary.errors > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Error running autopay:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+runAutopayJob();
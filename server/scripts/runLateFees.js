@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { runLateFees } = require('../utils/lateFees');
+
+// Assess late fees on overdue installments and send overdue reminders.
+// Intended to run once a day on a schedule, after autopay.
+async function runLateFeesJob() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/palm-run-llc', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const summary = await runLateFees();
+    console.log(`✅ Checked ${summary.applications} leases: ${summary.feesAssessed} late fees assessed, ${summary.remindersSent} reminders sent, ${summary.errors} errors`);
+    if (summary.errors > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Error running late fees:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+runLateFeesJob();
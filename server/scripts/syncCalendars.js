@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const CalendarSource = require('../models/CalendarSource');
+const { syncCalendarSource } = require('../utils/calendarSync');
+
+// Re-import every active calendar source that has a URL.
+// Intended to run on a schedule (e.g. Heroku Scheduler every 10-30 minutes).
+async function syncCalendars() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/palm-run-llc', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const sources = await CalendarSource.find({ isActive: true, url: { $nin: [null, ''] } });
+    console.log(`Found ${sources.length} calendar sources to import`);
+
+    for (const source of sources) {
+      try {
+        const result = await syncCalendarSource(source);
+        console.log(`✅ ${source.name}: ${result.added} added, ${result.updated} updated, ${result.removed} removed, ${result.unchanged} unchanged`);
+      } catch (error) {
+        console.error(`❌ Failed to import ${source.name}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error syncing calendars:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+syncCalendars();
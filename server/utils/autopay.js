@@ -0,0 +1,207 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const { getPaymentScheduleStatus } = require('./paymentSchedule');
+const { formatDateOnly } = require('./dates');
+const { getStripeCustomer, upsertPaymentFromIntent, markPaymentFailed } = require('./stripePayments');
+const { sendMail } = require('./mailer');
+
+// Card payments carry the 3% processing fee; bank debits do not
+const CARD_FEE_RATE = 0.03;
+
+const SAVED_METHOD_TYPES = ['card', 'us_bank_account'];
+
+class AutopayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AutopayError';
+    this.status = status;
+  }
+}
+
+// What the settings screen shows for a saved Stripe payment method
+const summarizePaymentMethod = (paymentMethod) => ({
+  id: paymentMethod.id,
+  type: paymentMethod.type,
+  brand: paymentMethod.card?.brand,
+  last4: paymentMethod.card?.last4 || paymentMethod.us_bank_account?.last4,
+  expMonth: paymentMethod.card?.exp_month,
+  expYear: paymentMethod.card?.exp_year,
+  bankName: paymentMethod.us_bank_account?.bank_name
+});
+
+const listSavedPaymentMethods = async (customerId) => {
+  if (!customerId) return [];
+  const { data } = await stripe.customers.listPaymentMethods(customerId, { limit: 20 });
+  return data
+    .filter(paymentMethod => SAVED_METHOD_TYPES.includes(paymentMethod.type))
+    .map(summarizePaymentMethod);
+};
+
+// A payment method the customer has saved, or an AutopayError
+const getOwnedPaymentMethod = async (customerId, paymentMethodId) => {
+  let paymentMethod;
+  try {
+    paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+  } catch (error) {
+    throw new AutopayError('Payment method not found', 404);
+  }
+  if (!customerId || paymentMethod.customer !== customerId) {
+    throw new AutopayError('Payment method not found', 404);
+  }
+  return paymentMethod;
+};
+
+const sendAutopayFailedEmail = async (user, application, installment, message) => sendMail({
+  to: user.email,
+  subject: 'Automatic payment failed',
+  text: [
+    `Hi ${user.firstName || 'there'},`,
+    '',
+    `We tried to charge your saved payment method for "${installment.label}" on application ${application.applicationNumber || application._id}, but the payment did not go through:`,
+    message,
+    '',
+    'Please sign in and pay the installment, or update the payment method used for automatic payments in Account Settings.',
+    '',
+    'Palm Run LLC'
+  ].join('\n')
+});
+
+/**
+ * Charge one installment to the saved payment method. The idempotency key
+ * covers the installment and day, so a job that runs twice in a day charges once.
+ */
+const chargeInstallment = async ({ user, customerId, paymentMethod, application, installment, today }) => {
+  const isBankDebit = paymentMethod.type === 'us_bank_account';
+  const amount = installment.remainingAmount;
+  const creditCardFee = isBankDebit ? 0 : Math.round(amount * CARD_FEE_RATE);
+  const totalAmount = amount + creditCardFee;
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: totalAmount,
+      currency: 'usd',
+      customer: customerId,
+      payment_method: paymentMethod.id,
+      payment_method_types: [paymentMethod.type],
+      off_session: true,
+      confirm: true,
+      description: `${installment.label} (automatic payment)`,
+      expand: ['latest_charge'],
+      metadata: {
+        userId: user._id.toString(),
+        applicationId: application._id.toString(),
+        paymentType: installment.paymentType,
+        amount: (amount / 100).toFixed(2),
+        creditCardFee: (creditCardFee / 100).toFixed(2),
+        totalAmount: (totalAmount / 100).toFixed(2),
+        paymentMethod: isBankDebit ? 'bank_transfer' : 'card',
+        autopay: 'true',
+        installmentKey: installment.key,
+        dueDate: installment.dueDate
+      }
+    }, {
+      idempotencyKey: `autopay-${application._id}-${installment.key}-${today}`
+    });
+
+    // Bank debits come back processing and succeed days later through the webhook
+    const status = paymentIntent.status === 'succeeded' ? 'succeeded' : 'processing';
+    return upsertPaymentFromIntent(paymentIntent, status);
+  } catch (error) {
+    if (!error.payment_intent) throw error;
+
+    // Declines still create a PaymentIntent: record the attempt so it is not retried until the tenant changes something
+    await upsertPaymentFromIntent(error.payment_intent, 'failed');
+    const payment = await markPaymentFailed(error.payment_intent.id, error.payment_intent.last_payment_error || error);
+    await sendAutopayFailedEmail(user, application, installment, error.message);
+    return payment;
+  }
+};
+
+/**
+ * Charge every installment that is due today or overdue for a user with
+ * autopay on. Installments with a bank debit still clearing are left alone,
+ * and one that already failed is not retried until the user updates autopay.
+ */
+const runAutopayForUser = async (user, today = formatDateOnly(new Date())) => {
+  const results = [];
+  const customer = await getStripeCustomer(user, { create: false });
+
+  let paymentMethod;
+  try {
+    paymentMethod = await getOwnedPaymentMethod(customer?.id, user.autopay.paymentMethodId);
+  } catch (error) {
+    if (!(error instanceof AutopayError)) throw error;
+    console.warn(`Autopay for ${user.email} turned off: saved payment method is gone`);
+    user.autopay.enabled = false;
+    user.autopay.updatedAt = new Date();
+    await user.save();
+    return results;
+  }
+
+  const applications = await Application.find({
+    userId: user._id,
+    leaseGenerated: true,
+    status: { $in: ['approved', 'completed'] }
+  });
+
+  for (const application of applications) {
+    const payments = await Payment.find({ applicationId: application._id });
+    if (payments.some(payment => payment.status === 'processing')) continue;
+
+    const { installments } = getPaymentScheduleStatus(application, payments, new Date(`${today}T12:00:00Z`));
+    for (const installment of installments) {
+      if (installment.remainingAmount <= 0 || installment.dueDate > today) continue;
+
+      const failedBefore = payments.some(payment =>
+        payment.status === 'failed'
+        && payment.autopay?.installmentKey === installment.key
+        && payment.autopay?.dueDate === installment.dueDate
+        && (!user.autopay.updatedAt || payment.createdAt > user.autopay.updatedAt));
+      if (failedBefore) continue;
+
+      const payment = await chargeInstallment({
+        user,
+        customerId: customer.id,
+        paymentMethod,
+        application,
+        installment,
+        today
+      });
+      results.push({ applicationId: application._id, installmentKey: installment.key, status: payment?.status });
+      // Installments fill in due-date order, so later ones wait for this charge to settle
+      if (payment?.status !== 'succeeded') break;
+    }
+  }
+
+  return results;
+};
+
+// The scheduled job: run autopay for every user who has it on
+const runAutopay = async (today = formatDateOnly(new Date())) => {
+  const users = await User.find({ 'autopay.enabled': true, isActive: true });
+  const summary = { users: users.length, succeeded: 0, processing: 0, failed: 0, errors: 0 };
+
+  for (const user of users) {
+    try {
+      const results = await runAutopayForUser(user, today);
+      results.forEach(result => {
+        if (summary[result.status] !== undefined) summary[result.status] += 1;
+      });
+    } catch (error) {
+      summary.errors += 1;
+      console.error(`❌ Autopay failed for ${user.email}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  CARD_FEE_RATE,
+  AutopayError,
+  listSavedPaymentMethods,
+  getOwnedPaymentMethod,
+  runAutopay
+};
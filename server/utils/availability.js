@@ -0,0 +1,169 @@
+const AvailabilityRange = require('../models/AvailabilityRange');
+const { parseDateOnly, addDays } = require('./dates');
+
+// Every origin is a layer of its own: the admin's manual ranges, each imported
+// calendar event and each signed lease. Writing a range only splits, trims or
+// merges ranges from the same origin, so an import or lease never changes
+// anything else and releasing it gives back exactly what was there before.
+// A night is unavailable when any layer blocks it.
+const originQuery = ({ source = 'manual', calendarSource = null, externalUid = null, application = null }) => {
+  if (source === 'manual') {
+    return { source: { $in: [null, 'manual'] } };
+  }
+  return { source, calendarSource, externalUid, application };
+};
+
+const copyRange = (range, overrides) => new AvailabilityRange({
+  startDate: range.startDate,
+  endDate: range.endDate,
+  isAvailable: range.isAvailable,
+  reason: range.reason,
+  createdBy: range.createdBy,
+  source: range.source,
+  calendarSource: range.calendarSource,
+  externalUid: range.externalUid,
+  application: range.application,
+  ...overrides
+});
+
+// Collapse a list of UTC-midnight dates into contiguous { startDate, endDate } ranges
+const buildContiguousRanges = (dates) => {
+  if (dates.length === 0) return [];
+
+  const sorted = [...dates].sort((a, b) => a - b);
+  const ranges = [];
+  let start = sorted[0];
+  let prev = sorted[0];
+  for (let i = 1; i < sorted.length; i++) {
+    const d = sorted[i];
+    if (d.getTime() === prev.getTime()) continue;
+    if (d.getTime() !== addDays(prev, 1).getTime()) {
+      ranges.push({ startDate: start, endDate: prev });
+      start = d;
+    }
+    prev = d;
+  }
+  ranges.push({ startDate: start, endDate: prev });
+  return ranges;
+};
+
+/**
+ * Set the availability of an inclusive startDate..endDate range (UTC midnight).
+ * Overlapping ranges of the same origin are split or trimmed around it, then the
+ * new range is merged with adjacent ranges of the same state and origin.
+ */
+const applyAvailabilityRange = async ({
+  startDate,
+  endDate,
+  isAvailable,
+  reason = '',
+  createdBy,
+  source = 'manual',
+  calendarSource = null,
+  externalUid = null,
+  application = null
+}) => {
+  const origin = { source, calendarSource, externalUid, application };
+  const overlapping = await AvailabilityRange.find({
+    ...originQuery(origin),
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  }).sort({ startDate: 1 });
+
+  for (const o of overlapping) {
+    if (o.startDate <= startDate && o.endDate >= endDate) {
+      // Split into up to two outer ranges around the new block
+      if (o.startDate.getTime() < startDate.getTime()) {
+        await copyRange(o, { endDate: addDays(startDate, -1) }).save();
+      }
+      if (o.endDate.getTime() > endDate.getTime()) {
+        await copyRange(o, { startDate: addDays(endDate, 1) }).save();
+      }
+      await o.deleteOne();
+    } else if (o.startDate < startDate) {
+      // Trim overlapping tail
+      o.endDate = addDays(startDate, -1);
+      await o.save();
+    } else if (o.endDate > endDate) {
+      // Trim overlapping head
+      o.startDate = addDays(endDate, 1);
+      await o.save();
+    } else {
+      // Fully covered by the new range
+      await o.deleteOne();
+    }
+  }
+
+  const merged = new AvailabilityRange({
+    startDate,
+    endDate,
+    isAvailable,
+    reason: reason || '',
+    createdBy,
+    ...origin
+  });
+
+  // Merge with adjacent ranges of same state and origin
+  const sameKind = { isAvailable, ...originQuery(origin) };
+  const prevAdj = await AvailabilityRange.findOne({ ...sameKind, endDate: addDays(startDate, -1) });
+  if (prevAdj) {
+    merged.startDate = prevAdj.startDate;
+    await prevAdj.deleteOne();
+  }
+  const nextAdj = await AvailabilityRange.findOne({ ...sameKind, startDate: addDays(endDate, 1) });
+  if (nextAdj) {
+    merged.endDate = nextAdj.endDate;
+    await nextAdj.deleteOne();
+  }
+
+  await merged.save();
+  return merged;
+};
+
+// Release the calendar block held for an application's signed lease
+const releaseLeaseAvailability = async (applicationId) => {
+  try {
+    await AvailabilityRange.deleteMany({ source: 'lease', application: applicationId });
+  } catch (error) {
+    console.error('Error releasing lease dates for application', applicationId, error);
+  }
+};
+
+/**
+ * Keep the calendar in step with an application's lease: a signed lease blocks
+ * every night of the stay, anything else releases the block. The departure day
+ * stays open so the next guest can arrive after the 10 AM check-out.
+ * Failures are logged rather than thrown so they never undo a signature.
+ */
+const syncLeaseAvailability = async (application, createdBy) => {
+  await releaseLeaseAvailability(application._id);
+  if (!application.leaseSigned) return;
+
+  try {
+    const startDate = parseDateOnly(application.leaseStartDate || application.requestedStartDate);
+    const departure = parseDateOnly(application.leaseEndDate || application.requestedEndDate);
+    if (!startDate || !departure || departure <= startDate) {
+      console.warn('Lease dates missing or invalid; calendar not blocked for application', application._id);
+      return;
+    }
+
+    await applyAvailabilityRange({
+      startDate,
+      endDate: addDays(departure, -1),
+      isAvailable: false,
+      reason: `Lease signed - ${application.applicationNumber}`,
+      createdBy: createdBy || application.userId,
+      source: 'lease',
+      application: application._id
+    });
+  } catch (error) {
+    console.error('Error blocking lease dates for application', application._id, error);
+  }
+};
+
+module.exports = {
+  buildContiguousRanges,
+  applyAvailabilityRange,
+  syncLeaseAvailability,
+  releaseLeaseAvailability
+};
@@ -0,0 +1,121 @@
+const AvailabilityRange = require('../models/AvailabilityRange');
+const { parseCalendar } = require('./ical');
+const { applyAvailabilityRange } = require('./availability');
+const { parseDateOnly, formatDateOnly, addDays } = require('./dates');
+
+// Fetch the .ics document behind a source URL (webcal:// is plain HTTPS)
+const fetchCalendar = async (url) => {
+  const target = url.replace(/^webcal:\/\//i, 'https://');
+  if (!/^https?:\/\//i.test(target)) {
+    throw new Error('Calendar URL must start with http://, https:// or webcal://');
+  }
+
+  const response = await fetch(target, {
+    headers: { Accept: 'text/calendar, text/plain;q=0.9, */*;q=0.5' },
+    signal: AbortSignal.timeout(15000)
+  });
+  if (!response.ok) {
+    throw new Error(`Calendar URL responded with ${response.status}`);
+  }
+
+  const text = await response.text();
+  if (!text.includes('BEGIN:VCALENDAR')) {
+    throw new Error('Calendar URL did not return an iCal (.ics) document');
+  }
+  return text;
+};
+
+/**
+ * Import an external calendar into AvailabilityRange blocks tagged with the source.
+ * Events are matched by UID against the previous import: new events are blocked,
+ * events whose dates moved are re-blocked and events that disappeared upstream
+ * (or were cancelled) are released. Each event is its own layer, so importing
+ * one never changes another calendar's blocks or the admin's. Pass icsText for
+ * uploaded files; otherwise the source URL is fetched.
+ */
+const syncCalendarSource = async (source, { icsText, userId } = {}) => {
+  try {
+    let text = icsText;
+    if (!text) {
+      if (!source.url) {
+        throw new Error('This calendar has no URL; upload an .ics file instead');
+      }
+      text = await fetchCalendar(source.url);
+    }
+
+    const today = parseDateOnly(new Date());
+    const seenUids = new Set();
+    const events = [];
+    for (const event of parseCalendar(text)) {
+      // Past stays can't cause a double booking
+      if (event.end <= today) continue;
+
+      // Fall back to the dates when a feed omits UIDs, and keep recurring instances apart
+      let uid = event.uid || `${formatDateOnly(event.start)}_${formatDateOnly(event.end)}`;
+      if (seenUids.has(uid)) uid = `${uid}#${formatDateOnly(event.start)}`;
+      seenUids.add(uid);
+
+      events.push({
+        uid,
+        summary: event.summary,
+        startDate: formatDateOnly(event.start),
+        endDate: formatDateOnly(addDays(event.end, -1))
+      });
+    }
+
+    const previous = new Map((source.importedEvents || []).map(event => [event.uid, event]));
+    const summary = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+    for (const event of events) {
+      const prior = previous.get(event.uid);
+      previous.delete(event.uid);
+
+      if (prior && prior.startDate === event.startDate && prior.endDate === event.endDate) {
+        summary.unchanged += 1;
+        continue;
+      }
+
+      if (prior) {
+        await AvailabilityRange.deleteMany({ calendarSource: source._id, externalUid: event.uid });
+        summary.updated += 1;
+      } else {
+        summary.added += 1;
+      }
+
+      await applyAvailabilityRange({
+        startDate: parseDateOnly(event.startDate),
+        endDate: parseDateOnly(event.endDate),
+        isAvailable: false,
+        reason: event.summary ? `${source.name}: ${event.summary}` : source.name,
+        createdBy: userId || source.createdBy,
+        source: 'ical',
+        calendarSource: source._id,
+        externalUid: event.uid
+      });
+    }
+
+    // Anything left was removed or cancelled upstream
+    for (const uid of previous.keys()) {
+      await AvailabilityRange.deleteMany({ calendarSource: source._id, externalUid: uid });
+      summary.removed += 1;
+    }
+
+    source.importedEvents = events;
+    source.lastSyncedAt = new Date();
+    source.lastSyncStatus = 'success';
+    source.lastSyncError = undefined;
+    await source.save();
+
+    return summary;
+  } catch (error) {
+    source.lastSyncedAt = new Date();
+    source.lastSyncStatus = 'failed';
+    source.lastSyncError = error.message;
+    await source.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  syncCalendarSource
+};
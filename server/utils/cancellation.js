@@ -0,0 +1,246 @@
+const Payment = require('../models/Payment');
+const LeaseAmendment = require('../models/LeaseAmendment');
+const { releaseLeaseAvailability } = require('./availability');
+const { parseDateOnly, formatDateOnly, addDays } = require('./dates');
+const { getRentWithTax } = require('./taxes');
+const { isStripeCardPayment, getRefundableAmount, createStripeRefund } = require('./stripeRefunds');
+
+// Clause 1: the Rental Fee becomes non-refundable after the date 60 days before arrival
+const CANCELLATION_NOTICE_DAYS = 60;
+
+// Statuses an application can no longer be cancelled from
+const CLOSED_STATUSES = ['cancelled', 'rejected', 'completed'];
+
+class CancellationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CancellationError';
+    this.status = status;
+  }
+}
+
+// Payments toward the Rental Fee and deposit, including deposit transfers and
+// refunds of either. Late fees and other charges are not refunded on cancellation.
+const countsTowardStay = (payment) => {
+  if (payment.paymentType === 'refund') return ['rent', 'deposit'].includes(payment.refundCategory);
+  return ['deposit', 'rent', 'deposit_transfer', 'admin_transfer'].includes(payment.paymentType);
+};
+
+const getStayStartDate = (application) => application.leaseStartDate || application.requestedStartDate;
+
+// Last day (YYYY-MM-DD) the tenant can cancel and still get the Rental Fee back
+const getCancellationDeadline = (application) => {
+  const start = parseDateOnly(getStayStartDate(application));
+  return start ? formatDateOnly(addDays(start, -CANCELLATION_NOTICE_DAYS)) : null;
+};
+
+/**
+ * Work out what a cancellation refunds, in cents, from the payments recorded
+ * against the application. Payments count toward the Rental Fee and its taxes
+ * first and anything above them (security deposit or overpayment) is always
+ * refunded. Late fee and other payments are left out.
+ * The Rental Fee part is refunded in full when there is no signed lease yet,
+ * when the cancellation is on or before the deadline, or when the stay has
+ * been re-let; otherwise the Manager keeps it.
+ */
+const calculateCancellationRefund = ({ application, payments, cancelledOn = new Date(), relet = false }) => {
+  const paidAmount = payments
+    .filter(payment => payment.status === 'succeeded' && countsTowardStay(payment))
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  const netPaid = Math.max(0, paidAmount);
+  const rentalFee = getRentWithTax(application);
+  const rentalFeePaid = application.leaseSigned ? Math.min(netPaid, rentalFee) : netPaid;
+  const otherPaid = netPaid - rentalFeePaid;
+
+  const deadline = getCancellationDeadline(application);
+  const cancelledOnDate = formatDateOnly(cancelledOn);
+  const beforeDeadline = !deadline || cancelledOnDate <= deadline;
+
+  let rule = 'beforeDeadline';
+  if (!application.leaseSigned) rule = 'unsigned';
+  else if (relet) rule = 'relet';
+  else if (!beforeDeadline) rule = 'afterDeadline';
+  const rentalFeeRefund = rule === 'afterDeadline' ? 0 : rentalFeePaid;
+
+  const lines = [];
+  if (rentalFeeRefund > 0) {
+    lines.push({ category: 'rent', amount: rentalFeeRefund, description: 'Rental Fee refund' });
+  }
+  if (otherPaid > 0) {
+    lines.push({ category: 'deposit', amount: otherPaid, description: 'Security deposit refund' });
+  }
+
+  return {
+    deadline,
+    cancelledOn: cancelledOnDate,
+    beforeDeadline,
+    relet: Boolean(relet),
+    rule,
+    paidAmount: netPaid,
+    rentalFeePaid,
+    refundableAmount: rentalFeeRefund + otherPaid,
+    retainedAmount: rentalFeePaid - rentalFeeRefund,
+    lines
+  };
+};
+
+const loadApplicationPayments = (application) => Payment.find({
+  applicationId: application._id,
+  status: 'succeeded'
+});
+
+// A refund the admin sends by hand, recorded as pending until it is marked issued
+const createManualRefund = (application, line, amount, reason, notes) => {
+  const userId = application.userId?._id || application.userId;
+  return new Payment({
+    userId,
+    applicationId: application._id,
+    stripePaymentIntentId: `cancellation_refund_${Date.now()}_${Math.round(Math.random() * 1e9)}`,
+    stripeCustomerId: `manual_refund_${userId}`,
+    amount: -amount,
+    creditCardFee: 0,
+    totalAmount: -amount,
+    currency: 'usd',
+    paymentType: 'refund',
+    description: `${line.description} - cancellation of ${application.applicationNumber || 'application'}`,
+    status: 'pending',
+    paymentMethod: 'check',
+    refundAmount: amount,
+    refundReason: reason,
+    refundCategory: line.category,
+    metadata: {
+      leaseStartDate: application.leaseStartDate || application.requestedStartDate,
+      leaseEndDate: application.leaseEndDate || application.requestedEndDate,
+      notes
+    }
+  }).save();
+};
+
+/**
+ * Record the refunds for each line. Card payments taken through Stripe are
+ * refunded to the card, split across the original payments; whatever was paid
+ * another way (or a card refund Stripe turns down) becomes a pending manual
+ * refund for the admin to send and mark issued.
+ */
+const createRefundPayments = async (application, lines, reason, refundedBy) => {
+  const payments = lines.length ? await loadApplicationPayments(application) : [];
+  const cardPayments = payments
+    .filter(payment => countsTowardStay(payment) && isStripeCardPayment(payment))
+    .sort((a, b) => (b.paidAt || b.createdAt) - (a.paidAt || a.createdAt));
+
+  const refunds = [];
+  for (const line of lines) {
+    let remaining = line.amount;
+    for (const original of cardPayments) {
+      const amount = Math.min(remaining, getRefundableAmount(original));
+      if (amount <= 0) continue;
+      try {
+        refunds.push(await createStripeRefund(original, { amount, reason, category: line.category, refundedBy }));
+        remaining -= amount;
+      } catch (error) {
+        console.error(`Card refund of payment ${original._id} failed; recording it as a manual refund:`, error.message);
+      }
+      if (remaining === 0) break;
+    }
+
+    if (remaining > 0) {
+      refunds.push(await createManualRefund(application, line, remaining, reason, 'Created by cancellation; mark as issued once the refund is sent'));
+    }
+  }
+  return refunds;
+};
+
+/**
+ * Preview a cancellation without changing anything. Throws CancellationError
+ * when the application cannot be cancelled.
+ */
+const previewCancellation = async (application, { relet = false } = {}) => {
+  if (application.status === 'draft') {
+    throw new CancellationError('Draft applications can be deleted instead of cancelled');
+  }
+  if (CLOSED_STATUSES.includes(application.status)) {
+    throw new CancellationError(`This application is already ${application.status}`, 409);
+  }
+  const payments = await loadApplicationPayments(application);
+  return calculateCancellationRefund({ application, payments, relet });
+};
+
+/**
+ * Cancel an application or lease: record the refunds the policy allows, release its calendar dates and any open amendment, and keep the
+ * breakdown on the application.
+ */
+const cancelApplication = async (application, { cancelledBy, initiatedBy, reason = '', relet = false }) => {
+  const breakdown = await previewCancellation(application, { relet });
+  const refunds = await createRefundPayments(application, breakdown.lines, reason, cancelledBy);
+
+  application.status = 'cancelled';
+  application.holdExpiresAt = null;
+  application.coApplicantSigningToken = undefined;
+  application.coApplicantSigningExpires = undefined;
+  application.cancellation = {
+    cancelledAt: new Date(),
+    cancelledBy,
+    initiatedBy,
+    reason,
+    deadline: breakdown.deadline,
+    rule: breakdown.rule,
+    relet: breakdown.relet,
+    reletAt: breakdown.relet ? new Date() : undefined,
+    paidAmount: breakdown.paidAmount,
+    refundableAmount: breakdown.refundableAmount,
+    retainedAmount: breakdown.retainedAmount,
+    refundPayments: refunds.map(refund => refund._id)
+  };
+  application.lastUpdated = new Date();
+  application.updatedBy = cancelledBy;
+  await application.save();
+
+  await releaseLeaseAvailability(application._id);
+  await LeaseAmendment.updateMany(
+    { application: application._id, status: 'proposed' },
+    { status: 'cancelled', cancelledAt: new Date(), cancelledBy }
+  );
+
+  return { breakdown, refunds };
+};
+
+/**
+ * Mark a cancelled stay as re-let. The Rental Fee the Manager kept becomes
+ * refundable, so a further pending refund is recorded for it.
+ */
+const markCancelledStayRelet = async (application, { reletBy }) => {
+  if (application.status !== 'cancelled' || !application.cancellation) {
+    throw new CancellationError('Only cancelled applications can be marked as re-let');
+  }
+  if (application.cancellation.relet) {
+    throw new CancellationError('This stay is already marked as re-let', 409);
+  }
+
+  const retained = application.cancellation.retainedAmount || 0;
+  const lines = retained > 0
+    ? [{ category: 'rent', amount: retained, description: 'Rental Fee refund (stay re-let)' }]
+    : [];
+  const refunds = await createRefundPayments(application, lines, 'Stay re-let to a replacement tenant', reletBy);
+
+  application.cancellation.relet = true;
+  application.cancellation.reletAt = new Date();
+  application.cancellation.rule = 'relet';
+  application.cancellation.refundableAmount = (application.cancellation.refundableAmount || 0) + retained;
+  application.cancellation.retainedAmount = 0;
+  application.cancellation.refundPayments.push(...refunds.map(refund => refund._id));
+  application.lastUpdated = new Date();
+  application.updatedBy = reletBy;
+  await application.save();
+
+  return { refunds };
+};
+
+module.exports = {
+  CANCELLATION_NOTICE_DAYS,
+  CancellationError,
+  getCancellationDeadline,
+  calculateCancellationRefund,
+  previewCancellation,
+  cancelApplication,
+  markCancelledStayRelet
+};
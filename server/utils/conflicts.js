@@ -0,0 +1,112 @@
+const Application = require('../models/Application');
+const AvailabilityRange = require('../models/AvailabilityRange');
+const Rate = require('../models/Rate');
+const { parseDateOnly, formatDateOnly, addDays, daysBetween } = require('./dates');
+
+const formatDay = (value) => parseDateOnly(value).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  timeZone: 'UTC'
+});
+
+// Applications that have claimed their dates: approved, finished or under a signed lease
+const bookedApplicationQuery = {
+  status: { $nin: ['rejected', 'cancelled'] },
+  $or: [
+    { status: { $in: ['approved', 'completed'] } },
+    { leaseSigned: true }
+  ]
+};
+
+/**
+ * Check a stay (arrival startDate, departure endDate as YYYY-MM-DD) against the
+ * calendar. Returns a list of conflicts, each with a type and a readable message:
+ *  - unavailable: nights blocked in AvailabilityRange (manual or imported)
+ *  - booking: nights taken by another approved or leased application
+ *  - minStay: the stay is shorter than the arrival season's minimum
+ * Set includeReferences to expose other applications' numbers (admin only).
+ */
+const findDateConflicts = async ({ startDate, endDate, excludeApplicationId = null, includeReferences = false }) => {
+  const start = parseDateOnly(startDate);
+  const departure = parseDateOnly(endDate);
+  if (!start || !departure || departure <= start) return [];
+
+  const lastNight = addDays(departure, -1);
+  const conflicts = [];
+
+  // Lease blocks are reported through the booking they belong to
+  const blockedRanges = await AvailabilityRange.find({
+    isAvailable: false,
+    source: { $ne: 'lease' },
+    startDate: { $lte: lastNight },
+    endDate: { $gte: start }
+  }).sort({ startDate: 1 });
+
+  blockedRanges.forEach(range => {
+    const overlapStart = range.startDate > start ? range.startDate : start;
+    const overlapEnd = range.endDate < lastNight ? range.endDate : lastNight;
+    conflicts.push({
+      type: 'unavailable',
+      startDate: formatDateOnly(overlapStart),
+      endDate: formatDateOnly(overlapEnd),
+      reason: range.reason || '',
+      message: `${formatDay(overlapStart)} – ${formatDay(overlapEnd)} ${overlapStart.getTime() === overlapEnd.getTime() ? 'is' : 'are'} not available`
+    });
+  });
+
+  const bookingQuery = {
+    ...bookedApplicationQuery,
+    requestedStartDate: { $exists: true }
+  };
+  if (excludeApplicationId) bookingQuery._id = { $ne: excludeApplicationId };
+
+  const bookings = await Application.find(bookingQuery)
+    .select('applicationNumber status leaseSigned requestedStartDate requestedEndDate leaseStartDate leaseEndDate');
+
+  const requestedStart = formatDateOnly(start);
+  const requestedEnd = formatDateOnly(departure);
+  bookings.forEach(booking => {
+    const bookedStart = booking.leaseStartDate || booking.requestedStartDate;
+    const bookedEnd = booking.leaseEndDate || booking.requestedEndDate;
+    // Stays share a turnover day, so only overlapping nights conflict
+    if (!bookedStart || !bookedEnd || bookedStart >= requestedEnd || bookedEnd <= requestedStart) return;
+
+    const conflict = {
+      type: 'booking',
+      startDate: bookedStart,
+      endDate: bookedEnd,
+      message: `${formatDay(bookedStart)} – ${formatDay(bookedEnd)} ${booking.leaseSigned ? 'is leased' : 'is booked'} by another ${includeReferences ? `application (${booking.applicationNumber})` : 'guest'}`
+    };
+    if (includeReferences) {
+      conflict.applicationId = booking._id;
+      conflict.applicationNumber = booking.applicationNumber;
+    }
+    conflicts.push(conflict);
+  });
+
+  // Minimum stay is set by the rate period the stay starts in
+  const arrivalRate = await Rate.findOne({
+    isActive: true,
+    startDate: { $lte: start },
+    endDate: { $gte: start }
+  }).sort({ startDate: -1 });
+
+  const nights = daysBetween(start, departure);
+  if (arrivalRate && arrivalRate.minStay && nights < arrivalRate.minStay) {
+    conflicts.push({
+      type: 'minStay',
+      period: arrivalRate.period,
+      minStay: arrivalRate.minStay,
+      nights,
+      message: `${arrivalRate.period} requires a minimum stay of ${arrivalRate.minStay} nights (requested ${nights})`
+    });
+  }
+
+  return conflicts;
+};
+
+module.exports = {
+  bookedApplicationQuery,
+  findDateConflicts
+};
@@ -0,0 +1,52 @@
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Parse a YYYY-MM-DD string (or Date) into a UTC-midnight Date
+const parseDateOnly = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) return null;
+  return new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate()));
+};
+
+// Format a Date as YYYY-MM-DD using its UTC calendar day
+const formatDateOnly = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_IN_MS);
+
+const daysBetween = (start, end) => Math.round((new Date(end) - new Date(start)) / DAY_IN_MS);
+
+// Same day of the month, months later (clamped to the end of shorter months)
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1));
+  target.setUTCDate(Math.min(d.getUTCDate(), daysInMonth(target)));
+  return target;
+};
+
+const daysInMonth = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+};
+
+module.exports = {
+  DAY_IN_MS,
+  parseDateOnly,
+  formatDateOnly,
+  addDays,
+  addMonths,
+  daysBetween,
+  daysInMonth
+};
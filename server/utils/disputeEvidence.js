@@ -0,0 +1,141 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { toPdfText, wrapToWidth } = require('./signatureCertificate');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+
+const SIGNER_ROLE_LABELS = {
+  primary: 'Renter',
+  coApplicant: 'Co-Applicant',
+  manager: 'Owner\'s Agent'
+};
+
+const formatMoney = (cents) => `$${(Number(cents || 0) / 100).toFixed(2)}`;
+const formatTimestamp = (value) => (value ? new Date(value).toISOString() : 'n/a');
+
+/**
+ * One PDF to upload as dispute evidence: a summary of the dispute, the
+ * payment receipt and the e-signature audit trail, followed by the signed
+ * lease itself (which ends with its Certificate of Completion).
+ */
+const buildDisputeEvidencePdf = async ({ application, payment, user }) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const mono = await pdfDoc.embedFont(StandardFonts.Courier);
+  const textWidth = PAGE_WIDTH - MARGIN * 2;
+  const labelWidth = 140;
+
+  let page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) {
+      page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+  };
+
+  const drawField = (label, value, { valueFont = font, size = 10 } = {}) => {
+    const lines = wrapToWidth(value, valueFont, size, textWidth - labelWidth);
+    ensureSpace(lines.length * (size + 4));
+    page.drawText(label, { x: MARGIN, y, size, font: bold, color: rgb(0.25, 0.25, 0.25) });
+    lines.forEach((line) => {
+      page.drawText(line, { x: MARGIN + labelWidth, y, size, font: valueFont, color: rgb(0, 0, 0) });
+      y -= size + 4;
+    });
+  };
+
+  const drawHeading = (text, size = 12) => {
+    ensureSpace(size + 20);
+    y -= 6;
+    page.drawText(toPdfText(text), { x: MARGIN, y, size, font: bold, color: rgb(0, 0, 0) });
+    y -= 6;
+    page.drawLine({
+      start: { x: MARGIN, y },
+      end: { x: PAGE_WIDTH - MARGIN, y },
+      thickness: 0.5,
+      color: rgb(0.6, 0.6, 0.6)
+    });
+    y -= size + 2;
+  };
+
+  page.drawText('Dispute Evidence Package', { x: MARGIN, y, size: 18, font: bold, color: rgb(0, 0, 0) });
+  y -= 24;
+  drawField('Prepared (UTC)', formatTimestamp(new Date()));
+
+  const dispute = payment.dispute || {};
+  drawHeading('Dispute');
+  drawField('Stripe dispute', dispute.stripeDisputeId || 'n/a', { valueFont: mono, size: 9 });
+  drawField('Reason', dispute.reason || 'n/a');
+  drawField('Status', dispute.status || 'n/a');
+  drawField('Disputed amount', formatMoney(dispute.amount));
+  drawField('Evidence due (UTC)', formatTimestamp(dispute.evidenceDueBy));
+
+  drawHeading('Customer and Stay');
+  drawField('Renter', `${application.firstName} ${application.lastName}`);
+  if (application.secondApplicantFirstName) {
+    drawField('Co-applicant', `${application.secondApplicantFirstName} ${application.secondApplicantLastName || ''}`);
+  }
+  if (user?.email) drawField('Account email', user.email);
+  if (application.phone) drawField('Phone', application.phone);
+  if (application.address?.street) {
+    drawField('Billing address', `${application.address.street}, ${application.address.city}, ${application.address.state} ${application.address.zipCode}`);
+  }
+  drawField('Application', application.applicationNumber || String(application._id));
+  drawField('Stay', `${application.leaseStartDate || application.requestedStartDate} to ${application.leaseEndDate || application.requestedEndDate}`);
+  drawField('Rental Fee', formatMoney(Math.round(Number(application.rentalAmount || 0) * 100)));
+  drawField('Deposit', formatMoney(Math.round(Number(application.depositAmount || 0) * 100)));
+
+  drawHeading('Payment Receipt');
+  drawField('Description', payment.description);
+  drawField('Payment type', payment.paymentType);
+  drawField('Amount', formatMoney(payment.amount));
+  drawField('Card fee', formatMoney(payment.creditCardFee));
+  drawField('Total charged', formatMoney(payment.totalAmount));
+  if (payment.cardLast4) drawField('Card', `${payment.cardBrand || 'Card'} ending ${payment.cardLast4}`);
+  drawField('Paid (UTC)', formatTimestamp(payment.paidAt || payment.createdAt));
+  drawField('PaymentIntent', payment.stripePaymentIntentId, { valueFont: mono, size: 9 });
+  if (payment.receiptUrl) drawField('Stripe receipt', payment.receiptUrl, { size: 9 });
+  if (payment.refundAmount) drawField('Refunded', formatMoney(payment.refundAmount));
+
+  const audit = application.leaseAudit || {};
+  drawHeading('E-Signature Audit Trail');
+  if (!audit.signers?.length) {
+    drawField('Signers', 'No electronic signatures recorded');
+  } else {
+    if (audit.leaseTextHash) drawField('Lease text hash', audit.leaseTextHash, { valueFont: mono, size: 9 });
+    if (audit.signedPdfHash) drawField('Signed PDF hash', audit.signedPdfHash, { valueFont: mono, size: 9 });
+    if (audit.completedAt) drawField('Signed by tenants', formatTimestamp(audit.completedAt));
+    if (audit.fullyExecutedAt) drawField('Fully executed', formatTimestamp(audit.fullyExecutedAt));
+    audit.signers.forEach((signer) => {
+      ensureSpace(100);
+      y -= 6;
+      drawField('Signer', `${signer.name} (${SIGNER_ROLE_LABELS[signer.role] || signer.role})`);
+      if (signer.email) drawField('Account email', signer.email);
+      drawField('ESIGN consent (UTC)', formatTimestamp(signer.consentedAt));
+      drawField('Signed (UTC)', formatTimestamp(signer.signedAt));
+      drawField('IP address', signer.ip || 'n/a');
+      drawField('User agent', signer.userAgent || 'n/a', { size: 9 });
+    });
+  }
+
+  // The signed lease follows as-is so its pages and certificate are unchanged
+  const leaseFile = application.signedLeaseFile;
+  drawHeading('Signed Lease');
+  if (leaseFile?.content && leaseFile.mimetype === 'application/pdf') {
+    drawField('Attached', `${leaseFile.originalName || 'lease.pdf'} follows this summary`);
+    const leasePdf = await PDFDocument.load(Buffer.from(leaseFile.content, 'base64'));
+    const pages = await pdfDoc.copyPages(leasePdf, leasePdf.getPageIndices());
+    pages.forEach(leasePage => pdfDoc.addPage(leasePage));
+  } else {
+    drawField('Attached', leaseFile?.content ? 'Signed lease is not a PDF; download it from the application' : 'No signed lease on file');
+  }
+
+  return pdfDoc.save();
+};
+
+module.exports = {
+  buildDisputeEvidencePdf
+};
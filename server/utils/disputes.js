@@ -0,0 +1,94 @@
+const Payment = require('../models/Payment');
+const Application = require('../models/Application');
+
+// Dispute statuses after which nothing more can be done
+const CLOSED_DISPUTE_STATUSES = ['won', 'lost', 'warning_closed', 'charge_refunded'];
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+
+// A lost dispute takes the money back, so it is recorded like a refund to keep the ledger right
+const recordChargebackLoss = async (payment, stripeDispute) => {
+  const stripePaymentIntentId = `dispute_${stripeDispute.id}`;
+  const existing = await Payment.findOne({ stripePaymentIntentId });
+  if (existing) return existing;
+
+  const principal = Math.min(stripeDispute.amount, Math.max(0, payment.amount - (payment.refundAmount || 0)));
+  const chargeback = new Payment({
+    userId: payment.userId,
+    applicationId: payment.applicationId,
+    stripePaymentIntentId,
+    stripeCustomerId: payment.stripeCustomerId,
+    amount: -principal,
+    creditCardFee: 0,
+    totalAmount: -stripeDispute.amount,
+    currency: stripeDispute.currency || payment.currency,
+    paymentType: 'refund',
+    description: `Chargeback lost on ${payment.description}`,
+    status: 'succeeded',
+    paymentMethod: 'card',
+    paidAt: new Date(),
+    refunded: true,
+    refundAmount: stripeDispute.amount,
+    refundReason: `Dispute lost (${stripeDispute.reason})`,
+    refundedAt: new Date(),
+    refundCategory: 'other',
+    originalPaymentId: payment._id,
+    metadata: {
+      notes: `Stripe dispute ${stripeDispute.id}`
+    }
+  });
+  await chargeback.save();
+
+  payment.refundAmount = (payment.refundAmount || 0) + principal;
+  payment.refunded = true;
+  payment.refundedAt = payment.refundedAt || new Date();
+  return chargeback;
+};
+
+/**
+ * Apply a charge.dispute.* event: keep the dispute on the Payment, flag the
+ * application while it is open (with the evidence deadline), and book the
+ * chargeback when the dispute is lost. Returns null when the disputed
+ * PaymentIntent is not one of ours.
+ */
+const recordStripeDispute = async (stripeDispute) => {
+  const payment = await Payment.findOne({ stripePaymentIntentId: stripeDispute.payment_intent });
+  if (!payment) return null;
+
+  const closed = CLOSED_DISPUTE_STATUSES.includes(stripeDispute.status);
+  payment.dispute = {
+    stripeDisputeId: stripeDispute.id,
+    status: stripeDispute.status,
+    reason: stripeDispute.reason,
+    amount: stripeDispute.amount,
+    evidenceDueBy: fromUnix(stripeDispute.evidence_details?.due_by),
+    openedAt: payment.dispute?.openedAt || fromUnix(stripeDispute.created) || new Date(),
+    closedAt: closed ? (payment.dispute?.closedAt || new Date()) : undefined
+  };
+  if (stripeDispute.status === 'lost') {
+    await recordChargebackLoss(payment, stripeDispute);
+  }
+  await payment.save();
+
+  if (payment.applicationId) {
+    await Application.findByIdAndUpdate(payment.applicationId, {
+      dispute: {
+        open: !closed,
+        paymentId: payment._id,
+        stripeDisputeId: stripeDispute.id,
+        status: stripeDispute.status,
+        amount: stripeDispute.amount,
+        evidenceDueBy: payment.dispute.evidenceDueBy,
+        updatedAt: new Date()
+      },
+      lastUpdated: new Date()
+    });
+  }
+
+  return payment;
+};
+
+module.exports = {
+  CLOSED_DISPUTE_STATUSES,
+  recordStripeDispute
+};
@@ -0,0 +1,62 @@
+const Application = require('../models/Application');
+const Setting = require('../models/Setting');
+const { addDays } = require('./dates');
+
+const HOLD_EXPIRY_DAYS_KEY = 'holdExpiryDays';
+const DEFAULT_HOLD_EXPIRY_DAYS = parseInt(process.env.HOLD_EXPIRY_DAYS, 10) || 7;
+const MAX_HOLD_EXPIRY_DAYS = 60;
+
+// Days a submitted application holds its dates before the admin has to approve it
+const getHoldExpiryDays = async () => {
+  const days = parseInt(await Setting.getValue(HOLD_EXPIRY_DAYS_KEY, DEFAULT_HOLD_EXPIRY_DAYS), 10);
+  return days > 0 ? days : DEFAULT_HOLD_EXPIRY_DAYS;
+};
+
+const setHoldExpiryDays = async (days, updatedBy) => {
+  await Setting.setValue(HOLD_EXPIRY_DAYS_KEY, days, updatedBy);
+};
+
+// A hold only lasts while the application is pending review and has not expired
+const activeHoldQuery = (now = new Date()) => ({
+  status: 'pending',
+  holdExpiresAt: { $gt: now }
+});
+
+// Start (or restart) the soft hold on an application's requested dates
+const placeHold = async (application) => {
+  application.holdExpiresAt = addDays(new Date(), await getHoldExpiryDays());
+  return application.holdExpiresAt;
+};
+
+/**
+ * Active holds whose nights overlap arrival startDate..departure endDate (YYYY-MM-DD).
+ * Only dates and expiry are returned so other applicants' details stay private.
+ */
+const findOverlappingHolds = async ({ startDate, endDate, excludeUserId, excludeApplicationId }) => {
+  const query = {
+    ...activeHoldQuery(),
+    requestedStartDate: { $lt: endDate },
+    requestedEndDate: { $gt: startDate }
+  };
+  if (excludeUserId) query.userId = { $ne: excludeUserId };
+  if (excludeApplicationId) query._id = { $ne: excludeApplicationId };
+
+  const applications = await Application.find(query)
+    .select('requestedStartDate requestedEndDate holdExpiresAt')
+    .sort({ requestedStartDate: 1 });
+
+  return applications.map(application => ({
+    startDate: application.requestedStartDate,
+    endDate: application.requestedEndDate,
+    holdExpiresAt: application.holdExpiresAt
+  }));
+};
+
+module.exports = {
+  MAX_HOLD_EXPIRY_DAYS,
+  getHoldExpiryDays,
+  setHoldExpiryDays,
+  activeHoldQuery,
+  placeHold,
+  findOverlappingHolds
+};
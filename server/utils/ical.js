@@ -0,0 +1,157 @@
+const { parseDateOnly, addDays } = require('./dates');
+
+const PRODUCT_ID = '-//Palm Run LLC//Availability Calendar//EN';
+
+// Escape TEXT values per RFC 5545 (backslash, semicolon, comma and newlines)
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDateValue = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}${String(d.getUTCDate()).padStart(2, '0')}`;
+};
+
+const formatDateTimeValue = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Build a VCALENDAR document of all-day events.
+ * Each event needs a uid, summary, start and end; end is exclusive, as iCal
+ * expects for all-day events (a checkout day is left open for the next arrival).
+ */
+const buildCalendar = (events, { name = 'Palm Run LLC' } = {}) => {
+  const stamp = formatDateTimeValue(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    const start = parseDateOnly(event.start);
+    const end = parseDateOnly(event.end);
+    if (!start || !end || end <= start) continue;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDateValue(start)}`,
+      `DTEND;VALUE=DATE:${formatDateValue(end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.updatedAt) {
+      lines.push(`LAST-MODIFIED:${formatDateTimeValue(event.updatedAt)}`);
+    }
+    lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const unescapeText = (value) => String(value || '')
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// Read the calendar day of a DATE or DATE-TIME value (YYYYMMDD[THHMMSS[Z]])
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || '').trim());
+  if (!match) return null;
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+};
+
+// Whole days of an ISO 8601 duration such as P3D, P1W or PT36H (rounded up)
+const parseDurationDays = (value) => {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, weeks, days, hours, minutes, seconds] = match.map(part => Number(part || 0));
+  const totalHours = ((weeks * 7 + days) * 24) + hours + (minutes / 60) + (seconds / 3600);
+  return Math.max(1, Math.ceil(totalHours / 24));
+};
+
+/**
+ * Parse the VEVENTs of an .ics document into all-day spans.
+ * end is exclusive (the checkout day); cancelled events are skipped.
+ */
+const parseCalendar = (text) => {
+  // Unfold continuation lines before splitting into properties
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+    // Keep the first occurrence of each property
+    if (current[name] === undefined) current[name] = value;
+  }
+
+  return events
+    .filter(event => String(event.STATUS || '').toUpperCase() !== 'CANCELLED')
+    .map(event => {
+      const start = parseDateValue(event.DTSTART);
+      if (!start) return null;
+
+      let end = parseDateValue(event.DTEND);
+      if (!end && event.DURATION) {
+        const days = parseDurationDays(event.DURATION);
+        end = days ? addDays(start, days) : null;
+      }
+      // A timed event that ends later the same day still blocks that day
+      if (!end || end <= start) end = addDays(start, 1);
+
+      return {
+        uid: event.UID ? unescapeText(event.UID).trim() : null,
+        summary: unescapeText(event.SUMMARY).trim(),
+        start,
+        end
+      };
+    })
+    .filter(Boolean);
+};
+
+// An AvailabilityRange endDate is the last blocked day, so the event ends the day after
+const inclusiveRangeEnd = (endDate) => addDays(parseDateOnly(endDate), 1);
+
+module.exports = {
+  buildCalendar,
+  parseCalendar,
+  inclusiveRangeEnd
+};
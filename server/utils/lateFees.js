@@ -0,0 +1,244 @@
+const Application = require('../models/Application');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { getPaymentScheduleStatus } = require('./paymentSchedule');
+const { parseDateOnly, formatDateOnly, addDays, daysBetween } = require('./dates');
+const { sendMail } = require('./mailer');
+
+const LATE_FEE_POLICY_KEY = 'lateFeePolicy';
+
+// Off until an admin turns it on. Amounts in cents; percent of the unpaid installment.
+const DEFAULT_LATE_FEE_POLICY = {
+  enabled: false,
+  graceDays: 5,
+  feeType: 'flat',
+  flatAmount: 5000,
+  percent: 5,
+  reminderDays: [1, 7, 14]
+};
+
+const MAX_GRACE_DAYS = 60;
+
+// Reminder wording escalates with each stage reached
+const REMINDER_STAGES = [
+  { subject: 'Payment reminder', opening: 'This is a friendly reminder that a payment on your stay is past due.' },
+  { subject: 'Second notice: payment past due', opening: 'We have not yet received a payment that is now more than a week past due.' },
+  { subject: 'Final notice: payment past due', opening: 'This is a final notice about a payment that remains past due. Please pay it now or contact us to avoid further action under the lease.' }
+];
+
+class LateFeeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LateFeeError';
+    this.status = status;
+  }
+}
+
+const formatMoney = (cents) => `$${(Number(cents || 0) / 100).toFixed(2)}`;
+
+const getLateFeePolicy = async () => ({
+  ...DEFAULT_LATE_FEE_POLICY,
+  ...(await Setting.getValue(LATE_FEE_POLICY_KEY, {}))
+});
+
+// Validate and store a policy from the admin form (flatAmount in dollars there)
+const setLateFeePolicy = async (input, updatedBy) => {
+  const graceDays = parseInt(input.graceDays, 10);
+  if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > MAX_GRACE_DAYS) {
+    throw new LateFeeError(`Grace period must be between 0 and ${MAX_GRACE_DAYS} days`);
+  }
+  if (!['flat', 'percent'].includes(input.feeType)) {
+    throw new LateFeeError('Fee type must be flat or percent');
+  }
+  const flatAmount = Math.round(parseFloat(input.flatAmount) * 100);
+  const percent = parseFloat(input.percent);
+  if (input.feeType === 'flat' && !(flatAmount > 0)) {
+    throw new LateFeeError('Flat fee must be a positive amount');
+  }
+  if (input.feeType === 'percent' && !(percent > 0 && percent <= 100)) {
+    throw new LateFeeError('Percentage must be between 0 and 100');
+  }
+  const reminderDays = [...new Set((input.reminderDays || [])
+    .map(day => parseInt(day, 10))
+    .filter(day => Number.isInteger(day) && day > 0))]
+    .sort((a, b) => a - b)
+    .slice(0, REMINDER_STAGES.length);
+
+  const policy = {
+    enabled: input.enabled === true,
+    graceDays,
+    feeType: input.feeType,
+    flatAmount: flatAmount > 0 ? flatAmount : DEFAULT_LATE_FEE_POLICY.flatAmount,
+    percent: percent > 0 ? percent : DEFAULT_LATE_FEE_POLICY.percent,
+    reminderDays
+  };
+  await Setting.setValue(LATE_FEE_POLICY_KEY, policy, updatedBy);
+  return policy;
+};
+
+// The fee for an installment with unpaidAmount (cents) still owing
+const calculateLateFee = (policy, unpaidAmount) => (policy.feeType === 'percent'
+  ? Math.round(unpaidAmount * policy.percent / 100)
+  : policy.flatAmount);
+
+// First day (YYYY-MM-DD) a late fee can be assessed on an installment
+const getLateFeeDate = (policy, dueDate) => formatDateOnly(addDays(parseDateOnly(dueDate), policy.graceDays + 1));
+
+const findAssessedFee = (application, installment) => (application.charges || []).find(charge =>
+  charge.type === 'late_fee'
+  && charge.installmentKey === installment.key
+  && charge.dueDate === installment.dueDate);
+
+const sendOverdueReminder = async ({ user, application, installment, stage, daysOverdue, policy, fee }) => {
+  const { subject, opening } = REMINDER_STAGES[stage - 1] || REMINDER_STAGES[REMINDER_STAGES.length - 1];
+  const lines = [
+    `Hi ${user.firstName || 'there'},`,
+    '',
+    opening,
+    '',
+    `Installment: ${installment.label}`,
+    `Application: ${application.applicationNumber || application._id}`,
+    `Due date: ${installment.dueDate} (${daysOverdue} day${daysOverdue === 1 ? '' : 's'} ago)`,
+    `Amount due: ${formatMoney(installment.remainingAmount)}`
+  ];
+  if (fee && !fee.waivedAt) {
+    lines.push(`Late fee assessed: ${formatMoney(fee.amount)}`);
+  } else if (!fee && policy.enabled) {
+    lines.push(`A late fee of ${formatMoney(calculateLateFee(policy, installment.remainingAmount))} will be added on ${getLateFeeDate(policy, installment.dueDate)} if the installment is still unpaid.`);
+  }
+  lines.push(
+    '',
+    'You can pay from your dashboard. If you have already paid, please disregard this notice.',
+    '',
+    'Questions? Contact us at palmrunbeachcondo@gmail.com',
+    '',
+    'Palm Run LLC'
+  );
+
+  return sendMail({ to: user.email, subject, text: lines.join('\n') });
+};
+
+/**
+ * Assess late fees and send reminders for one application's overdue
+ * installments. A fee is charged once per installment and due date, after the
+ * grace period. Reminders go out as each reminder day is reached, only the
+ * latest stage, and only to tenants with payment reminders turned on.
+ */
+const processOverdueApplication = async (application, policy, today) => {
+  const result = { feesAssessed: 0, remindersSent: 0 };
+  const payments = await Payment.find({ applicationId: application._id, status: 'succeeded' });
+  const { installments } = getPaymentScheduleStatus(application, payments, parseDateOnly(today));
+  const overdue = installments.filter(installment => installment.status === 'overdue');
+  if (!overdue.length) return result;
+
+  const user = await User.findById(application.userId);
+  let changed = false;
+
+  for (const installment of overdue) {
+    const daysOverdue = daysBetween(parseDateOnly(installment.dueDate), parseDateOnly(today));
+
+    let fee = findAssessedFee(application, installment);
+    if (!fee && policy.enabled && today >= getLateFeeDate(policy, installment.dueDate)) {
+      const amount = calculateLateFee(policy, installment.remainingAmount);
+      if (amount > 0) {
+        application.charges.push({
+          type: 'late_fee',
+          amount,
+          description: `Late fee: ${installment.label} due ${installment.dueDate}`,
+          date: parseDateOnly(today),
+          installmentKey: installment.key,
+          dueDate: installment.dueDate
+        });
+        fee = application.charges[application.charges.length - 1];
+        result.feesAssessed += 1;
+        changed = true;
+        console.log(`Late fee of ${formatMoney(amount)} assessed on ${application.applicationNumber || application._id} (${installment.key} due ${installment.dueDate})`);
+      }
+    }
+
+    const stage = policy.reminderDays.filter(day => daysOverdue >= day).length;
+    const lastStage = Math.max(0, ...(application.paymentReminders || [])
+      .filter(reminder => reminder.installmentKey === installment.key && reminder.dueDate === installment.dueDate)
+      .map(reminder => reminder.stage));
+    if (stage > lastStage && user?.notificationSettings?.paymentReminders !== false && user?.email) {
+      const sent = await sendOverdueReminder({ user, application, installment, stage, daysOverdue, policy, fee });
+      if (sent.success) {
+        application.paymentReminders.push({
+          installmentKey: installment.key,
+          dueDate: installment.dueDate,
+          stage,
+          sentAt: new Date()
+        });
+        result.remindersSent += 1;
+        changed = true;
+      }
+    }
+  }
+
+  if (changed) {
+    application.lastUpdated = new Date();
+    await application.save();
+  }
+  return result;
+};
+
+// The scheduled job: late fees and overdue reminders for every active lease
+const runLateFees = async (today = formatDateOnly(new Date())) => {
+  const policy = await getLateFeePolicy();
+  const applications = await Application.find({
+    leaseGenerated: true,
+    status: { $in: ['approved', 'completed'] }
+  });
+  const summary = { applications: applications.length, feesAssessed: 0, remindersSent: 0, errors: 0 };
+
+  for (const application of applications) {
+    try {
+      const result = await processOverdueApplication(application, policy, today);
+      summary.feesAssessed += result.feesAssessed;
+      summary.remindersSent += result.remindersSent;
+    } catch (error) {
+      summary.errors += 1;
+      console.error(`❌ Late fee processing failed for ${application.applicationNumber || application._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Waive an assessed late fee. The fee stays on the ledger with an offsetting waiver line.
+const waiveLateFee = async (application, chargeId, { reason, waivedBy }) => {
+  const charge = application.charges.id(chargeId);
+  if (!charge) {
+    throw new LateFeeError('Charge not found', 404);
+  }
+  if (charge.type !== 'late_fee') {
+    throw new LateFeeError('Only late fees can be waived');
+  }
+  if (charge.waivedAt) {
+    throw new LateFeeError('This late fee has already been waived', 409);
+  }
+  if (!reason || !reason.trim()) {
+    throw new LateFeeError('A reason is required to waive a late fee');
+  }
+
+  charge.waivedAt = new Date();
+  charge.waivedBy = waivedBy;
+  charge.waiverReason = reason.trim();
+  application.lastUpdated = new Date();
+  application.updatedBy = waivedBy;
+  await application.save();
+  console.log(`Late fee ${charge._id} (${formatMoney(charge.amount)}) on ${application.applicationNumber || application._id} waived by ${waivedBy}: ${charge.waiverReason}`);
+  return charge;
+};
+
+module.exports = {
+  DEFAULT_LATE_FEE_POLICY,
+  MAX_GRACE_DAYS,
+  LateFeeError,
+  getLateFeePolicy,
+  setLateFeePolicy,
+  calculateLateFee,
+  runLateFees,
+  waiveLateFee
+};
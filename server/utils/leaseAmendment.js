@@ -0,0 +1,104 @@
+const { formatLeaseDate } = require('./leaseTemplate');
+const { parseDateOnly, formatDateOnly, addDays } = require('./dates');
+const { AGENT_SIGNATURE_LINE } = require('./leasePdf');
+
+// Application fields an amendment may change once the lease is signed
+const LEASE_TERM_FIELDS = ['leaseStartDate', 'leaseEndDate', 'rentalAmount', 'depositAmount'];
+
+// Returned when something tries to change the terms of a signed lease directly
+const SIGNED_LEASE_LOCKED = 'This lease has been signed. Propose an amendment to change its terms.';
+
+// Returned when a tenant tries to remove or replace a lease the manager has
+// countersigned or that has signed addenda
+const EXECUTED_LEASE_LOCKED = 'This lease has been fully executed and can no longer be removed or replaced.';
+
+const TERM_LABELS = {
+  leaseStartDate: 'The rental period begins on',
+  leaseEndDate: 'The rental period ends on',
+  rentalAmount: 'The Rental Fee is',
+  depositAmount: 'The Security Deposit is'
+};
+
+const formatAmount = (value) => `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+const formatTerm = (field, value) => (
+  field === 'rentalAmount' || field === 'depositAmount' ? formatAmount(value) : formatLeaseDate(value)
+);
+
+const pickLeaseTerms = (source) => LEASE_TERM_FIELDS.reduce((terms, field) => {
+  terms[field] = source[field];
+  return terms;
+}, {});
+
+// Fields whose value differs between two sets of terms
+const diffLeaseTerms = (before, after) => LEASE_TERM_FIELDS.filter(field => (
+  String(before[field] ?? '') !== String(after[field] ?? '')
+));
+
+/**
+ * Addendum text the tenant signs. It follows the lease's signature block
+ * layout ("Renters:" then the agent line) so renderLeasePdf can sign it.
+ */
+const buildAddendumText = ({ application, number, previousTerms, newTerms, reason, proposedByName, proposedAt = new Date() }) => {
+  const primaryRenterName = `${application.firstName} ${application.lastName}`;
+  const hasCoApplicant = application.secondApplicantFirstName && application.secondApplicantLastName;
+  const renterNames = hasCoApplicant
+    ? `${primaryRenterName} and ${application.secondApplicantFirstName} ${application.secondApplicantLastName}`
+    : primaryRenterName;
+  const signedOn = application.leaseSignedAt ? formatLeaseDate(application.leaseSignedAt) : 'the date of signing';
+  const reference = application.applicationNumber ? ` (Application ${application.applicationNumber})` : '';
+  const proposedOn = formatLeaseDate(proposedAt);
+
+  const clauses = diffLeaseTerms(previousTerms, newTerms).map(field => (
+    `${TERM_LABELS[field]} ${formatTerm(field, newTerms[field])} (previously ${formatTerm(field, previousTerms[field])}).`
+  ));
+
+  // The cancellation deadline and balance due date follow the arrival date
+  if (newTerms.leaseStartDate !== previousTerms.leaseStartDate) {
+    const deadline = formatDateOnly(addDays(parseDateOnly(newTerms.leaseStartDate), -60));
+    clauses.push(`The cancellation deadline and the balance due date are ${formatLeaseDate(deadline)}, 60 days before the new start of the rental period.`);
+  }
+
+  const lines = [
+    `ADDENDUM ${number} TO THE PALM RUN LLC. RENTAL AGREEMENT`,
+    '',
+    `This Addendum, made on ${proposedOn}, amends the Rental Agreement signed on ${signedOn}${reference} between ` +
+      `Palm Run, LLC (the "Manager") and ${renterNames} (the "Renter") for the premises known as ` +
+      '"18650 Gulf Blvd, #207, Indian Shores, FL 33785".',
+    '',
+    'The parties agree to the following changes:',
+    '',
+    ...clauses.map((clause, index) => `${index + 1}. ${clause}`),
+    ''
+  ];
+
+  if (reason) {
+    lines.push(`Reason for this Addendum: ${reason}`, '');
+  }
+
+  lines.push(
+    'All other terms and conditions of the Rental Agreement, and of any earlier Addendum, remain in full force ' +
+      'and effect. Where this Addendum conflicts with the Rental Agreement, this Addendum controls.',
+    '',
+    'Renters:',
+    `${primaryRenterName}_______________ DATED: ____________________`,
+    '',
+    AGENT_SIGNATURE_LINE,
+    `Proposed by ${proposedByName || 'Palm Run, LLC'} on ${proposedOn}`,
+    '',
+    '---',
+    `Application ID: ${application._id}`,
+    `Tenant: ${primaryRenterName}`
+  );
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  LEASE_TERM_FIELDS,
+  SIGNED_LEASE_LOCKED,
+  EXECUTED_LEASE_LOCKED,
+  pickLeaseTerms,
+  diffLeaseTerms,
+  buildAddendumText
+};
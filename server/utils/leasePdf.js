@@ -0,0 +1,387 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { appendCompletionCertificate, toPdfText } = require('./signatureCertificate');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const TEXT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const BODY_SIZE = 11;
+const LINE_HEIGHT = BODY_SIZE + 4;
+const PARAGRAPH_GAP = 6;
+// Hanging indent for the text of a numbered clause
+const CLAUSE_INDENT = 20;
+const BLACK = rgb(0, 0, 0);
+const GRAY = rgb(0.4, 0.4, 0.4);
+
+// Title-case a full name for clean display
+function titleCase(input) {
+  if (!input || typeof input !== 'string') return input;
+  return input
+    .split(' ')
+    .filter(Boolean)
+    .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
+    .join(' ');
+}
+
+const AGENT_SIGNATURE_LINE = 'Jay Pommrehn for Palm Run, LLC:';
+const DEPOSIT_RECEIPT_LINE = 'Receipt of Deposit is hereby acknowledged by Manager (Owner\'s Agent):';
+
+// Split a line into words. Each word is a list of pieces marked bold when they
+// sit between ** markers, so "**Rent**:" stays one word with a bold "Rent".
+const parseInlineBold = (text) => {
+  let isBold = false;
+  return toPdfText(text).split(/\s+/).filter(Boolean).map(token => {
+    const pieces = [];
+    token.split('**').forEach((part, index) => {
+      if (index > 0) isBold = !isBold;
+      if (part) pieces.push({ text: part, bold: isBold });
+    });
+    return pieces;
+  }).filter(pieces => pieces.length > 0);
+};
+
+const makeBold = (words) => words.map(pieces => pieces.map(piece => ({ ...piece, bold: true })));
+
+/**
+ * Render a lease (or addendum) as PDF. This is the only lease renderer: the
+ * unsigned download, the admin preview and the signed copies all go through it,
+ * so every copy has the same layout.
+ *
+ * The text is the rendered lease template: the first line is the document
+ * heading, a line wrapped in ** is a section heading, **inline** runs are bold
+ * and "1. ..." lines are numbered clauses with a hanging indent. Every page gets
+ * a header and footer with the application number and "Page X of Y".
+ *
+ * signatures (optional): { primary, coApplicant?, manager? }, each
+ * { name, image?, signedAt }; they are drawn into the "Renters:" and agent
+ * signature block. manager may also set depositReceived to fill in the deposit
+ * receipt. certificate (optional) adds the Certificate of Completion.
+ */
+async function renderLeasePdf({ application, leaseText, title = 'Rental Agreement', signatures = null, certificate = null }) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+  const bold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+  const italic = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
+  const topY = PAGE_HEIGHT - MARGIN;
+
+  let page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let y = topY;
+
+  const ensureRoom = (needed) => {
+    if (y - needed < MARGIN) {
+      page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      y = topY;
+    }
+  };
+
+  const pieceFont = (piece) => (piece.bold ? bold : font);
+  const wordWidth = (pieces, size) => pieces.reduce((sum, piece) => sum + pieceFont(piece).widthOfTextAtSize(piece.text, size), 0);
+
+  // Word-wrap parsed words to a width, breaking single words wider than a line
+  const layoutWords = (words, maxWidth, size) => {
+    const spaceWidth = font.widthOfTextAtSize(' ', size);
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+    const pushWord = (pieces) => {
+      const width = wordWidth(pieces, size);
+      if (line.length && lineWidth + spaceWidth + width > maxWidth) {
+        lines.push(line);
+        line = [];
+        lineWidth = 0;
+      }
+      lineWidth += (line.length ? spaceWidth : 0) + width;
+      line.push(pieces);
+    };
+    words.forEach(pieces => {
+      if (pieces.length === 1 && wordWidth(pieces, size) > maxWidth) {
+        const wordFont = pieceFont(pieces[0]);
+        let rest = pieces[0].text;
+        while (wordFont.widthOfTextAtSize(rest, size) > maxWidth) {
+          let cut = rest.length - 1;
+          while (cut > 1 && wordFont.widthOfTextAtSize(rest.slice(0, cut), size) > maxWidth) cut--;
+          pushWord([{ ...pieces[0], text: rest.slice(0, cut) }]);
+          rest = rest.slice(cut);
+        }
+        pushWord([{ ...pieces[0], text: rest }]);
+        return;
+      }
+      pushWord(pieces);
+    });
+    if (line.length) lines.push(line);
+    return lines;
+  };
+
+  const lineWidth = (lineWords, size) => (
+    lineWords.reduce((sum, pieces) => sum + wordWidth(pieces, size), 0) + font.widthOfTextAtSize(' ', size) * (lineWords.length - 1)
+  );
+
+  // Draw a laid-out line, one text run per stretch of regular or bold text
+  const drawWords = (lineWords, x, size) => {
+    const spaceWidth = font.widthOfTextAtSize(' ', size);
+    let run = null;
+    const flush = () => {
+      if (!run) return;
+      page.drawText(run.text, { x: run.x, y, size, font: run.bold ? bold : font, color: BLACK });
+      run = null;
+    };
+    lineWords.forEach((pieces, wordIndex) => {
+      if (wordIndex > 0) {
+        if (run) run.text += ' ';
+        x += spaceWidth;
+      }
+      pieces.forEach(piece => {
+        if (run && run.bold !== piece.bold) flush();
+        if (!run) run = { x, bold: piece.bold, text: '' };
+        run.text += piece.text;
+        x += pieceFont(piece).widthOfTextAtSize(piece.text, size);
+      });
+    });
+    flush();
+  };
+
+  const drawParagraph = (text, { indent = 0, size = BODY_SIZE } = {}) => {
+    layoutWords(parseInlineBold(text), TEXT_WIDTH - indent, size).forEach(lineWords => {
+      ensureRoom(size + 4);
+      drawWords(lineWords, MARGIN + indent, size);
+      y -= size + 4;
+    });
+  };
+
+  const drawHeading = (text, size, { center = false } = {}) => {
+    ensureRoom(size + LINE_HEIGHT * 2);
+    layoutWords(makeBold(parseInlineBold(text)), TEXT_WIDTH, size).forEach(lineWords => {
+      drawWords(lineWords, center ? (PAGE_WIDTH - lineWidth(lineWords, size)) / 2 : MARGIN, size);
+      y -= size + 6;
+    });
+  };
+
+  const drawRule = () => {
+    ensureRoom(LINE_HEIGHT);
+    page.drawLine({
+      start: { x: MARGIN, y: y + 6 },
+      end: { x: PAGE_WIDTH - MARGIN, y: y + 6 },
+      thickness: 0.5,
+      color: GRAY
+    });
+    y -= PARAGRAPH_GAP;
+  };
+
+  const drawTypedSignature = (text, boxX, boxY, boxWidth, boxHeight) => {
+    if (!text) return;
+    const maxSize = 22;
+    const textWidth = italic.widthOfTextAtSize(text, maxSize);
+    const scale = textWidth > boxWidth - 10 ? (boxWidth - 10) / textWidth : 1;
+    const size = Math.max(14, maxSize * scale);
+    const baseline = boxY + (boxHeight / 2) - size / 3;
+    page.drawText(text, { x: boxX + 5, y: baseline, size, font: italic, color: rgb(0.1, 0.1, 0.1) });
+    page.drawLine({
+      start: { x: boxX + 4, y: boxY + 6 },
+      end: { x: boxX + boxWidth - 4, y: boxY + 4 },
+      thickness: 0.6,
+      color: rgb(0.3, 0.3, 0.3)
+    });
+  };
+
+  const sigX = MARGIN + 180;
+  const sigBoxWidth = 120;
+  const sigBoxHeight = 40;
+  const rowHeight = 70;
+
+  // One signature row: printed name, signature box (drawn image or typed script) and date
+  const drawSignatureRow = async (signature) => {
+    const rowY = y;
+    const name = toPdfText(signature.name);
+    page.drawText(name, { x: MARGIN, y: rowY - (sigBoxHeight / 2) + 4, size: 12, font, color: BLACK });
+
+    page.drawRectangle({
+      x: sigX,
+      y: rowY - sigBoxHeight,
+      width: sigBoxWidth,
+      height: sigBoxHeight,
+      borderColor: BLACK,
+      borderWidth: 1
+    });
+
+    if (signature.image && signature.image.startsWith('data:image')) {
+      const bytes = Buffer.from(signature.image.split(',')[1], 'base64');
+      const img = signature.image.includes('image/png') ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+      const padding = 4;
+      const scale = Math.min((sigBoxWidth - padding * 2) / img.width, (sigBoxHeight - padding * 2) / img.height);
+      const drawWidth = img.width * scale;
+      const drawHeight = img.height * scale;
+      page.drawImage(img, {
+        x: sigX + (sigBoxWidth - drawWidth) / 2,
+        y: rowY - sigBoxHeight + (sigBoxHeight - drawHeight) / 2,
+        width: drawWidth,
+        height: drawHeight
+      });
+    } else {
+      drawTypedSignature(name, sigX, rowY - sigBoxHeight, sigBoxWidth, sigBoxHeight);
+    }
+
+    const dated = new Date(signature.signedAt || Date.now()).toLocaleDateString('en-US');
+    page.drawText(`DATED: ${dated}`, { x: sigX + sigBoxWidth + 12, y: rowY - (sigBoxHeight / 2) + 4, size: 12, font, color: BLACK });
+
+    y -= rowHeight;
+  };
+
+  const { primary, coApplicant, manager } = signatures || {};
+  let headingDrawn = false;
+  let clauseIndent = 0;
+  let suppressOldNameLines = false;
+  let skipAgentBlankLine = false;
+  let pendingDepositReceipt = false;
+
+  for (const line of leaseText.split('\n')) {
+    const t = line.trim();
+
+    // Signature block: replace the blank signature lines with the signatures given
+    if (signatures) {
+      if (t.startsWith('Renters:')) {
+        drawParagraph('Renters:');
+        ensureRoom((coApplicant ? 2 : 1) * rowHeight + 6);
+        await drawSignatureRow(primary);
+        if (coApplicant) await drawSignatureRow(coApplicant);
+        // Skip the old printed name lines until the agent line
+        suppressOldNameLines = true;
+        continue;
+      }
+      if (suppressOldNameLines && !t.startsWith(AGENT_SIGNATURE_LINE)) continue;
+      if (t.startsWith(AGENT_SIGNATURE_LINE)) {
+        suppressOldNameLines = false;
+        ensureRoom(manager ? rowHeight + LINE_HEIGHT : LINE_HEIGHT);
+        drawParagraph(AGENT_SIGNATURE_LINE);
+        if (manager) {
+          await drawSignatureRow(manager);
+          skipAgentBlankLine = true;
+        }
+        continue;
+      }
+      if (skipAgentBlankLine) {
+        // Replace the blank "____ DATED: ____" line under the agent heading
+        skipAgentBlankLine = false;
+        if (t.startsWith('___')) continue;
+      }
+      if (t.startsWith(DEPOSIT_RECEIPT_LINE)) {
+        drawParagraph(DEPOSIT_RECEIPT_LINE);
+        pendingDepositReceipt = !!(manager && manager.depositReceived);
+        continue;
+      }
+      if (pendingDepositReceipt && t.startsWith('By ')) {
+        pendingDepositReceipt = false;
+        const receivedOn = new Date(manager.signedAt || Date.now()).toLocaleDateString('en-US');
+        drawParagraph(`By ${toPdfText(manager.name)} Date ${receivedOn}`);
+        continue;
+      }
+    }
+
+    if (!t) {
+      clauseIndent = 0;
+      y -= PARAGRAPH_GAP;
+      continue;
+    }
+    if (!headingDrawn) {
+      headingDrawn = true;
+      drawHeading(t, 15, { center: true });
+      y -= PARAGRAPH_GAP;
+      continue;
+    }
+    if (t === '---') {
+      drawRule();
+      continue;
+    }
+
+    const sectionHeading = t.match(/^\*\*([^*]+)\*\*:?$/);
+    if (sectionHeading) {
+      y -= PARAGRAPH_GAP;
+      drawHeading(sectionHeading[1], 12);
+      continue;
+    }
+
+    const clause = t.match(/^(\d+)\.\s+(.*)$/);
+    if (clause) {
+      ensureRoom(LINE_HEIGHT * 2);
+      page.drawText(`${clause[1]}.`, { x: MARGIN, y, size: BODY_SIZE, font, color: BLACK });
+      clauseIndent = CLAUSE_INDENT;
+      drawParagraph(clause[2], { indent: clauseIndent });
+      continue;
+    }
+
+    // Continuation lines of a clause keep its indent until the next blank line
+    drawParagraph(t, { indent: clauseIndent });
+  }
+
+  if (certificate) {
+    await appendCompletionCertificate(pdfDoc, { application, ...certificate });
+  }
+
+  // Header and footer on every page, including the certificate
+  const reference = toPdfText(application.applicationNumber || String(application._id || ''));
+  const headerTitle = toPdfText(`Palm Run, LLC - ${title}`);
+  const pages = pdfDoc.getPages();
+  pages.forEach((p, index) => {
+    const pageLabel = `Page ${index + 1} of ${pages.length}`;
+    const applicationLabel = `Application ${reference}`;
+    p.drawText(headerTitle, { x: MARGIN, y: PAGE_HEIGHT - 30, size: 9, font, color: GRAY });
+    p.drawText(applicationLabel, {
+      x: PAGE_WIDTH - MARGIN - font.widthOfTextAtSize(applicationLabel, 9),
+      y: PAGE_HEIGHT - 30,
+      size: 9,
+      font,
+      color: GRAY
+    });
+    p.drawLine({ start: { x: MARGIN, y: PAGE_HEIGHT - 36 }, end: { x: PAGE_WIDTH - MARGIN, y: PAGE_HEIGHT - 36 }, thickness: 0.5, color: GRAY });
+    p.drawLine({ start: { x: MARGIN, y: 34 }, end: { x: PAGE_WIDTH - MARGIN, y: 34 }, thickness: 0.5, color: GRAY });
+    p.drawText(applicationLabel, { x: MARGIN, y: 22, size: 9, font, color: GRAY });
+    p.drawText(pageLabel, {
+      x: PAGE_WIDTH - MARGIN - font.widthOfTextAtSize(pageLabel, 9),
+      y: 22,
+      size: 9,
+      font,
+      color: GRAY
+    });
+  });
+
+  return pdfDoc.save();
+}
+
+// Counter-signature page for leases signed on paper or before signatures were kept
+async function appendCounterSignaturePage(pdfDoc, manager) {
+  const font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+  const bold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+  const fontItalic = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
+  const page = pdfDoc.addPage([612, 792]);
+  const margin = 50;
+  const dated = new Date(manager.signedAt).toLocaleDateString('en-US');
+  let y = 792 - margin;
+
+  page.drawText('Counter-Signature', { x: margin, y, size: 16, font: bold, color: rgb(0, 0, 0) });
+  y -= 36;
+  page.drawText(AGENT_SIGNATURE_LINE, { x: margin, y, size: 12, font, color: rgb(0, 0, 0) });
+  y -= 50;
+
+  if (manager.image) {
+    const bytes = Buffer.from(manager.image.split(',')[1], 'base64');
+    const img = manager.image.includes('image/png') ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+    const scale = Math.min(200 / img.width, 45 / img.height);
+    page.drawImage(img, { x: margin, y, width: img.width * scale, height: img.height * scale });
+  } else {
+    page.drawText(toPdfText(manager.name), { x: margin + 5, y: y + 10, size: 22, font: fontItalic, color: rgb(0.1, 0.1, 0.1) });
+  }
+  page.drawText(`DATED: ${dated}`, { x: margin + 230, y: y + 10, size: 12, font, color: rgb(0, 0, 0) });
+  y -= 40;
+
+  if (manager.depositReceived) {
+    page.drawText(DEPOSIT_RECEIPT_LINE, { x: margin, y, size: 12, font, color: rgb(0, 0, 0) });
+    y -= 18;
+    page.drawText(`By ${toPdfText(manager.name)} Date ${dated}`, { x: margin, y, size: 12, font, color: rgb(0, 0, 0) });
+  }
+}
+
+module.exports = {
+  AGENT_SIGNATURE_LINE,
+  titleCase,
+  renderLeasePdf,
+  appendCounterSignaturePage
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const LeaseTemplate = require('../models/LeaseTemplate');
+
+// The built-in Palm Run lease, used to seed version 1 of the template
+const DEFAULT_LEASE_TEMPLATE = fs
+  .readFileSync(path.join(__dirname, '../templates/lease-agreement.txt'), 'utf8')
+  .trimEnd();
+
+// Placeholders available to the template, shown in the admin editor
+const LEASE_PLACEHOLDERS = [
+  { key: 'agreementDate', description: 'Date the lease is generated' },
+  { key: 'renterNames', description: 'Primary renter and co-applicant names' },
+  { key: 'primaryRenterName', description: 'Primary renter name' },
+  { key: 'coRenterSignatureLine', description: 'Co-applicant signature line (blank when there is none)' },
+  { key: 'renterAddress', description: 'Renter mailing address' },
+  { key: 'renterPhone', description: 'Renter phone number' },
+  { key: 'renterEmail', description: 'Renter email address' },
+  { key: 'rentalAmount', description: 'Rental fee (without the $ sign)' },
+  { key: 'taxClause', description: 'Sentence listing each tax on the rental fee with its rate and amount, or the exemption (blank when no tax is charged)' },
+  { key: 'taxLines', description: 'Each tax on the rental fee with its rate and amount, one per line, or the exemption (blank when no tax is charged)' },
+  { key: 'taxTotal', description: 'Total tax on the rental fee (without the $ sign)' },
+  { key: 'totalWithTax', description: 'Rental fee plus taxes (without the $ sign)' },
+  { key: 'leaseStartDate', description: 'First day of the rental period' },
+  { key: 'leaseEndDate', description: 'Last day of the rental period' },
+  { key: 'cancellationDeadline', description: 'Last day to cancel with a refund (60 days before arrival)' },
+  { key: 'balanceDueDate', description: 'Balance due date (60 days before arrival)' },
+  { key: 'applicationNumber', description: 'Application number, e.g. APP-0001' },
+  { key: 'applicationId', description: 'Internal application ID' }
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+const LONG_DATE = { year: 'numeric', month: 'long', day: 'numeric' };
+
+// Lease dates are YYYY-MM-DD strings; read them as local calendar days
+const toLocalDate = (value) => {
+  if (typeof value === 'string') {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return new Date(value);
+};
+
+const formatAmount = (cents) => (cents / 100).toFixed(2);
+
+const describeTaxLine = (line) => `${line.name} (${line.rate}%): $${formatAmount(line.amount)}`;
+
+// One line per tax on the Rental Fee, from the taxes worked out for the lease
+// terms under the tax policy; blank when no tax was assessed
+const describeTaxes = (stayTaxes) => {
+  if (!stayTaxes?.assessedAt) return '';
+  if (stayTaxes.exempt) return `None. ${stayTaxes.exemptReason}.`;
+  return stayTaxes.lines.map(describeTaxLine).join('\n');
+};
+
+// The same taxes as a sentence for the body of clause 1
+const describeTaxClause = (stayTaxes) => {
+  if (!stayTaxes?.assessedAt) return '';
+  if (stayTaxes.exempt) return `No tax is due on the Rental Fee. ${stayTaxes.exemptReason}.`;
+  if (!stayTaxes.lines.length) return '';
+  return `Taxes of $${formatAmount(stayTaxes.total || 0)} on the Rental Fee are due with the balance: ${stayTaxes.lines.map(describeTaxLine).join('; ')}.`;
+};
+
+const formatLeaseDate = (value) => {
+  if (!value) return 'TBD';
+  const date = toLocalDate(value);
+  if (isNaN(date.getTime())) return 'Invalid Date';
+  return date.toLocaleDateString('en-US', LONG_DATE);
+};
+
+// Values for every placeholder, worked out from the application and lease terms
+const buildLeaseVariables = (application, leaseStartDate, leaseEndDate, rentalAmount) => {
+  const startDateObj = leaseStartDate && !isNaN(toLocalDate(leaseStartDate).getTime())
+    ? toLocalDate(leaseStartDate)
+    : new Date();
+
+  // Cancellation deadline and balance due date are both 60 days BEFORE the lease start date
+  const sixtyDaysBefore = new Date(startDateObj);
+  sixtyDaysBefore.setDate(sixtyDaysBefore.getDate() - 60);
+
+  const primaryRenterName = `${application.firstName} ${application.lastName}`;
+  const hasCoApplicant = application.secondApplicantFirstName && application.secondApplicantLastName;
+  const coRenterName = hasCoApplicant
+    ? `${application.secondApplicantFirstName} ${application.secondApplicantLastName}`
+    : '';
+  const address = application.address || {};
+  const taxTotal = application.stayTaxes?.assessedAt ? application.stayTaxes.total || 0 : 0;
+  const rentCents = Math.round(Number(rentalAmount) * 100);
+
+  return {
+    agreementDate: new Date().toLocaleDateString('en-US', LONG_DATE),
+    renterNames: hasCoApplicant ? `${primaryRenterName} and ${coRenterName}` : primaryRenterName,
+    primaryRenterName,
+    coRenterSignatureLine: hasCoApplicant ? `${coRenterName}_______________ DATED: ____________________\n` : '',
+    renterAddress: `${address.street}, ${address.city}, ${address.state} ${address.zipCode}`,
+    renterPhone: application.phone,
+    renterEmail: application.userId && application.userId.email ? application.userId.email : 'N/A',
+    rentalAmount,
+    taxClause: describeTaxClause(application.stayTaxes),
+    taxLines: describeTaxes(application.stayTaxes),
+    taxTotal: formatAmount(taxTotal),
+    totalWithTax: Number.isFinite(rentCents) ? formatAmount(rentCents + taxTotal) : 'TBD',
+    leaseStartDate: formatLeaseDate(leaseStartDate),
+    leaseEndDate: formatLeaseDate(leaseEndDate),
+    cancellationDeadline: sixtyDaysBefore.toLocaleDateString('en-US', LONG_DATE),
+    balanceDueDate: sixtyDaysBefore.toLocaleDateString('en-US', LONG_DATE),
+    applicationNumber: application.applicationNumber || '',
+    applicationId: application._id
+  };
+};
+
+const renderLeaseTemplate = (body, variables) => (
+  body.replace(PLACEHOLDER_PATTERN, (match, key) => (
+    Object.prototype.hasOwnProperty.call(variables, key) ? String(variables[key]) : match
+  ))
+);
+
+// Placeholders in a template body that the renderer does not know about
+const findUnknownPlaceholders = (body) => {
+  const known = new Set(LEASE_PLACEHOLDERS.map(placeholder => placeholder.key));
+  const unknown = new Set();
+  for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!known.has(match[1])) unknown.add(match[1]);
+  }
+  return Array.from(unknown);
+};
+
+// The version used for new leases, seeding version 1 from the built-in lease on first use
+const getCurrentLeaseTemplate = async () => {
+  const current = await LeaseTemplate.findOne().sort({ version: -1 });
+  if (current) return current;
+
+  try {
+    return await LeaseTemplate.create({ version: 1, body: DEFAULT_LEASE_TEMPLATE, notes: 'Initial Palm Run lease' });
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code === 11000) return LeaseTemplate.findOne({ version: 1 });
+    throw error;
+  }
+};
+
+// A specific version (e.g. the one a lease was generated from), or the current one
+const getLeaseTemplate = async (version) => {
+  if (version) {
+    const template = await LeaseTemplate.findOne({ version });
+    if (template) return template;
+  }
+  return getCurrentLeaseTemplate();
+};
+
+module.exports = {
+  LEASE_PLACEHOLDERS,
+  formatLeaseDate,
+  buildLeaseVariables,
+  renderLeaseTemplate,
+  findUnknownPlaceholders,
+  getCurrentLeaseTemplate,
+  getLeaseTemplate
+};
@@ -0,0 +1,171 @@
+const Payment = require('../models/Payment');
+const { parseDateOnly, formatDateOnly } = require('./dates');
+const { getStayTaxTotal } = require('./taxes');
+
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100);
+
+const CHARGE_LABELS = {
+  late_fee: 'Late fee',
+  credit: 'Credit',
+  other: 'Charge'
+};
+
+const PAYMENT_LABELS = {
+  deposit: 'Deposit payment',
+  rent: 'Rent payment',
+  late_fee: 'Late fee payment',
+  deposit_transfer: 'Deposit transferred in',
+  admin_transfer: 'Transfer',
+  refund: 'Refund',
+  other: 'Payment'
+};
+
+const entryDate = (value) => (value ? new Date(value) : new Date(0));
+
+// The lease terms are charged when the lease is generated, i.e. when the deposit falls due
+const leaseChargeDate = (application) => {
+  const deposit = (application.paymentSchedule || []).find(installment => installment.key === 'deposit');
+  return entryDate(deposit ? parseDateOnly(deposit.dueDate) : application.leaseSignedAt || application.createdAt);
+};
+
+/**
+ * One application's ledger, in cents. Charges (the lease's Rental Fee, its
+ * taxes and deposit, late fees, credits and the cancellation credit) raise the
+ * balance; payments lower it, and refunds and transfers out raise it again. A waived
+ * late fee stays listed, offset by a waiver line on the day it was waived. A
+ * positive balance is owed by the tenant, a negative one is credit in their favour.
+ * outgoingTransfers are tenant deposit transfers recorded on the other
+ * application, which leave no record of their own on this one. Entry dates
+ * are returned as YYYY-MM-DD.
+ */
+const buildApplicationLedger = (application, payments, outgoingTransfers = []) => {
+  const entries = [];
+
+  if (application.leaseGenerated) {
+    const date = leaseChargeDate(application);
+    const rent = toCents(application.rentalAmount);
+    const deposit = toCents(application.depositAmount);
+    const tax = getStayTaxTotal(application);
+    if (rent > 0) entries.push({ date, kind: 'charge', type: 'rent', description: 'Rental Fee', amount: rent });
+    if (tax > 0) {
+      application.stayTaxes.lines.forEach(line => {
+        entries.push({ date, kind: 'charge', type: 'tax', description: `${line.name} (${line.rate}%)`, amount: line.amount });
+      });
+    }
+    if (deposit > 0) entries.push({ date, kind: 'charge', type: 'deposit', description: 'Deposit', amount: deposit });
+
+    // Cancelling reverses the lease charges except the Rental Fee (and its taxes) the Manager keeps
+    if (application.status === 'cancelled' && application.cancellation?.cancelledAt) {
+      const reversed = rent + tax + deposit - (application.cancellation.retainedAmount || 0);
+      if (reversed > 0) {
+        entries.push({
+          date: entryDate(application.cancellation.cancelledAt),
+          kind: 'charge',
+          type: 'cancellation',
+          description: application.cancellation.relet ? 'Cancellation credit (stay re-let)' : 'Cancellation credit',
+          amount: -reversed
+        });
+      }
+    }
+  }
+
+  (application.charges || []).forEach(charge => {
+    entries.push({
+      date: entryDate(charge.date),
+      kind: 'charge',
+      type: charge.type,
+      description: charge.description || CHARGE_LABELS[charge.type] || 'Charge',
+      amount: charge.type === 'credit' ? -Math.abs(charge.amount) : charge.amount,
+      chargeId: charge._id,
+      assessed: !!charge.installmentKey,
+      waived: !!charge.waivedAt
+    });
+    if (charge.waivedAt) {
+      entries.push({
+        date: entryDate(charge.waivedAt),
+        kind: 'charge',
+        type: 'waiver',
+        description: `Late fee waived: ${charge.waiverReason}`,
+        amount: -charge.amount,
+        chargeId: charge._id
+      });
+    }
+  });
+
+  payments
+    .filter(payment => payment.status === 'succeeded')
+    .forEach(payment => {
+      entries.push({
+        date: entryDate(payment.paidAt || payment.createdAt),
+        kind: 'payment',
+        type: payment.paymentType,
+        method: payment.paymentMethod,
+        description: payment.description || PAYMENT_LABELS[payment.paymentType] || 'Payment',
+        amount: -payment.amount,
+        paymentId: payment._id
+      });
+    });
+
+  outgoingTransfers
+    .filter(transfer => transfer.status === 'succeeded')
+    .forEach(transfer => {
+      entries.push({
+        date: entryDate(transfer.paidAt || transfer.createdAt),
+        kind: 'payment',
+        type: 'deposit_transfer',
+        description: 'Deposit transferred out',
+        amount: transfer.amount,
+        paymentId: transfer._id
+      });
+    });
+
+  // Charges before payments on the same day so the balance reads naturally
+  entries.sort((a, b) => (a.date - b.date) || (a.kind === b.kind ? 0 : a.kind === 'charge' ? -1 : 1));
+
+  let balance = 0;
+  let totalCharges = 0;
+  let totalPaid = 0;
+  entries.forEach(entry => {
+    balance += entry.amount;
+    entry.balance = balance;
+    entry.date = formatDateOnly(entry.date);
+    if (entry.kind === 'charge') totalCharges += entry.amount;
+    else totalPaid -= entry.amount;
+  });
+
+  return {
+    entries,
+    totalCharges,
+    totalPaid,
+    balance
+  };
+};
+
+// Load everything the ledger needs for an application. Refunds still waiting
+// to be sent are listed alongside but do not move the balance until issued.
+const loadApplicationLedger = async (application) => {
+  const [payments, outgoingTransfers, pendingRefunds] = await Promise.all([
+    Payment.find({ applicationId: application._id, status: 'succeeded' }),
+    Payment.find({
+      paymentType: 'deposit_transfer',
+      transferredFromApplicationId: application._id,
+      applicationId: { $ne: application._id },
+      status: 'succeeded'
+    }),
+    Payment.find({ applicationId: application._id, paymentType: 'refund', status: 'pending' })
+  ]);
+  return {
+    ...buildApplicationLedger(application, payments, outgoingTransfers),
+    pendingRefunds: pendingRefunds.map(refund => ({
+      paymentId: refund._id,
+      description: refund.description,
+      amount: refund.amount
+    })),
+    paymentCount: payments.length
+  };
+};
+
+module.exports = {
+  buildApplicationLedger,
+  loadApplicationLedger
+};
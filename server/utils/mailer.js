@@ -0,0 +1,52 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// SMTP settings come from the EMAIL_* environment variables; without them email is skipped, not an error
+const getFromAddress = () => process.env.EMAIL_FROM || process.env.EMAIL_USER;
+
+const isMailConfigured = () => Boolean(process.env.EMAIL_HOST && getFromAddress());
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send an email from the server (for messages no browser is around to send).
+ * Returns { success, skipped, error } rather than throwing.
+ */
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  if (!isMailConfigured()) {
+    console.warn(`⚠️ Email not configured. Email "${subject}" to ${to} skipped.`);
+    return { success: false, skipped: true };
+  }
+
+  try {
+    await getTransporter().sendMail({
+      from: getFromAddress(),
+      to,
+      subject,
+      text,
+      html,
+      attachments
+    });
+    return { success: true };
+  } catch (error) {
+    console.error(`❌ Failed to send email "${subject}" to ${to}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
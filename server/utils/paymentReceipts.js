@@ -0,0 +1,85 @@
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const { sendMail } = require('./mailer');
+const { isRentPayment, splitRentPayment } = require('./taxes');
+
+const formatMoney = (cents) => `$${(Number(cents || 0) / 100).toFixed(2)}`;
+
+const PAYMENT_TYPE_LABELS = {
+  deposit: 'Security Deposit',
+  rent: 'Rent Payment',
+  late_fee: 'Late Fee'
+};
+
+const describeMethod = (payment) => {
+  if (payment.bankLast4) return `${payment.bankName || 'Bank account'} •••• ${payment.bankLast4}`;
+  if (payment.cardLast4) return `${payment.cardBrand || 'Card'} •••• ${payment.cardLast4}`;
+  return payment.paymentMethod === 'bank_transfer' ? 'Bank account' : 'Card';
+};
+
+/**
+ * Email the tenant a receipt for a succeeded payment. Sent at most once per
+ * payment: the claim on receiptEmailedAt is atomic, and is released if the
+ * send fails so a later attempt can try again.
+ */
+const sendPaymentReceipt = async (payment) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'succeeded', receiptEmailedAt: null },
+    { $set: { receiptEmailedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return { success: false, skipped: true };
+
+  const user = await User.findById(claimed.userId);
+  if (!user?.email) {
+    return { success: false, error: 'No email address for the payment\'s user' };
+  }
+
+  const lines = [
+    `Hi ${user.firstName || 'there'},`,
+    '',
+    claimed.autopay?.installmentKey
+      ? 'Your saved payment method was charged automatically for an installment that came due.'
+      : 'Thank you for your payment.',
+    '',
+    `Payment: ${claimed.description}`,
+    `Type: ${PAYMENT_TYPE_LABELS[claimed.paymentType] || claimed.paymentType}`,
+    `Amount: ${formatMoney(claimed.amount)}`
+  ];
+  // Itemize the taxes included in a rent payment
+  if (claimed.applicationId && isRentPayment(claimed)) {
+    const application = await Application.findById(claimed.applicationId).select('rentalAmount stayTaxes');
+    const split = application ? splitRentPayment(application, claimed.amount) : null;
+    if (split?.tax) {
+      lines.push(`  Rent: ${formatMoney(split.rent)}`);
+      split.lines.forEach(line => lines.push(`  ${line.name} (${line.rate}%): ${formatMoney(line.amount)}`));
+    }
+  }
+  if (claimed.creditCardFee > 0) {
+    lines.push(`Card processing fee: ${formatMoney(claimed.creditCardFee)}`);
+  }
+  lines.push(
+    `Total charged: ${formatMoney(claimed.totalAmount)}`,
+    `Paid with: ${describeMethod(claimed)}`,
+    `Date: ${new Date(claimed.paidAt || claimed.createdAt).toLocaleDateString('en-US')}`,
+    `Transaction ID: ${claimed.stripePaymentIntentId}`
+  );
+  if (claimed.receiptUrl) lines.push(`Stripe receipt: ${claimed.receiptUrl}`);
+  lines.push('', 'Questions? Contact us at palmrunbeachcondo@gmail.com', '', 'Palm Run LLC');
+
+  const result = await sendMail({
+    to: user.email,
+    subject: `Payment receipt - ${formatMoney(claimed.totalAmount)}`,
+    text: lines.join('\n')
+  });
+
+  if (!result.success && !result.skipped) {
+    await Payment.updateOne({ _id: claimed._id }, { $set: { receiptEmailedAt: null } });
+  }
+  return result;
+};
+
+module.exports = {
+  sendPaymentReceipt
+};
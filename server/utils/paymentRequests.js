@@ -0,0 +1,138 @@
+const PaymentRequest = require('../models/PaymentRequest');
+const Payment = require('../models/Payment');
+const { sendMail } = require('./mailer');
+
+const PAYMENT_REQUEST_TYPES = ['deposit', 'rent', 'late_fee', 'other'];
+
+class PaymentRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaymentRequestError';
+    this.status = status;
+  }
+}
+
+const formatMoney = (cents) => `$${(Number(cents || 0) / 100).toFixed(2)}`;
+
+const payLinkUrl = (token) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/pay/${token}`;
+
+/**
+ * Create a request on an application and return it with its link token.
+ * Deposit, rent and late fee requests collect what the ledger already
+ * charges; an "other" request (extra guest, damage) adds its own ledger
+ * charge so the payment has something to settle.
+ */
+const createPaymentRequest = async ({ application, amount, paymentType, memo, createdBy }) => {
+  if (!PAYMENT_REQUEST_TYPES.includes(paymentType)) {
+    throw new PaymentRequestError(`Payment type must be one of ${PAYMENT_REQUEST_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new PaymentRequestError('Amount must be a positive number');
+  }
+  if (!memo || !memo.trim()) {
+    throw new PaymentRequestError('A memo is required so the tenant knows what the payment is for');
+  }
+
+  const paymentRequest = new PaymentRequest({
+    applicationId: application._id,
+    userId: application.userId,
+    amount,
+    paymentType,
+    memo: memo.trim(),
+    createdBy
+  });
+
+  if (paymentType === 'other') {
+    application.charges.push({
+      type: 'other',
+      amount,
+      description: memo.trim(),
+      date: new Date(),
+      createdBy
+    });
+    paymentRequest.chargeId = application.charges[application.charges.length - 1]._id;
+    application.lastUpdated = new Date();
+    application.updatedBy = createdBy;
+    await application.save();
+  }
+
+  const token = paymentRequest.generateToken();
+  await paymentRequest.save();
+  return { paymentRequest, token };
+};
+
+// Cancel an open request, taking back the ledger charge it added
+const cancelPaymentRequest = async (paymentRequest, application, canceledBy) => {
+  if (paymentRequest.status !== 'open') {
+    throw new PaymentRequestError(`This request is already ${paymentRequest.status}`, 409);
+  }
+  const processing = await Payment.exists({ paymentRequestId: paymentRequest._id, status: 'processing' });
+  if (processing) {
+    throw new PaymentRequestError('A bank debit for this request is still clearing', 409);
+  }
+
+  if (paymentRequest.chargeId && application) {
+    const charge = application.charges.id(paymentRequest.chargeId);
+    if (charge) {
+      charge.deleteOne();
+      application.lastUpdated = new Date();
+      application.updatedBy = canceledBy;
+      await application.save();
+    }
+  }
+
+  paymentRequest.status = 'canceled';
+  paymentRequest.canceledAt = new Date();
+  paymentRequest.token = undefined;
+  await paymentRequest.save();
+  return paymentRequest;
+};
+
+// The request behind a pay link, or a PaymentRequestError the page can show
+const findPaymentRequestByToken = async (token) => {
+  const paymentRequest = await PaymentRequest.findOne({ token: PaymentRequest.hashToken(token) })
+    .populate('applicationId', 'applicationNumber firstName lastName leaseStartDate leaseEndDate requestedStartDate requestedEndDate');
+  if (!paymentRequest) {
+    throw new PaymentRequestError('This payment link is invalid or has been canceled', 404);
+  }
+  if (paymentRequest.status === 'open' && (!paymentRequest.expiresAt || paymentRequest.expiresAt < new Date())) {
+    throw new PaymentRequestError('This payment link has expired. Contact us for a new one.', 410);
+  }
+  return paymentRequest;
+};
+
+// Called when the payment made through a pay link succeeds
+const markPaymentRequestPaid = async (paymentRequestId, payment) => PaymentRequest.findOneAndUpdate(
+  { _id: paymentRequestId, status: 'open' },
+  { $set: { status: 'paid', paymentId: payment._id, paidAt: payment.paidAt || new Date() } },
+  { new: true }
+);
+
+const sendPayLinkEmail = async ({ user, application, paymentRequest, url }) => sendMail({
+  to: user.email,
+  subject: `Payment request: ${paymentRequest.memo}`,
+  text: [
+    `Hi ${user.firstName || application.firstName || 'there'},`,
+    '',
+    `Palm Run LLC has requested a payment of ${formatMoney(paymentRequest.amount)} for your stay (application ${application.applicationNumber || application._id}):`,
+    paymentRequest.memo,
+    '',
+    `Pay securely here: ${url}`,
+    `This link expires ${paymentRequest.expiresAt.toLocaleDateString('en-US')}.`,
+    '',
+    'Questions? Contact us at palmrunbeachcondo@gmail.com',
+    '',
+    'Palm Run LLC'
+  ].join('\n')
+});
+
+module.exports = {
+  PAYMENT_REQUEST_TYPES,
+  PaymentRequestError,
+  payLinkUrl,
+  createPaymentRequest,
+  cancelPaymentRequest,
+  findPaymentRequestByToken,
+  markPaymentRequestPaid,
+  sendPayLinkEmail
+};
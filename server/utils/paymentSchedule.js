@@ -0,0 +1,99 @@
+const { parseDateOnly, formatDateOnly, addDays } = require('./dates');
+const { getRentWithTax, getStayTaxTotal } = require('./taxes');
+
+// Clause 2: the balance is due 60 days before arrival, the same date as the cancellation deadline
+const BALANCE_DUE_DAYS_BEFORE_ARRIVAL = 60;
+
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100);
+
+/**
+ * Installments the lease sets out: the deposit at signing and the balance of
+ * the Rental Fee, with its taxes, 60 days before arrival. Amounts are in cents
+ * and due dates are YYYY-MM-DD. A lease generated inside the 60 days has the
+ * balance due right away. The deposit keeps the due date it was first given, so
+ * regenerating the lease does not move it.
+ */
+const buildPaymentSchedule = (application, generatedOn = new Date()) => {
+  const today = formatDateOnly(generatedOn);
+  const existingDeposit = (application.paymentSchedule || []).find(installment => installment.key === 'deposit');
+  const start = parseDateOnly(application.leaseStartDate || application.requestedStartDate);
+  const balanceDue = start ? formatDateOnly(addDays(start, -BALANCE_DUE_DAYS_BEFORE_ARRIVAL)) : today;
+
+  return [
+    {
+      key: 'deposit',
+      label: 'Deposit due at signing',
+      paymentType: 'deposit',
+      amount: toCents(application.depositAmount),
+      dueDate: existingDeposit?.dueDate || today
+    },
+    {
+      key: 'balance',
+      label: getStayTaxTotal(application) ? 'Balance of the Rental Fee and taxes' : 'Balance of the Rental Fee',
+      paymentType: 'rent',
+      amount: getRentWithTax(application),
+      dueDate: balanceDue > today ? balanceDue : today
+    }
+  ].filter(installment => installment.amount > 0);
+};
+
+// (Re)build the schedule from the application's current lease terms
+const applyPaymentSchedule = (application) => {
+  application.paymentSchedule = buildPaymentSchedule(application);
+  return application.paymentSchedule;
+};
+
+/**
+ * Mark each installment paid, due or overdue. Net succeeded payments (refunds
+ * and transfers out are negative) fill the installments in due-date order;
+ * late fee payments go to the fee, not the installments. Applications
+ * generated before schedules existed get one built on the fly.
+ */
+const getPaymentScheduleStatus = (application, payments, today = new Date()) => {
+  let schedule = application.paymentSchedule?.length
+    ? application.paymentSchedule
+    : (application.leaseGenerated ? buildPaymentSchedule(application, today) : []);
+  // Nothing is owed on a cancelled booking; refunds are handled by the cancellation
+  if (application.status === 'cancelled') schedule = [];
+  const todayDate = formatDateOnly(today);
+
+  let available = Math.max(0, payments
+    .filter(payment => payment.status === 'succeeded' && payment.paymentType !== 'late_fee')
+    .reduce((sum, payment) => sum + payment.amount, 0));
+
+  const installments = [...schedule]
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+    .map(installment => {
+      const paidAmount = Math.min(available, installment.amount);
+      available -= paidAmount;
+      const remainingAmount = installment.amount - paidAmount;
+      let status = 'due';
+      if (remainingAmount === 0) status = 'paid';
+      else if (installment.dueDate < todayDate) status = 'overdue';
+
+      return {
+        key: installment.key,
+        label: installment.label,
+        paymentType: installment.paymentType,
+        amount: installment.amount,
+        dueDate: installment.dueDate,
+        paidAmount,
+        remainingAmount,
+        status
+      };
+    });
+
+  return {
+    installments,
+    nextInstallment: installments.find(installment => installment.status !== 'paid') || null,
+    totalScheduled: installments.reduce((sum, installment) => sum + installment.amount, 0),
+    totalPaid: installments.reduce((sum, installment) => sum + installment.paidAmount, 0)
+  };
+};
+
+module.exports = {
+  BALANCE_DUE_DAYS_BEFORE_ARRIVAL,
+  buildPaymentSchedule,
+  applyPaymentSchedule,
+  getPaymentScheduleStatus
+};
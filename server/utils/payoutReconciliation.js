@@ -0,0 +1,198 @@
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getBalanceSource } = require('./stripeBalance');
+const { parseDateOnly, formatDateOnly, addDays } = require('./dates');
+
+class ReconciliationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReconciliationError';
+    this.status = status;
+  }
+}
+
+// Stripe balance transaction types, grouped by the record they should match
+const TRANSACTION_KINDS = {
+  charge: 'charge',
+  payment: 'charge',
+  refund: 'refund',
+  payment_refund: 'refund',
+  payment_failure_refund: 'refund',
+  adjustment: 'dispute'
+};
+
+const FLAG_LABELS = {
+  unmatched: 'No matching payment record',
+  amount_mismatch: 'Amount differs from the payment record',
+  status_mismatch: 'Payment record is not marked succeeded',
+  fee_difference: 'Stripe fee is more than the card fee passed on',
+  missing_webhook: 'No webhook event received for this payment',
+  payout_mismatch: 'Payout amount differs from its transactions'
+};
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Payment records and webhook events for a payout's transactions, looked up together
+const loadMatches = async (transactions) => {
+  const paymentIntentIds = transactions.map(txn => txn.paymentIntentId).filter(Boolean);
+  const refundIds = transactions.map(txn => txn.refundId).filter(Boolean);
+  const disputeIds = transactions.map(txn => txn.disputeId).filter(Boolean);
+
+  const [payments, refunds, disputed, webhookEvents] = await Promise.all([
+    Payment.find({ stripePaymentIntentId: { $in: paymentIntentIds } }),
+    Payment.find({ stripeRefundId: { $in: refundIds } }),
+    Payment.find({ 'dispute.stripeDisputeId': { $in: disputeIds } }),
+    WebhookEvent.find({
+      $or: [
+        { 'payload.data.object.id': { $in: paymentIntentIds } },
+        { 'payload.data.object.payment_intent': { $in: paymentIntentIds } }
+      ]
+    }).select('payload.data.object.id payload.data.object.payment_intent')
+  ]);
+
+  const webhookPaymentIntents = new Set();
+  webhookEvents.forEach((event) => {
+    const object = event.payload?.data?.object || {};
+    webhookPaymentIntents.add(object.payment_intent || object.id);
+  });
+
+  return {
+    byPaymentIntent: new Map(payments.map(payment => [payment.stripePaymentIntentId, payment])),
+    byRefund: new Map(refunds.map(payment => [payment.stripeRefundId, payment])),
+    byDispute: new Map(disputed.map(payment => [payment.dispute.stripeDisputeId, payment])),
+    webhookPaymentIntents
+  };
+};
+
+const findMatch = (txn, kind, matches) => {
+  if (kind === 'charge') return matches.byPaymentIntent.get(txn.paymentIntentId);
+  if (kind === 'refund') return matches.byRefund.get(txn.refundId);
+  if (kind === 'dispute') return matches.byDispute.get(txn.disputeId);
+  return null;
+};
+
+// One report row, with what does not line up flagged
+const reconcileTransaction = (txn, matches) => {
+  const kind = TRANSACTION_KINDS[txn.type] || 'other';
+  const payment = findMatch(txn, kind, matches);
+  const flags = [];
+
+  if (kind !== 'other') {
+    if (!payment) {
+      flags.push('unmatched');
+    } else if (kind !== 'dispute') {
+      if (payment.status !== 'succeeded') flags.push('status_mismatch');
+      if (payment.totalAmount !== txn.amount) flags.push('amount_mismatch');
+      if (kind === 'charge' && payment.paymentMethod === 'card' && txn.fee > (payment.creditCardFee || 0)) {
+        flags.push('fee_difference');
+      }
+    }
+    if (txn.paymentIntentId && !matches.webhookPaymentIntents.has(txn.paymentIntentId)) {
+      flags.push('missing_webhook');
+    }
+  }
+
+  return {
+    id: txn.id,
+    type: txn.type,
+    kind,
+    created: txn.created,
+    description: txn.description,
+    amount: txn.amount,
+    fee: txn.fee,
+    net: txn.net,
+    paymentIntentId: txn.paymentIntentId,
+    payment: payment ? {
+      _id: payment._id,
+      applicationId: payment.applicationId,
+      description: payment.description,
+      status: payment.status,
+      totalAmount: payment.totalAmount,
+      creditCardFee: payment.creditCardFee || 0
+    } : null,
+    flags
+  };
+};
+
+// Keep Stripe's real fee and the payout on each matched charge for the revenue report
+const recordStripeFees = async (payout, rows) => {
+  const updates = rows
+    .filter(row => row.kind === 'charge' && row.payment)
+    .map(row => ({
+      updateOne: {
+        filter: { _id: row.payment._id },
+        update: { $set: { stripeFee: row.fee, stripePayoutId: payout.id } }
+      }
+    }));
+  if (updates.length) await Payment.bulkWrite(updates);
+};
+
+/**
+ * Match every transaction in the payouts that arrived between from and to
+ * (YYYY-MM-DD, inclusive; the last 30 days by default) to our Payment records.
+ * Also records each matched charge's actual Stripe fee on its payment.
+ */
+const reconcilePayouts = async ({ from, to } = {}) => {
+  const end = to ? parseDateOnly(to) : parseDateOnly(new Date());
+  const start = from ? parseDateOnly(from) : addDays(end, -DEFAULT_RANGE_DAYS);
+  if (!start || !end) {
+    throw new ReconciliationError('Dates must be YYYY-MM-DD');
+  }
+  if (start > end) {
+    throw new ReconciliationError('The start date must be on or before the end date');
+  }
+
+  const source = getBalanceSource();
+  const payouts = await source.listPayouts(start, addDays(end, 1));
+  const flagCounts = {};
+  const totals = { payouts: payouts.length, paidOut: 0, gross: 0, fees: 0, net: 0, cardFeesCollected: 0, transactions: 0, flagged: 0 };
+
+  const reports = [];
+  for (const payout of payouts) {
+    // The payout's own balance transaction mirrors the payout; it is not money in or out
+    const transactions = (await source.listPayoutTransactions(payout)).filter(txn => txn.type !== 'payout');
+    const matches = await loadMatches(transactions);
+    const rows = transactions.map(txn => reconcileTransaction(txn, matches));
+    await recordStripeFees(payout, rows);
+
+    const net = rows.reduce((sum, row) => sum + row.net, 0);
+    const payoutFlags = net === payout.amount ? [] : ['payout_mismatch'];
+    [...payoutFlags, ...rows.flatMap(row => row.flags)].forEach((flag) => {
+      flagCounts[flag] = (flagCounts[flag] || 0) + 1;
+    });
+
+    totals.paidOut += payout.amount;
+    totals.gross += rows.reduce((sum, row) => sum + row.amount, 0);
+    totals.fees += rows.reduce((sum, row) => sum + row.fee, 0);
+    totals.net += net;
+    totals.cardFeesCollected += rows.reduce((sum, row) => sum + (row.kind === 'charge' && row.payment ? row.payment.creditCardFee : 0), 0);
+    totals.transactions += rows.length;
+    totals.flagged += rows.filter(row => row.flags.length).length;
+
+    reports.push({
+      id: payout.id,
+      amount: payout.amount,
+      arrivalDate: formatDateOnly(payout.arrivalDate),
+      status: payout.status,
+      net,
+      difference: payout.amount - net,
+      flags: payoutFlags,
+      transactions: rows
+    });
+  }
+
+  return {
+    source: source.name,
+    from: formatDateOnly(start),
+    to: formatDateOnly(end),
+    totals,
+    flagCounts,
+    payouts: reports.sort((a, b) => b.arrivalDate.localeCompare(a.arrivalDate))
+  };
+};
+
+module.exports = {
+  FLAG_LABELS,
+  ReconciliationError,
+  reconcilePayouts
+};
@@ -0,0 +1,215 @@
+const Rate = require('../models/Rate');
+const { parseDateOnly, formatDateOnly, addDays, daysBetween, daysInMonth } = require('./dates');
+const { getTaxPolicy, calculateStayTaxes } = require('./taxes');
+
+// Lease limits overnight occupancy to four persons (including Renters)
+const MAX_GUESTS = 4;
+// Stays of at least this many nights are priced from the monthly rate
+const MONTHLY_MIN_NIGHTS = 28;
+// Stays of at least this many nights are priced from the weekly rate (when set)
+const WEEKLY_MIN_NIGHTS = 7;
+// Longest stay that can be priced; the quote walks every night
+const MAX_QUOTE_NIGHTS = 366;
+
+class QuoteError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'QuoteError';
+    this.details = details;
+  }
+}
+
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100);
+const toDollars = (cents) => Math.round(cents) / 100;
+const formatMoney = (dollars) => `$${Number(dollars).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+const getTier = (nights) => {
+  if (nights >= MONTHLY_MIN_NIGHTS) return 'monthly';
+  if (nights >= WEEKLY_MIN_NIGHTS) return 'weekly';
+  return 'nightly';
+};
+
+// Work out which rate field prices a given night, falling back to the next
+// longer period when a shorter one is not published for the season.
+const resolveNightPricing = (rate, tier, night) => {
+  if (tier === 'nightly') {
+    // Friday and Saturday nights use the weekend rate when one is set
+    const isWeekendNight = [5, 6].includes(night.getUTCDay());
+    if (isWeekendNight && rate.weekendNight) {
+      return { type: 'weekend', unitAmount: rate.weekendNight };
+    }
+    if (rate.nightly) {
+      return { type: 'nightly', unitAmount: rate.nightly };
+    }
+  }
+  if (tier !== 'monthly' && rate.weekly) {
+    return { type: 'weekly', unitAmount: rate.weekly };
+  }
+  return { type: 'monthly', unitAmount: rate.monthly };
+};
+
+const describeLine = (line) => {
+  switch (line.type) {
+    case 'monthly': {
+      const monthLabel = parseDateOnly(line.startDate).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+      return `${monthLabel}: ${line.nights} of ${line.daysInMonth} nights at ${formatMoney(line.unitAmount)}/month`;
+    }
+    case 'weekly':
+      return `${line.nights} nights at ${formatMoney(line.unitAmount)}/week`;
+    case 'weekend':
+      return `${line.nights} weekend night${line.nights === 1 ? '' : 's'} at ${formatMoney(line.unitAmount)}/night`;
+    default:
+      return `${line.nights} night${line.nights === 1 ? '' : 's'} at ${formatMoney(line.unitAmount)}/night`;
+  }
+};
+
+const lineAmountCents = (line) => {
+  const unitCents = toCents(line.unitAmount);
+  if (line.type === 'monthly') return Math.round(unitCents * line.nights / line.daysInMonth);
+  if (line.type === 'weekly') return Math.round(unitCents * line.nights / 7);
+  return unitCents * line.nights;
+};
+
+// Total guests staying under an application (primary, co-applicant and additional guests)
+const countApplicationGuests = (application) => {
+  if (!application) return 1;
+  const coApplicant = application.secondApplicantFirstName && application.secondApplicantLastName ? 1 : 0;
+  const additional = Array.isArray(application.additionalGuests) ? application.additionalGuests.length : 0;
+  return 1 + coApplicant + additional;
+};
+
+/**
+ * Price a stay from the published Rate periods.
+ * startDate is the arrival day and endDate the departure day (YYYY-MM-DD); every
+ * night in between is priced from the rate period that covers it, so stays that
+ * cross a season boundary are split across both periods. subtotal is the Rental
+ * Fee; total adds the taxes on it, itemized in taxes (null when taxes are off).
+ */
+const calculateStayQuote = async ({ startDate, endDate, guests = 1 }) => {
+  const start = parseDateOnly(startDate);
+  const end = parseDateOnly(endDate);
+
+  if (!start || !end) {
+    throw new QuoteError('Valid start and end dates are required');
+  }
+  if (end <= start) {
+    throw new QuoteError('End date must be after start date');
+  }
+
+  const guestCount = parseInt(guests, 10) || 1;
+  if (guestCount < 1 || guestCount > MAX_GUESTS) {
+    throw new QuoteError(`The condo accommodates up to ${MAX_GUESTS} guests`, { maxGuests: MAX_GUESTS });
+  }
+
+  const nights = daysBetween(start, end);
+  if (nights > MAX_QUOTE_NIGHTS) {
+    throw new QuoteError(`Stays can be up to ${MAX_QUOTE_NIGHTS} nights`, { maxNights: MAX_QUOTE_NIGHTS });
+  }
+  const lastNight = addDays(end, -1);
+
+  const rates = await Rate.find({
+    isActive: true,
+    startDate: { $lte: lastNight },
+    endDate: { $gte: start }
+  }).sort({ startDate: 1 });
+
+  const findRate = (night) => rates.find(rate => {
+    const rateStart = parseDateOnly(rate.startDate);
+    const rateEnd = parseDateOnly(rate.endDate);
+    return rateStart <= night && rateEnd >= night;
+  });
+
+  const arrivalRate = findRate(start);
+  const tier = getTier(nights);
+  const linesByKey = new Map();
+  const uncoveredDates = [];
+
+  for (let night = new Date(start); night < end; night = addDays(night, 1)) {
+    const rate = findRate(night);
+    if (!rate) {
+      uncoveredDates.push(formatDateOnly(night));
+      continue;
+    }
+
+    const pricing = resolveNightPricing(rate, tier, night);
+    const monthKey = pricing.type === 'monthly' ? formatDateOnly(night).slice(0, 7) : '';
+    const key = `${rate._id}:${pricing.type}:${monthKey}`;
+
+    if (!linesByKey.has(key)) {
+      linesByKey.set(key, {
+        rateId: rate._id,
+        period: rate.period,
+        type: pricing.type,
+        unitAmount: pricing.unitAmount,
+        startDate: formatDateOnly(night),
+        endDate: formatDateOnly(night),
+        nights: 0,
+        daysInMonth: pricing.type === 'monthly' ? daysInMonth(night) : undefined
+      });
+    }
+
+    const line = linesByKey.get(key);
+    line.nights += 1;
+    line.endDate = formatDateOnly(night);
+  }
+
+  if (uncoveredDates.length > 0) {
+    throw new QuoteError('Rates have not been published for some of the requested nights', {
+      uncoveredDates
+    });
+  }
+
+  const minStay = arrivalRate.minStay || 0;
+  if (nights < minStay) {
+    throw new QuoteError(`${arrivalRate.period} requires a minimum stay of ${minStay} nights`, {
+      minStay,
+      nights,
+      period: arrivalRate.period
+    });
+  }
+
+  let subtotalCents = 0;
+  const lineItems = Array.from(linesByKey.values()).map((line) => {
+    const cents = lineAmountCents(line);
+    subtotalCents += cents;
+    return {
+      ...line,
+      description: describeLine(line),
+      amount: toDollars(cents)
+    };
+  });
+
+  const taxes = calculateStayTaxes(await getTaxPolicy(), {
+    startDate: formatDateOnly(start),
+    endDate: formatDateOnly(end),
+    rentAmount: subtotalCents
+  });
+  const taxCents = taxes ? taxes.total : 0;
+
+  return {
+    startDate: formatDateOnly(start),
+    endDate: formatDateOnly(end),
+    nights,
+    guests: guestCount,
+    tier,
+    minStay,
+    currency: 'usd',
+    lineItems,
+    subtotal: toDollars(subtotalCents),
+    taxes: taxes && {
+      exempt: taxes.exempt,
+      exemptReason: taxes.exemptReason,
+      lines: taxes.lines.map(line => ({ ...line, amount: toDollars(line.amount) })),
+      total: toDollars(taxCents)
+    },
+    total: toDollars(subtotalCents + taxCents),
+    quotedAt: new Date()
+  };
+};
+
+module.exports = {
+  MAX_GUESTS,
+  QuoteError,
+  calculateStayQuote,
+  countApplicationGuests
+};
@@ -0,0 +1,282 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { toPdfText, wrapToWidth } = require('./signatureCertificate');
+const { isRentPayment, splitRentPayment } = require('./taxes');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const BRAND = rgb(0.05, 0.35, 0.6);
+const GRAY = rgb(0.4, 0.4, 0.4);
+const CONTACT_LINE = 'Palm Run, LLC · palmrunbeachcondo@gmail.com';
+
+const PAYMENT_TYPE_LABELS = {
+  deposit: 'Security Deposit',
+  rent: 'Rent',
+  late_fee: 'Late Fee',
+  deposit_transfer: 'Deposit Transfer',
+  admin_transfer: 'Transfer',
+  refund: 'Refund',
+  other: 'Other'
+};
+
+const PAYMENT_METHOD_LABELS = {
+  card: 'Card',
+  bank_transfer: 'Bank account',
+  cash: 'Cash',
+  check: 'Check'
+};
+
+const formatMoney = (cents) => {
+  const value = Number(cents || 0);
+  return `${value < 0 ? '-' : ''}$${(Math.abs(value) / 100).toFixed(2)}`;
+};
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+  : 'n/a');
+
+const receiptTitle = (payment) => {
+  if (payment.paymentType === 'refund') return 'Refund Receipt';
+  if (payment.paymentType === 'deposit_transfer' || payment.paymentType === 'admin_transfer') return 'Transfer Receipt';
+  return 'Payment Receipt';
+};
+
+const describeMethod = (payment) => {
+  if (payment.paymentType === 'deposit_transfer' || payment.paymentType === 'admin_transfer') return 'Transfer between applications';
+  if (payment.bankLast4) return `${payment.bankName || 'Bank account'} ending ${payment.bankLast4}`;
+  if (payment.cardLast4) return `${payment.cardBrand || 'Card'} ending ${payment.cardLast4}`;
+  return PAYMENT_METHOD_LABELS[payment.paymentMethod] || payment.paymentMethod || 'n/a';
+};
+
+const stayLabel = (application) => {
+  const start = application.leaseStartDate || application.requestedStartDate;
+  const end = application.leaseEndDate || application.requestedEndDate;
+  return start && end ? `${formatDate(start)} to ${formatDate(end)}` : 'n/a';
+};
+
+// A Letter-size document with the Palm Run letterhead, field and heading
+// helpers, and a finish() that stamps the footer on every page
+const createBrandedDocument = async (title) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const mono = await pdfDoc.embedFont(StandardFonts.Courier);
+  const textWidth = PAGE_WIDTH - MARGIN * 2;
+  const labelWidth = 140;
+  const doc = { pdfDoc, font, bold, mono, textWidth };
+
+  doc.page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  doc.y = PAGE_HEIGHT - MARGIN;
+
+  doc.newPage = () => {
+    doc.page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    doc.y = PAGE_HEIGHT - MARGIN;
+  };
+
+  doc.ensureSpace = (height) => {
+    if (doc.y - height < MARGIN) doc.newPage();
+  };
+
+  doc.drawField = (label, value, { valueFont = font, size = 10 } = {}) => {
+    const lines = wrapToWidth(value, valueFont, size, textWidth - labelWidth);
+    doc.ensureSpace(lines.length * (size + 4));
+    doc.page.drawText(label, { x: MARGIN, y: doc.y, size, font: bold, color: rgb(0.25, 0.25, 0.25) });
+    lines.forEach((line) => {
+      doc.page.drawText(line, { x: MARGIN + labelWidth, y: doc.y, size, font: valueFont, color: rgb(0, 0, 0) });
+      doc.y -= size + 4;
+    });
+  };
+
+  doc.drawHeading = (text, size = 12) => {
+    doc.ensureSpace(size + 20);
+    doc.y -= 6;
+    doc.page.drawText(toPdfText(text), { x: MARGIN, y: doc.y, size, font: bold, color: rgb(0, 0, 0) });
+    doc.y -= 6;
+    doc.page.drawLine({
+      start: { x: MARGIN, y: doc.y },
+      end: { x: PAGE_WIDTH - MARGIN, y: doc.y },
+      thickness: 0.5,
+      color: rgb(0.6, 0.6, 0.6)
+    });
+    doc.y -= size + 2;
+  };
+
+  doc.drawRight = (text, rightX, options) => {
+    const value = toPdfText(text);
+    doc.page.drawText(value, { ...options, x: rightX - options.font.widthOfTextAtSize(value, options.size), y: doc.y });
+  };
+
+  // Letterhead
+  doc.page.drawText('Palm Run, LLC', { x: MARGIN, y: doc.y, size: 20, font: bold, color: BRAND });
+  const titleText = toPdfText(title);
+  doc.page.drawText(titleText, {
+    x: PAGE_WIDTH - MARGIN - bold.widthOfTextAtSize(titleText, 16),
+    y: doc.y + 2,
+    size: 16,
+    font: bold,
+    color: rgb(0, 0, 0)
+  });
+  doc.y -= 16;
+  doc.page.drawText(toPdfText(CONTACT_LINE), { x: MARGIN, y: doc.y, size: 9, font, color: GRAY });
+  doc.y -= 10;
+  doc.page.drawRectangle({ x: MARGIN, y: doc.y, width: textWidth, height: 2, color: BRAND });
+  doc.y -= 24;
+
+  doc.finish = (reference) => {
+    const pages = pdfDoc.getPages();
+    pages.forEach((p, index) => {
+      const pageLabel = `Page ${index + 1} of ${pages.length}`;
+      p.drawLine({ start: { x: MARGIN, y: 34 }, end: { x: PAGE_WIDTH - MARGIN, y: 34 }, thickness: 0.5, color: GRAY });
+      p.drawText(toPdfText(reference), { x: MARGIN, y: 22, size: 9, font, color: GRAY });
+      p.drawText(pageLabel, {
+        x: PAGE_WIDTH - MARGIN - font.widthOfTextAtSize(pageLabel, 9),
+        y: 22,
+        size: 9,
+        font,
+        color: GRAY
+      });
+    });
+    return pdfDoc.save();
+  };
+
+  return doc;
+};
+
+/**
+ * Receipt for one payment of any kind: card, bank debit, check, transfer or
+ * refund. Amounts are shown as recorded, so a refund reads as money returned.
+ */
+const buildPaymentReceiptPdf = async ({ payment, application, user }) => {
+  const doc = await createBrandedDocument(receiptTitle(payment));
+  const isRefund = payment.paymentType === 'refund';
+
+  doc.drawField('Receipt number', String(payment._id), { valueFont: doc.mono, size: 9 });
+  doc.drawField(isRefund ? 'Refund date' : 'Date paid', formatDate(payment.refundedAt || payment.paidAt || payment.createdAt));
+  doc.drawField('Issued', formatDate(new Date()));
+
+  doc.drawHeading(isRefund ? 'Refunded To' : 'Received From');
+  if (application) {
+    doc.drawField('Renter', `${application.firstName} ${application.lastName}`);
+  } else if (user) {
+    doc.drawField('Renter', `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'n/a');
+  }
+  if (user?.email) doc.drawField('Account email', user.email);
+  if (application) {
+    doc.drawField('Application', application.applicationNumber || String(application._id));
+    doc.drawField('Stay', stayLabel(application));
+  }
+
+  doc.drawHeading('Details');
+  doc.drawField('Description', payment.description || 'n/a');
+  doc.drawField('Type', PAYMENT_TYPE_LABELS[payment.paymentType] || payment.paymentType);
+  doc.drawField('Method', describeMethod(payment));
+  doc.drawField(isRefund ? 'Refund amount' : 'Amount', formatMoney(isRefund ? Math.abs(payment.amount) : payment.amount));
+  // Rent is paid with its taxes; itemize them in the lease's proportion
+  const split = application && isRentPayment(payment) ? splitRentPayment(application, payment.amount) : null;
+  if (split?.tax) {
+    const shown = (cents) => formatMoney(isRefund ? Math.abs(cents) : cents);
+    doc.drawField('Rent', shown(split.rent));
+    split.lines.forEach((line) => {
+      doc.drawField(`Tax (${line.rate}%)`, `${shown(line.amount)} · ${line.name}`);
+    });
+  }
+  if (payment.creditCardFee > 0) {
+    doc.drawField('Card processing fee', formatMoney(payment.creditCardFee));
+    doc.drawField('Total charged', formatMoney(payment.totalAmount));
+  }
+  if (payment.refundAmount && !isRefund) doc.drawField('Refunded since', formatMoney(payment.refundAmount));
+  if (payment.metadata?.notes) doc.drawField('Notes', payment.metadata.notes);
+  if (payment.transferNotes) doc.drawField('Transfer notes', payment.transferNotes);
+  // Checks, transfers and refunds carry a generated placeholder rather than a Stripe ID
+  const transactionId = payment.stripeRefundId
+    || (payment.stripePaymentIntentId?.startsWith('pi_') ? payment.stripePaymentIntentId : null);
+  if (transactionId) doc.drawField('Transaction ID', transactionId, { valueFont: doc.mono, size: 9 });
+
+  doc.y -= 16;
+  doc.ensureSpace(30);
+  const closing = isRefund
+    ? 'This refund has been issued to you by Palm Run, LLC.'
+    : 'Thank you. This payment has been credited to your account with Palm Run, LLC.';
+  wrapToWidth(closing, doc.font, 10, doc.textWidth).forEach((line) => {
+    doc.page.drawText(line, { x: MARGIN, y: doc.y, size: 10, font: doc.font, color: GRAY });
+    doc.y -= 14;
+  });
+
+  return doc.finish(`Receipt ${payment._id}`);
+};
+
+/**
+ * Account statement for an application from its ledger: every charge,
+ * payment, refund and transfer with the running balance, then the balance
+ * due (or credit) and any refunds not yet issued.
+ */
+const buildStatementPdf = async ({ application, ledger, user }) => {
+  const doc = await createBrandedDocument('Account Statement');
+  const { font, bold } = doc;
+  const columns = { date: MARGIN, description: MARGIN + 75, charges: 420, payments: 490, balance: PAGE_WIDTH - MARGIN };
+  const descriptionWidth = columns.charges - 60 - columns.description;
+
+  doc.drawField('Statement date', formatDate(new Date()));
+  doc.drawField('Renter', `${application.firstName} ${application.lastName}`);
+  if (user?.email) doc.drawField('Account email', user.email);
+  doc.drawField('Application', application.applicationNumber || String(application._id));
+  doc.drawField('Stay', stayLabel(application));
+
+  const drawTableHeader = () => {
+    doc.ensureSpace(30);
+    const options = { size: 9, font: bold, color: rgb(0.25, 0.25, 0.25) };
+    doc.page.drawText('Date', { ...options, x: columns.date, y: doc.y });
+    doc.page.drawText('Description', { ...options, x: columns.description, y: doc.y });
+    doc.drawRight('Charges', columns.charges, options);
+    doc.drawRight('Payments', columns.payments, options);
+    doc.drawRight('Balance', columns.balance, options);
+    doc.y -= 6;
+    doc.page.drawLine({ start: { x: MARGIN, y: doc.y }, end: { x: PAGE_WIDTH - MARGIN, y: doc.y }, thickness: 0.5, color: rgb(0.6, 0.6, 0.6) });
+    doc.y -= 12;
+  };
+
+  doc.drawHeading('Activity');
+  if (!ledger.entries.length) {
+    doc.drawField('Activity', 'No charges or payments yet');
+  } else {
+    drawTableHeader();
+    ledger.entries.forEach((entry) => {
+      const description = entry.waived ? `${entry.description} (waived)` : entry.description;
+      const lines = wrapToWidth(description, font, 9, descriptionWidth);
+      if (doc.y - lines.length * 12 < MARGIN) {
+        doc.newPage();
+        drawTableHeader();
+      }
+      const options = { size: 9, font, color: rgb(0, 0, 0) };
+      doc.page.drawText(formatDate(entry.date), { ...options, x: columns.date, y: doc.y });
+      if (entry.kind === 'charge') doc.drawRight(formatMoney(entry.amount), columns.charges, options);
+      else doc.drawRight(formatMoney(-entry.amount), columns.payments, options);
+      doc.drawRight(entry.balance < 0 ? `${formatMoney(-entry.balance)} CR` : formatMoney(entry.balance), columns.balance, options);
+      lines.forEach((line) => {
+        doc.page.drawText(line, { ...options, x: columns.description, y: doc.y });
+        doc.y -= 12;
+      });
+      doc.y -= 2;
+    });
+  }
+
+  doc.drawHeading('Summary');
+  doc.drawField('Total charges', formatMoney(ledger.totalCharges));
+  doc.drawField('Total payments', formatMoney(ledger.totalPaid));
+  if (ledger.balance > 0) {
+    doc.drawField('Balance due', formatMoney(ledger.balance), { valueFont: bold });
+  } else if (ledger.balance < 0) {
+    doc.drawField('Credit balance', formatMoney(-ledger.balance), { valueFont: bold });
+  } else {
+    doc.drawField('Balance', 'Paid in full', { valueFont: bold });
+  }
+  (ledger.pendingRefunds || []).forEach((refund) => {
+    doc.drawField('Refund pending', `${refund.description} (${formatMoney(Math.abs(refund.amount))}), not yet issued`);
+  });
+
+  return doc.finish(`Statement · Application ${application.applicationNumber || application._id}`);
+};
+
+module.exports = {
+  buildPaymentReceiptPdf,
+  buildStatementPdf
+};
@@ -0,0 +1,172 @@
+const { StandardFonts, rgb } = require('pdf-lib');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+
+const SIGNER_ROLE_LABELS = {
+  primary: 'Renter',
+  coApplicant: 'Co-Applicant',
+  manager: 'Owner\'s Agent'
+};
+
+const SIGNATURE_METHOD_LABELS = {
+  type: 'Typed name',
+  draw: 'Hand-drawn signature',
+  stored: 'Stored signature image'
+};
+
+// Client IP as seen behind Heroku's router
+const getClientIp = (req) => req.headers['x-forwarded-for']?.split(',')[0].trim() || req.ip;
+
+// Accept the browser's consent time only when it is plausible; fall back to the server clock
+const resolveConsentTime = (clientValue, receivedAt = new Date()) => {
+  const consentedAt = clientValue ? new Date(clientValue) : null;
+  if (!consentedAt || isNaN(consentedAt.getTime())) return receivedAt;
+  const ageMs = receivedAt - consentedAt;
+  // Allow a little clock skew, and no more than a day between consent and signing
+  if (ageMs < -5 * 60 * 1000 || ageMs > 24 * 60 * 60 * 1000) return receivedAt;
+  return consentedAt;
+};
+
+// One signer's evidence record, stored in leaseAudit.signers and printed on the certificate
+const buildSignerRecord = ({ req, role, name, method, consentedAt, documentHash, signedAt = new Date() }) => ({
+  role,
+  name,
+  method: ['draw', 'stored'].includes(method) ? method : 'type',
+  userId: req.user?._id,
+  email: req.user?.email,
+  ip: getClientIp(req),
+  userAgent: req.headers['user-agent'] || 'n/a',
+  consent: true,
+  consentedAt: resolveConsentTime(consentedAt, signedAt),
+  signedAt,
+  documentHash
+});
+
+// The standard PDF fonts only cover WinAnsi; replace anything else rather than failing the signature
+const toPdfText = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const wrapToWidth = (text, font, size, maxWidth) => {
+  const lines = [];
+  let line = '';
+  for (const word of toPdfText(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    // Hashes and user agents can contain words wider than the page
+    let rest = word;
+    while (font.widthOfTextAtSize(rest, size) > maxWidth) {
+      let cut = rest.length - 1;
+      while (cut > 1 && font.widthOfTextAtSize(rest.slice(0, cut), size) > maxWidth) cut--;
+      lines.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    line = rest;
+  }
+  if (line) lines.push(line);
+  return lines.length ? lines : [''];
+};
+
+/**
+ * Append a "Certificate of Completion" page to a signed lease PDF, listing the
+ * document hash and, for every signer, how, when and from where they signed.
+ */
+const appendCompletionCertificate = async (pdfDoc, {
+  application,
+  signers,
+  documentHash,
+  templateVersion,
+  title = 'Palm Run Rental Agreement',
+  completedAt = new Date()
+}) => {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const mono = await pdfDoc.embedFont(StandardFonts.Courier);
+  const textWidth = PAGE_WIDTH - MARGIN * 2;
+  const labelWidth = 130;
+
+  let page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) {
+      page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+  };
+
+  const drawField = (label, value, { valueFont = font, size = 10 } = {}) => {
+    const lines = wrapToWidth(value, valueFont, size, textWidth - labelWidth);
+    ensureSpace(lines.length * (size + 4));
+    page.drawText(label, { x: MARGIN, y, size, font: bold, color: rgb(0.25, 0.25, 0.25) });
+    lines.forEach((line) => {
+      page.drawText(line, { x: MARGIN + labelWidth, y, size, font: valueFont, color: rgb(0, 0, 0) });
+      y -= size + 4;
+    });
+  };
+
+  const drawHeading = (text, size) => {
+    ensureSpace(size + 12);
+    page.drawText(toPdfText(text), { x: MARGIN, y, size, font: bold, color: rgb(0, 0, 0) });
+    y -= size + 8;
+  };
+
+  const drawRule = () => {
+    page.drawLine({
+      start: { x: MARGIN, y: y + 4 },
+      end: { x: PAGE_WIDTH - MARGIN, y: y + 4 },
+      thickness: 0.5,
+      color: rgb(0.6, 0.6, 0.6)
+    });
+    y -= 10;
+  };
+
+  drawHeading('Certificate of Completion', 18);
+  drawRule();
+
+  drawHeading('Document', 12);
+  drawField('Title', title);
+  drawField('Application', application.applicationNumber || String(application._id));
+  if (templateVersion) drawField('Template version', `v${templateVersion}`);
+  drawField('Document hash', `SHA-256 ${documentHash}`, { valueFont: mono, size: 9 });
+  drawField('Completed (UTC)', new Date(completedAt).toISOString());
+  drawField('Signers', String(signers.length));
+  y -= 8;
+
+  signers.forEach((signer, index) => {
+    ensureSpace(140);
+    drawRule();
+    drawHeading(`Signer ${index + 1}: ${SIGNER_ROLE_LABELS[signer.role] || signer.role}`, 12);
+    drawField('Name', signer.name);
+    if (signer.email) drawField('Account email', signer.email);
+    drawField('Signature method', SIGNATURE_METHOD_LABELS[signer.method] || signer.method);
+    drawField('ESIGN consent (UTC)', new Date(signer.consentedAt).toISOString());
+    drawField('Signed (UTC)', new Date(signer.signedAt).toISOString());
+    drawField('IP address', signer.ip || 'n/a');
+    drawField('User agent', signer.userAgent || 'n/a', { size: 9 });
+    drawField('Document hash', `SHA-256 ${signer.documentHash}`, { valueFont: mono, size: 9 });
+    y -= 8;
+  });
+
+  drawRule();
+  const closing = 'Each signer consented to use electronic records and signatures under the federal ESIGN Act and ' +
+    'Florida\'s Uniform Electronic Transaction Act before signing. The document hash is the SHA-256 digest of ' +
+    'the lease text presented to and signed by every signer; any change to the text produces a different hash.';
+  wrapToWidth(closing, font, 9, textWidth).forEach((line) => {
+    ensureSpace(13);
+    page.drawText(line, { x: MARGIN, y, size: 9, font, color: rgb(0.3, 0.3, 0.3) });
+    y -= 13;
+  });
+};
+
+module.exports = {
+  getClientIp,
+  toPdfText,
+  wrapToWidth,
+  buildSignerRecord,
+  appendCompletionCertificate
+};
@@ -0,0 +1,145 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Payment = require('../models/Payment');
+const { formatDateOnly, parseDateOnly, addDays } = require('./dates');
+
+/**
+ * Where payouts and balance transactions come from. Production reads Stripe;
+ * anywhere else a local fake builds them from our own Payment records, so the
+ * reconciliation report can be exercised without live payouts. Set
+ * STRIPE_RECONCILIATION=live (or fake) to choose explicitly.
+ *
+ * Both sources return payouts as { id, amount, arrivalDate, status } and
+ * balance transactions as { id, type, created, amount, fee, net,
+ * paymentIntentId, refundId, disputeId, description }, amounts in cents.
+ */
+
+const normalizeBalanceTransaction = (txn) => {
+  const source = txn.source && typeof txn.source === 'object' ? txn.source : {};
+  return {
+    id: txn.id,
+    type: txn.type,
+    created: new Date(txn.created * 1000),
+    amount: txn.amount,
+    fee: txn.fee,
+    net: txn.net,
+    paymentIntentId: source.payment_intent || null,
+    refundId: source.object === 'refund' ? source.id : null,
+    disputeId: source.object === 'dispute' ? source.id : null,
+    description: txn.description || ''
+  };
+};
+
+const stripeSource = {
+  name: 'stripe',
+
+  // Payouts arriving in [from, to)
+  async listPayouts(from, to) {
+    const payouts = await stripe.payouts.list({
+      arrival_date: { gte: Math.floor(from.getTime() / 1000), lt: Math.floor(to.getTime() / 1000) },
+      limit: 100
+    }).autoPagingToArray({ limit: 1000 });
+    return payouts.map(payout => ({
+      id: payout.id,
+      amount: payout.amount,
+      arrivalDate: new Date(payout.arrival_date * 1000),
+      status: payout.status
+    }));
+  },
+
+  // Only automatic payouts can be listed by payout
+  async listPayoutTransactions(payout) {
+    const transactions = await stripe.balanceTransactions.list({
+      payout: payout.id,
+      limit: 100,
+      expand: ['data.source']
+    }).autoPagingToArray({ limit: 10000 });
+    return transactions.map(normalizeBalanceTransaction);
+  }
+};
+
+// Stripe's standard US pricing, which the fake charges
+const fakeStripeFee = (payment) => (payment.paymentMethod === 'bank_transfer'
+  ? Math.min(Math.round(payment.totalAmount * 0.008), 500)
+  : Math.round(payment.totalAmount * 0.029) + 30);
+
+// Funds become available, and are paid out, two days after the money moves
+const FAKE_PAYOUT_DELAY_DAYS = 2;
+
+const fakeTransactionFor = (payment) => {
+  const created = payment.paidAt || payment.createdAt;
+  if (payment.stripeRefundId) {
+    return {
+      id: `txn_fake_${payment._id}`,
+      type: 'refund',
+      created,
+      amount: payment.totalAmount,
+      fee: 0,
+      net: payment.totalAmount,
+      paymentIntentId: null,
+      refundId: payment.stripeRefundId,
+      disputeId: null,
+      description: payment.description
+    };
+  }
+  const fee = fakeStripeFee(payment);
+  return {
+    id: `txn_fake_${payment._id}`,
+    type: 'charge',
+    created,
+    amount: payment.totalAmount,
+    fee,
+    net: payment.totalAmount - fee,
+    paymentIntentId: payment.stripePaymentIntentId,
+    refundId: null,
+    disputeId: null,
+    description: payment.description
+  };
+};
+
+const fakeSource = {
+  name: 'fake',
+
+  async listPayouts(from, to) {
+    const payments = await Payment.find({
+      status: 'succeeded',
+      $or: [
+        { stripePaymentIntentId: /^pi_/ },
+        { stripeRefundId: { $exists: true, $ne: null } }
+      ],
+      paidAt: { $gte: addDays(from, -FAKE_PAYOUT_DELAY_DAYS), $lt: to }
+    }).sort({ paidAt: 1 });
+
+    const byArrival = new Map();
+    payments.forEach((payment) => {
+      const transaction = fakeTransactionFor(payment);
+      const arrivalDate = addDays(parseDateOnly(transaction.created), FAKE_PAYOUT_DELAY_DAYS);
+      if (arrivalDate < from || arrivalDate >= to) return;
+      const key = formatDateOnly(arrivalDate);
+      if (!byArrival.has(key)) byArrival.set(key, { arrivalDate, transactions: [] });
+      byArrival.get(key).transactions.push(transaction);
+    });
+
+    // The fake's transactions travel with their payout
+    return [...byArrival.entries()].map(([key, { arrivalDate, transactions }]) => ({
+      id: `po_fake_${key.replace(/-/g, '')}`,
+      amount: transactions.reduce((sum, transaction) => sum + transaction.net, 0),
+      arrivalDate,
+      status: 'paid',
+      transactions
+    }));
+  },
+
+  async listPayoutTransactions(payout) {
+    return payout.transactions || [];
+  }
+};
+
+const getBalanceSource = () => {
+  const mode = process.env.STRIPE_RECONCILIATION || (process.env.NODE_ENV === 'production' ? 'live' : 'fake');
+  return mode === 'live' ? stripeSource : fakeSource;
+};
+
+module.exports = {
+  getBalanceSource,
+  normalizeBalanceTransaction
+};
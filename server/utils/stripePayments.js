@@ -0,0 +1,210 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Payment = require('../models/Payment');
+const Application = require('../models/Application');
+const { sendPaymentReceipt } = require('./paymentReceipts');
+const { markPaymentRequestPaid } = require('./paymentRequests');
+
+// The tenant's Stripe customer, looked up by email and created on first use unless create is false
+const getStripeCustomer = async (user, { create = true } = {}) => {
+  const existingCustomers = await stripe.customers.list({
+    email: user.email,
+    limit: 1
+  });
+  if (existingCustomers.data.length > 0) {
+    return existingCustomers.data[0];
+  }
+  if (!create) return null;
+
+  return stripe.customers.create({
+    email: user.email,
+    name: user.getFullName(),
+    phone: user.phone,
+    metadata: {
+      userId: user._id.toString(),
+      propertyAddress: user.getFullAddress()
+    }
+  });
+};
+
+// Card or bank account details from the charge, for receipts and the payment list
+const applyPaymentMethodDetails = (payment, charge) => {
+  const details = charge?.payment_method_details;
+  if (details?.card) {
+    payment.cardBrand = details.card.brand;
+    payment.cardLast4 = details.card.last4;
+  }
+  if (details?.us_bank_account) {
+    payment.paymentMethod = 'bank_transfer';
+    payment.bankName = details.us_bank_account.bank_name;
+    payment.bankLast4 = details.us_bank_account.last4;
+  }
+  payment.receiptUrl = charge?.receipt_url || payment.receiptUrl || null;
+};
+
+// The charge behind a PaymentIntent retrieved with expand: ['latest_charge'];
+// the API version the SDK pins no longer lists charges on the intent
+const getIntentCharge = (pi) => (
+  pi?.latest_charge && typeof pi.latest_charge === 'object' ? pi.latest_charge : null
+);
+
+// Move a payment to a new status. A succeeded payment is never moved back to processing.
+const setPaymentStatus = (payment, status) => {
+  if (status === 'processing' && payment.status === 'succeeded') return;
+  payment.status = status;
+  if (status === 'succeeded') payment.paidAt = payment.paidAt || new Date();
+};
+
+const markApplicationPaymentReceived = async (applicationId) => {
+  if (!applicationId) return;
+  await Application.findByIdAndUpdate(applicationId, {
+    paymentReceived: true,
+    lastUpdated: new Date()
+  });
+  console.log(`Updated application ${applicationId} with paymentReceived: true`);
+};
+
+// Link a payment made through a pay link to its request and use the request's memo
+const applyPaymentRequest = (payment, metadata) => {
+  if (!metadata?.paymentRequestId || payment.paymentRequestId) return;
+  payment.paymentRequestId = metadata.paymentRequestId;
+  if (metadata.description) payment.description = metadata.description;
+};
+
+/**
+ * Create or update the Payment for a PaymentIntent from the metadata set at
+ * checkout. Bank debits (ACH) report "processing" first and only succeed when
+ * the async success event arrives, days later.
+ */
+async function upsertPaymentFromIntent(pi, status) {
+  let payment = await Payment.findOne({ stripePaymentIntentId: pi.id });
+  if (!payment) {
+    // Use metadata if available, otherwise use payment intent amount
+    const amountFromMetadata = pi.metadata?.amount ? Math.round(parseFloat(pi.metadata.amount) * 100) : pi.amount;
+    const creditCardFeeFromMetadata = pi.metadata?.creditCardFee ? Math.round(parseFloat(pi.metadata.creditCardFee) * 100) : 0;
+    const totalAmountFromMetadata = pi.metadata?.totalAmount ? Math.round(parseFloat(pi.metadata.totalAmount) * 100) : pi.amount;
+    
+    payment = new Payment({
+      userId: pi.metadata?.userId,
+      applicationId: pi.metadata?.applicationId,
+      stripePaymentIntentId: pi.id,
+      stripeCustomerId: pi.customer,
+      amount: amountFromMetadata,
+      creditCardFee: creditCardFeeFromMetadata,
+      totalAmount: totalAmountFromMetadata,
+      currency: pi.currency || 'usd',
+      paymentType: pi.metadata?.paymentType || 'deposit',
+      description: `${pi.metadata?.paymentType || 'deposit'} payment`,
+      paymentMethod: pi.metadata?.paymentMethod === 'bank_transfer' ? 'bank_transfer' : 'card',
+      metadata: {
+        propertyAddress: pi.metadata?.propertyAddress,
+        checkoutSessionId: pi.metadata?.checkoutSessionId
+      }
+    });
+  } else if (payment.amount === 0) {
+    // Update amount if it's still 0 (from previous incorrect processing)
+    payment.amount = pi.metadata?.amount ? Math.round(parseFloat(pi.metadata.amount) * 100) : pi.amount;
+    payment.creditCardFee = pi.metadata?.creditCardFee ? Math.round(parseFloat(pi.metadata.creditCardFee) * 100) : 0;
+    payment.totalAmount = pi.metadata?.totalAmount ? Math.round(parseFloat(pi.metadata.totalAmount) * 100) : pi.amount;
+  }
+
+  if (pi.metadata?.autopay === 'true' && !payment.autopay?.installmentKey) {
+    payment.autopay = { installmentKey: pi.metadata.installmentKey, dueDate: pi.metadata.dueDate };
+    payment.description = pi.description || payment.description;
+  }
+
+  applyPaymentRequest(payment, pi.metadata);
+
+  setPaymentStatus(payment, status);
+  // Webhook events carry only the charge ID
+  let charge = getIntentCharge(pi);
+  if (!charge && typeof pi.latest_charge === 'string') {
+    try {
+      charge = await stripe.charges.retrieve(pi.latest_charge);
+    } catch (error) {
+      console.error('Error retrieving charge', pi.latest_charge, error.message);
+    }
+  }
+  applyPaymentMethodDetails(payment, charge);
+  await payment.save();
+
+  if (payment.status === 'succeeded') {
+    await markApplicationPaymentReceived(pi.metadata?.applicationId);
+    if (payment.paymentRequestId) await markPaymentRequestPaid(payment.paymentRequestId, payment);
+    // Nobody is at the checkout page for an automatic charge, so the receipt is emailed from here
+    if (payment.autopay?.installmentKey) await sendPaymentReceipt(payment);
+  }
+  return payment;
+}
+
+// Create or update the Payment for a completed Checkout Session
+async function upsertPaymentFromCheckoutSession(session) {
+  // Setup-mode sessions only save a payment method; nothing was paid
+  if (session.mode === 'setup') return null;
+
+  console.log('Session metadata keys:', Object.keys(session.metadata || {}));
+  console.log('Session payment intent:', session.payment_intent, 'status:', session.payment_status);
+
+  // payment_intent.* (or an earlier delivery) may already have written the payment
+  let payment = await Payment.findOne({ stripePaymentIntentId: session.payment_intent });
+  if (!payment) {
+    payment = new Payment({
+      userId: session.metadata.userId,
+      applicationId: session.metadata.applicationId,
+      stripePaymentIntentId: session.payment_intent,
+      stripeCustomerId: session.customer,
+      amount: Math.round(parseFloat(session.metadata.amount) * 100), // Convert to cents
+      creditCardFee: Math.round(parseFloat(session.metadata.creditCardFee || 0) * 100), // Convert to cents
+      totalAmount: session.amount_total,
+      currency: 'usd',
+      paymentType: session.metadata.paymentType,
+      description: `${session.metadata.paymentType} payment`,
+      paymentMethod: session.metadata.paymentMethod === 'bank_transfer' ? 'bank_transfer' : 'card',
+      metadata: {
+        propertyAddress: session.metadata.propertyAddress,
+        checkoutSessionId: session.id
+      }
+    });
+  }
+  applyPaymentRequest(payment, session.metadata);
+  // A bank debit completes checkout unpaid and stays processing until it clears
+  setPaymentStatus(payment, session.payment_status === 'paid' ? 'succeeded' : 'processing');
+
+  // Get payment intent details for additional info
+  const paymentIntent = await stripe.paymentIntents.retrieve(session.payment_intent, { expand: ['latest_charge'] });
+  applyPaymentMethodDetails(payment, getIntentCharge(paymentIntent));
+
+  await payment.save();
+  console.log(`Payment ${payment._id} saved as ${payment.status}`);
+
+  if (payment.status === 'succeeded') {
+    await markApplicationPaymentReceived(session.metadata.applicationId);
+    if (payment.paymentRequestId) await markPaymentRequestPaid(payment.paymentRequestId, payment);
+  }
+  return payment;
+}
+
+const markPaymentFailed = async (paymentIntentId, lastError) => {
+  const payment = await Payment.findOne({ stripePaymentIntentId: paymentIntentId });
+  if (!payment) return null;
+
+  payment.status = 'failed';
+  payment.failedAt = new Date();
+  payment.error = {
+    code: lastError?.code || 'payment_failed',
+    message: lastError?.message || 'Payment failed'
+  };
+  await payment.save();
+  console.log(`Payment ${payment._id} marked as failed`);
+  return payment;
+};
+
+module.exports = {
+  getStripeCustomer,
+  applyPaymentMethodDetails,
+  getIntentCharge,
+  setPaymentStatus,
+  markApplicationPaymentReceived,
+  upsertPaymentFromIntent,
+  upsertPaymentFromCheckoutSession,
+  markPaymentFailed
+};
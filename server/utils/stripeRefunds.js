@@ -0,0 +1,156 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Payment = require('../models/Payment');
+
+class StripeRefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StripeRefundError';
+    this.status = status;
+  }
+}
+
+const REFUND_STATUSES = {
+  succeeded: 'succeeded',
+  pending: 'pending',
+  requires_action: 'pending',
+  failed: 'failed',
+  canceled: 'canceled'
+};
+
+// Card payments taken through Stripe carry a real PaymentIntent ID; manual records do not
+const isStripeCardPayment = (payment) =>
+  payment.paymentMethod === 'card' && /^pi_/.test(payment.stripePaymentIntentId || '');
+
+// Principal still refundable on a payment, in cents. Card fees are not refunded.
+const getRefundableAmount = (payment) => Math.max(0, payment.amount - (payment.refundAmount || 0));
+
+/**
+ * Record (or update) the refund Payment for one Stripe refund, linked to the
+ * original through originalPaymentId, and bring the original's refunded and
+ * refundAmount up to date. Safe to call again for the same refund, which is
+ * what lets the admin action and the charge.refunded webhook both use it.
+ */
+const recordStripeRefund = async (original, stripeRefund, { reason, category } = {}) => {
+  const status = REFUND_STATUSES[stripeRefund.status] || 'pending';
+  let refund = await Payment.findOne({ stripeRefundId: stripeRefund.id });
+
+  if (!refund) {
+    const alreadyRefunded = await Payment.find({
+      originalPaymentId: original._id,
+      paymentType: 'refund',
+      status: { $in: ['pending', 'succeeded'] }
+    });
+    const refundedPrincipal = alreadyRefunded.reduce((sum, payment) => sum - payment.amount, 0);
+    // A dashboard refund can include the card fee; only the principal moves the ledger
+    const principal = Math.min(stripeRefund.amount, Math.max(0, original.amount - refundedPrincipal));
+
+    refund = new Payment({
+      userId: original.userId,
+      applicationId: original.applicationId,
+      stripePaymentIntentId: `stripe_refund_${stripeRefund.id}`,
+      stripeCustomerId: original.stripeCustomerId,
+      stripeRefundId: stripeRefund.id,
+      amount: -principal,
+      creditCardFee: 0,
+      totalAmount: -stripeRefund.amount,
+      currency: stripeRefund.currency || original.currency,
+      paymentType: 'refund',
+      description: `Card refund of ${original.description}`,
+      paymentMethod: 'card',
+      cardBrand: original.cardBrand,
+      cardLast4: original.cardLast4,
+      refundAmount: stripeRefund.amount,
+      refundReason: reason || stripeRefund.metadata?.reason || stripeRefund.reason || '',
+      refundCategory: category || stripeRefund.metadata?.refundCategory || original.refundCategory || 'other',
+      originalPaymentId: original._id,
+      metadata: {
+        propertyAddress: original.metadata?.propertyAddress,
+        notes: 'Refunded to card through Stripe'
+      }
+    });
+  }
+
+  refund.status = status;
+  if (status === 'succeeded') {
+    refund.refunded = true;
+    refund.paidAt = refund.paidAt || new Date(stripeRefund.created * 1000);
+    refund.refundedAt = refund.paidAt;
+  }
+  if (status === 'failed') {
+    refund.failedAt = new Date();
+    refund.error = { code: 'refund_failed', message: stripeRefund.failure_reason || 'Refund failed' };
+  }
+  await refund.save();
+
+  // The original's refund totals count every refund that has not failed
+  const refunds = await Payment.find({
+    originalPaymentId: original._id,
+    paymentType: 'refund',
+    status: { $in: ['pending', 'succeeded'] }
+  });
+  original.refundAmount = refunds.reduce((sum, payment) => sum - payment.amount, 0);
+  original.refunded = original.refundAmount > 0;
+  original.refundedAt = original.refunded ? (original.refundedAt || new Date()) : undefined;
+  await original.save();
+
+  return refund;
+};
+
+/**
+ * Refund a card payment through the Stripe Refunds API. amount is in cents
+ * and defaults to everything still refundable.
+ */
+const createStripeRefund = async (original, { amount, reason = '', category, refundedBy } = {}) => {
+  if (!isStripeCardPayment(original)) {
+    throw new StripeRefundError('Only card payments taken through Stripe can be refunded to the card');
+  }
+  if (original.status !== 'succeeded') {
+    throw new StripeRefundError('Only succeeded payments can be refunded');
+  }
+
+  const refundable = getRefundableAmount(original);
+  const cents = amount === undefined ? refundable : amount;
+  if (!Number.isInteger(cents) || cents <= 0) {
+    throw new StripeRefundError('Refund amount must be a positive number');
+  }
+  if (cents > refundable) {
+    throw new StripeRefundError(`Refund cannot exceed the $${(refundable / 100).toFixed(2)} still refundable on this payment`);
+  }
+
+  const stripeRefund = await stripe.refunds.create({
+    payment_intent: original.stripePaymentIntentId,
+    amount: cents,
+    reason: 'requested_by_customer',
+    metadata: {
+      paymentId: original._id.toString(),
+      applicationId: original.applicationId ? original.applicationId.toString() : '',
+      refundedBy: refundedBy ? refundedBy.toString() : '',
+      refundCategory: category || '',
+      reason
+    }
+  });
+
+  return recordStripeRefund(original, stripeRefund, { reason, category });
+};
+
+// Sync every Stripe refund on a PaymentIntent, e.g. when a charge.refunded webhook arrives
+const syncStripeRefunds = async (paymentIntentId) => {
+  const original = await Payment.findOne({ stripePaymentIntentId: paymentIntentId });
+  if (!original) return [];
+
+  const { data } = await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+  const refunds = [];
+  // Oldest first so the principal caps apply in the order the refunds were made
+  for (const stripeRefund of [...data].sort((a, b) => a.created - b.created)) {
+    refunds.push(await recordStripeRefund(original, stripeRefund));
+  }
+  return refunds;
+};
+
+module.exports = {
+  StripeRefundError,
+  isStripeCardPayment,
+  getRefundableAmount,
+  createStripeRefund,
+  syncStripeRefunds
+};
@@ -0,0 +1,262 @@
+const Application = require('../models/Application');
+const Payment = require('../models/Payment');
+const Setting = require('../models/Setting');
+const { parseDateOnly, formatDateOnly, addMonths } = require('./dates');
+
+const TAX_POLICY_KEY = 'taxPolicy';
+
+// Pinellas County transient rental taxes on the Rental Fee, rates in percent.
+// Florida sales tax and the county surtax are filed with the Florida Department
+// of Revenue; the tourist development tax with the Pinellas County Tax Collector.
+const DEFAULT_TAX_POLICY = {
+  enabled: true,
+  exemptAfterMonths: 6,
+  rates: [
+    { key: 'fl_sales', name: 'Florida sales tax', jurisdiction: 'Florida', rate: 6 },
+    { key: 'pinellas_surtax', name: 'Pinellas County discretionary sales surtax', jurisdiction: 'Florida', rate: 1 },
+    { key: 'pinellas_tdt', name: 'Pinellas County tourist development tax', jurisdiction: 'Pinellas County', rate: 6 }
+  ]
+};
+
+const MAX_TAX_RATES = 6;
+const MAX_RATE_PERCENT = 25;
+const MAX_EXEMPT_AFTER_MONTHS = 24;
+
+class TaxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TaxError';
+    this.status = status;
+  }
+}
+
+const getTaxPolicy = async () => ({
+  ...DEFAULT_TAX_POLICY,
+  ...(await Setting.getValue(TAX_POLICY_KEY, {}))
+});
+
+const rateKey = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Validate and store the policy from the admin form
+const setTaxPolicy = async (input, updatedBy) => {
+  const exemptAfterMonths = parseInt(input.exemptAfterMonths, 10);
+  if (!Number.isInteger(exemptAfterMonths) || exemptAfterMonths < 1 || exemptAfterMonths > MAX_EXEMPT_AFTER_MONTHS) {
+    throw new TaxError(`The exemption threshold must be between 1 and ${MAX_EXEMPT_AFTER_MONTHS} months`);
+  }
+  if (!Array.isArray(input.rates) || input.rates.length > MAX_TAX_RATES) {
+    throw new TaxError(`Up to ${MAX_TAX_RATES} tax rates can be set`);
+  }
+
+  const rates = input.rates.map((entry) => {
+    const name = String(entry.name || '').trim();
+    const jurisdiction = String(entry.jurisdiction || '').trim();
+    const rate = parseFloat(entry.rate);
+    if (!name || !jurisdiction) {
+      throw new TaxError('Each tax needs a name and a jurisdiction');
+    }
+    if (!(rate > 0 && rate <= MAX_RATE_PERCENT)) {
+      throw new TaxError(`${name}: the rate must be between 0 and ${MAX_RATE_PERCENT}%`);
+    }
+    return { key: entry.key || rateKey(name), name, jurisdiction, rate };
+  });
+  if (new Set(rates.map(entry => entry.key)).size !== rates.length) {
+    throw new TaxError('Each tax must have a different name');
+  }
+
+  const policy = {
+    enabled: input.enabled === true,
+    exemptAfterMonths,
+    rates
+  };
+  await Setting.setValue(TAX_POLICY_KEY, policy, updatedBy);
+  return policy;
+};
+
+/**
+ * Taxes on a stay's rent (rentAmount in cents) under the policy. Stays that
+ * run longer than the exemption threshold are exempt; startDate and endDate
+ * are the arrival and departure days (YYYY-MM-DD). Returns null when taxes
+ * are turned off, so nothing is assessed.
+ */
+const calculateStayTaxes = (policy, { startDate, endDate, rentAmount }) => {
+  if (!policy.enabled) return null;
+
+  const start = parseDateOnly(startDate);
+  const end = parseDateOnly(endDate);
+  if (start && end && end > addMonths(start, policy.exemptAfterMonths)) {
+    return {
+      exempt: true,
+      exemptReason: `Stays longer than ${policy.exemptAfterMonths} months are exempt`,
+      lines: [],
+      total: 0
+    };
+  }
+
+  const lines = policy.rates.map(entry => ({
+    key: entry.key,
+    name: entry.name,
+    jurisdiction: entry.jurisdiction,
+    rate: entry.rate,
+    amount: Math.round(rentAmount * entry.rate / 100)
+  }));
+  return {
+    exempt: false,
+    lines,
+    total: lines.reduce((sum, line) => sum + line.amount, 0)
+  };
+};
+
+// Work out the lease's taxes from its current terms; call before applyPaymentSchedule
+const applyStayTaxes = async (application) => {
+  const taxes = calculateStayTaxes(await getTaxPolicy(), {
+    startDate: application.leaseStartDate || application.requestedStartDate,
+    endDate: application.leaseEndDate || application.requestedEndDate,
+    rentAmount: Math.round(Number(application.rentalAmount || 0) * 100)
+  });
+  application.stayTaxes = taxes ? { ...taxes, assessedAt: new Date() } : undefined;
+  return application.stayTaxes;
+};
+
+const hasAssessedTaxes = (application) => !!application?.stayTaxes?.assessedAt;
+
+// Tax on the lease, in cents (0 when exempt or never assessed)
+const getStayTaxTotal = (application) => (hasAssessedTaxes(application) ? application.stayTaxes.total || 0 : 0);
+
+// The Rental Fee plus its taxes, in cents
+const getRentWithTax = (application) => Math.round(Number(application.rentalAmount || 0) * 100) + getStayTaxTotal(application);
+
+// Rent payments and refunds of rent carry tax in proportion to the lease's taxes
+const isRentPayment = (payment) => payment.paymentType === 'rent'
+  || (payment.paymentType === 'refund' && payment.refundCategory === 'rent');
+
+/**
+ * Split an amount paid toward the taxed rent (cents, negative for refunds)
+ * into rent and each tax, in the same proportion as on the lease. Rounding
+ * is absorbed by the rent.
+ */
+const splitRentPayment = (application, amount) => {
+  const taxTotal = getStayTaxTotal(application);
+  const rentWithTax = getRentWithTax(application);
+  if (!taxTotal || !rentWithTax) {
+    return { rent: amount, tax: 0, lines: [] };
+  }
+
+  const lines = application.stayTaxes.lines.map(line => ({
+    key: line.key,
+    name: line.name,
+    jurisdiction: line.jurisdiction,
+    rate: line.rate,
+    amount: Math.round(amount * line.amount / rentWithTax)
+  }));
+  const tax = lines.reduce((sum, line) => sum + line.amount, 0);
+  return { rent: amount - tax, tax, lines };
+};
+
+/**
+ * Taxable rent, exempt rent and tax collected in a calendar month, from the
+ * rent payments received (and rent refunded) that month. Rent on leases set
+ * before taxes were assessed is reported separately as not assessed. Amounts
+ * in cents.
+ */
+const buildTaxReport = async ({ year, month }) => {
+  const yearNumber = parseInt(year, 10);
+  const monthNumber = parseInt(month, 10);
+  if (!Number.isInteger(yearNumber) || !Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 12) {
+    throw new TaxError('A valid year and month are required');
+  }
+  const start = new Date(Date.UTC(yearNumber, monthNumber - 1, 1));
+  const end = addMonths(start, 1);
+
+  const payments = await Payment.find({
+    status: 'succeeded',
+    applicationId: { $exists: true, $ne: null },
+    $or: [
+      { paymentType: 'rent' },
+      { paymentType: 'refund', refundCategory: 'rent' }
+    ],
+    paidAt: { $gte: start, $lt: end }
+  }).sort({ paidAt: 1 });
+
+  const applications = await Application.find({
+    _id: { $in: [...new Set(payments.map(payment => payment.applicationId.toString()))] }
+  }).select('applicationNumber firstName lastName leaseStartDate leaseEndDate requestedStartDate requestedEndDate rentalAmount stayTaxes');
+  const applicationsById = new Map(applications.map(application => [application._id.toString(), application]));
+
+  const totals = { taxableRent: 0, exemptRent: 0, unassessedRent: 0, taxCollected: 0 };
+  const taxesByKey = new Map();
+
+  const transactions = payments.map((payment) => {
+    const application = applicationsById.get(payment.applicationId.toString());
+    let status = 'unassessed';
+    if (hasAssessedTaxes(application)) status = application.stayTaxes.exempt ? 'exempt' : 'taxable';
+
+    const split = application ? splitRentPayment(application, payment.amount) : { rent: payment.amount, tax: 0, lines: [] };
+    if (status === 'taxable') totals.taxableRent += split.rent;
+    else if (status === 'exempt') totals.exemptRent += split.rent;
+    else totals.unassessedRent += split.rent;
+    totals.taxCollected += split.tax;
+
+    split.lines.forEach((line) => {
+      const groupKey = `${line.key}:${line.rate}`;
+      if (!taxesByKey.has(groupKey)) {
+        taxesByKey.set(groupKey, { key: line.key, name: line.name, jurisdiction: line.jurisdiction, rate: line.rate, taxableRent: 0, amount: 0 });
+      }
+      const entry = taxesByKey.get(groupKey);
+      entry.taxableRent += split.rent;
+      entry.amount += line.amount;
+    });
+
+    return {
+      paymentId: payment._id,
+      paidAt: formatDateOnly(payment.paidAt),
+      applicationId: payment.applicationId,
+      applicationNumber: application?.applicationNumber || '',
+      tenant: application ? `${application.firstName} ${application.lastName}` : '',
+      stayStart: application?.leaseStartDate || application?.requestedStartDate || '',
+      stayEnd: application?.leaseEndDate || application?.requestedEndDate || '',
+      paymentType: payment.paymentType,
+      amount: payment.amount,
+      rent: split.rent,
+      tax: split.tax,
+      taxes: split.lines,
+      status
+    };
+  });
+
+  // Group the rates by who the return is filed with
+  const jurisdictions = [];
+  taxesByKey.forEach((entry) => {
+    let jurisdiction = jurisdictions.find(item => item.jurisdiction === entry.jurisdiction);
+    if (!jurisdiction) {
+      jurisdiction = { jurisdiction: entry.jurisdiction, taxes: [], total: 0 };
+      jurisdictions.push(jurisdiction);
+    }
+    jurisdiction.taxes.push(entry);
+    jurisdiction.total += entry.amount;
+  });
+
+  return {
+    period: `${yearNumber}-${String(monthNumber).padStart(2, '0')}`,
+    totals: {
+      ...totals,
+      grossRent: totals.taxableRent + totals.exemptRent + totals.unassessedRent
+    },
+    jurisdictions,
+    transactions
+  };
+};
+
+module.exports = {
+  DEFAULT_TAX_POLICY,
+  TaxError,
+  getTaxPolicy,
+  setTaxPolicy,
+  calculateStayTaxes,
+  applyStayTaxes,
+  hasAssessedTaxes,
+  getStayTaxTotal,
+  getRentWithTax,
+  isRentPayment,
+  splitRentPayment,
+  buildTaxReport
+};
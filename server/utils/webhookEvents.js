@@ -0,0 +1,72 @@
+const WebhookEvent = require('../models/WebhookEvent');
+
+// A run that has been "processing" this long is assumed to have died with the server
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Store an incoming event, or return the copy stored by an earlier delivery
+const recordWebhookEvent = async (event) => {
+  try {
+    return await WebhookEvent.findOneAndUpdate(
+      { stripeEventId: event.id },
+      {
+        $setOnInsert: {
+          stripeEventId: event.id,
+          type: event.type,
+          livemode: event.livemode,
+          payload: event,
+          status: 'received'
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two deliveries racing on the upsert: the other one stored it
+    if (error.code === 11000) return WebhookEvent.findOne({ stripeEventId: event.id });
+    throw error;
+  }
+};
+
+/**
+ * Process a stored event with handler(payload) unless it has already been
+ * processed or another delivery is working on it. Claiming the event is
+ * atomic, so concurrent deliveries run the handler once. Failures are stored
+ * on the event rather than thrown. Returns { event, skipped }.
+ */
+const runWebhookEvent = async (stored, handler, { replayedBy } = {}) => {
+  const claimed = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: stored._id,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lastAttemptAt: new Date(), ...(replayedBy ? { replayedBy } : {}) },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return { event: await WebhookEvent.findById(stored._id), skipped: true };
+  }
+
+  try {
+    await handler(claimed.payload);
+    claimed.status = 'processed';
+    claimed.processedAt = new Date();
+    claimed.error = undefined;
+  } catch (error) {
+    console.error(`Webhook event ${claimed.stripeEventId} (${claimed.type}) failed:`, error);
+    claimed.status = 'failed';
+    claimed.error = { message: error.message, stack: error.stack };
+  }
+  await claimed.save();
+
+  return { event: claimed, skipped: false };
+};
+
+module.exports = {
+  recordWebhookEvent,
+  runWebhookEvent
+};